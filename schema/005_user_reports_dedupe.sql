@@ -0,0 +1,12 @@
+-- Database migration: Deduplicate open message reports
+-- File: schema/005_user_reports_dedupe.sql
+SET search_path = void, public;
+BEGIN;
+
+-- At most one open (pending/claimed) report per reported message.
+-- Further reports are folded into it via context.reporters (see utils/moderation/reports.js).
+CREATE UNIQUE INDEX IF NOT EXISTS uq_user_reports_open_message
+    ON user_reports (guild_id, (context->>'message_id'))
+    WHERE type = 'message' AND status IN ('pending', 'reviewed');
+
+COMMIT;
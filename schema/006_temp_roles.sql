@@ -0,0 +1,24 @@
+-- Database migration: Temporary roles expiry via the job scheduler
+-- File: schema/006_temp_roles.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Allow the role_expire job type
+ALTER TABLE scheduled_jobs DROP CONSTRAINT IF EXISTS scheduled_jobs_type_check;
+ALTER TABLE scheduled_jobs ADD CONSTRAINT scheduled_jobs_type_check CHECK (type IN (
+    'untimeout', 'unmute', 'unban', 'reapply_timeout',
+    'cleanup_expired', 'slowmode_end', 'lockdown_end',
+    'purge_old_logs', 'user_prune', 'cleanup_components',
+    'role_expire'
+));
+
+-- One grant per member/role; re-granting extends the existing row
+CREATE UNIQUE INDEX IF NOT EXISTS uq_temp_roles_guild_user_role
+    ON temp_roles (guild_id, user_id, role_id);
+
+-- Lookup of the pending expiry job for a grant
+CREATE INDEX IF NOT EXISTS idx_sj_role_expire
+    ON scheduled_jobs ((data->>'tempRoleId'))
+    WHERE type = 'role_expire';
+
+COMMIT;
@@ -0,0 +1,65 @@
+-- Database migration: Multiple role menus per guild
+-- File: schema/007_rolemenus.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Role menus (replaces the one-menu-per-guild guild_rolemenu_config)
+-- BIGSERIAL ids keep the signed button custom IDs well under 100 chars
+CREATE TABLE IF NOT EXISTS rolemenus (
+    id                  BIGSERIAL PRIMARY KEY,
+    guild_id            TEXT NOT NULL REFERENCES guild_config(guild_id) ON DELETE CASCADE,
+    name                TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 32),
+    title               TEXT,
+    description         TEXT,
+    style               TEXT NOT NULL DEFAULT 'buttons' CHECK (style IN ('buttons', 'select')),
+    mode                TEXT NOT NULL DEFAULT 'multi' CHECK (mode IN ('single', 'multi')),
+    max_selections      INTEGER CHECK (max_selections IS NULL OR max_selections BETWEEN 1 AND 25),
+    required_role_ids   TEXT[] NOT NULL DEFAULT '{}',
+    channel_id          TEXT,
+    message_id          TEXT,
+    is_active           BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by          TEXT,
+    created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (guild_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS rolemenu_roles (
+    menu_id             BIGINT NOT NULL REFERENCES rolemenus(id) ON DELETE CASCADE,
+    role_id             TEXT NOT NULL,
+    label               TEXT NOT NULL CHECK (char_length(label) BETWEEN 1 AND 80),
+    emoji               TEXT,
+    description         TEXT CHECK (description IS NULL OR char_length(description) <= 100),
+    position            SMALLINT NOT NULL DEFAULT 0,
+    PRIMARY KEY (menu_id, role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rolemenus_guild ON rolemenus (guild_id);
+CREATE INDEX IF NOT EXISTS idx_rolemenus_message ON rolemenus (message_id) WHERE message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_rolemenu_roles_menu_pos ON rolemenu_roles (menu_id, position);
+
+DROP TRIGGER IF EXISTS trig_update_rolemenus ON rolemenus;
+CREATE TRIGGER trig_update_rolemenus
+    BEFORE UPDATE ON rolemenus
+    FOR EACH ROW EXECUTE FUNCTION void_update_timestamp();
+
+-- Carry over menus from the legacy table (unpublished; labels default to the role ID)
+DO $$
+BEGIN
+    IF to_regclass('guild_rolemenu_config') IS NOT NULL THEN
+        INSERT INTO rolemenus (guild_id, name, channel_id, is_active)
+        SELECT g.guild_id::text, 'default', g.channel_id::text, g.is_active
+        FROM guild_rolemenu_config g
+        WHERE EXISTS (SELECT 1 FROM guild_config c WHERE c.guild_id = g.guild_id::text)
+        ON CONFLICT (guild_id, name) DO NOTHING;
+
+        INSERT INTO rolemenu_roles (menu_id, role_id, label, position)
+        SELECT m.id, r.role_id, r.role_id, (r.ord - 1)::smallint
+        FROM guild_rolemenu_config g
+        JOIN rolemenus m ON m.guild_id = g.guild_id::text AND m.name = 'default'
+        CROSS JOIN LATERAL unnest(g.roles[1:25]) WITH ORDINALITY AS r(role_id, ord)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END $$;
+
+COMMIT;
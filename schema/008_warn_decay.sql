@@ -0,0 +1,28 @@
+-- Database migration: Scheduled warn decay
+-- File: schema/008_warn_decay.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Allow the warn_decay job type
+ALTER TABLE scheduled_jobs DROP CONSTRAINT IF EXISTS scheduled_jobs_type_check;
+ALTER TABLE scheduled_jobs ADD CONSTRAINT scheduled_jobs_type_check CHECK (type IN (
+    'untimeout', 'unmute', 'unban', 'reapply_timeout',
+    'cleanup_expired', 'slowmode_end', 'lockdown_end',
+    'purge_old_logs', 'user_prune', 'cleanup_components',
+    'role_expire', 'warn_decay'
+));
+
+-- At most one pending decay pass per guild (the running pass is locked)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_sj_warn_decay_pending
+    ON scheduled_jobs (guild_id)
+    WHERE type = 'warn_decay' AND locked_at IS NULL;
+
+-- Decay pass scans oldest active warns first
+CREATE INDEX IF NOT EXISTS idx_infractions_active_warns
+    ON infractions (guild_id, created_at, id)
+    WHERE type = 'warn' AND active = TRUE;
+
+-- Optional DM when a warning expires
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS warn_decay_dm BOOLEAN DEFAULT FALSE;
+
+COMMIT;
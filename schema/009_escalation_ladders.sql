@@ -0,0 +1,28 @@
+-- Database migration: Windowed / per-category warn escalation policies
+-- File: schema/009_escalation_ladders.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Warn categories (spam, toxicity, ...); NULL = uncategorised
+ALTER TABLE infractions ADD COLUMN IF NOT EXISTS category TEXT
+    CHECK (category IS NULL OR category ~ '^[a-z_]{1,32}$');
+
+CREATE INDEX IF NOT EXISTS idx_infractions_user_warns
+    ON infractions (guild_id, user_id, created_at DESC)
+    WHERE type = 'warn' AND active = TRUE;
+
+-- warn_thresholds become policies: "N [category] warns [within window] → action"
+ALTER TABLE warn_thresholds ADD COLUMN IF NOT EXISTS window_seconds INTEGER
+    CHECK (window_seconds IS NULL OR window_seconds > 0);
+ALTER TABLE warn_thresholds ADD COLUMN IF NOT EXISTS category TEXT
+    CHECK (category IS NULL OR category ~ '^[a-z_]{1,32}$');
+ALTER TABLE warn_thresholds ADD COLUMN IF NOT EXISTS id BIGSERIAL;
+
+-- (guild_id, threshold) is no longer unique on its own
+ALTER TABLE warn_thresholds DROP CONSTRAINT IF EXISTS warn_thresholds_pkey;
+ALTER TABLE warn_thresholds ADD PRIMARY KEY (id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_warn_thresholds_policy
+    ON warn_thresholds (guild_id, threshold, (COALESCE(window_seconds, 0)), (COALESCE(category, '')));
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- Database migration: Role-based mutes
+-- File: schema/010_role_mutes.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Role mutes may be permanent (no duration); timeouts and softbans still need one
+ALTER TABLE infractions DROP CONSTRAINT IF EXISTS duration_required_for_temp;
+ALTER TABLE infractions ADD CONSTRAINT duration_required_for_temp CHECK (
+    (type IN ('timeout', 'softban') AND duration_seconds IS NOT NULL) OR
+    (type NOT IN ('timeout', 'softban'))
+);
+
+-- Rejoin / expiry checks look up a member's active mute
+CREATE INDEX IF NOT EXISTS idx_infractions_active_mutes
+    ON infractions (guild_id, user_id, expires_at)
+    WHERE type = 'mute' AND active = TRUE;
+
+-- Pending unmute jobs are replaced when a mute is re-applied or lifted
+CREATE INDEX IF NOT EXISTS idx_sj_unmute_pending
+    ON scheduled_jobs (guild_id, user_id)
+    WHERE type = 'unmute' AND locked_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,62 @@
+-- Database migration: Keyword rules without a pattern (word lists only)
+-- File: schema/011_keyword_rules_word_lists.sql
+SET search_path = void, public;
+BEGIN;
+
+CREATE OR REPLACE FUNCTION validate_automod_rule() RETURNS TRIGGER AS $$
+BEGIN
+    -- Validate threshold requirements
+    IF NEW.type IN ('spam', 'mention_spam', 'caps', 'channel_spam') THEN
+        IF NEW.threshold IS NULL THEN
+            RAISE EXCEPTION 'Rule type % requires a threshold', NEW.type;
+        END IF;
+        
+        -- Type-specific threshold limits
+        IF NEW.type = 'caps' AND (NEW.threshold < 1 OR NEW.threshold > 100) THEN
+            RAISE EXCEPTION 'Caps threshold must be between 1 and 100 (percentage)';
+        END IF;
+        
+        IF NEW.type IN ('spam', 'mention_spam', 'channel_spam') AND (NEW.threshold < 1 OR NEW.threshold > 50) THEN
+            RAISE EXCEPTION 'Spam threshold must be between 1 and 50';
+        END IF;
+    END IF;
+    
+    -- Validate pattern requirements (keyword rules may rely on keyword_lists alone)
+    IF NEW.type = 'regex' THEN
+        IF NEW.pattern IS NULL OR LENGTH(TRIM(NEW.pattern)) = 0 THEN
+            RAISE EXCEPTION 'Rule type % requires a pattern', NEW.type;
+        END IF;
+        
+        -- Basic regex validation
+        BEGIN
+            PERFORM regexp_replace('test', NEW.pattern, '', 'g');
+        EXCEPTION WHEN invalid_regular_expression THEN
+            RAISE EXCEPTION 'Invalid regex pattern: %', NEW.pattern;
+        END;
+    END IF;
+    
+    -- Validate action-duration combinations
+    IF NEW.action IN ('timeout', 'mute', 'ban') AND NEW.duration_seconds IS NULL THEN
+        RAISE EXCEPTION 'Action % requires a duration', NEW.action;
+    END IF;
+    
+    -- Auto-generate rule_key if not provided
+    IF NEW.rule_key IS NULL THEN
+        NEW.rule_key := LOWER(REGEXP_REPLACE(
+            NEW.type || '_' || COALESCE(NEW.threshold::text, 'default'),
+            '[^a-z0-9_]', '_', 'g'
+        ));
+    END IF;
+    
+    -- Reset quarantine on update if rule is being fixed
+    IF TG_OP = 'UPDATE' AND OLD.quarantined = TRUE AND NEW.quarantined IS NOT DISTINCT FROM OLD.quarantined THEN
+        NEW.quarantined := FALSE;
+        NEW.error_count := 0;
+        NEW.last_error_at := NULL;
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
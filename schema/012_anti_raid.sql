@@ -0,0 +1,47 @@
+-- Database migration: Anti-raid (join-flood detection + guild lockdown)
+-- File: schema/012_anti_raid.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Per-guild raid thresholds
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_protection_enabled BOOLEAN DEFAULT FALSE;
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_join_threshold INTEGER DEFAULT 10
+    CHECK (raid_join_threshold BETWEEN 2 AND 500);
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_join_window_seconds INTEGER DEFAULT 60
+    CHECK (raid_join_window_seconds BETWEEN 5 AND 3600);
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_min_account_age_days INTEGER DEFAULT 7
+    CHECK (raid_min_account_age_days BETWEEN 0 AND 365);
+-- Share of recent joins that must look suspicious (young account or default avatar); 0 = velocity only
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_suspicious_ratio NUMERIC(3,2) DEFAULT 0.50
+    CHECK (raid_suspicious_ratio BETWEEN 0 AND 1);
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_action TEXT DEFAULT 'none'
+    CHECK (raid_action IN ('none', 'timeout', 'kick'));
+ALTER TABLE guild_config ADD COLUMN IF NOT EXISTS raid_lockdown_seconds INTEGER DEFAULT 1800
+    CHECK (raid_lockdown_seconds BETWEEN 60 AND 604800);
+
+-- One row per detected (or manually ended) raid
+CREATE TABLE IF NOT EXISTS raid_events (
+    id              UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    guild_id        TEXT NOT NULL REFERENCES guild_config(guild_id) ON DELETE CASCADE,
+    started_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    ends_at         TIMESTAMPTZ NOT NULL,
+    ended_at        TIMESTAMPTZ,
+    ended_by        TEXT,                       -- NULL = lockdown expired
+    trigger         JSONB NOT NULL DEFAULT '{}'::jsonb CHECK (jsonb_typeof(trigger) = 'object'),
+    action          TEXT NOT NULL DEFAULT 'none',
+    locked_channels TEXT[] NOT NULL DEFAULT '{}',  -- only channels this raid locked get unlocked
+    actioned_users  TEXT[] NOT NULL DEFAULT '{}'
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_raid_events_active
+    ON raid_events (guild_id) WHERE ended_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_raid_events_guild_time
+    ON raid_events (guild_id, started_at DESC);
+
+-- Guild-wide lockdown_end jobs carry data.raidId and no channel_id
+CREATE INDEX IF NOT EXISTS idx_sj_raid_lockdown
+    ON scheduled_jobs ((data->>'raidId'))
+    WHERE type = 'lockdown_end' AND channel_id IS NULL;
+
+COMMIT;
@@ -0,0 +1,67 @@
+-- Database migration: Duplicate / near-duplicate message rule
+-- File: schema/013_duplicate_rule.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Allow the new rule type (threshold = copies within rule_data.window_seconds)
+ALTER TABLE auto_mod_rules DROP CONSTRAINT IF EXISTS auto_mod_rules_type_check;
+ALTER TABLE auto_mod_rules ADD CONSTRAINT auto_mod_rules_type_check
+    CHECK (type IN ('keyword', 'regex', 'spam', 'caps', 'invite', 'link', 'mention_spam', 'duplicate'));
+
+CREATE OR REPLACE FUNCTION validate_automod_rule() RETURNS TRIGGER AS $$
+BEGIN
+    -- Validate threshold requirements
+    IF NEW.type IN ('spam', 'mention_spam', 'caps', 'channel_spam', 'duplicate') THEN
+        IF NEW.threshold IS NULL THEN
+            RAISE EXCEPTION 'Rule type % requires a threshold', NEW.type;
+        END IF;
+        
+        -- Type-specific threshold limits
+        IF NEW.type = 'caps' AND (NEW.threshold < 1 OR NEW.threshold > 100) THEN
+            RAISE EXCEPTION 'Caps threshold must be between 1 and 100 (percentage)';
+        END IF;
+        
+        IF NEW.type IN ('spam', 'mention_spam', 'channel_spam', 'duplicate') AND (NEW.threshold < 1 OR NEW.threshold > 50) THEN
+            RAISE EXCEPTION 'Spam threshold must be between 1 and 50';
+        END IF;
+    END IF;
+    
+    -- Validate pattern requirements (keyword rules may rely on keyword_lists alone)
+    IF NEW.type = 'regex' THEN
+        IF NEW.pattern IS NULL OR LENGTH(TRIM(NEW.pattern)) = 0 THEN
+            RAISE EXCEPTION 'Rule type % requires a pattern', NEW.type;
+        END IF;
+        
+        -- Basic regex validation
+        BEGIN
+            PERFORM regexp_replace('test', NEW.pattern, '', 'g');
+        EXCEPTION WHEN invalid_regular_expression THEN
+            RAISE EXCEPTION 'Invalid regex pattern: %', NEW.pattern;
+        END;
+    END IF;
+    
+    -- Validate action-duration combinations
+    IF NEW.action IN ('timeout', 'mute', 'ban') AND NEW.duration_seconds IS NULL THEN
+        RAISE EXCEPTION 'Action % requires a duration', NEW.action;
+    END IF;
+    
+    -- Auto-generate rule_key if not provided
+    IF NEW.rule_key IS NULL THEN
+        NEW.rule_key := LOWER(REGEXP_REPLACE(
+            NEW.type || '_' || COALESCE(NEW.threshold::text, 'default'),
+            '[^a-z0-9_]', '_', 'g'
+        ));
+    END IF;
+    
+    -- Reset quarantine on update if rule is being fixed
+    IF TG_OP = 'UPDATE' AND OLD.quarantined = TRUE AND NEW.quarantined IS NOT DISTINCT FROM OLD.quarantined THEN
+        NEW.quarantined := FALSE;
+        NEW.error_count := 0;
+        NEW.last_error_at := NULL;
+    END IF;
+    
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
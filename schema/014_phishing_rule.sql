@@ -0,0 +1,23 @@
+-- Database migration: Phishing rule + per-guild link domain lists
+-- File: schema/014_phishing_rule.sql
+SET search_path = void, public;
+BEGIN;
+
+ALTER TABLE auto_mod_rules DROP CONSTRAINT IF EXISTS auto_mod_rules_type_check;
+ALTER TABLE auto_mod_rules ADD CONSTRAINT auto_mod_rules_type_check
+    CHECK (type IN ('keyword', 'regex', 'spam', 'caps', 'invite', 'link', 'mention_spam', 'duplicate', 'phishing'));
+
+-- Allowlisted domains skip the phishing rule; denylisted ones always trigger it.
+-- A domain (and its subdomains) belongs to one list per guild.
+CREATE TABLE IF NOT EXISTS link_domains (
+    guild_id        TEXT NOT NULL REFERENCES guild_config(guild_id) ON DELETE CASCADE,
+    domain          TEXT NOT NULL CHECK (domain = LOWER(domain) AND domain LIKE '%.%'),
+    type            TEXT NOT NULL CHECK (type IN ('allow', 'deny')),
+    added_by        TEXT,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (guild_id, domain)
+);
+
+CREATE INDEX IF NOT EXISTS idx_link_domains_guild_type ON link_domains (guild_id, type);
+
+COMMIT;
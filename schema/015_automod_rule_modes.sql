@@ -0,0 +1,18 @@
+-- Database migration: Automod rule modes (enforce / shadow / log-only)
+-- File: schema/015_automod_rule_modes.sql
+SET search_path = void, public;
+BEGIN;
+
+-- shadow: evaluate and record would-be actions only; log_only: same, plus a mod-log entry
+ALTER TABLE auto_mod_rules ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'enforce'
+    CHECK (mode IN ('enforce', 'shadow', 'log_only'));
+
+-- Dry-run hits land in automod_violations too (success = FALSE: nothing was applied)
+ALTER TABLE automod_violations ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'enforce'
+    CHECK (mode IN ('enforce', 'shadow', 'log_only'));
+
+CREATE INDEX IF NOT EXISTS idx_automod_violations_dry_run
+    ON automod_violations (rule_id, created_at DESC)
+    WHERE mode <> 'enforce';
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- Database migration: Invite rule target resolution + partner server allowlist
+-- File: schema/016_invite_allowlist.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Servers whose invites the invite rule lets through (the guild's own are always allowed)
+CREATE TABLE IF NOT EXISTS invite_allowlist (
+    guild_id        TEXT NOT NULL REFERENCES guild_config(guild_id) ON DELETE CASCADE,
+    target_guild_id TEXT NOT NULL CHECK (target_guild_id ~ '^\d{17,20}$'),
+    label           TEXT,
+    added_by        TEXT,
+    created_at      TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (guild_id, target_guild_id)
+);
+
+-- Invite code → target server, shared by all shards; stale rows still answer
+-- when Discord cannot be reached
+CREATE TABLE IF NOT EXISTS invite_targets (
+    code            TEXT PRIMARY KEY,
+    guild_id        TEXT,
+    guild_name      TEXT,
+    valid           BOOLEAN NOT NULL,
+    resolved_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Daily prune of codes not resolved for a week (cleanupInviteTargets in jobs.js)
+CREATE INDEX IF NOT EXISTS idx_invite_targets_resolved ON invite_targets (resolved_at);
+
+COMMIT;
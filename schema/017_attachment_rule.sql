@@ -0,0 +1,13 @@
+-- Database migration: Attachment & media policy rule
+-- File: schema/017_attachment_rule.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Allow the new rule type. Its policy lives in rule_data (allowed/blocked
+-- extensions, executable/archive blocking, size, file, spoiler and sticker limits)
+-- and needs no threshold.
+ALTER TABLE auto_mod_rules DROP CONSTRAINT IF EXISTS auto_mod_rules_type_check;
+ALTER TABLE auto_mod_rules ADD CONSTRAINT auto_mod_rules_type_check
+    CHECK (type IN ('keyword', 'regex', 'spam', 'caps', 'invite', 'link', 'mention_spam', 'duplicate', 'phishing', 'attachment'));
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- Database migration: Per-rule automod escalation
+-- File: schema/019_automod_escalation.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Escalation step a hit reached (rule_data.escalation); NULL for rules without steps
+ALTER TABLE automod_violations ADD COLUMN IF NOT EXISTS escalation_level SMALLINT
+    CHECK (escalation_level IS NULL OR escalation_level BETWEEN 1 AND 10);
+
+COMMIT;
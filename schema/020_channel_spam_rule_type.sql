@@ -0,0 +1,13 @@
+-- Database migration: Allow channel_spam rules
+-- File: schema/020_channel_spam_rule_type.sql
+SET search_path = void, public;
+BEGIN;
+
+-- channel_spam is validated by the trigger and offered by /automod rule, but
+-- the type constraint never allowed it
+ALTER TABLE auto_mod_rules DROP CONSTRAINT IF EXISTS auto_mod_rules_type_check;
+ALTER TABLE auto_mod_rules ADD CONSTRAINT auto_mod_rules_type_check
+    CHECK (type IN ('keyword', 'regex', 'spam', 'caps', 'invite', 'link', 'mention_spam', 'channel_spam',
+                    'duplicate', 'phishing', 'attachment', 'newline_spam', 'emoji_spam', 'zalgo'));
+
+COMMIT;
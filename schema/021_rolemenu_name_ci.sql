@@ -0,0 +1,18 @@
+-- Database migration: Case-insensitive role menu names
+-- File: schema/021_rolemenu_name_ci.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Menus are looked up by lower(name), so names differing only in case made
+-- lookups ambiguous. Suffix any existing clashes with the menu id first.
+UPDATE rolemenus r
+   SET name = left(r.name, 31 - char_length(r.id::text)) || '-' || r.id
+ WHERE EXISTS (
+    SELECT 1 FROM rolemenus o
+     WHERE o.guild_id = r.guild_id AND lower(o.name) = lower(r.name) AND o.id < r.id
+ );
+
+ALTER TABLE rolemenus DROP CONSTRAINT IF EXISTS rolemenus_guild_id_name_key;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_rolemenus_guild_lower_name ON rolemenus (guild_id, lower(name));
+
+COMMIT;
@@ -0,0 +1,20 @@
+-- Database migration: Softbans carry no duration
+-- File: schema/022_softban_delete_window.sql
+SET search_path = void, public;
+BEGIN;
+
+-- Softbans used duration_seconds for the message-delete window, which gave them
+-- a meaningless expires_at. The window now lives in context.deleteMessageSeconds.
+UPDATE infractions
+   SET context = COALESCE(context, '{}'::JSONB) || jsonb_build_object('deleteMessageSeconds', duration_seconds),
+       duration_seconds = NULL,
+       expires_at = NULL
+ WHERE type = 'softban' AND duration_seconds IS NOT NULL;
+
+ALTER TABLE infractions DROP CONSTRAINT IF EXISTS duration_required_for_temp;
+ALTER TABLE infractions ADD CONSTRAINT duration_required_for_temp CHECK (
+    (type = 'timeout' AND duration_seconds IS NOT NULL) OR
+    (type <> 'timeout')
+);
+
+COMMIT;
@@ -4,7 +4,14 @@ import {
   PermissionFlagsBits,
   MessageFlags,
   EmbedBuilder,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ComponentType,
+  ChannelType,
 } from "discord.js";
+import Papa from "papaparse";
 import { ensureInGuild, safeReply } from "../../utils/moderation/mod.js";
 import { query, tx } from "../../core/db/index.js";
 import { ensureGuildConfig } from "../../utils/moderation/mod-db.js";
@@ -14,6 +21,80 @@ import {
 } from "../../utils/moderation/duration.js";
 import { createLogger } from "../../core/logger.js";
 import { getAutoModState } from "../../utils/automod/redis-state.js";
+import { RULE_MODES, formatMatchedSpan } from "../../utils/automod/autoMod.js";
+import {
+  setChannelOverride,
+  clearChannelOverride,
+  loadChannelOverrides,
+} from "../../utils/automod/channel-overrides.js";
+import {
+  LIST_TYPES,
+  MAX_KEYWORDS_PER_GUILD,
+  SEVERITY_ACTIONS,
+  parseKeywordList,
+  addKeywords,
+  removeKeywords,
+  clearKeywordList,
+  listKeywords,
+} from "../../utils/automod/keyword-lists.js";
+import {
+  SURFACES,
+  TEXT_RULE_TYPES,
+  ruleSurfaces,
+  parseSurfaces,
+} from "../../utils/automod/surfaces.js";
+import {
+  DOMAIN_LIST_TYPES,
+  MAX_DOMAINS_PER_GUILD,
+  parseDomainList,
+  addDomains,
+  removeDomains,
+  clearDomainList,
+  listDomains,
+} from "../../utils/automod/phishing.js";
+import {
+  MAX_EXPORT_ROWS,
+  EXPORT_FIELDS,
+  getAutoModStats,
+  getViolationRows,
+} from "../../utils/automod/stats.js";
+import {
+  exportBaseName,
+  buildExportAttachment,
+} from "../../utils/moderation/export.js";
+import {
+  PRESETS,
+  parseRulesFile,
+  loadPreset,
+  exportRules,
+  resolveRules,
+  diffRules,
+  applyRules,
+} from "../../utils/automod/rule-transfer.js";
+import { regexSafetyIssue } from "../../utils/automod/regex-pool.js";
+import {
+  MAX_ALLOWED_SERVERS,
+  parseInviteCode,
+  resolveInvite,
+  allowServer,
+  disallowServer,
+  listAllowedServers,
+} from "../../utils/automod/invites.js";
+import {
+  MAX_EXTENSIONS,
+  MAX_FILE_SIZE_BYTES,
+  MAX_STICKER_WINDOW_SECONDS,
+  parseExtensions,
+  parseFileSize,
+  formatBytes,
+  hasAttachmentPolicy,
+} from "../../utils/automod/attachments.js";
+import {
+  DEFAULT_DECAY_SECONDS,
+  MAX_DECAY_SECONDS,
+  parseEscalationSteps,
+  describeSteps,
+} from "../../utils/automod/escalation.js";
 
 const log = createLogger({ mod: "automod" });
 
@@ -41,6 +122,17 @@ const RULE_TYPES = {
     maxWindowSeconds: 300,
     thresholdUnit: "channels",
   },
+  duplicate: {
+    name: "Duplicate Messages",
+    description: "Detect repeated or near-identical messages across channels (optionally across users)",
+    requiresThreshold: true,
+    requiresDuration: true,
+    defaultThreshold: 3,
+    defaultWindowSeconds: 300,
+    maxThreshold: 20,
+    maxWindowSeconds: 3600,
+    thresholdUnit: "copies",
+  },
   mention_spam: {
     name: "Mention Spam",
     description: "Detect excessive mentions in messages",
@@ -61,9 +153,40 @@ const RULE_TYPES = {
     maxThreshold: 100,
     thresholdUnit: "percent",
   },
+  newline_spam: {
+    name: "Newline Flood",
+    description: "Detect walls of line breaks",
+    requiresThreshold: true,
+    requiresDuration: false,
+    defaultThreshold: 15,
+    maxThreshold: 100,
+    thresholdUnit: "line breaks",
+    supportsRatio: true,
+  },
+  emoji_spam: {
+    name: "Emoji Flood",
+    description: "Detect messages packed with Unicode or custom emoji",
+    requiresThreshold: true,
+    requiresDuration: false,
+    defaultThreshold: 20,
+    maxThreshold: 100,
+    thresholdUnit: "emoji",
+    supportsRatio: true,
+  },
+  zalgo: {
+    name: "Zalgo Text",
+    description: "Detect stacked combining characters (zalgo)",
+    requiresThreshold: true,
+    requiresDuration: false,
+    defaultThreshold: 4,
+    minThreshold: 3,
+    maxThreshold: 50,
+    thresholdUnit: "stacked marks",
+    supportsRatio: true,
+  },
   invite: {
     name: "Discord Invites",
-    description: "Detect Discord invite links",
+    description: "Detect invites to other servers (partners via /automod invites allow)",
     requiresThreshold: false,
     requiresDuration: false,
     pattern: "discord\\.gg/|discordapp\\.com/invite/",
@@ -75,12 +198,26 @@ const RULE_TYPES = {
     requiresDuration: false,
     pattern: "https?://(?!(?:discord\\.gg|discordapp\\.com))",
   },
+  phishing: {
+    name: "Phishing Links",
+    description: "Detect phishing domains, lookalikes, masked and shortened scam links",
+    requiresThreshold: false,
+    requiresDuration: false,
+  },
+  attachment: {
+    name: "Attachments & Media",
+    description: "File type, size, executable/archive, spoiler and sticker policies",
+    requiresThreshold: false,
+    requiresDuration: false, // window only applies to max_stickers
+    defaultWindowSeconds: 30,
+    maxWindowSeconds: MAX_STICKER_WINDOW_SECONDS,
+  },
   keyword: {
     name: "Prohibited Keywords",
-    description: "Detect specific words or phrases",
+    description: "Detect specific words or phrases (pattern and /automod words lists)",
     requiresThreshold: false,
     requiresDuration: false,
-    requiresPattern: true,
+    requiresPattern: false, // word lists alone are enough
   },
   regex: {
     name: "Custom Regex",
@@ -140,6 +277,45 @@ function parseActions(primaryAction, actionsCsv) {
   return { ok: true, actions: [...new Set(ordered)] };
 }
 
+const LIST_CHOICES = Object.entries(LIST_TYPES).map(([value, name]) => ({
+  name,
+  value,
+}));
+
+const DOMAIN_LIST_CHOICES = Object.entries(DOMAIN_LIST_TYPES).map(
+  ([value, name]) => ({ name, value })
+);
+
+// Channels (and their threads) a channel override can target
+const OVERRIDE_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildForum,
+  ChannelType.GuildVoice,
+  ChannelType.GuildStageVoice,
+];
+
+const PRESET_CHOICES = Object.entries(PRESETS).map(([value, name]) => ({
+  name,
+  value,
+}));
+
+const MODE_CHOICES = Object.entries(RULE_MODES).map(([value, name]) => ({
+  name,
+  value,
+}));
+
+const FILTER_LEVELS = {
+  0: "Off (blacklist only)",
+  1: "Moderate (severity 3+)",
+  2: "Strict (all severities)",
+};
+
+const MAX_IMPORT_BYTES = 100 * 1024;
+
+// Rule types that read rule_data.normalize (see utils/automod/normalize.js)
+const NORMALIZABLE_TYPES = new Set(["keyword", "regex"]);
+
 // Validation helper
 function validateRoleIds(input) {
   if (!input) return [];
@@ -290,6 +466,33 @@ export default {
             .setMaxValue(100)
         )
     )
+    .addSubcommand((sub) =>
+      sub
+        .setName("escalation")
+        .setDescription("Escalate a rule's actions on repeated violations")
+        .addStringOption((o) =>
+          o
+            .setName("rule_key")
+            .setDescription("Rule key (see /automod list detailed)")
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("steps")
+            .setDescription(
+              "Actions per hit, e.g. delete > warn > timeout 1h > ban (\"off\" to remove)"
+            )
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("decay")
+            .setDescription("Start over after this long without a hit (default: 10m)")
+            .setMaxLength(10)
+        )
+    )
 
     .addSubcommand((sub) =>
       sub
@@ -367,6 +570,103 @@ export default {
             .setDescription("Comma-separated channel IDs to exempt (max 20)")
             .setMaxLength(500)
         )
+        .addStringOption((o) =>
+          o
+            .setName("surfaces")
+            .setDescription(
+              "Text rules: content,embeds,attachments,poll,forwards (default: all)"
+            )
+            .setMaxLength(100)
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("normalize")
+            .setDescription(
+              "Keyword/regex: match through leetspeak, lookalikes and separators"
+            )
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("similarity")
+            .setDescription(
+              "Duplicate: how alike messages must be, in percent (default: 60)"
+            )
+            .setMinValue(50)
+            .setMaxValue(100)
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("cross_user")
+            .setDescription(
+              "Duplicate: also flag the same message from different users (default: false)"
+            )
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("ratio")
+            .setDescription(
+              "Newline/emoji/zalgo: also trigger at this percent of the message (default: off)"
+            )
+            .setMinValue(1)
+            .setMaxValue(100)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("allow_ext")
+            .setDescription("Attachments: only allow these extensions (e.g., png,jpg,gif)")
+            .setMaxLength(200)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("block_ext")
+            .setDescription("Attachments: block these extensions (e.g., exe,scr,bat)")
+            .setMaxLength(200)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("block_files")
+            .setDescription("Attachments: block executables/archives, also when renamed")
+            .addChoices(
+              { name: "Executables", value: "executables" },
+              { name: "Archives", value: "archives" },
+              { name: "Executables and archives", value: "both" }
+            )
+        )
+        .addStringOption((o) =>
+          o
+            .setName("max_size")
+            .setDescription("Attachments: max size per file (e.g., 8mb, 500kb)")
+            .setMaxLength(10)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("max_files")
+            .setDescription("Attachments: max files per message")
+            .setMinValue(1)
+            .setMaxValue(10)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("max_spoilers")
+            .setDescription("Attachments: max spoiler-tagged images per message")
+            .setMinValue(0)
+            .setMaxValue(10)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("max_stickers")
+            .setDescription("Attachments: max stickers per window (default window: 30s)")
+            .setMinValue(0)
+            .setMaxValue(20)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("mode")
+            .setDescription(
+              "Enforce, or shadow/log-only to record would-be actions without acting (default: enforce)"
+            )
+            .addChoices(...MODE_CHOICES)
+        )
         .addBooleanOption((o) =>
           o
             .setName("enabled")
@@ -374,6 +674,395 @@ export default {
         )
     )
 
+    .addSubcommand((sub) =>
+      sub
+        .setName("mode")
+        .setDescription("Switch a rule between enforce, shadow and log-only")
+        .addStringOption((o) =>
+          o
+            .setName("rule_key")
+            .setDescription("Rule key (e.g., spam_5)")
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("mode")
+            .setDescription("New mode")
+            .setRequired(true)
+            .addChoices(...MODE_CHOICES)
+        )
+    )
+
+    .addSubcommand((sub) =>
+      sub
+        .setName("shadow-report")
+        .setDescription("Summarize what a shadow/log-only rule would have done")
+        .addStringOption((o) =>
+          o
+            .setName("rule_key")
+            .setDescription("Rule key (e.g., spam_5)")
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("days")
+            .setDescription("Look back this many days (default 7)")
+            .setMinValue(1)
+            .setMaxValue(30)
+        )
+    )
+
+    .addSubcommand((sub) =>
+      sub
+        .setName("stats")
+        .setDescription("Show automod hits, action success rates, offenders and trends")
+        .addStringOption((o) =>
+          o
+            .setName("window")
+            .setDescription("Look back this long (e.g., 24h, 7d; max 90d; default 7d)")
+            .setMaxLength(10)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("rule_key")
+            .setDescription("Only this rule (e.g., spam_5)")
+            .setMaxLength(50)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("export")
+            .setDescription("Also attach the raw violations as a file")
+            .addChoices(
+              { name: "CSV", value: "csv" },
+              { name: "JSON", value: "json" }
+            )
+        )
+    )
+
+    .addSubcommand((sub) =>
+      sub
+        .setName("export")
+        .setDescription("Download every automod rule as a portable JSON file")
+    )
+
+    .addSubcommand((sub) =>
+      sub
+        .setName("import")
+        .setDescription("Preview and apply rules from an export file or a built-in preset")
+        .addAttachmentOption((o) =>
+          o.setName("file").setDescription("JSON file from /automod export")
+        )
+        .addStringOption((o) =>
+          o
+            .setName("preset")
+            .setDescription("Built-in rule set")
+            .addChoices(...PRESET_CHOICES)
+        )
+        .addBooleanOption((o) =>
+          o
+            .setName("replace")
+            .setDescription("Delete rules that are not in the file (default: keep them)")
+        )
+    )
+
+    .addSubcommandGroup((group) =>
+      group
+        .setName("words")
+        .setDescription("Manage keyword lists used by keyword rules")
+        .addSubcommand((sub) =>
+          sub
+            .setName("add")
+            .setDescription("Add words to a list")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Which list")
+                .setRequired(true)
+                .addChoices(...LIST_CHOICES)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("words")
+                .setDescription("Comma-separated words or phrases")
+                .setRequired(true)
+                .setMaxLength(1000)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("severity")
+                .setDescription("Severity 1-5 (default 3; ignored for whitelist)")
+                .setMinValue(1)
+                .setMaxValue(5)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove")
+            .setDescription("Remove words from a list")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Which list")
+                .setRequired(true)
+                .addChoices(...LIST_CHOICES)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("words")
+                .setDescription("Comma-separated words or phrases")
+                .setRequired(true)
+                .setMaxLength(1000)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("list")
+            .setDescription("Show keyword lists and the filter level")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Only this list")
+                .addChoices(...LIST_CHOICES)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("import")
+            .setDescription("Import words from a .txt or .csv file (word[,severity] per line)")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Which list")
+                .setRequired(true)
+                .addChoices(...LIST_CHOICES)
+            )
+            .addAttachmentOption((o) =>
+              o.setName("file").setDescription("File to import").setRequired(true)
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("severity")
+                .setDescription("Severity for lines without one (default 3)")
+                .setMinValue(1)
+                .setMaxValue(5)
+            )
+            .addBooleanOption((o) =>
+              o
+                .setName("replace")
+                .setDescription("Replace the list instead of merging")
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("export")
+            .setDescription("Export keyword lists as CSV")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Only this list")
+                .addChoices(...LIST_CHOICES)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("level")
+            .setDescription("Set the profanity filter level")
+            .addIntegerOption((o) =>
+              o
+                .setName("level")
+                .setDescription("Which severities are acted on")
+                .setRequired(true)
+                .addChoices(
+                  ...Object.entries(FILTER_LEVELS).map(([value, name]) => ({
+                    name,
+                    value: Number(value),
+                  }))
+                )
+            )
+        )
+    )
+
+    .addSubcommandGroup((group) =>
+      group
+        .setName("links")
+        .setDescription("Manage domain allow/deny lists used by phishing rules")
+        .addSubcommand((sub) =>
+          sub
+            .setName("add")
+            .setDescription("Add domains to a list (subdomains included)")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Which list")
+                .setRequired(true)
+                .addChoices(...DOMAIN_LIST_CHOICES)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("domains")
+                .setDescription("Comma-separated domains (e.g., example.com, docs.example.org)")
+                .setRequired(true)
+                .setMaxLength(1000)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove")
+            .setDescription("Remove domains from either list")
+            .addStringOption((o) =>
+              o
+                .setName("domains")
+                .setDescription("Comma-separated domains")
+                .setRequired(true)
+                .setMaxLength(1000)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("list")
+            .setDescription("Show the domain lists")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Only this list")
+                .addChoices(...DOMAIN_LIST_CHOICES)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("import")
+            .setDescription("Import domains from a .txt file (one per line, # comments)")
+            .addStringOption((o) =>
+              o
+                .setName("list")
+                .setDescription("Which list")
+                .setRequired(true)
+                .addChoices(...DOMAIN_LIST_CHOICES)
+            )
+            .addAttachmentOption((o) =>
+              o.setName("file").setDescription("File to import").setRequired(true)
+            )
+            .addBooleanOption((o) =>
+              o
+                .setName("replace")
+                .setDescription("Replace the list instead of merging")
+            )
+        )
+    )
+
+    .addSubcommandGroup((group) =>
+      group
+        .setName("invites")
+        .setDescription("Partner servers whose invites the invite rule allows")
+        .addSubcommand((sub) =>
+          sub
+            .setName("allow")
+            .setDescription("Allow invites to a server")
+            .addStringOption((o) =>
+              o
+                .setName("server")
+                .setDescription("An invite to the server (link or code) or its ID")
+                .setRequired(true)
+                .setMaxLength(100)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("label")
+                .setDescription("Name to show in the list (default: the server's name)")
+                .setMaxLength(100)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("remove")
+            .setDescription("Stop allowing invites to a server")
+            .addStringOption((o) =>
+              o
+                .setName("server")
+                .setDescription("Server ID, or an invite to it")
+                .setRequired(true)
+                .setMaxLength(100)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub.setName("list").setDescription("Show allowed partner servers")
+        )
+    )
+
+    .addSubcommandGroup((group) =>
+      group
+        .setName("channel")
+        .setDescription("Per-channel rule overrides (disable a rule, change threshold or actions)")
+        .addSubcommand((sub) =>
+          sub
+            .setName("set")
+            .setDescription("Override a rule (or every rule of a type) in one channel")
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Channel (its threads follow it)")
+                .setRequired(true)
+                .addChannelTypes(...OVERRIDE_CHANNEL_TYPES)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("rule")
+                .setDescription("Rule key (e.g., caps_70) or rule type (e.g., caps, link)")
+                .setRequired(true)
+                .setMaxLength(50)
+            )
+            .addBooleanOption((o) =>
+              o
+                .setName("enabled")
+                .setDescription("Run the rule in this channel (false = allowed here)")
+            )
+            .addIntegerOption((o) =>
+              o
+                .setName("threshold")
+                .setDescription("Threshold in this channel (0 = back to the rule's own)")
+                .setMinValue(0)
+                .setMaxValue(100)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("actions")
+                .setDescription("Comma-separated actions in this channel (\"default\" = the rule's own)")
+                .setMaxLength(100)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("clear")
+            .setDescription("Remove overrides from a channel")
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Channel")
+                .setRequired(true)
+                .addChannelTypes(...OVERRIDE_CHANNEL_TYPES)
+            )
+            .addStringOption((o) =>
+              o
+                .setName("rule")
+                .setDescription("Only this rule key or type (leave empty for all)")
+                .setMaxLength(50)
+            )
+        )
+        .addSubcommand((sub) =>
+          sub
+            .setName("show")
+            .setDescription("Show channel overrides")
+            .addChannelOption((o) =>
+              o
+                .setName("channel")
+                .setDescription("Only this channel (leave empty for all)")
+                .addChannelTypes(...OVERRIDE_CHANNEL_TYPES)
+            )
+        )
+    )
+
     .addSubcommand((sub) =>
       sub
         .setName("test")
@@ -395,17 +1084,33 @@ export default {
     ),
 
   cooldownMs: 3000,
+  requiredPerms: [PermissionFlagsBits.Administrator],
+  modCapability: "rules",
 
   async execute(interaction) {
     ensureInGuild(interaction);
     await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+    const group = interaction.options.getSubcommandGroup();
     const subcommand = interaction.options.getSubcommand();
 
     try {
       await ensureGuildConfig(interaction.guildId);
       const autoModState = getAutoModState();
 
+      if (group === "words") {
+        return await handleWords(interaction, subcommand, autoModState);
+      }
+      if (group === "links") {
+        return await handleLinks(interaction, subcommand, autoModState);
+      }
+      if (group === "invites") {
+        return await handleInvites(interaction, subcommand, autoModState);
+      }
+      if (group === "channel") {
+        return await handleChannel(interaction, subcommand, autoModState);
+      }
+
       switch (subcommand) {
         case "enable":
           return await handleEnable(interaction, autoModState);
@@ -417,10 +1122,22 @@ export default {
           return await handleRule(interaction, autoModState);
         case "test":
           return await handleTest(interaction);
+        case "mode":
+          return await handleMode(interaction, autoModState);
+        case "shadow-report":
+          return await handleShadowReport(interaction);
+        case "stats":
+          return await handleStats(interaction);
+        case "export":
+          return await handleExport(interaction);
+        case "import":
+          return await handleImport(interaction, autoModState);
         case "addaction":
           return await handleAddAction(interaction, autoModState);
         case "delaction":
           return await handleDelAction(interaction, autoModState);
+        case "escalation":
+          return await handleEscalation(interaction, autoModState);
         default:
           return safeReply(interaction, {
             content: "Invalid subcommand.",
@@ -749,18 +1466,138 @@ async function handleAddAction(interaction, autoModState) {
   }
 }
 
-async function handleEnable(interaction, autoModState) {
-  // If already enabled, just say so; otherwise enable.
-  const { rows } = await query(
-    `SELECT auto_mod_enabled FROM guild_config WHERE guild_id = $1`,
-    [interaction.guildId]
-  );
-  const already = rows[0]?.auto_mod_enabled === true;
+// ------------------------------
+// /automod escalation
+// ------------------------------
+async function handleEscalation(interaction, autoModState) {
+  const ruleKey = interaction.options.getString("rule_key", true).trim();
+  const stepsStr = interaction.options.getString("steps", true).trim();
+  const decayStr = interaction.options.getString("decay");
+  const off = stepsStr.toLowerCase() === "off";
+
+  let steps = null;
+  if (!off) {
+    const parsed = parseEscalationSteps(stepsStr);
+    if (!parsed.ok) {
+      return safeReply(interaction, {
+        content: parsed.error,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+    steps = parsed.steps;
+  }
 
-  if (!already) {
-    await tx(async (client) => {
-      await client.query(
-        `UPDATE guild_config
+  let decaySeconds = DEFAULT_DECAY_SECONDS;
+  if (decayStr) {
+    decaySeconds = parseDurationSeconds(decayStr);
+    if (off || !decaySeconds || decaySeconds < 60 || decaySeconds > MAX_DECAY_SECONDS) {
+      return safeReply(interaction, {
+        content: off
+          ? "decay only applies when setting steps."
+          : `Decay must be between 1m and ${prettySecs(MAX_DECAY_SECONDS)}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  }
+
+  const {
+    rows: [rule],
+  } = await query(
+    `SELECT id, name, rule_key, rule_data, quarantined
+     FROM auto_mod_rules
+     WHERE guild_id = $1 AND rule_key = $2`,
+    [interaction.guildId, ruleKey]
+  );
+  if (!rule) {
+    return safeReply(interaction, {
+      content: `Rule \`${ruleKey}\` not found in this guild.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  // Saving would lift the quarantine (see validate_automod_rule)
+  if (rule.quarantined) {
+    return safeReply(interaction, {
+      content: `Rule \`${ruleKey}\` is quarantined after regex timeouts. Fix its pattern and save it with \`/automod rule\` first.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const { escalation: previous, ...rest } = safeJson(rule.rule_data) || {};
+  if (off && !previous) {
+    return safeReply(interaction, {
+      content: `Rule \`${rule.rule_key}\` has no escalation steps.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  const escalation = off ? null : { steps, decay_seconds: decaySeconds };
+  const newRuleData = escalation ? { ...rest, escalation } : rest;
+
+  try {
+    await tx(async (client) => {
+      await client.query(
+        `UPDATE auto_mod_rules
+         SET rule_data = $1::jsonb,
+             version = auto_mod_rules.version + 1
+         WHERE id = $2`,
+        [JSON.stringify(newRuleData), rule.id]
+      );
+
+      await client.query(
+        `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          interaction.guildId,
+          "automod_rule_escalation",
+          interaction.user.id,
+          rule.id,
+          JSON.stringify({
+            ruleKey: rule.rule_key,
+            previous: previous ?? null,
+            escalation,
+          }),
+        ]
+      );
+    });
+  } catch (err) {
+    log.error({ err, ruleKey }, "Failed to update rule escalation");
+    return safeReply(interaction, {
+      content: "Failed to update rule escalation.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await autoModState.invalidateGuildConfig(interaction.guildId);
+
+  if (off) {
+    return safeReply(interaction, {
+      content: `Escalation removed from **${rule.name}** (\`${rule.rule_key}\`). Every hit applies the rule's own actions again.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  return safeReply(interaction, {
+    content: [
+      `Escalation set for **${rule.name}** (\`${rule.rule_key}\`)`,
+      `**Steps:** ${describeSteps(escalation)}`,
+      `**Decay:** a user starts over after ${prettySecs(decaySeconds)} without a hit; past the last step, it repeats`,
+      "-# Hits within the 10s violation cooldown count once. Channel overrides with their own actions still apply instead.",
+    ].join("\n"),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleEnable(interaction, autoModState) {
+  // If already enabled, just say so; otherwise enable.
+  const { rows } = await query(
+    `SELECT auto_mod_enabled FROM guild_config WHERE guild_id = $1`,
+    [interaction.guildId]
+  );
+  const already = rows[0]?.auto_mod_enabled === true;
+
+  if (!already) {
+    await tx(async (client) => {
+      await client.query(
+        `UPDATE guild_config
          SET auto_mod_enabled = TRUE, updated_at = NOW()
          WHERE guild_id = $1`,
         [interaction.guildId]
@@ -883,7 +1720,7 @@ async function handleList(interaction) {
     query(
       `
       SELECT id, rule_key, name, type, action, threshold, pattern, enabled, quarantined,
-             rule_data, exempt_roles, exempt_channels, created_at, version
+             mode, rule_data, exempt_roles, exempt_channels, created_at, version
       FROM auto_mod_rules
       WHERE guild_id = $1
       ORDER BY type, name
@@ -931,13 +1768,15 @@ async function handleList(interaction) {
     inline: true,
   });
 
+  const ruleDataOf = (rule) =>
+    rule.rule_data &&
+    (typeof rule.rule_data === "object"
+      ? rule.rule_data
+      : safeJson(rule.rule_data));
+
   // derive actions list (rule_data.actions or single action)
   const displayActions = (rule) => {
-    const d =
-      rule.rule_data &&
-      (typeof rule.rule_data === "object"
-        ? rule.rule_data
-        : safeJson(rule.rule_data));
+    const d = ruleDataOf(rule);
     const acts =
       Array.isArray(d?.actions) && d.actions.length
         ? d.actions
@@ -958,15 +1797,22 @@ async function handleList(interaction) {
       const lines = typeRules.map((rule) => {
         const status = rule.quarantined
           ? "QUARANTINED"
-          : rule.enabled
-          ? "ACTIVE"
-          : "DISABLED";
+          : !rule.enabled
+          ? "DISABLED"
+          : rule.mode && rule.mode !== "enforce"
+          ? RULE_MODES[rule.mode].toUpperCase()
+          : "ACTIVE";
         const unit = RULE_TYPES[type]?.thresholdUnit || "";
         const tStr = rule.threshold
           ? ` (${rule.threshold}${unit ? " " + unit : ""})`
           : "";
-        const acts = displayActions(rule);
-        return `**${rule.name}**: ${status} → ${acts}${tStr} [v${
+        const esc = ruleDataOf(rule)?.escalation?.steps?.length;
+        const acts = esc ? `escalates in ${esc} steps` : displayActions(rule);
+        const norm = ruleDataOf(rule)?.normalize ? " (normalized)" : "";
+        const where = ruleDataOf(rule)?.surfaces?.length
+          ? ` {${ruleDataOf(rule).surfaces.join(", ")}}`
+          : "";
+        return `**${rule.name}**: ${status} → ${acts}${tStr}${norm}${where} [v${
           rule.version ?? 1
         }]`;
       });
@@ -1027,6 +1873,19 @@ async function handleRule(interaction, autoModState) {
   const pattern = interaction.options.getString("pattern")?.trim();
   const exemptRolesStr = interaction.options.getString("exempt_roles");
   const exemptChannelsStr = interaction.options.getString("exempt_channels");
+  const surfacesStr = interaction.options.getString("surfaces");
+  const normalize = interaction.options.getBoolean("normalize") ?? false;
+  const similarity = interaction.options.getInteger("similarity");
+  const crossUser = interaction.options.getBoolean("cross_user");
+  const ratio = interaction.options.getInteger("ratio");
+  const allowExtStr = interaction.options.getString("allow_ext");
+  const blockExtStr = interaction.options.getString("block_ext");
+  const blockFiles = interaction.options.getString("block_files");
+  const maxSizeStr = interaction.options.getString("max_size");
+  const maxFiles = interaction.options.getInteger("max_files");
+  const maxSpoilers = interaction.options.getInteger("max_spoilers");
+  const maxStickers = interaction.options.getInteger("max_stickers");
+  const mode = interaction.options.getString("mode"); // null keeps an existing rule's mode
   const enabled = interaction.options.getBoolean("enabled") ?? true;
 
   const ruleInfo = RULE_TYPES[type];
@@ -1062,8 +1921,10 @@ async function handleRule(interaction, autoModState) {
         } for ${ruleInfo.name}`
       );
     }
-    if (threshold < 1)
-      errors.push(`Threshold must be at least 1 for ${ruleInfo.name}`);
+    if (threshold < (ruleInfo.minThreshold ?? 1))
+      errors.push(
+        `Threshold must be at least ${ruleInfo.minThreshold ?? 1} for ${ruleInfo.name}`
+      );
   }
 
   // Window seconds (apply default if rule uses a time window)
@@ -1079,7 +1940,7 @@ async function handleRule(interaction, autoModState) {
     } else {
       windowSeconds = parsed;
     }
-  } else if (ruleInfo.requiresDuration) {
+  } else if (ruleInfo.requiresDuration || (type === "attachment" && maxStickers != null)) {
     windowSeconds = ruleInfo.defaultWindowSeconds ?? 5;
   }
 
@@ -1110,11 +1971,79 @@ async function handleRule(interaction, autoModState) {
     }
     try {
       new RegExp(pattern, "giu");
+      const unsafe = regexSafetyIssue(pattern);
+      if (unsafe)
+        errors.push(
+          `Regex pattern could hang the bot: ${unsafe}. Rewrite it without repeating a group that already repeats (e.g. \`(a+)+\` → \`a+\`)`
+        );
     } catch (err) {
       errors.push(`Invalid regex pattern: ${err.message}`);
     }
   }
 
+  if (normalize && !NORMALIZABLE_TYPES.has(type))
+    errors.push("Normalization only applies to keyword and regex rules");
+
+  // Surfaces (which parts of a message text rules read)
+  let surfaces = null;
+  if (surfacesStr) {
+    surfaces = parseSurfaces(surfacesStr);
+    if (!TEXT_RULE_TYPES.has(type))
+      errors.push(`${ruleInfo.name} does not read message text; surfaces do not apply`);
+    else if (!surfaces)
+      errors.push(
+        `Invalid surfaces. Use any of: ${Object.keys(SURFACES).join(", ")}`
+      );
+  }
+
+  if ((similarity != null || crossUser != null) && type !== "duplicate")
+    errors.push("similarity and cross_user only apply to duplicate rules");
+
+  if (ratio != null && !ruleInfo.supportsRatio)
+    errors.push("ratio only applies to newline, emoji and zalgo rules");
+
+  // Attachment policies (stored in rule_data)
+  const attachmentPolicy = {};
+  const attachmentOpts = [allowExtStr, blockExtStr, blockFiles, maxSizeStr, maxFiles, maxSpoilers, maxStickers];
+  if (type !== "attachment") {
+    if (attachmentOpts.some((v) => v != null))
+      errors.push(
+        "allow_ext, block_ext, block_files, max_size, max_files, max_spoilers and max_stickers only apply to attachment rules"
+      );
+  } else {
+    for (const [input, key, label] of [
+      [allowExtStr, "allowed_extensions", "allow_ext"],
+      [blockExtStr, "blocked_extensions", "block_ext"],
+    ]) {
+      if (!input) continue;
+      const list = parseExtensions(input);
+      if (!list)
+        errors.push(
+          `Invalid ${label}. Use up to ${MAX_EXTENSIONS} extensions, e.g. png,jpg,gif`
+        );
+      else attachmentPolicy[key] = list;
+    }
+    if (blockFiles) {
+      attachmentPolicy.block_executables = blockFiles !== "archives";
+      attachmentPolicy.block_archives = blockFiles !== "executables";
+    }
+    if (maxSizeStr) {
+      const bytes = parseFileSize(maxSizeStr);
+      if (!bytes)
+        errors.push(
+          `Invalid max_size. Examples: 8mb, 500kb (up to ${formatBytes(MAX_FILE_SIZE_BYTES)})`
+        );
+      else attachmentPolicy.max_bytes = bytes;
+    }
+    if (maxFiles != null) attachmentPolicy.max_attachments = maxFiles;
+    if (maxSpoilers != null) attachmentPolicy.max_spoiler_images = maxSpoilers;
+    if (maxStickers != null) attachmentPolicy.max_stickers = maxStickers;
+    if (!hasAttachmentPolicy(attachmentPolicy) && !errors.length)
+      errors.push(
+        "Attachment rules need at least one of allow_ext, block_ext, block_files, max_size, max_files, max_spoilers or max_stickers"
+      );
+  }
+
   // Exemptions
   const exemptRoles = validateRoleIds(exemptRolesStr);
   const exemptChannels = validateChannelIds(exemptChannelsStr);
@@ -1134,6 +2063,12 @@ async function handleRule(interaction, autoModState) {
   const ruleData = {};
   if (windowSeconds) ruleData.window_seconds = windowSeconds;
   if (actions?.length) ruleData.actions = actions;
+  if (normalize) ruleData.normalize = true;
+  if (surfaces) ruleData.surfaces = surfaces;
+  if (similarity != null) ruleData.similarity = similarity / 100;
+  if (crossUser) ruleData.cross_user = true;
+  if (ratio != null) ruleData.ratio = ratio / 100;
+  Object.assign(ruleData, attachmentPolicy);
 
   // Generate rule key + display name
   const ruleKey = `${type}_${threshold ?? "default"}`;
@@ -1161,8 +2096,8 @@ async function handleRule(interaction, autoModState) {
       } = await client.query(
         `INSERT INTO auto_mod_rules (
            guild_id, rule_key, name, type, pattern, action, threshold,
-           duration_seconds, rule_data, exempt_roles, exempt_channels, enabled
-         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10, $11, $12)
+           duration_seconds, rule_data, exempt_roles, exempt_channels, enabled, mode
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb, $10, $11, $12, COALESCE($13, 'enforce'))
          ON CONFLICT (guild_id, rule_key)
          DO UPDATE SET
            name = EXCLUDED.name,
@@ -1171,10 +2106,14 @@ async function handleRule(interaction, autoModState) {
            action = EXCLUDED.action,
            threshold = EXCLUDED.threshold,
            duration_seconds = EXCLUDED.duration_seconds,
-           rule_data = EXCLUDED.rule_data,
+           -- escalation steps are managed by /automod escalation and survive rule edits
+           rule_data = EXCLUDED.rule_data || jsonb_strip_nulls(
+             jsonb_build_object('escalation', auto_mod_rules.rule_data->'escalation')
+           ),
            exempt_roles = EXCLUDED.exempt_roles,
            exempt_channels = EXCLUDED.exempt_channels,
            enabled = EXCLUDED.enabled,
+           mode = COALESCE($13, auto_mod_rules.mode),
            quarantined = FALSE,
            error_count = 0,
            last_error_at = NULL,
@@ -1193,6 +2132,7 @@ async function handleRule(interaction, autoModState) {
           exemptRoles.length ? exemptRoles : null,
           exemptChannels.length ? exemptChannels : null,
           enabled,
+          mode,
         ]
       );
 
@@ -1212,6 +2152,13 @@ async function handleRule(interaction, autoModState) {
             actions: actions,
             primaryAction: primary,
             threshold: rule.threshold,
+            normalize,
+            surfaces,
+            similarity: ruleData.similarity,
+            crossUser: ruleData.cross_user,
+            ratio: ruleData.ratio,
+            attachmentPolicy: type === "attachment" ? attachmentPolicy : undefined,
+            mode: rule.mode,
             enabled: rule.enabled,
             version: rule.version,
           }),
@@ -1238,6 +2185,10 @@ async function handleRule(interaction, autoModState) {
       bits.push(
         `**Threshold:** ${threshold} ${RULE_TYPES[type]?.thresholdUnit || ""}`
       );
+    if (ruleData.ratio)
+      bits.push(
+        `**Ratio:** also when ${Math.round(ruleData.ratio * 100)}% of the message`
+      );
     if (ruleData.window_seconds)
       bits.push(`**Detection Window:** ${prettySecs(ruleData.window_seconds)}`);
     if (actionDurationSeconds && actions.includes("timeout"))
@@ -1248,11 +2199,35 @@ async function handleRule(interaction, autoModState) {
           pattern.length > 50 ? "..." : ""
         }\``
       );
+    if (normalize)
+      bits.push("**Normalization:** leetspeak, lookalikes and separators folded");
+    if (TEXT_RULE_TYPES.has(type))
+      bits.push(
+        `**Checks:** ${ruleSurfaces({ type, rule_data: ruleData })
+          .map((s) => SURFACES[s])
+          .join(", ")} (new and edited messages)`
+      );
+    if (type === "duplicate")
+      bits.push(
+        `**Matching:** ${Math.round((ruleData.similarity ?? 0.6) * 100)}% similar, ${
+          ruleData.cross_user ? "same user or across users" : "same user only"
+        }`
+      );
+    if (type === "invite")
+      bits.push(
+        "**Allowed:** invites to this server and to servers added with `/automod invites allow`"
+      );
+    if (type === "attachment")
+      bits.push(`**Policy:** ${attachmentPolicySummary(ruleData)}`);
     if (exemptRoles.length)
       bits.push(`**Exempt Roles:** ${exemptRoles.length}`);
     if (exemptChannels.length)
       bits.push(`**Exempt Channels:** ${exemptChannels.length}`);
     bits.push(`**Status:** ${enabled ? "Enabled" : "Disabled"}`);
+    if (result.mode !== "enforce")
+      bits.push(
+        `**Mode:** ${RULE_MODES[result.mode]} — no actions are taken. Review with \`/automod shadow-report rule_key:${result.rule_key}\`, then switch with \`/automod mode\`.`
+      );
 
     return safeReply(interaction, {
       content: bits.join("\n"),
@@ -1279,3 +2254,1474 @@ async function handleTest(interaction) {
     flags: MessageFlags.Ephemeral,
   });
 }
+
+// ------------------------------
+// /automod words
+// ------------------------------
+async function handleWords(interaction, subcommand, autoModState) {
+  switch (subcommand) {
+    case "add":
+    case "remove":
+      return handleWordsEdit(interaction, subcommand, autoModState);
+    case "list":
+      return handleWordsList(interaction);
+    case "import":
+      return handleWordsImport(interaction, autoModState);
+    case "export":
+      return handleWordsExport(interaction);
+    case "level":
+      return handleWordsLevel(interaction, autoModState);
+    default:
+      return safeReply(interaction, {
+        content: "Invalid subcommand.",
+        flags: MessageFlags.Ephemeral,
+      });
+  }
+}
+
+async function keywordRuleHint(guildId) {
+  const { rowCount } = await query(
+    `SELECT 1 FROM auto_mod_rules
+      WHERE guild_id = $1 AND type = 'keyword' AND enabled = TRUE
+        AND COALESCE(rule_data->>'word_lists', 'true') <> 'false'
+      LIMIT 1`,
+    [guildId]
+  );
+  return rowCount
+    ? ""
+    : "\n-# No active keyword rule uses the lists yet. Create one with `/automod rule type:Prohibited Keywords`.";
+}
+
+async function handleWordsEdit(interaction, subcommand, autoModState) {
+  const type = interaction.options.getString("list", true);
+  const keywords = parseKeywordList(interaction.options.getString("words", true));
+  const severity =
+    type === "whitelist" ? 1 : interaction.options.getInteger("severity") ?? 3;
+
+  if (!keywords.length) {
+    return safeReply(interaction, {
+      content: "No valid words provided (max 64 characters each).",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const result = await tx(async (client) => {
+    const res =
+      subcommand === "add"
+        ? await addKeywords({ client, guildId: interaction.guildId, type, keywords, severity })
+        : { removed: await removeKeywords({ client, guildId: interaction.guildId, type, keywords }) };
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        interaction.guildId,
+        subcommand === "add" ? "automod_words_add" : "automod_words_remove",
+        interaction.user.id,
+        JSON.stringify({ list: type, count: keywords.length, severity, ...res }),
+      ]
+    );
+    return res;
+  });
+
+  await autoModState.invalidateKeywordLists(interaction.guildId);
+
+  if (subcommand === "remove") {
+    return safeReply(interaction, {
+      content: `Removed **${result.removed}** word(s) from the ${LIST_TYPES[type]} list.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const bits = [
+    `${LIST_TYPES[type]} list: **${result.added}** added, **${result.updated}** updated` +
+      (type === "whitelist" ? "" : ` (severity ${severity})`),
+  ];
+  if (result.rejected) {
+    bits.push(`**${result.rejected}** skipped — the server limit is ${MAX_KEYWORDS_PER_GUILD} words.`);
+  }
+  return safeReply(interaction, {
+    content: bits.join("\n") + (await keywordRuleHint(interaction.guildId)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleWordsList(interaction) {
+  const type = interaction.options.getString("list");
+  const [rows, cfg] = await Promise.all([
+    listKeywords(interaction.guildId, type),
+    query(`SELECT profanity_filter_level FROM guild_config WHERE guild_id = $1`, [
+      interaction.guildId,
+    ]),
+  ]);
+  const level = cfg.rows[0]?.profanity_filter_level ?? 1;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Auto-Moderation Keyword Lists")
+    .setColor(0xffa500)
+    .setDescription(`**Filter level:** ${FILTER_LEVELS[level] ?? level}`)
+    .setTimestamp();
+
+  const grouped = rows.reduce((acc, r) => {
+    (acc[r.type] ||= []).push(r);
+    return acc;
+  }, {});
+
+  for (const [listType, label] of Object.entries(LIST_TYPES)) {
+    if (type && listType !== type) continue;
+    const entries = grouped[listType] || [];
+    // Spoilered: these lists are mostly slurs
+    const shown = entries
+      .slice(0, 40)
+      .map((r) => (listType === "whitelist" ? `||${r.keyword}||` : `||${r.keyword}|| (${r.severity})`));
+    let value = shown.join(", ") || "*empty*";
+    if (entries.length > shown.length) value += `, … +${entries.length - shown.length} more`;
+    embed.addFields({
+      name: `${label} (${entries.length})`,
+      value: value.slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  embed.setFooter({ text: "Use /automod words export for the full lists" });
+
+  return safeReply(interaction, {
+    content: (await keywordRuleHint(interaction.guildId)).trim() || undefined,
+    embeds: [embed],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+function parseImportFile(fileName, text, type, defaultSeverity) {
+  const rows = [];
+  if (/\.csv$/i.test(fileName)) {
+    const { data } = Papa.parse(text.trim(), { skipEmptyLines: true });
+    const header = (data[0] || []).map((c) => String(c).trim().toLowerCase());
+    const hasHeader = header.includes("keyword");
+    const col = (name, fallback) => (hasHeader ? header.indexOf(name) : fallback);
+    const [kw, sev, list] = [col("keyword", 0), col("severity", 1), col("list", -1)];
+    for (const row of hasHeader ? data.slice(1) : data) {
+      // exports of several lists only contribute rows of the target list
+      if (list >= 0 && row[list] && row[list] !== type) continue;
+      rows.push({ keyword: row[kw], severity: row[sev] });
+    }
+  } else {
+    for (const line of text.split(/\r?\n/)) rows.push({ keyword: line });
+  }
+
+  // severity → keywords
+  const bySeverity = new Map();
+  for (const r of rows) {
+    const [keyword] = parseKeywordList(r.keyword);
+    if (!keyword) continue;
+    const parsed = parseInt(r.severity, 10);
+    const severity =
+      type === "whitelist" ? 1 : parsed >= 1 && parsed <= 5 ? parsed : defaultSeverity;
+    if (!bySeverity.has(severity)) bySeverity.set(severity, new Set());
+    bySeverity.get(severity).add(keyword);
+  }
+  return bySeverity;
+}
+
+async function handleWordsImport(interaction, autoModState) {
+  const type = interaction.options.getString("list", true);
+  const file = interaction.options.getAttachment("file", true);
+  const defaultSeverity = interaction.options.getInteger("severity") ?? 3;
+  const replace = interaction.options.getBoolean("replace") ?? false;
+
+  if (!/\.(txt|csv)$/i.test(file.name)) {
+    return safeReply(interaction, {
+      content: "Only `.txt` (one word per line) and `.csv` (`word,severity`) files are supported.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return safeReply(interaction, {
+      content: `File too large (max ${MAX_IMPORT_BYTES / 1024} KB).`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  let text;
+  try {
+    const res = await fetch(file.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    log.warn({ err, guildId: interaction.guildId }, "Failed to download keyword import");
+    return safeReply(interaction, {
+      content: "Could not download the file. Please try again.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const bySeverity = parseImportFile(file.name, text, type, defaultSeverity);
+  const total = [...bySeverity.values()].reduce((n, set) => n + set.size, 0);
+  if (!total) {
+    return safeReply(interaction, {
+      content: "No valid words found in the file.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const result = await tx(async (client) => {
+    const cleared = replace
+      ? await clearKeywordList({ client, guildId: interaction.guildId, type })
+      : 0;
+    const sum = { added: 0, updated: 0, rejected: 0 };
+    for (const [severity, words] of bySeverity) {
+      const res = await addKeywords({
+        client,
+        guildId: interaction.guildId,
+        type,
+        keywords: [...words],
+        severity,
+      });
+      sum.added += res.added;
+      sum.updated += res.updated;
+      sum.rejected += res.rejected;
+    }
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        interaction.guildId,
+        "automod_words_import",
+        interaction.user.id,
+        JSON.stringify({ list: type, file: file.name, replace, cleared, ...sum }),
+      ]
+    );
+    return { cleared, ...sum };
+  });
+
+  await autoModState.invalidateKeywordLists(interaction.guildId);
+
+  const bits = [
+    `Imported into the ${LIST_TYPES[type]} list from \`${file.name}\``,
+    `**Added:** ${result.added} • **Updated:** ${result.updated}`,
+  ];
+  if (replace) bits.push(`**Replaced:** ${result.cleared} previous word(s)`);
+  if (result.rejected) {
+    bits.push(`**Skipped:** ${result.rejected} (server limit ${MAX_KEYWORDS_PER_GUILD})`);
+  }
+  return safeReply(interaction, {
+    content: bits.join("\n") + (await keywordRuleHint(interaction.guildId)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleWordsExport(interaction) {
+  const type = interaction.options.getString("list");
+  const rows = await listKeywords(interaction.guildId, type);
+
+  if (!rows.length) {
+    return safeReply(interaction, {
+      content: "No keywords to export.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const csv = Papa.unparse(
+    {
+      fields: ["keyword", "list", "severity"],
+      data: rows.map((r) => [r.keyword, r.type, r.severity]),
+    },
+    { header: true, quotes: true }
+  );
+  const attachment = new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+    name: `keywords-${type ?? "all"}-${interaction.guildId}.csv`,
+  });
+
+  return safeReply(interaction, {
+    content: `Exported **${rows.length}** keyword(s).`,
+    files: [attachment],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleWordsLevel(interaction, autoModState) {
+  const level = interaction.options.getInteger("level", true);
+
+  await tx(async (client) => {
+    await client.query(
+      `UPDATE guild_config
+       SET profanity_filter_level = $2, updated_at = NOW()
+       WHERE guild_id = $1`,
+      [interaction.guildId, level]
+    );
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        interaction.guildId,
+        "automod_words_level",
+        interaction.user.id,
+        JSON.stringify({ level }),
+      ]
+    );
+  });
+
+  await autoModState.invalidateKeywordLists(interaction.guildId);
+
+  const mapping = Object.entries(SEVERITY_ACTIONS[level] ?? {})
+    .map(([sev, acts]) => `${sev} → ${acts.map((a) => a.toUpperCase()).join(" + ")}`)
+    .join(", ");
+  return safeReply(interaction, {
+    content:
+      `Profanity filter level set to **${FILTER_LEVELS[level]}**.\n` +
+      (mapping ? `-# Profanity severity ${mapping}.\n` : "-# Profanity words are ignored.\n") +
+      "-# Blacklist words always apply with the strict mapping.",
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// ------------------------------
+// /automod links
+// ------------------------------
+async function handleLinks(interaction, subcommand, autoModState) {
+  switch (subcommand) {
+    case "add":
+    case "remove":
+      return handleLinksEdit(interaction, subcommand, autoModState);
+    case "list":
+      return handleLinksList(interaction);
+    case "import":
+      return handleLinksImport(interaction, autoModState);
+    default:
+      return safeReply(interaction, {
+        content: "Invalid subcommand.",
+        flags: MessageFlags.Ephemeral,
+      });
+  }
+}
+
+async function phishingRuleHint(guildId) {
+  const { rowCount } = await query(
+    `SELECT 1 FROM auto_mod_rules
+      WHERE guild_id = $1 AND type = 'phishing' AND enabled = TRUE
+      LIMIT 1`,
+    [guildId]
+  );
+  return rowCount
+    ? ""
+    : "\n-# No active phishing rule uses the lists yet. Create one with `/automod rule type:Phishing Links`.";
+}
+
+async function handleLinksEdit(interaction, subcommand, autoModState) {
+  const type = subcommand === "add" ? interaction.options.getString("list", true) : null;
+  const domains = parseDomainList(interaction.options.getString("domains", true));
+
+  if (!domains.length) {
+    return safeReply(interaction, {
+      content: "No valid domains provided (e.g., `example.com`).",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const result = await tx(async (client) => {
+    const res =
+      subcommand === "add"
+        ? await addDomains({
+            client,
+            guildId: interaction.guildId,
+            type,
+            domains,
+            addedBy: interaction.user.id,
+          })
+        : { removed: await removeDomains({ client, guildId: interaction.guildId, domains }) };
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        interaction.guildId,
+        subcommand === "add" ? "automod_links_add" : "automod_links_remove",
+        interaction.user.id,
+        JSON.stringify({ list: type, domains: domains.slice(0, 50), count: domains.length, ...res }),
+      ]
+    );
+    return res;
+  });
+
+  await autoModState.invalidateDomainLists(interaction.guildId);
+
+  if (subcommand === "remove") {
+    return safeReply(interaction, {
+      content: `Removed **${result.removed}** domain(s).`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const bits = [
+    `${DOMAIN_LIST_TYPES[type]}: **${result.added}** added` +
+      (result.moved ? `, **${result.moved}** moved from the other list` : ""),
+  ];
+  if (result.rejected) {
+    bits.push(`**${result.rejected}** skipped — the server limit is ${MAX_DOMAINS_PER_GUILD} domains.`);
+  }
+  return safeReply(interaction, {
+    content: bits.join("\n") + (await phishingRuleHint(interaction.guildId)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleLinksList(interaction) {
+  const type = interaction.options.getString("list");
+  const rows = await listDomains(interaction.guildId, type);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Auto-Moderation Link Domains")
+    .setColor(0xffa500)
+    .setDescription(
+      "Denylisted domains always trip phishing rules; allowlisted ones are never flagged. Subdomains are included."
+    )
+    .setTimestamp();
+
+  for (const [listType, label] of Object.entries(DOMAIN_LIST_TYPES)) {
+    if (type && listType !== type) continue;
+    const entries = rows.filter((r) => r.type === listType);
+    // Code spans: listed domains must not render as clickable links
+    const shown = entries.slice(0, 60).map((r) => `\`${r.domain}\``);
+    let value = shown.join(", ") || "*empty*";
+    if (entries.length > shown.length) value += `, … +${entries.length - shown.length} more`;
+    embed.addFields({
+      name: `${label} (${entries.length})`,
+      value: value.slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  return safeReply(interaction, {
+    content: (await phishingRuleHint(interaction.guildId)).trim() || undefined,
+    embeds: [embed],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleLinksImport(interaction, autoModState) {
+  const type = interaction.options.getString("list", true);
+  const file = interaction.options.getAttachment("file", true);
+  const replace = interaction.options.getBoolean("replace") ?? false;
+
+  if (!/\.txt$/i.test(file.name)) {
+    return safeReply(interaction, {
+      content: "Only `.txt` files (one domain per line) are supported.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return safeReply(interaction, {
+      content: `File too large (max ${MAX_IMPORT_BYTES / 1024} KB).`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  let text;
+  try {
+    const res = await fetch(file.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    log.warn({ err, guildId: interaction.guildId }, "Failed to download domain import");
+    return safeReply(interaction, {
+      content: "Could not download the file. Please try again.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const domains = parseDomainList(text);
+  if (!domains.length) {
+    return safeReply(interaction, {
+      content: "No valid domains found in the file.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const result = await tx(async (client) => {
+    const cleared = replace
+      ? await clearDomainList({ client, guildId: interaction.guildId, type })
+      : 0;
+    const res = await addDomains({
+      client,
+      guildId: interaction.guildId,
+      type,
+      domains,
+      addedBy: interaction.user.id,
+    });
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        interaction.guildId,
+        "automod_links_import",
+        interaction.user.id,
+        JSON.stringify({ list: type, file: file.name, replace, cleared, ...res }),
+      ]
+    );
+    return { cleared, ...res };
+  });
+
+  await autoModState.invalidateDomainLists(interaction.guildId);
+
+  const bits = [
+    `Imported into the ${DOMAIN_LIST_TYPES[type]} from \`${file.name}\``,
+    `**Added:** ${result.added} • **Moved:** ${result.moved}`,
+  ];
+  if (replace) bits.push(`**Replaced:** ${result.cleared} previous domain(s)`);
+  if (result.rejected) {
+    bits.push(`**Skipped:** ${result.rejected} (server limit ${MAX_DOMAINS_PER_GUILD})`);
+  }
+  return safeReply(interaction, {
+    content: bits.join("\n") + (await phishingRuleHint(interaction.guildId)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// ------------------------------
+// /automod invites
+// ------------------------------
+async function handleInvites(interaction, subcommand, autoModState) {
+  switch (subcommand) {
+    case "allow":
+    case "remove":
+      return handleInvitesEdit(interaction, subcommand, autoModState);
+    case "list":
+      return handleInvitesList(interaction);
+    default:
+      return safeReply(interaction, {
+        content: "Invalid subcommand.",
+        flags: MessageFlags.Ephemeral,
+      });
+  }
+}
+
+// "only .png .jpg; max 8 MB per file; ..." for the rule reply
+function attachmentPolicySummary(data) {
+  const exts = (list) => list.map((e) => `.${e}`).join(" ");
+  const blocked = [
+    data.block_executables && "executables",
+    data.block_archives && "archives",
+  ].filter(Boolean);
+  return [
+    data.allowed_extensions?.length && `only ${exts(data.allowed_extensions)}`,
+    data.blocked_extensions?.length && `blocks ${exts(data.blocked_extensions)}`,
+    blocked.length && `blocks ${blocked.join(" and ")} (by name, type and file contents)`,
+    data.max_bytes && `max ${formatBytes(data.max_bytes)} per file`,
+    data.max_attachments != null && `max ${data.max_attachments} file(s) per message`,
+    data.max_spoiler_images != null && `max ${data.max_spoiler_images} spoiler image(s) per message`,
+    data.max_stickers != null &&
+      `max ${data.max_stickers} sticker(s) per ${prettySecs(data.window_seconds ?? 30)}`,
+  ]
+    .filter(Boolean)
+    .join("; ");
+}
+
+async function inviteRuleHint(guildId) {
+  const { rowCount } = await query(
+    `SELECT 1 FROM auto_mod_rules
+      WHERE guild_id = $1 AND type = 'invite' AND enabled = TRUE
+      LIMIT 1`,
+    [guildId]
+  );
+  return rowCount
+    ? ""
+    : "\n-# No active invite rule uses the list yet. Create one with `/automod rule type:Discord Invites`.";
+}
+
+// "server" option: a server ID, or an invite resolved to its server
+async function resolveServerInput(interaction, input) {
+  const id = input.trim();
+  if (/^\d{17,20}$/.test(id)) {
+    return { guildId: id, guildName: interaction.client.guilds.cache.get(id)?.name ?? null };
+  }
+  const code = parseInviteCode(input);
+  if (!code) return { error: "Provide an invite link, invite code or server ID." };
+
+  const target = await resolveInvite(interaction.client, code);
+  if (!target) return { error: "Could not look up that invite right now. Try again, or use the server ID." };
+  if (!target.valid) return { error: "That invite is invalid or expired." };
+  if (!target.guildId) return { error: "That invite is for a group DM, not a server." };
+  return target;
+}
+
+async function handleInvitesEdit(interaction, subcommand, autoModState) {
+  const target = await resolveServerInput(interaction, interaction.options.getString("server", true));
+  if (target.error) {
+    return safeReply(interaction, { content: target.error, flags: MessageFlags.Ephemeral });
+  }
+  if (target.guildId === interaction.guildId) {
+    return safeReply(interaction, {
+      content: "Invites to this server are always allowed.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const label = interaction.options.getString("label")?.trim() || target.guildName;
+  const result = await tx(async (client) => {
+    const res =
+      subcommand === "allow"
+        ? await allowServer({
+            client,
+            guildId: interaction.guildId,
+            targetGuildId: target.guildId,
+            label,
+            addedBy: interaction.user.id,
+          })
+        : { removed: await disallowServer({ client, guildId: interaction.guildId, targetGuildId: target.guildId }) };
+
+    if (!res.full) {
+      await client.query(
+        `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          interaction.guildId,
+          subcommand === "allow" ? "automod_invites_allow" : "automod_invites_remove",
+          interaction.user.id,
+          target.guildId,
+          JSON.stringify({ label, ...res }),
+        ]
+      );
+    }
+    return res;
+  });
+
+  await autoModState.invalidateInviteAllowlist(interaction.guildId);
+
+  const name = label ? `**${label}** (\`${target.guildId}\`)` : `\`${target.guildId}\``;
+  if (subcommand === "remove") {
+    return safeReply(interaction, {
+      content: result.removed ? `Invites to ${name} are no longer allowed.` : `${name} was not on the list.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  if (result.full) {
+    return safeReply(interaction, {
+      content: `The server limit is ${MAX_ALLOWED_SERVERS} allowed servers. Remove one first.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+  return safeReply(interaction, {
+    content:
+      (result.added ? `Invites to ${name} are now allowed.` : `${name} was already allowed.`) +
+      (await inviteRuleHint(interaction.guildId)),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleInvitesList(interaction) {
+  const rows = await listAllowedServers(interaction.guildId);
+
+  const shown = rows.slice(0, 40).map((r) => `• ${r.label ? `**${r.label}** ` : ""}\`${r.target_guild_id}\``);
+  let value = shown.join("\n") || "*empty*";
+  if (rows.length > shown.length) value += `\n… +${rows.length - shown.length} more`;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Auto-Moderation Invite Allowlist")
+    .setColor(0xffa500)
+    .setDescription("Invite rules let through invites to these servers. Invites to this server are always allowed.")
+    .addFields({ name: `Servers (${rows.length})`, value: value.slice(0, 1024), inline: false })
+    .setTimestamp();
+
+  return safeReply(interaction, {
+    content: (await inviteRuleHint(interaction.guildId)).trim() || undefined,
+    embeds: [embed],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// ------------------------------
+// Rule modes (enforce / shadow / log-only)
+// ------------------------------
+async function handleMode(interaction, autoModState) {
+  const ruleKey = interaction.options.getString("rule_key", true);
+  const mode = interaction.options.getString("mode", true);
+
+  const rule = await tx(async (client) => {
+    const {
+      rows: [current],
+    } = await client.query(
+      `SELECT id, mode, quarantined FROM auto_mod_rules
+        WHERE guild_id = $1 AND rule_key = $2
+        FOR UPDATE`,
+      [interaction.guildId, ruleKey]
+    );
+    // Any update that leaves quarantined set makes the trigger lift it
+    if (!current || current.quarantined) return current ?? null;
+
+    const {
+      rows: [row],
+    } = await client.query(
+      `UPDATE auto_mod_rules
+          SET mode = $2, version = version + 1
+        WHERE id = $1
+        RETURNING id, name, rule_key, mode`,
+      [current.id, mode]
+    );
+    row.previous = current.mode;
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        interaction.guildId,
+        "automod_rule_mode",
+        interaction.user.id,
+        row.id,
+        JSON.stringify({ ruleKey, from: row.previous, to: mode }),
+      ]
+    );
+    return row;
+  });
+
+  if (!rule) {
+    return safeReply(interaction, {
+      content: `Rule \`${ruleKey}\` not found in this guild.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  if (rule.quarantined) {
+    return safeReply(interaction, {
+      content: `Rule \`${ruleKey}\` is quarantined after regex timeouts. Fix its pattern and save it with \`/automod rule\` first.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  await autoModState.invalidateGuildConfig(interaction.guildId);
+
+  const note =
+    mode === "enforce"
+      ? "Violations are now acted on."
+      : mode === "shadow"
+      ? "Violations are recorded without acting. Review with `/automod shadow-report`."
+      : "Violations are recorded and posted to the mod log without acting.";
+  return safeReply(interaction, {
+    content: `**${rule.name}** (\`${rule.rule_key}\`): ${RULE_MODES[rule.previous] ?? rule.previous} → **${RULE_MODES[mode]}**\n${note}`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+const messageUrl = (guildId, channelId, messageId) =>
+  `https://discord.com/channels/${guildId}/${channelId}/${messageId}`;
+
+function formatSample(guildId, row) {
+  const data = safeJson(row.violation_data) || {};
+  const sample = data.sample || "";
+  const excerpt = sample
+    ? formatMatchedSpan(sample, data.span ?? { start: 0, end: Math.min(sample.length, 150) })
+    : "*no text*";
+  const when = `<t:${Math.floor(new Date(row.created_at).getTime() / 1000)}:R>`;
+  return `${when} <@${row.user_id}> in <#${row.channel_id}> — [jump](${messageUrl(
+    guildId,
+    row.channel_id,
+    row.message_id
+  )})\n> ${excerpt.slice(0, 300)}`;
+}
+
+async function handleShadowReport(interaction) {
+  const ruleKey = interaction.options.getString("rule_key", true);
+  const days = interaction.options.getInteger("days") ?? 7;
+
+  const {
+    rows: [rule],
+  } = await query(
+    `SELECT id, name, type, mode, rule_key FROM auto_mod_rules
+     WHERE guild_id = $1 AND rule_key = $2`,
+    [interaction.guildId, ruleKey]
+  );
+  if (!rule) {
+    return safeReply(interaction, {
+      content: `Rule \`${ruleKey}\` not found in this guild.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const scope = `rule_id = $1 AND mode <> 'enforce' AND created_at > NOW() - make_interval(days => $2)`;
+  const [totals, actions, samples, candidates] = await Promise.all([
+    query(
+      `SELECT COUNT(DISTINCT message_id)::int AS hits,
+              COUNT(DISTINCT user_id)::int AS users,
+              COUNT(DISTINCT channel_id)::int AS channels
+         FROM automod_violations WHERE ${scope}`,
+      [rule.id, days]
+    ),
+    query(
+      `SELECT action_taken, COUNT(*)::int AS n
+         FROM automod_violations WHERE ${scope}
+        GROUP BY action_taken ORDER BY n DESC`,
+      [rule.id, days]
+    ),
+    query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (message_id) message_id, channel_id, user_id, violation_data, created_at
+           FROM automod_violations WHERE ${scope}
+          ORDER BY message_id, created_at DESC
+       ) s ORDER BY created_at DESC LIMIT 5`,
+      [rule.id, days]
+    ),
+    // One-off hits on members with a clean record are the likeliest false positives
+    query(
+      `SELECT v.user_id,
+              MIN(v.channel_id) AS channel_id,
+              MIN(v.message_id) AS message_id,
+              (ARRAY_AGG(v.violation_data))[1] AS violation_data,
+              MAX(v.created_at) AS created_at,
+              COUNT(*) OVER ()::int AS total
+         FROM automod_violations v
+        WHERE v.rule_id = $1 AND v.mode <> 'enforce'
+          AND v.created_at > NOW() - make_interval(days => $2)
+        GROUP BY v.user_id
+       HAVING COUNT(DISTINCT v.message_id) = 1
+          AND NOT EXISTS (
+            SELECT 1 FROM infractions i
+             WHERE i.guild_id = $3 AND i.user_id = v.user_id
+          )
+        ORDER BY MAX(v.created_at) DESC
+        LIMIT 3`,
+      [rule.id, days, interaction.guildId]
+    ),
+  ]);
+
+  const t = totals.rows[0];
+  const embed = new EmbedBuilder()
+    .setTitle(`Shadow Report: ${rule.name}`)
+    .setColor(rule.mode === "enforce" ? 0x2c2f33 : 0xffa500)
+    .setDescription(
+      [
+        `**Rule:** \`${rule.rule_key}\` • **Mode:** ${RULE_MODES[rule.mode] ?? rule.mode}`,
+        `**Period:** last ${days} day(s)`,
+        rule.mode === "enforce"
+          ? "-# This rule is enforcing; the report only covers time it spent in shadow or log-only mode."
+          : null,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp();
+
+  if (!t.hits) {
+    embed.addFields({
+      name: "Hits",
+      value: "No would-be violations recorded in this period.",
+      inline: false,
+    });
+    return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  embed.addFields(
+    {
+      name: "Hits",
+      value: `**${t.hits}** message(s) from **${t.users}** user(s) in **${t.channels}** channel(s)`,
+      inline: false,
+    },
+    {
+      name: "Would Have Applied",
+      value: actions.rows.map((r) => `${r.action_taken.toUpperCase()} ×${r.n}`).join(" • "),
+      inline: false,
+    },
+    {
+      name: "Recent Samples",
+      value: samples.rows
+        .map((r) => formatSample(interaction.guildId, r))
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    }
+  );
+
+  const fp = candidates.rows;
+  embed.addFields({
+    name: `False-Positive Candidates (${fp[0]?.total ?? 0})`,
+    value: fp.length
+      ? [
+          "-# One-off hits on members with no infractions",
+          ...fp.map((r) => formatSample(interaction.guildId, r)),
+        ]
+          .join("\n")
+          .slice(0, 1024)
+      : "None: every hit came from a repeat or previously sanctioned user.",
+    inline: false,
+  });
+
+  if (rule.mode !== "enforce") {
+    embed.setFooter({
+      text: `Promote with /automod mode rule_key:${rule.rule_key} mode:Enforce`,
+    });
+  }
+
+  return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+// ------------------------------
+// /automod stats
+// ------------------------------
+
+const STATS_MIN_WINDOW = 60 * 60;
+const STATS_MAX_WINDOW = 90 * 24 * 60 * 60;
+const STATS_DEFAULT_WINDOW = 7 * 24 * 60 * 60;
+const SPARK = "▁▂▃▄▅▆▇█";
+
+const percent = (ok, total) => (total ? `${Math.round((ok / total) * 100)}%` : "—");
+
+function sparkline(values) {
+  const max = Math.max(...values);
+  if (!max) return SPARK[0].repeat(values.length);
+  return values
+    .map((v) => SPARK[Math.min(SPARK.length - 1, Math.floor((v / max) * (SPARK.length - 1)))])
+    .join("");
+}
+
+async function handleStats(interaction) {
+  const guildId = interaction.guildId;
+  const ruleKey = interaction.options.getString("rule_key");
+  const format = interaction.options.getString("export");
+
+  let windowSeconds = STATS_DEFAULT_WINDOW;
+  const windowStr = interaction.options.getString("window");
+  if (windowStr) {
+    windowSeconds = parseDurationSeconds(windowStr);
+    if (!windowSeconds || windowSeconds < STATS_MIN_WINDOW || windowSeconds > STATS_MAX_WINDOW) {
+      return safeReply(interaction, {
+        content: `Window must be between ${prettySecs(STATS_MIN_WINDOW)} and ${prettySecs(STATS_MAX_WINDOW)}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  }
+
+  if (ruleKey) {
+    const { rowCount } = await query(
+      `SELECT 1 FROM auto_mod_rules WHERE guild_id = $1 AND rule_key = $2`,
+      [guildId, ruleKey]
+    );
+    if (!rowCount) {
+      return safeReply(interaction, {
+        content: `Rule \`${ruleKey}\` not found in this guild.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  }
+
+  const stats = await getAutoModStats({ guildId, windowSeconds, ruleKey });
+  const t = stats.totals;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Auto-Moderation Stats")
+    .setColor(0x2c2f33)
+    .setDescription(
+      [
+        `**Period:** last ${prettySecs(windowSeconds)}`,
+        ruleKey ? `**Rule:** \`${ruleKey}\`` : null,
+        "-# Enforced rules only; shadow and log-only hits are in `/automod shadow-report`.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .setTimestamp();
+
+  if (!t.hits) {
+    embed.addFields({
+      name: "Hits",
+      value: "No violations recorded in this period.",
+      inline: false,
+    });
+    return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  const peak = stats.hourly.indexOf(Math.max(...stats.hourly));
+  const hh = (h) => String(h).padStart(2, "0");
+
+  embed.addFields(
+    {
+      name: "Hits",
+      value: [
+        `**${t.hits}** message(s) from **${t.users}** user(s) in **${t.channels}** channel(s)`,
+        `**${t.actions}** action(s), ${percent(t.actions - t.failed, t.actions)} successful` +
+          (t.failed ? ` (**${t.failed}** failed)` : ""),
+      ].join("\n"),
+      inline: false,
+    },
+    {
+      name: "By Rule",
+      value: stats.rules
+        .map(
+          (r) =>
+            `\`${r.rule_key}\` ${r.name} — **${r.hits}** hit(s), ${percent(r.ok, r.ok + r.failed)} ok` +
+            (r.max_level ? `, reached step ${r.max_level}` : "")
+        )
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    },
+    {
+      name: "Actions",
+      value: stats.actions
+        .map(
+          (a) =>
+            `${a.action_taken.toUpperCase()} — ${percent(a.ok, a.ok + a.failed)} (${a.ok}/${a.ok + a.failed})` +
+            (a.last_error ? `\n-# Last error: ${a.last_error.slice(0, 100)}` : "")
+        )
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    },
+    {
+      name: "Top Offenders",
+      value: stats.offenders
+        .map((o) => `<@${o.user_id}> — **${o.hits}** hit(s) across ${o.rules} rule(s)`)
+        .join("\n"),
+      inline: true,
+    },
+    {
+      name: "Busiest Channels",
+      value: stats.channels.map((c) => `<#${c.channel_id}> — **${c.hits}**`).join("\n"),
+      inline: true,
+    },
+    ...(stats.escalation.length
+      ? [
+          {
+            name: "Escalation Levels",
+            value: stats.escalation
+              .map((e) => `Step ${e.level} — **${e.hits}** hit(s) from ${e.users} user(s)`)
+              .join("\n")
+              .slice(0, 1024),
+            inline: false,
+          },
+        ]
+      : []),
+    {
+      name: "Hour of Day (UTC)",
+      value: [
+        "```",
+        sparkline(stats.hourly),
+        "00    06    12    18   23",
+        "```",
+        `Peak: ${hh(peak)}:00–${hh((peak + 1) % 24)}:00 UTC (**${stats.hourly[peak]}** hit(s))`,
+      ].join("\n"),
+      inline: false,
+    }
+  );
+
+  if (!format) {
+    return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+  }
+
+  const rows = await getViolationRows({ guildId, windowSeconds, ruleKey });
+  const attachment = buildExportAttachment({
+    baseName: exportBaseName("automod", guildId),
+    format,
+    fields: EXPORT_FIELDS,
+    rows,
+    json: {
+      guild_id: guildId,
+      rule_key: ruleKey,
+      window_seconds: windowSeconds,
+      generated_at: new Date().toISOString(),
+      summary: stats,
+      violations: rows,
+    },
+  });
+
+  return safeReply(interaction, {
+    content:
+      `Exported **${rows.length}** violation row(s).` +
+      (rows.length >= MAX_EXPORT_ROWS ? ` Capped at the newest ${MAX_EXPORT_ROWS}; narrow the window for the rest.` : ""),
+    embeds: [embed],
+    files: [attachment],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+// ------------------------------
+// /automod export & import
+// ------------------------------
+
+const IMPORT_CONFIRM_MS = 60_000;
+const DIFF_MARKS = { add: "+", update: "~", remove: "-" };
+
+async function handleExport(interaction) {
+  const file = await exportRules(interaction.guild);
+  if (!file.rules.length) {
+    return safeReply(interaction, {
+      content: "This server has no automod rules to export.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const attachment = new AttachmentBuilder(
+    Buffer.from(JSON.stringify(file, null, 2), "utf8"),
+    { name: `${exportBaseName("automod-rules", interaction.guildId)}.json` }
+  );
+  return safeReply(interaction, {
+    content: [
+      `Exported **${file.rules.length}** rule(s).`,
+      "-# Exemptions are saved as role/channel names. Word and link lists are not included; use `/automod words export`.",
+    ].join("\n"),
+    files: [attachment],
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function readRulesSource(interaction) {
+  const file = interaction.options.getAttachment("file");
+  const preset = interaction.options.getString("preset");
+
+  if (!file === !preset) {
+    return { error: "Provide either a **file** or a **preset**." };
+  }
+  if (preset) return { source: `preset:${preset}`, file: await loadPreset(preset) };
+
+  if (!/\.json$/i.test(file.name)) {
+    return { error: "Only `.json` files from `/automod export` are supported." };
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return { error: `File too large (max ${MAX_IMPORT_BYTES / 1024} KB).` };
+  }
+
+  let text;
+  try {
+    const res = await fetch(file.url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    text = await res.text();
+  } catch (err) {
+    log.warn({ err, guildId: interaction.guildId }, "Failed to download rule import");
+    return { error: "Could not download the file. Please try again." };
+  }
+
+  const parsed = parseRulesFile(text);
+  if (!parsed.ok) {
+    const shown = parsed.errors.slice(0, 10);
+    return {
+      error:
+        "Invalid rules file:\n• " +
+        shown.join("\n• ") +
+        (parsed.errors.length > shown.length ? `\n…and ${parsed.errors.length - shown.length} more` : ""),
+    };
+  }
+  return { source: file.name, file: parsed.file };
+}
+
+function describeDiff(entries) {
+  const lines = entries
+    .filter((e) => e.status !== "same")
+    .map(
+      (e) =>
+        `${DIFF_MARKS[e.status]} ${e.rule_key} — ${e.name}` +
+        (e.changes.length ? ` (${e.changes.join(", ")})` : "")
+    );
+  const text = lines.join("\n");
+  return text.length > 1000 ? `${text.slice(0, 1000)}\n…` : text;
+}
+
+async function handleImport(interaction, autoModState) {
+  const replace = interaction.options.getBoolean("replace") ?? false;
+  const read = await readRulesSource(interaction);
+  if (read.error) {
+    return safeReply(interaction, { content: read.error, flags: MessageFlags.Ephemeral });
+  }
+
+  const { rules, warnings } = resolveRules(interaction.guild, read.file);
+  const { entries, versions } = await diffRules(interaction.guildId, rules, { replace });
+  const count = (status) => entries.filter((e) => e.status === status).length;
+  const [added, updated, removed, same] = ["add", "update", "remove", "same"].map(count);
+
+  if (!added && !updated && !removed) {
+    return safeReply(interaction, {
+      content: `Nothing to import: all **${same}** rule(s) already match.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Import Rules: ${read.file.name ?? read.source}`)
+    .setColor(removed ? 0xff6b6b : 0x2c2f33)
+    .setDescription(
+      [
+        read.file.description ?? null,
+        `**${added}** new • **${updated}** changed • **${removed}** removed • **${same}** unchanged`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+    .addFields({ name: "Changes", value: "```diff\n" + describeDiff(entries) + "\n```", inline: false });
+
+  if (warnings.length) {
+    embed.addFields({
+      name: "Exemptions Not Found",
+      value:
+        warnings.slice(0, 10).join("\n") +
+        (warnings.length > 10 ? `\n…and ${warnings.length - 10} more` : ""),
+      inline: false,
+    });
+  }
+  embed.setFooter({ text: "Imported rules replace existing rules with the same key." });
+
+  const baseId = `automodimport:${interaction.id}`;
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${baseId}:confirm`)
+      .setLabel("Apply")
+      .setStyle(removed ? ButtonStyle.Danger : ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`${baseId}:cancel`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+
+  const message = await interaction.editReply({ embeds: [embed], components: [row] });
+
+  let pressed;
+  try {
+    pressed = await message.awaitMessageComponent({
+      componentType: ComponentType.Button,
+      filter: (i) => i.user.id === interaction.user.id && i.customId.startsWith(baseId),
+      time: IMPORT_CONFIRM_MS,
+    });
+  } catch {
+    return interaction.editReply({ content: "Timed out, nothing was imported.", embeds: [], components: [] });
+  }
+
+  if (pressed.customId.endsWith(":cancel")) {
+    return pressed.update({ content: "Import cancelled.", embeds: [], components: [] });
+  }
+  await pressed.update({ content: "Importing rules…", embeds: [], components: [] });
+
+  try {
+    const result = await applyRules({
+      guildId: interaction.guildId,
+      actorId: interaction.user.id,
+      rules,
+      entries,
+      versions,
+      source: read.source,
+    });
+
+    if (result.conflicts.length) {
+      return interaction.editReply({
+        content: `Rules changed while you were reviewing (${result.conflicts.slice(0, 5).join(", ")}). Nothing was imported; run the import again to see the new diff.`,
+      });
+    }
+
+    await autoModState.invalidateGuildConfig(interaction.guildId);
+    return interaction.editReply({
+      content: [
+        `Imported rules from **${read.file.name ?? read.source}**`,
+        `**Added:** ${result.added} • **Updated:** ${result.updated} • **Removed:** ${result.removed}`,
+        warnings.length ? `${warnings.length} exemption(s) could not be matched and were skipped.` : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+    });
+  } catch (err) {
+    log.error({ err, guildId: interaction.guildId }, "Failed to import automod rules");
+    return interaction.editReply({
+      content: "Import failed, nothing was changed. Please try again.",
+    });
+  }
+}
+
+// ------------------------------
+// /automod channel
+// ------------------------------
+async function handleChannel(interaction, subcommand, autoModState) {
+  switch (subcommand) {
+    case "set":
+      return handleChannelSet(interaction, autoModState);
+    case "clear":
+      return handleChannelClear(interaction, autoModState);
+    case "show":
+      return handleChannelShow(interaction);
+    default:
+      return safeReply(interaction, {
+        content: "Invalid subcommand.",
+        flags: MessageFlags.Ephemeral,
+      });
+  }
+}
+
+// "caps" or "caps_70" → the rules it covers
+async function resolveOverrideTarget(guildId, key) {
+  const isType = Object.hasOwn(RULE_TYPES, key);
+  const { rows } = await query(
+    `SELECT rule_key, name, type FROM auto_mod_rules
+     WHERE guild_id = $1 AND (${isType ? "type" : "rule_key"} = $2)`,
+    [guildId, key]
+  );
+  return { isType, rules: rows };
+}
+
+function describeOverride(key, o) {
+  const bits = [];
+  if (o.enabled === false) bits.push("**off**");
+  if (o.threshold != null) {
+    // key is a type ("channel_spam") or a rule key ("channel_spam_3")
+    const type = Object.hasOwn(RULE_TYPES, key) ? key : key.replace(/_[^_]+$/, "");
+    const unit = RULE_TYPES[type]?.thresholdUnit ?? "";
+    bits.push(`threshold ${o.threshold}${unit ? " " + unit : ""}`);
+  }
+  if (o.actions?.length) bits.push(o.actions.map((a) => a.toUpperCase()).join(" + "));
+  return `\`${key}\`: ${bits.join(", ") || "—"}`;
+}
+
+async function handleChannelSet(interaction, autoModState) {
+  const channel = interaction.options.getChannel("channel", true);
+  const key = interaction.options.getString("rule", true).trim().toLowerCase();
+  const enabled = interaction.options.getBoolean("enabled");
+  const threshold = interaction.options.getInteger("threshold");
+  const actionsCsv = interaction.options.getString("actions");
+
+  if (enabled == null && threshold == null && !actionsCsv) {
+    return safeReply(interaction, {
+      content: "Provide at least one of `enabled`, `threshold` or `actions`.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const { isType, rules } = await resolveOverrideTarget(interaction.guildId, key);
+  if (!rules.length) {
+    return safeReply(interaction, {
+      content: isType
+        ? `No \`${key}\` rules exist yet. Create one with \`/automod rule\` first.`
+        : `Rule \`${key}\` not found. Use a rule key (e.g., \`caps_70\`) or a rule type (e.g., \`caps\`).`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const errors = [];
+  // enabled:true just drops the "off" flag; null fields fall back to the rule
+  const patch = { enabled: enabled == null ? undefined : enabled ? null : false };
+
+  if (threshold != null) {
+    const types = [...new Set(rules.map((r) => r.type))];
+    const info = RULE_TYPES[types[0]];
+    if (threshold === 0) patch.threshold = null;
+    else if (!info?.requiresThreshold)
+      errors.push(`${info?.name ?? types[0]} rules have no threshold`);
+    else if (threshold > (info.maxThreshold ?? Number.MAX_SAFE_INTEGER))
+      errors.push(`Threshold cannot exceed ${info.maxThreshold} ${info.thresholdUnit || ""} for ${info.name}`);
+    else patch.threshold = threshold;
+  }
+
+  if (actionsCsv) {
+    if (actionsCsv.trim().toLowerCase() === "default") {
+      patch.actions = null;
+    } else {
+      const parsed = parseActions(null, actionsCsv);
+      if (!parsed.ok) errors.push(parsed.error);
+      else patch.actions = parsed.actions;
+    }
+  }
+
+  if (errors.length) {
+    return safeReply(interaction, {
+      content: "Override validation failed:\n• " + errors.join("\n• "),
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const overrides = await tx(async (client) => {
+    const res = await setChannelOverride({
+      client,
+      guildId: interaction.guildId,
+      channelId: channel.id,
+      key,
+      patch,
+    });
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        interaction.guildId,
+        "automod_channel_override",
+        interaction.user.id,
+        channel.id,
+        JSON.stringify({ key, patch }),
+      ]
+    );
+    return res;
+  });
+
+  await autoModState.invalidateGuildConfig(interaction.guildId);
+
+  const current = overrides?.[key];
+  const note = patch.actions?.includes("timeout")
+    ? "\n-# Timeouts use each rule's own timeout duration."
+    : "";
+  return safeReply(interaction, {
+    content: current
+      ? `Override in ${channel} — ${describeOverride(key, current)}` +
+        `\nApplies to: ${rules.map((r) => `\`${r.rule_key}\``).join(", ")}${note}`
+      : `No override left for \`${key}\` in ${channel}; the rule applies as configured.`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleChannelClear(interaction, autoModState) {
+  const channel = interaction.options.getChannel("channel", true);
+  const key = interaction.options.getString("rule")?.trim().toLowerCase() || null;
+
+  const remaining = await tx(async (client) => {
+    const res = await clearChannelOverride({
+      client,
+      guildId: interaction.guildId,
+      channelId: channel.id,
+      key,
+    });
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        interaction.guildId,
+        "automod_channel_override_clear",
+        interaction.user.id,
+        channel.id,
+        JSON.stringify({ key }),
+      ]
+    );
+    return res;
+  });
+
+  await autoModState.invalidateGuildConfig(interaction.guildId);
+
+  const left = Object.keys(remaining ?? {}).length;
+  return safeReply(interaction, {
+    content: key
+      ? `Cleared the \`${key}\` override in ${channel}.${left ? ` ${left} other override(s) remain.` : ""}`
+      : `Cleared all automod overrides in ${channel}.`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+async function handleChannelShow(interaction) {
+  const channel = interaction.options.getChannel("channel");
+  const all = await loadChannelOverrides(interaction.guildId);
+  const entries = Object.entries(all).filter(([id]) => !channel || id === channel.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Auto-Moderation Channel Overrides")
+    .setColor(0xffa500)
+    .setTimestamp();
+
+  if (!entries.length) {
+    embed.setDescription(
+      channel
+        ? `${channel} follows the server-wide rules.`
+        : "No channel overrides. Add one with `/automod channel set`."
+    );
+  } else {
+    for (const [channelId, overrides] of entries.slice(0, 25)) {
+      embed.addFields({
+        name: `#${interaction.guild.channels.cache.get(channelId)?.name ?? channelId}`,
+        value: Object.entries(overrides)
+          .map(([key, o]) => describeOverride(key, o))
+          .join("\n")
+          .slice(0, 1024),
+        inline: false,
+      });
+    }
+    if (entries.length > 25) embed.setFooter({ text: `… and ${entries.length - 25} more channel(s)` });
+  }
+
+  return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+}
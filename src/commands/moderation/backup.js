@@ -3,10 +3,9 @@ import {
   SlashCommandBuilder,
   PermissionFlagsBits,
   MessageFlags,
-  AttachmentBuilder,
 } from 'discord.js';
-import Papa from 'papaparse';
 import { ensureInGuild, safeReply } from '../../utils/moderation/mod.js';
+import { exportBaseName, buildExportAttachment } from '../../utils/moderation/export.js';
 import { query } from '../../core/db/index.js';
 import { createLogger } from '../../core/logger.js';
 
@@ -109,39 +108,23 @@ export default {
         });
       }
 
-      const now = new Date();
-      const baseName = `audit-${interaction.guildId}-${now.toISOString().replace(/[:.]/g, '-')}`;
-      let attachment;
-
-      if (fmt === 'json') {
-        // stringify with stable keys and pretty print
-        const payload = rows.map(r => ({
-          id: r.id,
-          guild_id: r.guild_id,
-          action_type: r.action_type,
-          actor_id: r.actor_id,
-          target_id: r.target_id,
-          details: r.details, // already JSON
-          timestamp: new Date(r.timestamp).toISOString(),
-        }));
-        const buf = Buffer.from(JSON.stringify(payload, null, 2), 'utf8');
-        attachment = new AttachmentBuilder(buf, { name: `${baseName}.json` });
-      } else {
-        // CSV (stable column order + JSON details serialized)
-        const fields = ['id', 'guild_id', 'action_type', 'actor_id', 'target_id', 'details', 'timestamp'];
-        const data = rows.map(r => ([
-          r.id,
-          r.guild_id,
-          r.action_type,
-          r.actor_id,
-          r.target_id,
-          JSON.stringify(r.details ?? {}),
-          new Date(r.timestamp).toISOString(),
-        ]));
-        const csv = Papa.unparse({ fields, data }, { header: true, quotes: true });
-        const buf = Buffer.from(csv, 'utf8');
-        attachment = new AttachmentBuilder(buf, { name: `${baseName}.csv` });
-      }
+      // Stable column order; details are already JSON
+      const fields = ['id', 'guild_id', 'action_type', 'actor_id', 'target_id', 'details', 'timestamp'];
+      const entries = rows.map(r => ({
+        id: r.id,
+        guild_id: r.guild_id,
+        action_type: r.action_type,
+        actor_id: r.actor_id,
+        target_id: r.target_id,
+        details: r.details ?? {},
+        timestamp: new Date(r.timestamp).toISOString(),
+      }));
+      const attachment = buildExportAttachment({
+        baseName: exportBaseName('audit', interaction.guildId),
+        format: fmt,
+        fields,
+        rows: entries,
+      });
 
       await safeReply(interaction, {
         content: `✅ Exported **${rows.length}** audit log entr${rows.length === 1 ? 'y' : 'ies'}.`,
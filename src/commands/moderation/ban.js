@@ -3,6 +3,7 @@ import {
   SlashCommandBuilder,
   PermissionFlagsBits,
   MessageFlags,
+  EmbedBuilder,
 } from 'discord.js';
 import {
   ensureInGuild, normalizeReason, checkHierarchy,
@@ -10,6 +11,7 @@ import {
 } from '../../utils/moderation/mod.js';
 import { parseDurationSeconds, prettySecs } from '../../utils/moderation/duration.js';
 import { createInfractionWithCount, logAudit, getGuildConfig } from '../../utils/moderation/mod-db.js'; 
+import { buildAppealButtonRow } from '../../utils/moderation/appeals.js';
 import { enqueue } from '../../core/db/jobs.js';
 import { createLogger } from '../../core/logger.js';
 
@@ -43,6 +45,9 @@ export default {
     .setDMPermission(false),
 
   requiredBotPerms: [PermissionFlagsBits.BanMembers],
+  requiredPerms: [PermissionFlagsBits.BanMembers],
+  modCapability: 'ban',
+  durationOption: 'duration',
 
   async execute(interaction) {
     ensureInGuild(interaction);
@@ -119,8 +124,22 @@ export default {
     }
 
     try {
+      // Create infraction record
+      // NOTE: duration_seconds can be null for permanent bans (constraint fixed in schema)
+      const infraction = await createInfractionWithCount({
+        guildId: interaction.guildId,
+        userId: user.id,
+        moderatorId: interaction.user.id,
+        type: 'ban',
+        reason: reason || 'No reason provided',
+        durationSeconds: durationSeconds, // null for permanent bans
+      });
+
       // Try to DM the user before banning (if they're in the server and not silent)
-      const { dm_on_action: dmOnAction } = await getGuildConfig(interaction.guildId, 'dm_on_action');
+      const {
+        dm_on_action: dmOnAction,
+        appeal_channel_id: appealChannelId,
+      } = await getGuildConfig(interaction.guildId, ['dm_on_action', 'appeal_channel_id']);
       let dmFailed = false;
       
       if (!silent && dmOnAction && target) {
@@ -137,24 +156,17 @@ export default {
             .setDescription(banMessage)
             .setFooter({ text: `Banned by ${interaction.user.tag}` });
 
-          await target.send({ embeds: [banEmbed] });
+          await target.send({
+            embeds: [banEmbed],
+            // Appeals are only offered when the server has an appeal channel
+            components: appealChannelId ? [buildAppealButtonRow(infraction.id)] : [],
+          });
         } catch (err) {
           dmFailed = true;
           log.debug({ userId: user.id, error: err.message }, 'Could not DM user before ban');
         }
       }
 
-      // Create infraction record
-      // NOTE: duration_seconds can be null for permanent bans (constraint fixed in schema)
-      const infraction = await createInfractionWithCount({
-        guildId: interaction.guildId,
-        userId: user.id,
-        moderatorId: interaction.user.id,
-        type: 'ban',
-        reason: reason || 'No reason provided',
-        durationSeconds: durationSeconds, // null for permanent bans
-      });
-
       // Execute the ban
       await interaction.guild.members.ban(user, {
         reason: `[${interaction.user.tag}] ${reason || 'No reason provided'}${isTemporary ? ` (Temp: ${prettySecs(durationSeconds)})` : ''}`,
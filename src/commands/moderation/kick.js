@@ -0,0 +1,161 @@
+// src/commands/moderation/kick.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+  EmbedBuilder,
+} from 'discord.js';
+import {
+  ensureInGuild, normalizeReason, checkHierarchy,
+  safeReply, emitModLog, humanizeError,
+} from '../../utils/moderation/mod.js';
+import { createInfractionWithCount, logAudit, getGuildConfig } from '../../utils/moderation/mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'kick' });
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('kick')
+    .setDescription('Kick a member from the server.')
+    .addUserOption(o => o
+      .setName('user')
+      .setDescription('Member to kick')
+      .setRequired(true))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('Reason (shown in Audit Log)')
+      .setMaxLength(512))
+    .addBooleanOption(o => o
+      .setName('silent')
+      .setDescription('Suppress DM to the user'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.KickMembers)
+    .setDMPermission(false),
+
+  requiredBotPerms: [PermissionFlagsBits.KickMembers],
+  requiredPerms: [PermissionFlagsBits.KickMembers],
+  modCapability: 'kick',
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = interaction.options.getUser('user', true);
+    const reason = normalizeReason(interaction.options.getString('reason'));
+    const silent = interaction.options.getBoolean('silent') ?? false;
+
+    // Kicks only make sense for current members
+    const target = await interaction.guild.members.fetch(user.id).catch(() => null);
+    if (!target) {
+      return safeReply(interaction, {
+        content: '❌ That user is not a member of this server.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const hier = checkHierarchy({
+      guild: interaction.guild,
+      me: interaction.guild.members.me,
+      actor: interaction.member,
+      target,
+    });
+
+    if (!hier.ok) {
+      return safeReply(interaction, {
+        content: humanizeError(hier.why),
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    if (!target.kickable) {
+      return safeReply(interaction, {
+        content: '❌ I cannot kick that member. They may have a higher role than me.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    try {
+      const infraction = await createInfractionWithCount({
+        guildId: interaction.guildId,
+        userId: user.id,
+        moderatorId: interaction.user.id,
+        type: 'kick',
+        reason: reason || 'No reason provided',
+        durationSeconds: null,
+      });
+
+      // DM before kicking — afterwards we no longer share a server
+      const { dm_on_action: dmOnAction } = await getGuildConfig(interaction.guildId, 'dm_on_action');
+      let dmFailed = false;
+
+      if (!silent && dmOnAction) {
+        try {
+          const kickEmbed = new EmbedBuilder()
+            .setTitle('Kicked')
+            .setDescription(
+              `👢 **You have been kicked from ${interaction.guild.name}**\n` +
+              `${reason ? `📝 **Reason:** ${reason}` : ''}`
+            )
+            .setFooter({ text: `Kicked by ${interaction.user.tag}` });
+
+          await target.send({ embeds: [kickEmbed] });
+        } catch (err) {
+          dmFailed = true;
+          log.debug({ userId: user.id, error: err.message }, 'Could not DM user before kick');
+        }
+      }
+
+      await target.kick(`[${interaction.user.tag}] ${reason || 'No reason provided'}`);
+
+      await emitModLog(interaction, {
+        action: 'kick',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: user.id,
+        reason,
+        ts: Date.now(),
+        caseId: infraction.id,
+        dmFailed,
+      });
+
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'kick',
+        actorId: interaction.user.id,
+        targetId: user.id,
+        details: {
+          reason,
+          caseId: infraction.id,
+          dmFailed,
+        },
+      });
+
+      const response = [
+        `✅ **Kicked ${target.user.tag}**`,
+        `📋 **Case ID:** \`${infraction.id}\``,
+        reason ? `📝 **Reason:** ${reason}` : null,
+        dmFailed ? '⚠️ *Could not DM user*' : null,
+      ].filter(Boolean).join('\n');
+
+      return safeReply(interaction, {
+        content: response,
+        flags: MessageFlags.Ephemeral,
+      });
+
+    } catch (err) {
+      log.error({ err, userId: user.id }, 'Kick command error');
+
+      if (err.code === 50013) {
+        return safeReply(interaction, {
+          content: '❌ I lack permissions to kick that user. They may have a higher role than me.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      return safeReply(interaction, {
+        content: '❌ Failed to kick user. Please check my permissions and try again.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  },
+};
@@ -5,7 +5,11 @@ import {
   MessageFlags,
   ChannelType,
 } from "discord.js";
-import { ensureInGuild, safeReply } from "../../utils/moderation/mod.js";
+import {
+  ensureInGuild,
+  safeReply,
+  emitModLog,
+} from "../../utils/moderation/mod.js";
 import {
   parseDurationSeconds,
   prettySecs,
@@ -13,6 +17,11 @@ import {
 import { enqueue } from "../../core/db/jobs.js";
 import { tx } from "../../core/db/index.js";
 import { logAudit } from "../../utils/moderation/mod-db.js";
+import {
+  isChannelLocked,
+  lockChannel,
+  setLockdownFlag,
+} from "../../utils/moderation/lockdown.js";
 import { createLogger } from "../../core/logger.js";
 import { emojies } from "../../graphics/colors.js";
 
@@ -96,13 +105,7 @@ export default {
       }
     } else {
       // For regular channels, check existing overwrites
-      const everyone = interaction.guild.roles.everyone;
-      const currentPerms = channel.permissionOverwrites.cache.get(everyone.id);
-      const isLocked = currentPerms?.deny?.has(
-        PermissionFlagsBits.SendMessages
-      );
-
-      if (isLocked) {
+      if (isChannelLocked(channel)) {
         return safeReply(interaction, {
           content: "❌ This channel is already locked.",
           flags: MessageFlags.Ephemeral,
@@ -170,33 +173,23 @@ export default {
 
       // Lock the channel (for non-threads)
       if (!channel.isThread()) {
-        const everyone = interaction.guild.roles.everyone;
-        await channel.permissionOverwrites.edit(
-          everyone,
-          {
-            SendMessages: false,
-            SendMessagesInThreads: false,
-            CreatePublicThreads: false,
-            CreatePrivateThreads: false,
-          },
-          {
-            reason: `[${interaction.user.tag}] ${reason}${
-              isTemporary ? ` (Temp: ${prettySecs(durationSeconds)})` : ""
-            }`,
-          }
+        await lockChannel(
+          channel,
+          `[${interaction.user.tag}] ${reason}${
+            isTemporary ? ` (Temp: ${prettySecs(durationSeconds)})` : ""
+          }`
         );
       }
 
       // Use transaction for database operations
       const jobId = await tx(async (client) => {
         // Update channel config
-        await client.query(
-          `INSERT INTO channel_config (channel_id, guild_id, lockdown_enabled)
-           VALUES ($1, $2, TRUE)
-           ON CONFLICT (channel_id) 
-           DO UPDATE SET lockdown_enabled = TRUE, updated_at = NOW()`,
-          [channel.id, interaction.guildId]
-        );
+        await setLockdownFlag({
+          client,
+          guildId: interaction.guildId,
+          channelIds: [channel.id],
+          enabled: true,
+        });
 
         // Schedule unlock if temporary
         if (isTemporary) {
@@ -259,6 +252,18 @@ export default {
         log.info({ jobId, channelId: channel.id }, "Scheduled unlock job");
       }
 
+      await emitModLog(interaction, {
+        action: "channel_lock",
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: channel.id,
+        targetType: "channel",
+        reason,
+        ts: Date.now(),
+        duration: durationSeconds,
+        temporary: isTemporary,
+      });
+
       // Log to audit
       await logAudit({
         guildId: interaction.guildId,
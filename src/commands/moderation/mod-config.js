@@ -3,15 +3,57 @@ import {
   PermissionFlagsBits,
   EmbedBuilder,
   MessageFlags,
+  ChannelType,
 } from 'discord.js';
 import { ensureInGuild, safeReply } from '../../utils/moderation/mod.js';
 import { 
   setWarnThreshold, 
   listWarnThresholds, 
   removeWarnThreshold, 
-  logAudit 
+  logAudit,
+  ensureGuildConfig,
+  getGuildConfig,
 } from '../../utils/moderation/mod-db.js';
+import { query } from '../../core/db/index.js';
 import { parseDurationSeconds, prettySecs } from '../../utils/moderation/duration.js';
+import {
+  WARN_CATEGORIES,
+  describePolicy,
+  simulateHistory,
+} from '../../utils/moderation/escalation.js';
+import {
+  getMuteRole,
+  setMuteRole,
+  createMuteRole,
+  syncMuteOverwrites,
+} from '../../utils/moderation/mute.js';
+
+// Channel kinds settable via /config channels → guild_config column
+const CHANNEL_SETTINGS = Object.freeze({
+  log: { column: 'log_channel_id', label: 'Mod log' },
+  appeal: { column: 'appeal_channel_id', label: 'Appeals' },
+  report: { column: 'report_channel_id', label: 'Reports' },
+});
+
+const ACTION_EMOJI = Object.freeze({
+  none: '❌',
+  timeout: '⏰',
+  mute: '🔇',
+  kick: '👢',
+  ban: '🔨',
+  softban: '🔄',
+});
+
+const ACTION_CHOICES = [
+  { name: '❌ None', value: 'none' },
+  { name: '⏰ Timeout', value: 'timeout' },
+  { name: '🔇 Mute', value: 'mute' },
+  { name: '👢 Kick', value: 'kick' },
+  { name: '🔨 Ban', value: 'ban' },
+  { name: '🔄 Softban', value: 'softban' },
+];
+
+const CATEGORY_CHOICES = Object.entries(WARN_CATEGORIES).map(([value, name]) => ({ name, value }));
 
 export default {
   data: new SlashCommandBuilder()
@@ -35,18 +77,18 @@ export default {
           .setName('action')
           .setDescription('Action to take')
           .setRequired(true)
-          .addChoices(
-            { name: '❌ None', value: 'none' },
-            { name: '⏰ Timeout', value: 'timeout' },
-            { name: '🔇 Mute', value: 'mute' },
-            { name: '👢 Kick', value: 'kick' },
-            { name: '🔨 Ban', value: 'ban' },
-            { name: '🔄 Softban', value: 'softban' },
-          ))
+          .addChoices(...ACTION_CHOICES))
         .addStringOption(o => o
           .setName('duration')
           .setDescription('Duration for temp actions (e.g., 1d 2h)')
           .setRequired(false))
+        .addStringOption(o => o
+          .setName('window')
+          .setDescription('Only count warns within this time (e.g. 24h, 7d)'))
+        .addStringOption(o => o
+          .setName('category')
+          .setDescription('Only count warns of this category')
+          .addChoices(...CATEGORY_CHOICES))
       )
       .addSubcommand(sub => sub
         .setName('list')
@@ -61,6 +103,94 @@ export default {
           .setRequired(true)
           .setMinValue(1)
           .setMaxValue(20))
+        .addStringOption(o => o
+          .setName('window')
+          .setDescription('Window of the policy to remove (if it has one)'))
+        .addStringOption(o => o
+          .setName('category')
+          .setDescription('Category of the policy to remove (if it has one)')
+          .addChoices(...CATEGORY_CHOICES))
+      )
+      .addSubcommand(sub => sub
+        .setName('preview')
+        .setDescription('Replay a user\'s warn history against the policies (and an unsaved one)')
+        .addUserOption(o => o
+          .setName('user')
+          .setDescription('User whose history to replay')
+          .setRequired(true))
+        .addIntegerOption(o => o
+          .setName('threshold')
+          .setDescription('Unsaved policy: warn count')
+          .setMinValue(1)
+          .setMaxValue(20))
+        .addStringOption(o => o
+          .setName('action')
+          .setDescription('Unsaved policy: action')
+          .addChoices(...ACTION_CHOICES))
+        .addStringOption(o => o
+          .setName('duration')
+          .setDescription('Unsaved policy: duration for temp actions'))
+        .addStringOption(o => o
+          .setName('window')
+          .setDescription('Unsaved policy: time window (e.g. 24h)'))
+        .addStringOption(o => o
+          .setName('category')
+          .setDescription('Unsaved policy: category')
+          .addChoices(...CATEGORY_CHOICES))
+      )
+      .addSubcommand(sub => sub
+        .setName('decay')
+        .setDescription('Expire warnings automatically after a number of days')
+        .addIntegerOption(o => o
+          .setName('days')
+          .setDescription('Days until a warning expires (0 = never)')
+          .setMinValue(0)
+          .setMaxValue(3650))
+        .addBooleanOption(o => o
+          .setName('dm')
+          .setDescription('DM users when one of their warnings expires'))
+      )
+    )
+    .addSubcommandGroup(group => group
+      .setName('channels')
+      .setDescription('Configure moderation channels')
+      .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Set or clear a moderation channel')
+        .addStringOption(o => o
+          .setName('type')
+          .setDescription('Which channel to configure')
+          .setRequired(true)
+          .addChoices(
+            ...Object.entries(CHANNEL_SETTINGS).map(([value, { label }]) => ({ name: label, value }))
+          ))
+        .addChannelOption(o => o
+          .setName('channel')
+          .setDescription('Channel to use (omit to clear)')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+      )
+      .addSubcommand(sub => sub
+        .setName('show')
+        .setDescription('Show configured moderation channels')
+      )
+    )
+    .addSubcommandGroup(group => group
+      .setName('muterole')
+      .setDescription('Configure the role used by /mute')
+      .addSubcommand(sub => sub
+        .setName('create')
+        .setDescription('Create a mute role and deny it on every channel')
+        .addStringOption(o => o
+          .setName('name')
+          .setDescription('Role name (default: Muted)')
+          .setMaxLength(100))
+      )
+      .addSubcommand(sub => sub
+        .setName('set')
+        .setDescription('Use an existing role as the mute role and re-sync channel overwrites')
+        .addRoleOption(o => o
+          .setName('role')
+          .setDescription('Role to use (omit to re-sync the current one)'))
       )
     ),
 
@@ -71,6 +201,14 @@ export default {
     const group = interaction.options.getSubcommandGroup();
     const subcommand = interaction.options.getSubcommand();
 
+    if (group === 'channels') {
+      return handleChannels(interaction, subcommand);
+    }
+
+    if (group === 'muterole') {
+      return handleMuteRole(interaction, subcommand);
+    }
+
     // Validate subcommand group
     if (group !== 'warn') {
       return safeReply(interaction, { 
@@ -82,58 +220,20 @@ export default {
     try {
       switch (subcommand) {
         case 'set': {
-          const threshold = interaction.options.getInteger('threshold', true);
-          const action = interaction.options.getString('action', true);
-          const durationStr = interaction.options.getString('duration');
-
-          let durationSeconds = null;
-          const TEMP_ACTIONS = new Set(['timeout', 'mute', 'ban', 'softban']);
-          const NEEDS_DURATION = TEMP_ACTIONS.has(action);
-
-          // Validate duration for temporary actions
-          if (NEEDS_DURATION) {
-            if (!durationStr) {
-              return safeReply(interaction, {
-                content: `❌ The **${action}** action requires a duration.\nExample: \`1d 2h\` for 1 day and 2 hours.`,
-                flags: MessageFlags.Ephemeral
-              });
-            }
-
-            durationSeconds = parseDurationSeconds(durationStr);
-            if (!durationSeconds || durationSeconds <= 0) {
-              return safeReply(interaction, {
-                content: '❌ Invalid duration format.\nExamples: `15m`, `2h`, `1d`, `1d 6h`',
-                flags: MessageFlags.Ephemeral
-              });
-            }
-
-            // Action-specific duration limits
-            const limits = {
-              timeout: 28 * 24 * 60 * 60, // 28 days (Discord limit)
-              mute: 90 * 24 * 60 * 60,    // 90 days
-              ban: 365 * 24 * 60 * 60,    // 1 year
-              softban: 7 * 24 * 60 * 60,  // 7 days max for softban
-            };
-
-            if (limits[action] && durationSeconds > limits[action]) {
-              return safeReply(interaction, {
-                content: `❌ Duration for **${action}** cannot exceed **${prettySecs(limits[action])}**.`,
-                flags: MessageFlags.Ephemeral
-              });
-            }
-          } else if (durationStr) {
-            return safeReply(interaction, {
-              content: `❌ Duration is only valid for temporary actions (timeout, mute, ban, softban).\nThe **${action}** action is permanent.`,
-              flags: MessageFlags.Ephemeral
-            });
+          const policy = readPolicyOptions(interaction);
+          if (policy.error) {
+            return safeReply(interaction, { content: policy.error, flags: MessageFlags.Ephemeral });
           }
+          const { threshold, action, durationSeconds, windowSeconds, category } = policy;
 
           // Set the threshold
           const row = await setWarnThreshold({ 
             guildId: interaction.guildId, 
             threshold, 
             action, 
-            durationSeconds 
+            durationSeconds,
+            windowSeconds,
+            category,
           });
 
           // Log the change
@@ -141,26 +241,16 @@ export default {
             guildId: interaction.guildId,
             actionType: 'config_warn_set',
             actorId: interaction.user.id,
-            details: { threshold, action, durationSeconds }
+            details: { threshold, action, durationSeconds, windowSeconds, category }
           });
 
           // Build response
-          const actionEmoji = {
-            none: '❌',
-            timeout: '⏰',
-            mute: '🔇',
-            kick: '👢',
-            ban: '🔨',
-            softban: '🔄',
-          }[action] || '❓';
-
-          const duration = row.duration_seconds 
-            ? ` for **${prettySecs(row.duration_seconds)}**` 
-            : '';
+          const actionEmoji = ACTION_EMOJI[action] || '❓';
 
           return safeReply(interaction, {
             content: `✅ **Threshold configured**\n` +
-              `${actionEmoji} At **${row.threshold}** warnings → **${row.action}**${duration}`,
+              `${actionEmoji} ${describePolicy(row)}` +
+              (row.window_seconds ? `\n-# Fires at most once per ${prettySecs(row.window_seconds)} for the same user.` : ''),
             flags: MessageFlags.Ephemeral
           });
         }
@@ -187,25 +277,9 @@ export default {
               iconURL: interaction.guild.iconURL({ dynamic: true })
             });
 
-          // Group thresholds by action type for better display
+          // One line per policy (flat thresholds first, then ladders)
           const lines = thresholds
-            .sort((a, b) => a.threshold - b.threshold)
-            .map(t => {
-              const actionEmoji = {
-                none: '❌',
-                timeout: '⏰',
-                mute: '🔇',
-                kick: '👢',
-                ban: '🔨',
-                softban: '🔄',
-              }[t.action] || '❓';
-
-              const duration = t.duration_seconds 
-                ? ` (${prettySecs(t.duration_seconds)})` 
-                : '';
-
-              return `${actionEmoji} **${t.threshold} warns** → ${t.action}${duration}`;
-            });
+            .map(t => `${ACTION_EMOJI[t.action] || '❓'} ${describePolicy(t)}`);
 
           embed.addFields({
             name: 'Active Thresholds',
@@ -221,7 +295,16 @@ export default {
 
         case 'remove': {
           const threshold = interaction.options.getInteger('threshold', true);
-          const deleted = await removeWarnThreshold(interaction.guildId, threshold);
+          const windowStr = interaction.options.getString('window');
+          const windowSeconds = windowStr ? parseDurationSeconds(windowStr) : null;
+          if (windowStr && !windowSeconds) {
+            return safeReply(interaction, {
+              content: '❌ Invalid window format.\nExamples: `24h`, `7d`',
+              flags: MessageFlags.Ephemeral
+            });
+          }
+          const category = interaction.options.getString('category');
+          const deleted = await removeWarnThreshold(interaction.guildId, threshold, { windowSeconds, category });
 
           if (!deleted) {
             return safeReply(interaction, { 
@@ -235,7 +318,7 @@ export default {
             guildId: interaction.guildId,
             actionType: 'config_warn_remove',
             actorId: interaction.user.id,
-            details: { threshold },
+            details: { threshold, windowSeconds, category },
           });
 
           return safeReply(interaction, { 
@@ -244,6 +327,45 @@ export default {
           });
         }
 
+        case 'preview': {
+          return handlePreview(interaction);
+        }
+
+        case 'decay': {
+          const days = interaction.options.getInteger('days');
+          const dm = interaction.options.getBoolean('dm');
+
+          await ensureGuildConfig(interaction.guildId);
+          const { rows: [row] } = await query(
+            `UPDATE guild_config
+             SET warn_decay_days = COALESCE($2, warn_decay_days),
+                 warn_decay_dm = COALESCE($3, warn_decay_dm),
+                 updated_at = NOW()
+             WHERE guild_id = $1
+             RETURNING warn_decay_days, warn_decay_dm`,
+            [interaction.guildId, days, dm]
+          );
+
+          if (days !== null || dm !== null) {
+            await logAudit({
+              guildId: interaction.guildId,
+              actionType: 'config_warn_decay',
+              actorId: interaction.user.id,
+              details: { days, dm },
+            });
+          }
+
+          const decayDays = row?.warn_decay_days ?? 30;
+          return safeReply(interaction, {
+            content: `${days !== null || dm !== null ? '✅' : '📋'} **Warn decay**\n` +
+              (decayDays > 0
+                ? `🕊️ Warnings expire after **${decayDays}** day(s)`
+                : '🕊️ Warnings never expire') +
+              `\n📬 DM on expiry: **${row?.warn_decay_dm ? 'on' : 'off'}**`,
+            flags: MessageFlags.Ephemeral
+          });
+        }
+
         default:
           return safeReply(interaction, { 
             content: '❌ Invalid subcommand.', 
@@ -259,3 +381,282 @@ export default {
     }
   },
 };
+
+/**
+ * Read and validate the policy options shared by /config warn set and preview.
+ * @returns {{ error: string } | { threshold, action, durationSeconds, windowSeconds, category }}
+ */
+function readPolicyOptions(interaction) {
+  const threshold = interaction.options.getInteger('threshold', true);
+  const action = interaction.options.getString('action', true);
+  const durationStr = interaction.options.getString('duration');
+  const windowStr = interaction.options.getString('window');
+  const category = interaction.options.getString('category');
+
+  let durationSeconds = null;
+  const TEMP_ACTIONS = new Set(['timeout', 'mute', 'ban', 'softban']);
+  const NEEDS_DURATION = TEMP_ACTIONS.has(action);
+
+  // Validate duration for temporary actions
+  if (NEEDS_DURATION) {
+    if (!durationStr) {
+      return { error: `❌ The **${action}** action requires a duration.\nExample: \`1d 2h\` for 1 day and 2 hours.` };
+    }
+
+    durationSeconds = parseDurationSeconds(durationStr);
+    if (!durationSeconds || durationSeconds <= 0) {
+      return { error: '❌ Invalid duration format.\nExamples: `15m`, `2h`, `1d`, `1d 6h`' };
+    }
+
+    // Action-specific duration limits
+    const limits = {
+      timeout: 28 * 24 * 60 * 60, // 28 days (Discord limit)
+      mute: 90 * 24 * 60 * 60,    // 90 days
+      ban: 365 * 24 * 60 * 60,    // 1 year
+      softban: 7 * 24 * 60 * 60,  // 7 days max for softban
+    };
+
+    if (limits[action] && durationSeconds > limits[action]) {
+      return { error: `❌ Duration for **${action}** cannot exceed **${prettySecs(limits[action])}**.` };
+    }
+  } else if (durationStr) {
+    return { error: `❌ Duration is only valid for temporary actions (timeout, mute, ban, softban).\nThe **${action}** action is permanent.` };
+  }
+
+  let windowSeconds = null;
+  if (windowStr) {
+    windowSeconds = parseDurationSeconds(windowStr);
+    if (!windowSeconds || windowSeconds <= 0 || windowSeconds > 365 * 24 * 60 * 60) {
+      return { error: '❌ Invalid window.\nExamples: `24h`, `7d` (max 1 year)' };
+    }
+  }
+
+  return { threshold, action, durationSeconds, windowSeconds, category };
+}
+
+async function handlePreview(interaction) {
+  const user = interaction.options.getUser('user', true);
+  const wantsCandidate = interaction.options.getInteger('threshold') !== null
+    || interaction.options.getString('action') !== null;
+
+  let candidate = null;
+  if (wantsCandidate) {
+    if (interaction.options.getInteger('threshold') === null || interaction.options.getString('action') === null) {
+      return safeReply(interaction, {
+        content: '❌ An unsaved policy needs both `threshold` and `action`.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    const policy = readPolicyOptions(interaction);
+    if (policy.error) {
+      return safeReply(interaction, { content: policy.error, flags: MessageFlags.Ephemeral });
+    }
+    candidate = {
+      id: 'preview',
+      threshold: policy.threshold,
+      action: policy.action,
+      duration_seconds: policy.durationSeconds,
+      window_seconds: policy.windowSeconds,
+      category: policy.category,
+    };
+  }
+
+  const [saved, config, { rows: history }] = await Promise.all([
+    listWarnThresholds(interaction.guildId),
+    getGuildConfig(interaction.guildId, ['warn_decay_days', 'max_warns']),
+    query(
+      `SELECT * FROM (
+         SELECT id, created_at, expires_at, category
+         FROM infractions
+         WHERE guild_id = $1 AND user_id = $2 AND type = 'warn' AND revoked_at IS NULL
+         ORDER BY created_at DESC
+         LIMIT 100
+       ) h ORDER BY created_at ASC`,
+      [interaction.guildId, user.id]
+    ),
+  ]);
+
+  if (!history.length) {
+    return safeReply(interaction, {
+      content: `📋 ${user} has no warnings to replay.`,
+      flags: MessageFlags.Ephemeral
+    });
+  }
+
+  // The candidate replaces a saved policy with the same key
+  const sameKey = (p) => candidate
+    && p.threshold === candidate.threshold
+    && (p.window_seconds ?? null) === candidate.window_seconds
+    && (p.category ?? null) === candidate.category;
+  const policies = [...saved.filter(p => !sameKey(p)), ...(candidate ? [candidate] : [])];
+
+  const opts = { decayDays: config.warn_decay_days ?? 30, maxWarns: config.max_warns };
+  const withCandidate = simulateHistory(policies, history, opts);
+  const current = candidate ? simulateHistory(saved, history, opts) : withCandidate;
+
+  const fmt = (f) => f && f.action !== 'none'
+    ? `${ACTION_EMOJI[f.action] || '❓'} ${f.action}${f.duration_seconds ? ` ${prettySecs(f.duration_seconds)}` : ''}`
+    : '—';
+
+  const lines = withCandidate.slice(-20).map((step, i, arr) => {
+    const idx = withCandidate.length - arr.length + i;
+    const before = current[idx].fired;
+    const changed = candidate && fmt(before) !== fmt(step.fired);
+    const cat = step.warn.category ? ` [${WARN_CATEGORIES[step.warn.category] ?? step.warn.category}]` : '';
+    return `<t:${Math.floor(new Date(step.warn.created_at).getTime() / 1000)}:d>${cat} • ${step.active} active → ` +
+      (changed ? `~~${fmt(before)}~~ **${fmt(step.fired)}**` : fmt(step.fired));
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔮 Escalation preview for ${user.tag}`)
+    .setColor(0x5865f2)
+    .setDescription(lines.join('\n').slice(0, 4000))
+    .addFields({
+      name: candidate ? 'Policies (with unsaved change)' : 'Policies',
+      value: policies.length
+        ? policies.map(p => `${p.id === 'preview' ? '🆕 ' : ''}${describePolicy(p)}`).join('\n').slice(0, 1024)
+        : `Default: ${opts.maxWarns} warns → timeout (1d)`,
+    })
+    .setFooter({ text: `Replayed ${history.length} warning(s); nothing was saved.` });
+
+  return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+async function handleChannels(interaction, subcommand) {
+  try {
+    if (subcommand === 'show') {
+      const config = await getGuildConfig(
+        interaction.guildId,
+        Object.values(CHANNEL_SETTINGS).map(c => c.column)
+      );
+      const lines = Object.values(CHANNEL_SETTINGS).map(({ column, label }) =>
+        `**${label}:** ${config?.[column] ? `<#${config[column]}>` : '*not set*'}`
+      );
+      return safeReply(interaction, {
+        content: `📋 **Moderation channels**\n${lines.join('\n')}`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const type = interaction.options.getString('type', true);
+    const setting = CHANNEL_SETTINGS[type];
+    if (!setting) {
+      return safeReply(interaction, { content: '❌ Invalid channel type.', flags: MessageFlags.Ephemeral });
+    }
+
+    const channel = interaction.options.getChannel('channel');
+    if (channel) {
+      const perms = channel.permissionsFor(interaction.guild.members.me);
+      if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+        return safeReply(interaction, {
+          content: `❌ I need **View Channel**, **Send Messages** and **Embed Links** in ${channel}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+
+    await ensureGuildConfig(interaction.guildId);
+    // column comes from the CHANNEL_SETTINGS allowlist, never from user input
+    await query(
+      `UPDATE guild_config SET ${setting.column} = $2, updated_at = NOW() WHERE guild_id = $1`,
+      [interaction.guildId, channel?.id ?? null]
+    );
+
+    await logAudit({
+      guildId: interaction.guildId,
+      actionType: 'config_channel_set',
+      actorId: interaction.user.id,
+      targetId: channel?.id ?? null,
+      details: { type, column: setting.column, channelId: channel?.id ?? null },
+    });
+
+    return safeReply(interaction, {
+      content: channel
+        ? `✅ **${setting.label}** channel set to ${channel}.`
+        : `✅ **${setting.label}** channel cleared.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (err) {
+    console.error('Config channels error:', err);
+    return safeReply(interaction, {
+      content: '❌ Failed to update configuration. Please try again or contact an administrator.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
+
+async function handleMuteRole(interaction, subcommand) {
+  const { guild } = interaction;
+  const me = guild.members.me;
+
+  if (!me.permissions.has(PermissionFlagsBits.ManageRoles)) {
+    return safeReply(interaction, {
+      content: '❌ I need the **Manage Roles** permission to set up a mute role.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  try {
+    let role;
+    if (subcommand === 'create') {
+      const name = interaction.options.getString('name') || 'Muted';
+      role = await createMuteRole(guild, { name, reason: `Mute role created by ${interaction.user.tag}` });
+    } else {
+      role = interaction.options.getRole('role') ?? await getMuteRole(guild);
+      if (!role) {
+        return safeReply(interaction, {
+          content: '❌ No mute role is configured. Pick a role or use `/config muterole create`.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+      if (role.managed || role.id === guild.id) {
+        return safeReply(interaction, {
+          content: '❌ Managed roles and @everyone cannot be used as the mute role.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+
+    if (!role.editable) {
+      return safeReply(interaction, {
+        content: `❌ ${role} is above my highest role. Move my role above it and try again.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    await setMuteRole(interaction.guildId, role.id);
+    const sync = await syncMuteOverwrites(guild, role);
+
+    await logAudit({
+      guildId: interaction.guildId,
+      actionType: 'config_muterole',
+      actorId: interaction.user.id,
+      targetId: role.id,
+      details: {
+        subcommand,
+        roleId: role.id,
+        updated: sync.updated,
+        unchanged: sync.unchanged,
+        failed: sync.failed.length,
+      },
+    });
+
+    const failedList = sync.failed.slice(0, 10).map(id => `<#${id}>`).join(', ');
+    return safeReply(interaction, {
+      content: `✅ **Mute role ${subcommand === 'create' ? 'created' : 'set'}:** ${role}\n` +
+        `🔒 Overwrites updated on **${sync.updated}** channel(s), **${sync.unchanged}** already up to date.` +
+        (sync.failed.length
+          ? `\n⚠️ Could not update **${sync.failed.length}** channel(s) (missing Manage Permissions): ${failedList}` +
+            (sync.failed.length > 10 ? ', …' : '')
+          : '') +
+        '\n-# New channels receive the overwrite automatically.',
+      flags: MessageFlags.Ephemeral,
+    });
+  } catch (err) {
+    console.error('Config muterole error:', err);
+    return safeReply(interaction, {
+      content: '❌ Failed to set up the mute role. Check my permissions and try again.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
@@ -0,0 +1,159 @@
+// src/commands/moderation/modperms.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ensureInGuild, safeReply } from '../../utils/moderation/mod.js';
+import { logAudit } from '../../utils/moderation/mod-db.js';
+import { parseDurationSeconds, prettySecs } from '../../utils/moderation/duration.js';
+import {
+  CAPABILITIES,
+  getRolePermissions,
+  setRolePermissions,
+  removeRolePermissions,
+} from '../../utils/moderation/role-perms.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'modperms' });
+
+// Slash option name → capability (see role-perms.js)
+const CAPABILITY_OPTIONS = Object.freeze({
+  warn: 'Allow /warn',
+  mute: 'Allow /timeout',
+  kick: 'Allow kicking',
+  ban: 'Allow /ban',
+  rules: 'Allow managing automod rules',
+});
+
+function describeRow(row) {
+  const caps = Object.entries(CAPABILITIES)
+    .filter(([, column]) => row[column])
+    .map(([cap]) => `\`${cap}\``);
+  const cap = row.max_duration ? ` • max ${prettySecs(row.max_duration)}` : '';
+  return `<@&${row.role_id}> — ${caps.join(', ') || '*nothing*'}${cap}`;
+}
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('modperms')
+    .setDescription('Give roles moderation abilities without Discord permissions')
+    .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+    .setDMPermission(false)
+    .addSubcommand(sub => {
+      sub
+        .setName('set')
+        .setDescription('Grant or revoke abilities for a role')
+        .addRoleOption(o => o
+          .setName('role')
+          .setDescription('Moderator role (e.g. Trial Mod)')
+          .setRequired(true));
+      for (const [name, description] of Object.entries(CAPABILITY_OPTIONS)) {
+        sub.addBooleanOption(o => o.setName(name).setDescription(description));
+      }
+      return sub.addStringOption(o => o
+        .setName('max_duration')
+        .setDescription('Longest timeout/temp-ban allowed (e.g. 1h, 1d; "none" = no limit)')
+        .setMaxLength(20));
+    })
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove all overrides for a role')
+      .addRoleOption(o => o
+        .setName('role')
+        .setDescription('Moderator role')
+        .setRequired(true)))
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('Show role overrides')),
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const sub = interaction.options.getSubcommand(true);
+    const guildId = interaction.guildId;
+    const reply = (payload) => safeReply(interaction, { flags: MessageFlags.Ephemeral, ...payload });
+
+    try {
+      if (sub === 'list') {
+        const rows = (await getRolePermissions(guildId))
+          .filter(r => interaction.guild.roles.cache.has(r.role_id));
+
+        const embed = new EmbedBuilder()
+          .setTitle('🛡️ Moderator role overrides')
+          .setColor(0x5865f2)
+          .setDescription(rows.length ? rows.map(describeRow).join('\n') : 'No overrides configured.')
+          .setFooter({ text: 'Members with the Discord permission are never limited by these.' });
+
+        return reply({ embeds: [embed] });
+      }
+
+      const role = interaction.options.getRole('role', true);
+
+      if (sub === 'remove') {
+        const removed = await removeRolePermissions(guildId, role.id);
+        if (!removed) return reply({ content: `❌ ${role} has no overrides.` });
+
+        await logAudit({
+          guildId,
+          actionType: 'modperms_remove',
+          actorId: interaction.user.id,
+          targetId: role.id,
+          details: {},
+        });
+        return reply({ content: `✅ Removed moderation overrides for ${role}.` });
+      }
+
+      // set
+      if (role.id === guildId) {
+        return reply({ content: '❌ Overrides cannot be given to @everyone.' });
+      }
+
+      const flags = {};
+      for (const [name, column] of Object.entries(CAPABILITIES)) {
+        const v = interaction.options.getBoolean(name);
+        if (v !== null) flags[column] = v;
+      }
+
+      let maxDuration;
+      const rawMax = interaction.options.getString('max_duration')?.trim();
+      if (rawMax) {
+        if (rawMax.toLowerCase() === 'none') {
+          maxDuration = null;
+        } else {
+          maxDuration = parseDurationSeconds(rawMax);
+          if (!maxDuration || maxDuration <= 0) {
+            return reply({ content: '❌ Invalid duration format. Examples: `30m`, `1h`, `1d`' });
+          }
+        }
+      }
+
+      if (!Object.keys(flags).length && maxDuration === undefined) {
+        return reply({ content: '❌ Nothing to change. Pick at least one ability or `max_duration`.' });
+      }
+
+      const row = await setRolePermissions({ guildId, roleId: role.id, flags, maxDuration });
+
+      await logAudit({
+        guildId,
+        actionType: 'modperms_set',
+        actorId: interaction.user.id,
+        targetId: role.id,
+        details: { flags, maxDuration: maxDuration ?? null },
+      });
+
+      return reply({
+        content: [
+          `✅ ${describeRow(row)}`,
+          '-# The commands are hidden from members without the Discord permission by default; '
+            + 'allow this role on them under Server Settings → Integrations.',
+        ].join('\n'),
+      });
+    } catch (err) {
+      log.error({ err, guildId, sub }, 'modperms failed');
+      return reply({ content: '❌ Failed to update moderator role overrides. Please try again.' });
+    }
+  },
+};
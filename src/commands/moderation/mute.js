@@ -0,0 +1,210 @@
+// src/commands/moderation/mute.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+  EmbedBuilder,
+} from 'discord.js';
+import {
+  ensureInGuild, normalizeReason, checkHierarchy,
+  safeReply, emitModLog, humanizeError,
+} from '../../utils/moderation/mod.js';
+import { parseDurationSeconds, prettySecs } from '../../utils/moderation/duration.js';
+import { logAudit, getGuildConfig } from '../../utils/moderation/mod-db.js';
+import { getMuteRole, recordMute, MAX_MUTE_SECONDS } from '../../utils/moderation/mute.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'mute' });
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('mute')
+    .setDescription('Mute a member with the mute role (no 28-day limit).')
+    .addUserOption(o => o
+      .setName('user')
+      .setDescription('Member to mute')
+      .setRequired(true))
+    .addStringOption(o => o
+      .setName('duration')
+      .setDescription('Duration (e.g., 1h, 7d, 90d). Leave empty to mute until /unmute.')
+      .setMaxLength(20))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('Reason (shown in Audit Log)')
+      .setMaxLength(512))
+    .addBooleanOption(o => o
+      .setName('silent')
+      .setDescription('Suppress DM to the user'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .setDMPermission(false),
+
+  requiredBotPerms: [PermissionFlagsBits.ManageRoles],
+  requiredPerms: [PermissionFlagsBits.ModerateMembers],
+  modCapability: 'mute',
+  durationOption: 'duration',
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = interaction.options.getUser('user', true);
+    const reason = normalizeReason(interaction.options.getString('reason'));
+    const durationStr = interaction.options.getString('duration');
+    const silent = interaction.options.getBoolean('silent') ?? false;
+
+    let durationSeconds = null;
+    if (durationStr) {
+      durationSeconds = parseDurationSeconds(durationStr);
+      if (!durationSeconds || durationSeconds <= 0) {
+        return safeReply(interaction, {
+          content: '❌ Invalid duration format. Examples: `30m`, `1h`, `7d`, `90d`',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+      if (durationSeconds > MAX_MUTE_SECONDS) {
+        return safeReply(interaction, {
+          content: '❌ Mute duration cannot exceed 1 year. Leave the duration empty for an indefinite mute.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+    }
+
+    const role = await getMuteRole(interaction.guild);
+    if (!role) {
+      return safeReply(interaction, {
+        content: '❌ No mute role is configured. Use `/config muterole create` or `/config muterole set` first.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+    if (!role.editable) {
+      return safeReply(interaction, {
+        content: `❌ I cannot assign ${role} — move my highest role above it.`,
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const target = await interaction.guild.members.fetch(user.id).catch(() => null);
+    if (!target) {
+      return safeReply(interaction, {
+        content: '❌ That user is not a member of this server.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const hier = checkHierarchy({
+      guild: interaction.guild,
+      me: interaction.guild.members.me,
+      actor: interaction.member,
+      target,
+    });
+    if (!hier.ok) {
+      return safeReply(interaction, {
+        content: humanizeError(hier.why),
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    const wasMuted = target.roles.cache.has(role.id);
+
+    try {
+      await target.roles.add(role, `[${interaction.user.tag}] ${reason || 'No reason provided'}`);
+
+      // Re-muting replaces the previous mute and its expiry
+      let infraction;
+      try {
+        infraction = await recordMute({
+          guildId: interaction.guildId,
+          userId: user.id,
+          moderatorId: interaction.user.id,
+          reason: reason || 'No reason provided',
+          durationSeconds,
+        });
+      } catch (err) {
+        if (!wasMuted) await target.roles.remove(role, 'Mute could not be recorded').catch(() => {});
+        throw err;
+      }
+
+      const { dm_on_action: dmOnAction } = await getGuildConfig(interaction.guildId, 'dm_on_action');
+      let dmFailed = false;
+
+      if (!silent && dmOnAction) {
+        try {
+          const muteEmbed = new EmbedBuilder()
+            .setTitle('Muted')
+            .setDescription(
+              `🔇 **You have been muted in ${interaction.guild.name}**\n` +
+              (durationSeconds
+                ? `⏱️ **Duration:** ${prettySecs(durationSeconds)}\n` +
+                  `📅 **Expires:** <t:${Math.floor((Date.now() + durationSeconds * 1000) / 1000)}:F>\n`
+                : '⏱️ **Duration:** until lifted by a moderator\n') +
+              `${reason ? `📝 **Reason:** ${reason}` : ''}`
+            )
+            .setFooter({ text: `Muted by ${interaction.user.tag}` });
+
+          await target.send({ embeds: [muteEmbed] });
+        } catch (err) {
+          dmFailed = true;
+          log.debug({ userId: user.id, error: err.message }, 'Could not DM user about mute');
+        }
+      }
+
+      await emitModLog(interaction, {
+        action: 'mute',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: user.id,
+        reason,
+        ts: Date.now(),
+        caseId: infraction.id,
+        temporary: !!durationSeconds,
+        duration: durationSeconds,
+        dmFailed,
+      });
+
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'mute',
+        actorId: interaction.user.id,
+        targetId: user.id,
+        details: {
+          reason,
+          caseId: infraction.id,
+          roleId: role.id,
+          durationSeconds,
+          replaced: wasMuted,
+          dmFailed,
+        },
+      });
+
+      const response = [
+        `✅ **${wasMuted ? 'Updated mute for' : 'Muted'} ${target.user.tag}**`,
+        durationSeconds
+          ? `⏱️ **Duration:** ${prettySecs(durationSeconds)} — lifts <t:${Math.floor((Date.now() + durationSeconds * 1000) / 1000)}:R>`
+          : '⏱️ **Duration:** until `/unmute`',
+        `📋 **Case ID:** \`${infraction.id}\``,
+        reason ? `📝 **Reason:** ${reason}` : null,
+        dmFailed ? '⚠️ *Could not DM user*' : null,
+      ].filter(Boolean).join('\n');
+
+      return safeReply(interaction, {
+        content: response,
+        flags: MessageFlags.Ephemeral,
+      });
+
+    } catch (err) {
+      log.error({ err, userId: user.id }, 'Mute command error');
+
+      if (err.code === 50013) {
+        return safeReply(interaction, {
+          content: '❌ I lack permissions to assign the mute role. Check my role position.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      return safeReply(interaction, {
+        content: '❌ Failed to mute user. Please check my permissions and try again.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  },
+};
@@ -5,7 +5,7 @@ import {
   MessageFlags,
   Collection,
 } from 'discord.js';
-import { ensureInGuild, safeReply, canPurgeChannel } from '../../utils/moderation/mod.js';
+import { ensureInGuild, safeReply, canPurgeChannel, emitModLog } from '../../utils/moderation/mod.js';
 import { logAudit } from '../../utils/moderation/mod-db.js';
 import { createLogger } from '../../core/logger.js';
 import RateLimiter from '../../utils/rateLimiter.js';
@@ -221,6 +221,23 @@ export default {
         }
       }
 
+      await emitModLog(interaction, {
+        action: 'purge',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: channel.id,
+        targetType: 'channel',
+        reason: `Deleted ${deleted} message${deleted !== 1 ? 's' : ''}`,
+        ts: Date.now(),
+        extra: {
+          requested: count,
+          failed: failed || undefined,
+          fromUser: targetUser ? `<@${targetUser.id}>` : undefined,
+          exceptUser: exceptUser ? `<@${exceptUser.id}>` : undefined,
+          contains: containsRaw || undefined,
+        },
+      });
+
       await logAudit({
         guildId: interaction.guildId,
         actionType: 'purge',
@@ -0,0 +1,262 @@
+// src/commands/moderation/raid.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ensureInGuild, safeReply, normalizeReason } from '../../utils/moderation/mod.js';
+import { logAudit } from '../../utils/moderation/mod-db.js';
+import { parseDurationSeconds, prettySecs } from '../../utils/moderation/duration.js';
+import {
+  RAID_ACTIONS,
+  RAID_TIMEOUT_SECONDS,
+  getRaidConfig,
+  setRaidConfig,
+  getJoinStats,
+  getRaidStatus,
+  endRaid,
+} from '../../utils/automod/anti-raid.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'raid' });
+
+const MIN_WINDOW = 5;
+const MAX_WINDOW = 60 * 60;
+const MIN_LOCKDOWN = 60;
+const MAX_LOCKDOWN = 7 * 24 * 60 * 60;
+
+const ACTION_CHOICES = Object.entries(RAID_ACTIONS).map(([value, name]) => ({ name, value }));
+
+const ts = (date, style = 'R') => `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('raid')
+    .setDescription('Anti-raid protection: join-flood detection and lockdown.')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .setDMPermission(false)
+    .addSubcommand(sub => sub
+      .setName('status')
+      .setDescription('Show raid protection settings, current join rate and any active lockdown'))
+    .addSubcommand(sub => sub
+      .setName('end')
+      .setDescription('End the active raid lockdown now')
+      .addStringOption(o => o
+        .setName('reason')
+        .setDescription('Reason for ending the lockdown')
+        .setMaxLength(256)))
+    .addSubcommand(sub => sub
+      .setName('config')
+      .setDescription('Configure raid detection (omit options to view)')
+      .addBooleanOption(o => o
+        .setName('enabled')
+        .setDescription('Turn raid protection on or off'))
+      .addIntegerOption(o => o
+        .setName('joins')
+        .setDescription('Joins within the window that count as a flood')
+        .setMinValue(2)
+        .setMaxValue(500))
+      .addStringOption(o => o
+        .setName('window')
+        .setDescription('Join window (e.g., 30s, 1m, 10m; max 1h)')
+        .setMaxLength(10))
+      .addIntegerOption(o => o
+        .setName('account_age')
+        .setDescription('Accounts younger than this many days count as suspicious')
+        .setMinValue(0)
+        .setMaxValue(365))
+      .addIntegerOption(o => o
+        .setName('suspicious_percent')
+        .setDescription('Share of joiners that must look suspicious (0 = join rate alone)')
+        .setMinValue(0)
+        .setMaxValue(100))
+      .addStringOption(o => o
+        .setName('action')
+        .setDescription('What to do with members who joined during the raid')
+        .addChoices(...ACTION_CHOICES))
+      .addStringOption(o => o
+        .setName('lockdown')
+        .setDescription('How long the lockdown lasts (e.g., 30m, 2h; max 7d)')
+        .setMaxLength(10))),
+
+  requiredBotPerms: [PermissionFlagsBits.ManageChannels, PermissionFlagsBits.ManageRoles],
+  requiredPerms: [PermissionFlagsBits.ManageGuild],
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const subcommand = interaction.options.getSubcommand();
+    try {
+      switch (subcommand) {
+        case 'status': return await handleStatus(interaction);
+        case 'end': return await handleEnd(interaction);
+        case 'config': return await handleConfig(interaction);
+        default:
+          return safeReply(interaction, { content: '❌ Unknown subcommand.', flags: MessageFlags.Ephemeral });
+      }
+    } catch (err) {
+      log.error({ err, guildId: interaction.guildId, subcommand }, 'Raid command error');
+      return safeReply(interaction, {
+        content: '❌ Something went wrong. Please try again.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  },
+};
+
+function describeConfig(cfg) {
+  return [
+    `**Status:** ${cfg.raid_protection_enabled ? '🟢 Enabled' : '⚪ Disabled'}`,
+    `**Trigger:** ${cfg.raid_join_threshold} joins in ${prettySecs(cfg.raid_join_window_seconds)}` +
+      (cfg.raid_suspicious_ratio > 0
+        ? `, at least ${Math.round(cfg.raid_suspicious_ratio * 100)}% suspicious`
+        : ''),
+    `**Suspicious:** account younger than ${cfg.raid_min_account_age_days}d or default avatar`,
+    `**Joiners:** ${RAID_ACTIONS[cfg.raid_action] ?? cfg.raid_action}` +
+      (cfg.raid_action === 'timeout' ? ` (${prettySecs(RAID_TIMEOUT_SECONDS)})` : ''),
+    `**Lockdown:** ${prettySecs(cfg.raid_lockdown_seconds)}`,
+  ].join('\n');
+}
+
+async function handleStatus(interaction) {
+  const guildId = interaction.guildId;
+  const [cfg, status] = await Promise.all([getRaidConfig(guildId), getRaidStatus(guildId)]);
+  const stats = await getJoinStats(guildId, cfg);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🛡️ Raid Protection')
+    .setColor(status.active ? 0xB00020 : 0x2C2F33)
+    .addFields(
+      { name: 'Settings', value: describeConfig(cfg), inline: false },
+      {
+        name: `Joins (last ${prettySecs(cfg.raid_join_window_seconds)})`,
+        value: cfg.raid_protection_enabled
+          ? `${stats.joins.length}/${cfg.raid_join_threshold} — ${stats.suspicious} suspicious`
+          : 'Not tracked while disabled',
+        inline: false,
+      }
+    )
+    .setTimestamp();
+
+  if (status.active) {
+    const r = status.active;
+    embed.addFields({
+      name: '🚨 Active Lockdown',
+      value: [
+        `**Started:** ${ts(r.started_at)}`,
+        `**Ends:** ${ts(r.ends_at)}`,
+        `**Trigger:** ${r.trigger?.joins ?? '?'} joins in ${prettySecs(r.trigger?.windowSeconds ?? 0)} (${r.trigger?.suspicious ?? 0} suspicious)`,
+        `**Channels Locked:** ${r.locked_channels.length}`,
+        r.action !== 'none' ? `**Members Actioned:** ${r.actioned_users.length} (${r.action})` : null,
+        'Use `/raid end` to lift it early.',
+      ].filter(Boolean).join('\n'),
+      inline: false,
+    });
+  } else if (status.last) {
+    const r = status.last;
+    embed.addFields({
+      name: 'Last Raid',
+      value: `${ts(r.started_at)} — ${r.ended_by ? `ended by <@${r.ended_by}>` : 'expired'} ${ts(r.ended_at)}`,
+      inline: false,
+    });
+  }
+
+  return safeReply(interaction, { embeds: [embed], flags: MessageFlags.Ephemeral });
+}
+
+async function handleEnd(interaction) {
+  const reason = normalizeReason(interaction.options.getString('reason')) || 'Ended by moderator';
+  const result = await endRaid(interaction.guild, { actorId: interaction.user.id, reason });
+
+  if (!result) {
+    return safeReply(interaction, {
+      content: '❌ There is no active raid lockdown.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  return safeReply(interaction, {
+    content: [
+      '✅ **Raid lockdown ended**',
+      `🔓 Unlocked **${result.unlocked}** channel(s).`,
+      result.failed.length
+        ? `⚠️ Could not unlock: ${result.failed.slice(0, 10).map(id => `<#${id}>`).join(', ')}${result.failed.length > 10 ? ', …' : ''}`
+        : null,
+      `📝 **Reason:** ${reason}`,
+    ].filter(Boolean).join('\n'),
+    flags: MessageFlags.Ephemeral,
+  });
+}
+
+function parseBoundedDuration(str, min, max, label) {
+  const secs = parseDurationSeconds(str);
+  if (!secs || secs < min || secs > max) {
+    return { error: `❌ ${label} must be between ${prettySecs(min)} and ${prettySecs(max)}.` };
+  }
+  return { secs };
+}
+
+async function handleConfig(interaction) {
+  const opts = interaction.options;
+  const patch = {
+    raid_protection_enabled: opts.getBoolean('enabled') ?? undefined,
+    raid_join_threshold: opts.getInteger('joins') ?? undefined,
+    raid_min_account_age_days: opts.getInteger('account_age') ?? undefined,
+    raid_action: opts.getString('action') ?? undefined,
+  };
+
+  const percent = opts.getInteger('suspicious_percent');
+  if (percent !== null) patch.raid_suspicious_ratio = percent / 100;
+
+  const windowStr = opts.getString('window');
+  if (windowStr) {
+    const res = parseBoundedDuration(windowStr, MIN_WINDOW, MAX_WINDOW, 'Window');
+    if (res.error) return safeReply(interaction, { content: res.error, flags: MessageFlags.Ephemeral });
+    patch.raid_join_window_seconds = res.secs;
+  }
+
+  const lockdownStr = opts.getString('lockdown');
+  if (lockdownStr) {
+    const res = parseBoundedDuration(lockdownStr, MIN_LOCKDOWN, MAX_LOCKDOWN, 'Lockdown');
+    if (res.error) return safeReply(interaction, { content: res.error, flags: MessageFlags.Ephemeral });
+    patch.raid_lockdown_seconds = res.secs;
+  }
+
+  const changed = Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== undefined));
+  if (!Object.keys(changed).length) {
+    const cfg = await getRaidConfig(interaction.guildId);
+    return safeReply(interaction, {
+      content: `🛡️ **Raid protection**\n${describeConfig(cfg)}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const cfg = await setRaidConfig(interaction.guildId, changed);
+
+  await logAudit({
+    guildId: interaction.guildId,
+    actionType: 'config_raid',
+    actorId: interaction.user.id,
+    targetId: interaction.guildId,
+    details: changed,
+  });
+
+  const warnings = [];
+  if (cfg.raid_protection_enabled && !interaction.client.autoMod) {
+    warnings.push('⚠️ Join tracking needs Redis, which is unavailable — detection is inactive until it is back.');
+  }
+  // Automated actions always go through Moderate Members (see applyModAction)
+  const actionPerms = cfg.raid_action === 'kick'
+    ? [PermissionFlagsBits.KickMembers, PermissionFlagsBits.ModerateMembers]
+    : [PermissionFlagsBits.ModerateMembers];
+  if (cfg.raid_action !== 'none' && !interaction.guild.members.me.permissions.has(actionPerms)) {
+    warnings.push(`⚠️ I lack the permission to ${cfg.raid_action} joiners.`);
+  }
+
+  return safeReply(interaction, {
+    content: `✅ **Raid protection updated**\n${describeConfig(cfg)}${warnings.length ? `\n${warnings.join('\n')}` : ''}`,
+    flags: MessageFlags.Ephemeral,
+  });
+}
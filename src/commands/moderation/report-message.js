@@ -0,0 +1,58 @@
+// src/commands/moderation/report-message.js
+// "Report message" context-menu command: asks for a reason via a modal,
+// the submission is handled by report:submit in components/reportComponents.js.
+import {
+  ContextMenuCommandBuilder,
+  ApplicationCommandType,
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  MessageFlags,
+} from 'discord.js';
+import { ensureInGuild, safeReply } from '../../utils/moderation/mod.js';
+import {
+  makeReportId,
+  packSnowflake,
+  REPORT_REASON_MAX,
+} from '../../utils/moderation/reports.js';
+
+export default {
+  data: new ContextMenuCommandBuilder()
+    .setName('Report message')
+    .setType(ApplicationCommandType.Message)
+    .setDMPermission(false),
+
+  cooldownMs: 30000,
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+
+    const message = interaction.targetMessage;
+    if (message.author.id === interaction.user.id) {
+      return safeReply(interaction, { content: '❌ You cannot report your own message.', flags: MessageFlags.Ephemeral });
+    }
+    if (message.system || message.author.id === interaction.client.user.id) {
+      return safeReply(interaction, { content: '❌ This message cannot be reported.', flags: MessageFlags.Ephemeral });
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(makeReportId('submit', {
+        c: packSnowflake(message.channelId),
+        m: packSnowflake(message.id),
+      }))
+      .setTitle('Report message')
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('reason')
+            .setLabel('What is wrong with this message?')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(REPORT_REASON_MAX)
+            .setRequired(true)
+        )
+      );
+
+    await interaction.showModal(modal);
+  },
+};
@@ -0,0 +1,88 @@
+// src/commands/moderation/report.js
+import {
+  SlashCommandBuilder,
+  MessageFlags,
+} from 'discord.js';
+import { ensureInGuild, safeReply, normalizeReason } from '../../utils/moderation/mod.js';
+import { fileReport, REPORT_REASON_MAX } from '../../utils/moderation/reports.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'report' });
+
+const MESSAGE_LINK_RE = /discord(?:app)?\.com\/channels\/(\d{17,20})\/(\d{17,20})\/(\d{17,20})/;
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('report')
+    .setDescription('Report a user (or one of their messages) to the moderators')
+    .addUserOption(o => o
+      .setName('user')
+      .setDescription('User to report')
+      .setRequired(true))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('What happened?')
+      .setRequired(true)
+      .setMaxLength(REPORT_REASON_MAX))
+    .addStringOption(o => o
+      .setName('message_link')
+      .setDescription('Link to the offending message (optional)'))
+    .setDMPermission(false),
+
+  cooldownMs: 30000,
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const target = interaction.options.getUser('user', true);
+    const reason = normalizeReason(interaction.options.getString('reason', true));
+    const link = interaction.options.getString('message_link')?.trim();
+
+    let message = null;
+    if (link) {
+      const m = MESSAGE_LINK_RE.exec(link);
+      if (!m || m[1] !== interaction.guildId) {
+        return safeReply(interaction, {
+          content: '❌ That is not a valid message link from this server.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const channel = await interaction.guild.channels.fetch(m[2]).catch(() => null);
+      message = channel?.isTextBased?.()
+        ? await channel.messages.fetch(m[3]).catch(() => null)
+        : null;
+
+      if (!message) {
+        return safeReply(interaction, {
+          content: '❌ I could not find that message. It may have been deleted.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+      if (message.author.id !== target.id) {
+        return safeReply(interaction, {
+          content: `❌ That message was not sent by ${target}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+
+    try {
+      const content = await fileReport({
+        guild: interaction.guild,
+        reporter: interaction.user,
+        target,
+        reason,
+        message,
+      });
+      return safeReply(interaction, { content, flags: MessageFlags.Ephemeral });
+    } catch (err) {
+      log.error({ err, guildId: interaction.guildId }, 'Report failed');
+      return safeReply(interaction, {
+        content: '❌ Failed to submit report. Please try again later.',
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  },
+};
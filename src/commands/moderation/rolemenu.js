@@ -0,0 +1,321 @@
+// src/commands/moderation/rolemenu.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  ChannelType,
+  MessageFlags,
+} from "discord.js";
+import { ensureInGuild, safeReply } from "../../utils/moderation/mod.js";
+import { logAudit } from "../../utils/moderation/mod-db.js";
+import {
+  MAX_MENU_ROLES,
+  createMenu,
+  getMenuByName,
+  getMenuRoles,
+  addMenuRole,
+  removeMenuRole,
+  deleteMenu,
+  publishMenu,
+  refreshPublishedMenu,
+} from "../../utils/moderation/rolemenus.js";
+import { filterAssignableRoles } from "../../utils/moderation/roles.js";
+import { createLogger } from "../../core/logger.js";
+
+const log = createLogger({ mod: "rolemenu" });
+
+const ROLE_MENTION_RE = /<@&(\d+)>/g;
+const NAME_RE = /^[\w-]{1,32}$/;
+
+const menuOption = (o) =>
+  o.setName("menu").setDescription("Menu name").setRequired(true).setMaxLength(32);
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("rolemenu")
+    .setDescription("Build self-assign role menus")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .setDMPermission(false)
+    .addSubcommand((sc) =>
+      sc
+        .setName("create")
+        .setDescription("Create a new role menu")
+        .addStringOption((o) =>
+          o
+            .setName("name")
+            .setDescription("Short name (letters, numbers, - and _)")
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("style")
+            .setDescription("Buttons or a select menu (default: buttons)")
+            .addChoices(
+              { name: "Buttons", value: "buttons" },
+              { name: "Select menu", value: "select" }
+            )
+        )
+        .addStringOption((o) =>
+          o
+            .setName("mode")
+            .setDescription("How many roles a member may pick (default: multi)")
+            .addChoices(
+              { name: "Single choice", value: "single" },
+              { name: "Multiple choice", value: "multi" }
+            )
+        )
+        .addIntegerOption((o) =>
+          o
+            .setName("max_selections")
+            .setDescription("Multi-choice limit")
+            .setMinValue(1)
+            .setMaxValue(MAX_MENU_ROLES)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("required_roles")
+            .setDescription("Role mentions; members need one of them to use the menu")
+        )
+        .addStringOption((o) =>
+          o.setName("title").setDescription("Embed title").setMaxLength(256)
+        )
+        .addStringOption((o) =>
+          o.setName("description").setDescription("Embed text").setMaxLength(1000)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("add-role")
+        .setDescription("Add (or edit) a role on a menu")
+        .addStringOption(menuOption)
+        .addRoleOption((o) =>
+          o.setName("role").setDescription("Role to offer").setRequired(true)
+        )
+        .addStringOption((o) =>
+          o.setName("label").setDescription("Button/option label (default: role name)").setMaxLength(80)
+        )
+        .addStringOption((o) =>
+          o.setName("emoji").setDescription("Emoji shown next to the label").setMaxLength(64)
+        )
+        .addStringOption((o) =>
+          o.setName("description").setDescription("Short description").setMaxLength(100)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove-role")
+        .setDescription("Remove a role from a menu")
+        .addStringOption(menuOption)
+        .addRoleOption((o) =>
+          o.setName("role").setDescription("Role to remove").setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("publish")
+        .setDescription("Post the menu (or update the posted one)")
+        .addStringOption(menuOption)
+        .addChannelOption((o) =>
+          o
+            .setName("channel")
+            .setDescription("Channel to post in (default: current/previous)")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("delete")
+        .setDescription("Delete a menu and its posted message")
+        .addStringOption(menuOption)
+    ),
+
+  requiredBotPerms: [PermissionFlagsBits.ManageRoles],
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const sub = interaction.options.getSubcommand(true);
+    const reply = (content) => safeReply(interaction, { content, flags: MessageFlags.Ephemeral });
+
+    try {
+      switch (sub) {
+        case "create":
+          return await handleCreate(interaction, reply);
+        case "add-role":
+          return await handleAddRole(interaction, reply);
+        case "remove-role":
+          return await handleRemoveRole(interaction, reply);
+        case "publish":
+          return await handlePublish(interaction, reply);
+        case "delete":
+          return await handleDelete(interaction, reply);
+        default:
+          return reply("Unknown subcommand.");
+      }
+    } catch (err) {
+      log.error({ err, guildId: interaction.guildId, sub }, "rolemenu failed");
+      return reply("❌ Failed to update the role menu. Please check my permissions.");
+    }
+  },
+};
+
+// ---------- Handlers ----------
+
+async function handleCreate(interaction, reply) {
+  const guild = interaction.guild;
+  const name = interaction.options.getString("name", true).trim();
+  if (!NAME_RE.test(name)) {
+    return reply("❌ Menu names may only use letters, numbers, `-` and `_`.");
+  }
+
+  const mode = interaction.options.getString("mode") ?? "multi";
+  const maxSelections = interaction.options.getInteger("max_selections");
+  if (mode === "single" && maxSelections && maxSelections !== 1) {
+    return reply("❌ `max_selections` only applies to multi-choice menus.");
+  }
+
+  const requiredRoleIds = [
+    ...new Set(
+      [...(interaction.options.getString("required_roles") ?? "").matchAll(ROLE_MENTION_RE)]
+        .map((m) => m[1])
+        .filter((id) => guild.roles.cache.has(id))
+    ),
+  ];
+
+  const menu = await createMenu({
+    guildId: guild.id,
+    name,
+    title: interaction.options.getString("title"),
+    description: interaction.options.getString("description"),
+    style: interaction.options.getString("style") ?? "buttons",
+    mode,
+    maxSelections: mode === "multi" ? maxSelections : null,
+    requiredRoleIds,
+    createdBy: interaction.user.id,
+  });
+  if (!menu) return reply(`❌ A menu named \`${name}\` already exists.`);
+
+  await logAudit({
+    guildId: guild.id,
+    actionType: "rolemenu_create",
+    actorId: interaction.user.id,
+    targetId: null,
+    details: { menuId: menu.id, name, style: menu.style, mode, maxSelections, requiredRoleIds },
+  });
+
+  return reply(
+    `✅ Created role menu \`${name}\`. Add roles with \`/rolemenu add-role\`, then \`/rolemenu publish\`.`
+  );
+}
+
+async function handleAddRole(interaction, reply) {
+  const guild = interaction.guild;
+  const menu = await getMenuByName(guild.id, interaction.options.getString("menu", true));
+  if (!menu) return reply("❌ No menu with that name.");
+
+  const role = interaction.options.getRole("role", true);
+  if (!filterAssignableRoles(guild, interaction.member, [role]).length) {
+    return reply(`❌ You or I cannot assign ${role}.`);
+  }
+  if (role.permissions.has(PermissionFlagsBits.Administrator)
+      || role.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    return reply(`❌ ${role} has admin permissions and cannot be self-assigned.`);
+  }
+
+  const row = await addMenuRole({
+    menuId: menu.id,
+    roleId: role.id,
+    label: interaction.options.getString("label")?.trim() || role.name.slice(0, 80),
+    emoji: interaction.options.getString("emoji")?.trim() || null,
+    description: interaction.options.getString("description")?.trim() || null,
+  });
+  if (!row) return reply(`❌ A menu can hold at most ${MAX_MENU_ROLES} roles.`);
+
+  await refreshPublishedMenu(guild, menu);
+  await logAudit({
+    guildId: guild.id,
+    actionType: "rolemenu_add_role",
+    actorId: interaction.user.id,
+    targetId: role.id,
+    details: { menuId: menu.id, name: menu.name },
+  });
+
+  return reply(`✅ ${role} is on menu \`${menu.name}\`.`);
+}
+
+async function handleRemoveRole(interaction, reply) {
+  const guild = interaction.guild;
+  const menu = await getMenuByName(guild.id, interaction.options.getString("menu", true));
+  if (!menu) return reply("❌ No menu with that name.");
+
+  const role = interaction.options.getRole("role", true);
+  const removed = await removeMenuRole(menu.id, role.id);
+  if (!removed) return reply(`❌ ${role} is not on menu \`${menu.name}\`.`);
+
+  await refreshPublishedMenu(guild, menu);
+  await logAudit({
+    guildId: guild.id,
+    actionType: "rolemenu_remove_role",
+    actorId: interaction.user.id,
+    targetId: role.id,
+    details: { menuId: menu.id, name: menu.name },
+  });
+
+  return reply(`✅ Removed ${role} from menu \`${menu.name}\`.`);
+}
+
+async function handlePublish(interaction, reply) {
+  const guild = interaction.guild;
+  const menu = await getMenuByName(guild.id, interaction.options.getString("menu", true));
+  if (!menu) return reply("❌ No menu with that name.");
+
+  const roles = await getMenuRoles(menu.id);
+  if (!roles.length) return reply("❌ Add at least one role before publishing.");
+
+  const channel = interaction.options.getChannel("channel")
+    ?? (menu.message_id ? null : interaction.channel);
+
+  if (channel) {
+    const perms = guild.members.me?.permissionsIn(channel);
+    if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+      return reply(`❌ I need View Channel, Send Messages and Embed Links in ${channel}.`);
+    }
+  }
+
+  const message = await publishMenu(guild, menu, channel);
+  if (!message) return reply("❌ I could not post the menu. Pick a channel with `channel:`.");
+
+  await logAudit({
+    guildId: guild.id,
+    actionType: "rolemenu_publish",
+    actorId: interaction.user.id,
+    targetId: message.channelId,
+    details: { menuId: menu.id, name: menu.name, messageId: message.id },
+  });
+
+  return reply(`✅ Menu \`${menu.name}\` is live: ${message.url}`);
+}
+
+async function handleDelete(interaction, reply) {
+  const guild = interaction.guild;
+  const menu = await getMenuByName(guild.id, interaction.options.getString("menu", true));
+  if (!menu) return reply("❌ No menu with that name.");
+
+  await deleteMenu(menu.id);
+
+  if (menu.channel_id && menu.message_id) {
+    const channel = await guild.channels.fetch(menu.channel_id).catch(() => null);
+    await channel?.messages?.delete(menu.message_id).catch(() => {});
+  }
+
+  await logAudit({
+    guildId: guild.id,
+    actionType: "rolemenu_delete",
+    actorId: interaction.user.id,
+    targetId: null,
+    details: { menuId: menu.id, name: menu.name },
+  });
+
+  return reply(`🗑️ Deleted menu \`${menu.name}\`.`);
+}
@@ -13,35 +13,17 @@ import {
   normalizeReason,
   humanizeError,
 } from "../../utils/moderation/mod.js";
-
-// --- utils ---
-const ROLE_MENTION_RE = /<@&(\d+)>/g;
-
-function parseRoleMentions(str) {
-  if (!str) return [];
-  const ids = new Set();
-  for (const m of str.matchAll(ROLE_MENTION_RE)) ids.add(m[1]);
-  return [...ids];
-}
-
-function filterAssignableRoles(guild, actor, roles) {
-  const me = guild.members.me;
-  const botTop = me?.roles?.highest?.position ?? 0;
-  const actorTop = actor?.roles?.highest?.position ?? 0;
-
-  return roles.filter((r) => {
-    if (!r) return false;
-    if (r.managed) return false; // integration/linked roles
-    if (r.id === guild.id) return false; // @everyone
-    if (r.position >= botTop) return false; // bot can't manage
-    if (r.position >= actorTop) return false; // actor can't manage
-    return r.editable === true; // discord.js “bot can edit” guard
-  });
-}
-
-function fmtRoleList(roles) {
-  return roles.length ? roles.map((r) => `<@&${r.id}>`).join(", ") : "—";
-}
+import { parseDurationSeconds, prettySecs } from "../../utils/moderation/duration.js";
+import {
+  recordTempRole,
+  MAX_TEMP_ROLE_SECONDS,
+} from "../../utils/moderation/temp-roles.js";
+import { logAudit } from "../../utils/moderation/mod-db.js";
+import {
+  parseRoleMentions,
+  filterAssignableRoles,
+  fmtRoleList,
+} from "../../utils/moderation/roles.js";
 
 export const data = new SlashCommandBuilder()
   .setName("roles")
@@ -60,6 +42,11 @@ export const data = new SlashCommandBuilder()
           .setDescription("Role mentions to add")
           .setRequired(true)
       )
+      .addStringOption((o) =>
+        o
+          .setName("duration")
+          .setDescription("Remove the roles again after this long (e.g. 2d, 12h)")
+      )
       .addStringOption((o) =>
         o.setName("reason").setDescription("Reason (audit log)")
       )
@@ -133,6 +120,18 @@ export async function execute(interaction) {
       });
     }
 
+    const durationRaw = interaction.options.getString("duration");
+    let durationSeconds = null;
+    if (durationRaw) {
+      durationSeconds = parseDurationSeconds(durationRaw);
+      if (!durationSeconds || durationSeconds <= 0 || durationSeconds > MAX_TEMP_ROLE_SECONDS) {
+        return safeReply(interaction, {
+          content: "Invalid duration. Use e.g. `12h`, `2d` (max 1 year).",
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    }
+
     const roles = ids.map((id) => guild.roles.cache.get(id)).filter(Boolean);
     const assignable = filterAssignableRoles(guild, interaction.member, roles);
 
@@ -140,6 +139,49 @@ export async function execute(interaction) {
     for (const rid of target.roles.cache.keys()) missingIds.delete(rid);
     const toAdd = assignable.filter((r) => missingIds.has(r.id));
 
+    // A timed grant also (re)times roles the member already holds
+    if (durationSeconds && assignable.length) {
+      if (toAdd.length) {
+        await target.roles.add(
+          toAdd,
+          reason || `temporary roles add by ${interaction.user.tag}`
+        );
+      }
+
+      for (const role of assignable) {
+        await recordTempRole({
+          guildId: guild.id,
+          userId: target.id,
+          roleId: role.id,
+          assignedBy: interaction.user.id,
+          durationSeconds,
+        });
+      }
+
+      await logAudit({
+        guildId: guild.id,
+        actionType: "temp_role_add",
+        actorId: interaction.user.id,
+        targetId: target.id,
+        details: { roleIds: assignable.map((r) => r.id), durationSeconds, reason },
+      });
+
+      const expiresTs = Math.floor(Date.now() / 1000) + durationSeconds;
+      const emb = new EmbedBuilder()
+        .setColor(0x2ecc71)
+        .setTitle("Temporary roles added")
+        .setDescription(
+          `**Member:** ${target}\n**Roles:** ${fmtRoleList(assignable)}\n**Duration:** ${prettySecs(
+            durationSeconds
+          )} (expires <t:${expiresTs}:R>)\n**Reason:** ${reason || "—"}`
+        );
+
+      return safeReply(interaction, {
+        embeds: [emb],
+        flags: silent ? MessageFlags.Ephemeral : 0,
+      });
+    }
+
     if (!toAdd.length) {
       return safeReply(interaction, {
         content:
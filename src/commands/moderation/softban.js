@@ -0,0 +1,198 @@
+// src/commands/moderation/softban.js
+// Softban = ban + immediate unban: removes the member and purges their recent messages.
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+  EmbedBuilder,
+} from 'discord.js';
+import {
+  ensureInGuild, normalizeReason, checkHierarchy,
+  safeReply, emitModLog, humanizeError,
+} from '../../utils/moderation/mod.js';
+import { prettySecs } from '../../utils/moderation/duration.js';
+import { createInfractionWithCount, logAudit, getGuildConfig } from '../../utils/moderation/mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'softban' });
+
+// Discord caps deleteMessageSeconds at 7 days
+const DELETE_WINDOWS = [
+  { name: 'Last hour', value: 3600 },
+  { name: 'Last 6 hours', value: 6 * 3600 },
+  { name: 'Last 12 hours', value: 12 * 3600 },
+  { name: 'Last 24 hours', value: 86400 },
+  { name: 'Last 3 days', value: 3 * 86400 },
+  { name: 'Last 7 days', value: 7 * 86400 },
+];
+const DEFAULT_DELETE_SECONDS = 86400;
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('softban')
+    .setDescription('Ban and immediately unban a member to delete their recent messages.')
+    .addUserOption(o => o
+      .setName('user')
+      .setDescription('Member to softban')
+      .setRequired(true))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('Reason (shown in Audit Log)')
+      .setMaxLength(512))
+    .addIntegerOption(o => o
+      .setName('delete_messages')
+      .setDescription('How much message history to delete (default: last 24 hours)')
+      .addChoices(...DELETE_WINDOWS))
+    .addBooleanOption(o => o
+      .setName('silent')
+      .setDescription('Suppress DM to the user'))
+    .setDefaultMemberPermissions(PermissionFlagsBits.BanMembers)
+    .setDMPermission(false),
+
+  requiredBotPerms: [PermissionFlagsBits.BanMembers],
+  requiredPerms: [PermissionFlagsBits.BanMembers],
+  modCapability: 'ban',
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = interaction.options.getUser('user', true);
+    const reason = normalizeReason(interaction.options.getString('reason'));
+    const deleteSeconds = interaction.options.getInteger('delete_messages') ?? DEFAULT_DELETE_SECONDS;
+    const silent = interaction.options.getBoolean('silent') ?? false;
+
+    // Unbanning afterwards would lift an existing ban
+    const existingBan = await interaction.guild.bans.fetch(user.id).catch(() => null);
+    if (existingBan) {
+      return safeReply(interaction, {
+        content: '❌ That user is already banned.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+
+    // Non-members can still be softbanned to clear their messages
+    const target = await interaction.guild.members.fetch(user.id).catch(() => null);
+
+    if (target) {
+      const hier = checkHierarchy({
+        guild: interaction.guild,
+        me: interaction.guild.members.me,
+        actor: interaction.member,
+        target,
+      });
+
+      if (!hier.ok) {
+        return safeReply(interaction, {
+          content: humanizeError(hier.why),
+          flags: MessageFlags.Ephemeral
+        });
+      }
+    }
+
+    try {
+      const infraction = await createInfractionWithCount({
+        guildId: interaction.guildId,
+        userId: user.id,
+        moderatorId: interaction.user.id,
+        type: 'softban',
+        reason: reason || 'No reason provided',
+        // A softban has no duration; the delete window is context, not an expiry
+        context: { deleteMessageSeconds: deleteSeconds },
+      });
+
+      const { dm_on_action: dmOnAction } = await getGuildConfig(interaction.guildId, 'dm_on_action');
+      let dmFailed = false;
+
+      if (!silent && dmOnAction && target) {
+        try {
+          const softbanEmbed = new EmbedBuilder()
+            .setTitle('Softban')
+            .setDescription(
+              `🔄 **You have been removed from ${interaction.guild.name}**\n` +
+              `Your recent messages were deleted. You may rejoin with a new invite.\n` +
+              `${reason ? `📝 **Reason:** ${reason}` : ''}`
+            )
+            .setFooter({ text: `Softbanned by ${interaction.user.tag}` });
+
+          await target.send({ embeds: [softbanEmbed] });
+        } catch (err) {
+          dmFailed = true;
+          log.debug({ userId: user.id, error: err.message }, 'Could not DM user before softban');
+        }
+      }
+
+      await interaction.guild.members.ban(user, {
+        reason: `[${interaction.user.tag}] Softban: ${reason || 'No reason provided'}`,
+        deleteMessageSeconds: deleteSeconds,
+      });
+
+      // The ban has done its job; a failed unban must be surfaced, not swallowed
+      let unbanFailed = false;
+      try {
+        await interaction.guild.bans.remove(user.id, `[${interaction.user.tag}] Softban release`);
+      } catch (err) {
+        unbanFailed = true;
+        log.error({ err, userId: user.id }, 'Softban unban step failed');
+      }
+
+      await emitModLog(interaction, {
+        action: 'softban',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: user.id,
+        reason,
+        ts: Date.now(),
+        caseId: infraction.id,
+        dmFailed,
+        extra: {
+          'Messages Deleted': `Last ${prettySecs(deleteSeconds)}`,
+          ...(unbanFailed ? { Warning: 'Unban step failed — user is still banned' } : {}),
+        },
+      });
+
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'softban',
+        actorId: interaction.user.id,
+        targetId: user.id,
+        details: {
+          reason,
+          caseId: infraction.id,
+          deleteMessageSeconds: deleteSeconds,
+          dmFailed,
+          unbanFailed,
+        },
+      });
+
+      const response = [
+        `✅ **Softbanned ${target?.user.tag || user.tag}**`,
+        `📋 **Case ID:** \`${infraction.id}\``,
+        reason ? `📝 **Reason:** ${reason}` : null,
+        `🗑️ **Deleted:** last ${prettySecs(deleteSeconds)} of messages`,
+        dmFailed ? '⚠️ *Could not DM user*' : null,
+        unbanFailed ? '⚠️ **Could not lift the ban — use `/unban` to let them rejoin.**' : null,
+      ].filter(Boolean).join('\n');
+
+      return safeReply(interaction, {
+        content: response,
+        flags: MessageFlags.Ephemeral,
+      });
+
+    } catch (err) {
+      log.error({ err, userId: user.id }, 'Softban command error');
+
+      if (err.code === 50013) {
+        return safeReply(interaction, {
+          content: '❌ I lack permissions to ban that user. They may have a higher role than me.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      return safeReply(interaction, {
+        content: '❌ Failed to softban user. Please check my permissions and try again.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  },
+};
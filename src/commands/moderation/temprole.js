@@ -0,0 +1,186 @@
+// src/commands/moderation/temprole.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  EmbedBuilder,
+  MessageFlags,
+} from "discord.js";
+import { ensureInGuild, safeReply } from "../../utils/moderation/mod.js";
+import { logAudit } from "../../utils/moderation/mod-db.js";
+import { parseDurationSeconds, prettySecs } from "../../utils/moderation/duration.js";
+import {
+  listTempRoles,
+  extendTempRole,
+  deleteTempRole,
+  MAX_TEMP_ROLE_SECONDS,
+} from "../../utils/moderation/temp-roles.js";
+import { filterAssignableRoles } from "../../utils/moderation/roles.js";
+import { createLogger } from "../../core/logger.js";
+
+const log = createLogger({ mod: "temprole" });
+
+const toTs = (d) => Math.floor(new Date(d).getTime() / 1000);
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName("temprole")
+    .setDescription("Manage temporary role grants")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+    .setDMPermission(false)
+    .addSubcommand((sc) =>
+      sc
+        .setName("list")
+        .setDescription("List active temporary roles")
+        .addUserOption((o) =>
+          o.setName("user").setDescription("Only show this member's roles")
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("extend")
+        .setDescription("Extend a temporary role")
+        .addUserOption((o) =>
+          o.setName("user").setDescription("Member holding the role").setRequired(true)
+        )
+        .addRoleOption((o) =>
+          o.setName("role").setDescription("Temporary role").setRequired(true)
+        )
+        .addStringOption((o) =>
+          o
+            .setName("duration")
+            .setDescription("Extra time to add (e.g. 1d, 12h)")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a temporary role now")
+        .addUserOption((o) =>
+          o.setName("user").setDescription("Member holding the role").setRequired(true)
+        )
+        .addRoleOption((o) =>
+          o.setName("role").setDescription("Temporary role").setRequired(true)
+        )
+    ),
+
+  requiredBotPerms: [PermissionFlagsBits.ManageRoles],
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const sub = interaction.options.getSubcommand(true);
+    const guild = interaction.guild;
+
+    try {
+      if (sub === "list") {
+        const user = interaction.options.getUser("user");
+        const rows = await listTempRoles(guild.id, user?.id ?? null, 25);
+
+        if (!rows.length) {
+          return safeReply(interaction, {
+            content: user
+              ? `${user} has no temporary roles.`
+              : "There are no active temporary roles.",
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        const lines = rows.map(
+          (r) =>
+            `<@${r.user_id}> • <@&${r.role_id}> • expires <t:${toTs(r.expires_at)}:R> • by <@${r.assigned_by}>`
+        );
+        const emb = new EmbedBuilder()
+          .setColor(0x5865f2)
+          .setTitle(user ? `Temporary roles for ${user.tag}` : "Temporary roles")
+          .setDescription(lines.join("\n").slice(0, 4000))
+          .setFooter({ text: `${rows.length} shown` });
+
+        return safeReply(interaction, { embeds: [emb], flags: MessageFlags.Ephemeral });
+      }
+
+      const user = interaction.options.getUser("user", true);
+      const role = interaction.options.getRole("role", true);
+
+      if (!filterAssignableRoles(guild, interaction.member, [role]).length) {
+        return safeReply(interaction, {
+          content: `❌ You or I cannot manage ${role}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      if (sub === "extend") {
+        const extraSeconds = parseDurationSeconds(interaction.options.getString("duration", true));
+        if (!extraSeconds || extraSeconds <= 0 || extraSeconds > MAX_TEMP_ROLE_SECONDS) {
+          return safeReply(interaction, {
+            content: "❌ Invalid duration. Use e.g. `12h`, `2d` (max 1 year).",
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        const row = await extendTempRole({
+          guildId: guild.id,
+          userId: user.id,
+          roleId: role.id,
+          extraSeconds,
+        });
+        if (!row) {
+          return safeReply(interaction, {
+            content: `❌ ${user} does not have ${role} as a temporary role.`,
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        await logAudit({
+          guildId: guild.id,
+          actionType: "temp_role_extend",
+          actorId: interaction.user.id,
+          targetId: user.id,
+          details: { roleId: role.id, extraSeconds, expiresAt: row.expires_at },
+        });
+
+        return safeReply(interaction, {
+          content: `✅ Extended ${role} for ${user} by ${prettySecs(extraSeconds)} (now expires <t:${toTs(row.expires_at)}:R>).`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      if (sub === "remove") {
+        const row = await deleteTempRole({ guildId: guild.id, userId: user.id, roleId: role.id });
+        if (!row) {
+          return safeReply(interaction, {
+            content: `❌ ${user} does not have ${role} as a temporary role.`,
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        const member = await guild.members.fetch(user.id).catch(() => null);
+        if (member?.roles.cache.has(role.id)) {
+          await member.roles.remove(role, `Temporary role removed by ${interaction.user.tag}`);
+        }
+
+        await logAudit({
+          guildId: guild.id,
+          actionType: "temp_role_remove",
+          actorId: interaction.user.id,
+          targetId: user.id,
+          details: { roleId: role.id, tempRoleId: row.id },
+        });
+
+        return safeReply(interaction, {
+          content: `✅ Removed ${role} from ${user}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      return safeReply(interaction, { content: "Unknown subcommand.", flags: MessageFlags.Ephemeral });
+    } catch (err) {
+      log.error({ err, guildId: guild.id, sub }, "temprole failed");
+      return safeReply(interaction, {
+        content: "❌ Failed to update temporary roles. Please check my permissions.",
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+  },
+};
@@ -21,6 +21,9 @@ export default {
     .setDMPermission(false),
 
   requiredBotPerms: [PermissionFlagsBits.ModerateMembers],
+  requiredPerms: [PermissionFlagsBits.ModerateMembers],
+  modCapability: 'mute',
+  durationOption: 'duration',
 
   async execute(interaction) {
     ensureInGuild(interaction);
@@ -8,6 +8,7 @@ import {
   ensureInGuild,
   safeReply,
   normalizeReason,
+  emitModLog,
 } from "../../utils/moderation/mod.js";
 import {
   createInfractionWithCount,
@@ -200,6 +201,18 @@ export default {
         );
       }
 
+      await emitModLog(interaction, {
+        action: "unban",
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: userId,
+        reason,
+        ts: Date.now(),
+        caseId: infraction.id,
+        dmFailed: !dmSent,
+        extra: { cancelledJobs: result.cancelledJobs.length || undefined },
+      });
+
       // Log to audit
       await logAudit({
         guildId: interaction.guildId,
@@ -5,9 +5,10 @@ import {
   MessageFlags,
   ChannelType,
 } from 'discord.js';
-import { ensureInGuild, safeReply } from '../../utils/moderation/mod.js';
+import { ensureInGuild, safeReply, emitModLog } from '../../utils/moderation/mod.js';
 import { tx } from '../../core/db/index.js';
 import { logAudit } from '../../utils/moderation/mod-db.js';
+import { isChannelLocked, unlockChannel, setLockdownFlag } from '../../utils/moderation/lockdown.js';
 import { createLogger } from '../../core/logger.js';
 
 const log = createLogger({ mod: 'unlock' });
@@ -76,10 +77,8 @@ export default {
     } else {
       // For regular channels, check if actually locked
       const everyone = interaction.guild.roles.everyone;
-      const currentPerms = channel.permissionOverwrites.cache.get(everyone.id);
-      const isLocked = currentPerms?.deny?.has(PermissionFlagsBits.SendMessages);
 
-      if (!isLocked) {
+      if (!isChannelLocked(channel)) {
         return safeReply(interaction, {
           content: '❌ This channel is not locked.',
           flags: MessageFlags.Ephemeral
@@ -101,26 +100,18 @@ export default {
     try {
       // Unlock the channel (for non-threads)
       if (!channel.isThread()) {
-        const everyone = interaction.guild.roles.everyone;
-        await channel.permissionOverwrites.edit(everyone, {
-          SendMessages: null,
-          SendMessagesInThreads: null,
-          CreatePublicThreads: null,
-          CreatePrivateThreads: null,
-        }, {
-          reason: `[${interaction.user.tag}] ${reason.substring(0, 400)}`
-        });
+        await unlockChannel(channel, `[${interaction.user.tag}] ${reason.substring(0, 400)}`);
       }
 
       // Use transaction for database operations
       const cancelledJobs = await tx(async (client) => {
         // Update channel config
-        await client.query(
-          `UPDATE channel_config 
-           SET lockdown_enabled = FALSE, updated_at = NOW()
-           WHERE channel_id = $1`,
-          [channel.id]
-        );
+        await setLockdownFlag({
+          client,
+          guildId: interaction.guildId,
+          channelIds: [channel.id],
+          enabled: false,
+        });
 
         // Cancel pending unlock jobs
         const { rows } = await client.query(
@@ -151,6 +142,17 @@ export default {
         log.debug({ err }, 'Could not send unlock notification to channel');
       }
 
+      await emitModLog(interaction, {
+        action: 'channel_unlock',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: channel.id,
+        targetType: 'channel',
+        reason,
+        ts: Date.now(),
+        extra: { cancelledJobs: cancelledJobs.length || undefined },
+      });
+
       // Log to audit
       await logAudit({
         guildId: interaction.guildId,
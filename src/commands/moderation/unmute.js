@@ -0,0 +1,126 @@
+// src/commands/moderation/unmute.js
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+} from 'discord.js';
+import {
+  ensureInGuild, normalizeReason, safeReply, emitModLog,
+} from '../../utils/moderation/mod.js';
+import { createInfractionWithCount, logAudit, getGuildConfig } from '../../utils/moderation/mod-db.js';
+import { getMuteRole, liftMute } from '../../utils/moderation/mute.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'unmute' });
+
+export default {
+  data: new SlashCommandBuilder()
+    .setName('unmute')
+    .setDescription('Lift a role-based mute.')
+    .addUserOption(o => o
+      .setName('user')
+      .setDescription('User to unmute')
+      .setRequired(true))
+    .addStringOption(o => o
+      .setName('reason')
+      .setDescription('Reason for unmuting')
+      .setMaxLength(400))
+    .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+    .setDMPermission(false),
+
+  requiredBotPerms: [PermissionFlagsBits.ManageRoles],
+  requiredPerms: [PermissionFlagsBits.ModerateMembers],
+  modCapability: 'mute',
+
+  async execute(interaction) {
+    ensureInGuild(interaction);
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const user = interaction.options.getUser('user', true);
+    const reason = normalizeReason(interaction.options.getString('reason')) || 'No reason provided';
+
+    try {
+      const role = await getMuteRole(interaction.guild);
+      // Members who left can still be unmuted so the mute is not re-applied on rejoin
+      const target = await interaction.guild.members.fetch(user.id).catch(() => null);
+      const hasRole = !!(role && target?.roles.cache.has(role.id));
+
+      const lifted = await liftMute(interaction.guildId, user.id);
+      if (!lifted && !hasRole) {
+        return safeReply(interaction, {
+          content: '❌ That user is not muted.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      if (hasRole) {
+        await target.roles.remove(role, `[${interaction.user.tag}] ${reason}`);
+      }
+
+      const infraction = await createInfractionWithCount({
+        guildId: interaction.guildId,
+        userId: user.id,
+        moderatorId: interaction.user.id,
+        type: 'unmute',
+        reason,
+      });
+
+      const { dm_on_action: dmOnAction } = await getGuildConfig(interaction.guildId, 'dm_on_action');
+      if (dmOnAction && target) {
+        await target.send({
+          content: `🔊 **You have been unmuted in ${interaction.guild.name}**\n📝 **Reason:** ${reason}`,
+        }).catch(err => {
+          log.debug({ userId: user.id, error: err.message }, 'Could not DM user about unmute');
+        });
+      }
+
+      await emitModLog(interaction, {
+        action: 'unmute',
+        guildId: interaction.guildId,
+        actorId: interaction.user.id,
+        targetId: user.id,
+        reason,
+        ts: Date.now(),
+        caseId: infraction.id,
+      });
+
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'unmute',
+        actorId: interaction.user.id,
+        targetId: user.id,
+        details: {
+          reason,
+          caseId: infraction.id,
+          liftedMutes: lifted,
+          inGuild: !!target,
+        },
+      });
+
+      return safeReply(interaction, {
+        content: [
+          `✅ **Unmuted ${user.tag}**`,
+          `📋 **Case ID:** \`${infraction.id}\``,
+          `📝 **Reason:** ${reason}`,
+          !target ? 'ℹ️ *User is not in the server; the mute will not be re-applied if they rejoin.*' : null,
+        ].filter(Boolean).join('\n'),
+        flags: MessageFlags.Ephemeral,
+      });
+
+    } catch (err) {
+      log.error({ err, userId: user.id }, 'Unmute command error');
+
+      if (err.code === 50013) {
+        return safeReply(interaction, {
+          content: '❌ I lack permissions to remove the mute role. Check my role position.',
+          flags: MessageFlags.Ephemeral
+        });
+      }
+
+      return safeReply(interaction, {
+        content: '❌ Failed to unmute user. Please try again.',
+        flags: MessageFlags.Ephemeral
+      });
+    }
+  },
+};
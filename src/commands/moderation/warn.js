@@ -21,6 +21,11 @@ import {
   prettySecs,
 } from "../../utils/moderation/duration.js";
 import { applyModAction } from "../../utils/moderation/mod-actions.js";
+import { buildAppealButtonRow } from "../../utils/moderation/appeals.js";
+import {
+  WARN_CATEGORIES,
+  describePolicy,
+} from "../../utils/moderation/escalation.js";
 import { tx } from "../../core/db/index.js";
 import { emojies } from "../../graphics/colors.js";
 
@@ -46,6 +51,14 @@ export default {
         .setName("duration")
         .setDescription("How long this warn stays active (e.g. 7d, 12h, 45m)")
     )
+    .addStringOption((o) =>
+      o
+        .setName("category")
+        .setDescription("Warn category (used by escalation policies)")
+        .addChoices(
+          ...Object.entries(WARN_CATEGORIES).map(([value, name]) => ({ name, value }))
+        )
+    )
     .addBooleanOption((o) =>
       o.setName("silent").setDescription("Do not DM the user")
     )
@@ -55,6 +68,9 @@ export default {
     .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
     .setDMPermission(false),
 
+  requiredPerms: [PermissionFlagsBits.ModerateMembers],
+  modCapability: "warn",
+
   async execute(interaction) {
     ensureInGuild(interaction);
 
@@ -67,6 +83,7 @@ export default {
     const reason = normalizeReason(interaction.options.getString("reason"));
     const silent = interaction.options.getBoolean("silent") ?? false;
     const durationStr = interaction.options.getString("duration");
+    const category = interaction.options.getString("category");
 
     // Validate duration if provided
     let durationSeconds = null;
@@ -125,11 +142,13 @@ export default {
           type: "warn",
           reason,
           durationSeconds,
+          category,
         });
 
         const autoAction = await getAutoAction(
           interaction.guildId,
-          infraction.warnCount
+          infraction.warnCount,
+          { userId: target.id, client }
         );
         return { infraction, autoAction };
       });
@@ -160,10 +179,10 @@ export default {
             actorId: interaction.user.id,
             action: autoAction.action,
             durationSeconds: autoAction.duration_seconds,
-            reason: `Auto-escalation after ${infraction.warnCount} warns${
+            reason: `Auto-escalation (${describePolicy(autoAction)})${
               reason ? `: ${reason}` : ""
             }`,
-            context: { fromWarnId: infraction.id },
+            context: { fromWarnId: infraction.id, policyId: autoAction.id },
             isAuto: true,
           });
 
@@ -193,10 +212,13 @@ export default {
       }
 
       // Try to DM the user
-      const { dm_on_action: dmOnAction } = await getGuildConfig(
-        interaction.guildId,
-        "dm_on_action"
-      );
+      const {
+        dm_on_action: dmOnAction,
+        appeal_channel_id: appealChannelId,
+      } = await getGuildConfig(interaction.guildId, [
+        "dm_on_action",
+        "appeal_channel_id",
+      ]);
       let dmFailed = false;
 
       if (!silent && dmOnAction) {
@@ -224,6 +246,7 @@ export default {
                 "",
                 reason ? `> **Reason:** ${reason}` : null,
                 `> **Case ID:** \`${infraction.id}\``,
+                category ? `> **Category:** ${WARN_CATEGORIES[category]}` : null,
                 `> **Total warnings:** ${infraction.warnCount}`,
                 autoDmLine ? `\n${autoDmLine}` : null,
               ]
@@ -235,7 +258,12 @@ export default {
             })
             .setTimestamp();
 
-          await target.send({ embeds: [dmEmbed] });
+          await target.send({
+            embeds: [dmEmbed],
+            components: appealChannelId
+              ? [buildAppealButtonRow(infraction.id)]
+              : [],
+          });
         } catch (err) {
           dmFailed = true;
           await logAudit({
@@ -264,6 +292,7 @@ export default {
         autoAction: autoAction?.action,
         autoCaseId: autoInfraction?.id,
         dmFailed,
+        extra: category ? { category } : undefined,
       });
 
       // Audit log
@@ -276,6 +305,8 @@ export default {
           reason,
           caseId: infraction.id,
           autoAction: autoAction?.action,
+          policyId: autoAction?.id ?? null,
+          category,
           warnCount: infraction.warnCount,
           dmFailed,
         },
@@ -286,6 +317,7 @@ export default {
         `${emojies.modAction} **Warned ${target.user.tag}**`,
         `> **Case ID:** \`${infraction.id}\``,
         `> **Total warnings:** ${infraction.warnCount}`,
+        category ? `> **Category:** ${WARN_CATEGORIES[category]}` : null,
         reason ? `> **Reason:** ${reason}` : null,
         durationSeconds
           ? `${emojies.timeout} **Duration:** ${prettySecs(durationSeconds)}`
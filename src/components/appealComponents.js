@@ -0,0 +1,405 @@
+// src/components/appealComponents.js
+import {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionFlagsBits,
+  MessageFlags,
+} from 'discord.js';
+import { safeReply, emitModLog } from '../utils/moderation/mod.js';
+import {
+  revokeWarn,
+  createInfractionWithCount,
+  getGuildConfig,
+  logAudit,
+} from '../utils/moderation/mod-db.js';
+import {
+  APPEAL_REASON_MAX,
+  DECISION_NOTE_MAX,
+  makeAppealId,
+  buildAppealReviewRow,
+  buildAppealEmbed,
+  getInfraction,
+  getAppeal,
+  canAppeal,
+  humanizeAppealError,
+  createAppeal,
+  decideAppeal,
+  cancelAppeal,
+} from '../utils/moderation/appeals.js';
+import { tx } from '../core/db/index.js';
+
+/**
+ * Register appeal components
+ * - appeal:open     (button, DM)   → shows the appeal modal
+ * - appeal:submit   (modal, DM)    → stores the appeal, posts it for staff
+ * - appeal:approve  (button+modal) → decision note, revokes the infraction
+ * - appeal:deny     (button+modal) → decision note
+ * @param {import('./ComponentRouter.js').default} router
+ */
+export function registerAppealComponents(router) {
+  router.button('appeal:open', {
+    name: 'appeal_open',
+    defer: 'none',          // showModal must be the first response
+    replayScope: 'none',    // one appeal per case is enforced in the DB
+    dmPermission: true,
+    guildOnly: false,
+    skipGuildConfig: true,
+
+    async execute(interaction, context) {
+      const infractionId = context.parsed?.data?.custom?.i;
+      const infraction = infractionId ? await getInfraction(infractionId) : null;
+
+      const check = canAppeal(infraction, interaction.user.id);
+      if (!check.ok) {
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError(check.why)}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const { appeal_channel_id: appealChannelId } = await getGuildConfig(infraction.guild_id, 'appeal_channel_id');
+      if (!appealChannelId) {
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError('NoChannel')}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const modal = new ModalBuilder()
+        .setCustomId(makeAppealId('submit', infraction.id))
+        .setTitle(`Appeal ${infraction.type}`)
+        .addComponents(
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('reason')
+              .setLabel('Why should this be reversed?')
+              .setStyle(TextInputStyle.Paragraph)
+              .setMinLength(20)
+              .setMaxLength(APPEAL_REASON_MAX)
+              .setRequired(true)
+          )
+        );
+
+      await interaction.showModal(modal);
+    },
+  });
+
+  router.modal('appeal:submit', {
+    name: 'appeal_submit',
+    defer: 'reply',
+    ephemeral: true,
+    replayScope: 'none',
+    dmPermission: true,
+    guildOnly: false,
+    skipGuildConfig: true,
+
+    async execute(interaction, context) {
+      const { parsed, client, log } = context;
+      const infractionId = parsed?.data?.custom?.i;
+      const reason = interaction.fields.getTextInputValue('reason').trim().slice(0, APPEAL_REASON_MAX);
+
+      const infraction = infractionId ? await getInfraction(infractionId) : null;
+      const check = canAppeal(infraction, interaction.user.id);
+      if (!check.ok) {
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError(check.why)}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const channel = await resolveAppealChannel(client, infraction.guild_id);
+      if (!channel) {
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError('NoChannel')}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      const result = await createAppeal({
+        infractionId: infraction.id,
+        userId: interaction.user.id,
+        reason,
+      });
+      if (result.why) {
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError(result.why)}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      try {
+        await channel.send({
+          embeds: [buildAppealEmbed({ appeal: result.appeal, infraction: result.infraction, user: interaction.user })],
+          components: [buildAppealReviewRow(result.appeal.id)],
+          allowedMentions: { parse: [] },
+        });
+      } catch (err) {
+        log.error({ err, appealId: result.appeal.id, guildId: infraction.guild_id }, 'Failed to post appeal');
+        await cancelAppeal(result.appeal.id);
+        return safeReply(interaction, {
+          content: `❌ ${humanizeAppealError('NoChannel')}`,
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      // Retire the Appeal button on the DM
+      await interaction.message?.edit({ components: [] }).catch(() => {});
+
+      await logAudit({
+        guildId: infraction.guild_id,
+        actionType: 'appeal_submitted',
+        actorId: interaction.user.id,
+        targetId: interaction.user.id,
+        details: { appealId: result.appeal.id, caseId: infraction.id, type: infraction.type },
+      });
+
+      return safeReply(interaction, {
+        content: '✅ Your appeal has been submitted. You will receive a DM once staff have reviewed it.',
+        flags: MessageFlags.Ephemeral,
+      });
+    },
+  });
+
+  for (const decision of ['approve', 'deny']) {
+    router.button(`appeal:${decision}`, {
+      name: `appeal_${decision}`,
+      defer: 'none',
+      replayScope: 'none',
+      guildOnly: true,
+      dmPermission: false,
+      requiredPerms: [PermissionFlagsBits.ModerateMembers],
+
+      async execute(interaction, context) {
+        const appealId = context.parsed?.data?.custom?.i;
+        const found = appealId ? await getAppeal(appealId) : null;
+
+        const problem = reviewProblem(interaction, found, decision);
+        if (problem) {
+          return safeReply(interaction, { content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+        }
+
+        const modal = new ModalBuilder()
+          .setCustomId(makeAppealId(decision, appealId))
+          .setTitle(decision === 'approve' ? 'Approve appeal' : 'Deny appeal')
+          .addComponents(
+            new ActionRowBuilder().addComponents(
+              new TextInputBuilder()
+                .setCustomId('note')
+                .setLabel('Decision note (sent to the user)')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(DECISION_NOTE_MAX)
+                .setRequired(decision === 'deny')
+            )
+          );
+
+        await interaction.showModal(modal);
+      },
+    });
+
+    router.modal(`appeal:${decision}`, {
+      name: `appeal_${decision}_note`,
+      defer: 'reply',
+      ephemeral: true,
+      replayScope: 'none',   // decideAppeal only accepts the first decision
+      guildOnly: true,
+      dmPermission: false,
+      requiredPerms: [PermissionFlagsBits.ModerateMembers],
+
+      async execute(interaction, context) {
+        return finalizeDecision(interaction, context, decision);
+      },
+    });
+  }
+}
+
+// ---------- Helpers ----------
+
+async function resolveAppealChannel(client, guildId) {
+  const { appeal_channel_id: channelId } = await getGuildConfig(guildId, 'appeal_channel_id');
+  if (!channelId) return null;
+
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return null;
+
+  const channel = guild.channels.cache.get(channelId)
+    ?? await guild.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased?.()) return null;
+
+  const perms = guild.members.me ? channel.permissionsFor(guild.members.me) : null;
+  if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+    return null;
+  }
+  return channel;
+}
+
+/** Validation shared by the button and the modal; returns an error string or null */
+function reviewProblem(interaction, found, decision) {
+  if (!found || found.appeal.guild_id !== interaction.guildId) return 'Appeal not found.';
+  if (found.appeal.status !== 'pending') {
+    return `This appeal was already ${found.appeal.status} by <@${found.appeal.reviewed_by}>.`;
+  }
+  if (found.appeal.user_id === interaction.user.id) return 'You cannot review your own appeal.';
+  if (
+    decision === 'approve' &&
+    found.infraction.type === 'ban' &&
+    !interaction.memberPermissions?.has(PermissionFlagsBits.BanMembers)
+  ) {
+    return 'You need **Ban Members** to approve a ban appeal.';
+  }
+  return null;
+}
+
+async function finalizeDecision(interaction, context, decision) {
+  const { parsed, client, log } = context;
+  const appealId = parsed?.data?.custom?.i;
+  const note = interaction.fields.getTextInputValue('note')?.trim().slice(0, DECISION_NOTE_MAX) || null;
+
+  const found = appealId ? await getAppeal(appealId) : null;
+  const problem = reviewProblem(interaction, found, decision);
+  if (problem) {
+    return safeReply(interaction, { content: `❌ ${problem}`, flags: MessageFlags.Ephemeral });
+  }
+
+  const status = decision === 'approve' ? 'approved' : 'denied';
+  const appeal = await decideAppeal({
+    appealId,
+    reviewerId: interaction.user.id,
+    status,
+    note,
+  });
+
+  if (!appeal) {
+    return safeReply(interaction, {
+      content: '❌ This appeal was already decided by someone else.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  const { infraction } = found;
+  const lines = [`${status === 'approved' ? '✅' : '❌'} **Appeal ${status}** for <@${appeal.user_id}>`];
+
+  if (status === 'approved') {
+    try {
+      lines.push(await revokeForAppeal(interaction, infraction, appeal, note));
+    } catch (err) {
+      log.error({ err, appealId, caseId: infraction.id }, 'Failed to revoke infraction for approved appeal');
+      lines.push('⚠️ The appeal was approved but the action could not be reversed automatically. Please reverse it manually.');
+    }
+  }
+
+  await logAudit({
+    guildId: interaction.guildId,
+    actionType: `appeal_${status}`,
+    actorId: interaction.user.id,
+    targetId: appeal.user_id,
+    details: { appealId, caseId: infraction.id, type: infraction.type, note },
+  });
+
+  // Re-render the staff message with the decision and retire the buttons
+  await interaction.message?.edit({
+    embeds: [buildAppealEmbed({ appeal, infraction })],
+    components: [buildAppealReviewRow(appeal.id, true)],
+  }).catch((err) => log.debug({ err }, 'Could not update appeal message'));
+
+  // Tell the user
+  let dmFailed = false;
+  try {
+    const user = await client.users.fetch(appeal.user_id);
+    await user.send({
+      content: [
+        status === 'approved'
+          ? `✅ **Your appeal in ${interaction.guild.name} was approved.**`
+          : `❌ **Your appeal in ${interaction.guild.name} was denied.**`,
+        `📋 **Case ID:** \`${infraction.id}\``,
+        note ? `📝 **Note:** ${note}` : null,
+        status === 'approved' && infraction.type === 'ban'
+          ? 'You may now rejoin the server if you have an invite.'
+          : null,
+      ].filter(Boolean).join('\n'),
+    });
+  } catch (err) {
+    dmFailed = true;
+    log.debug({ userId: appeal.user_id, error: err.message }, 'Could not DM user about appeal decision');
+  }
+  if (dmFailed) lines.push('⚠️ Could not DM user');
+
+  return safeReply(interaction, { content: lines.join('\n'), flags: MessageFlags.Ephemeral });
+}
+
+/**
+ * Reverse the appealed infraction. Warns are revoked, bans are lifted.
+ * @returns {Promise<string>} Summary line for the moderator
+ */
+async function revokeForAppeal(interaction, infraction, appeal, note) {
+  const revokeReason = `Appeal approved${note ? `: ${note}` : ''}`;
+
+  if (infraction.type === 'warn') {
+    const revoked = await revokeWarn({
+      guildId: infraction.guild_id,
+      userId: infraction.user_id,
+      caseId: infraction.id,
+      revokerId: interaction.user.id,
+      revokeReason,
+    });
+    if (!revoked) return 'ℹ️ The warning was already inactive.';
+
+    await emitModLog(interaction, {
+      action: 'unwarn',
+      guildId: interaction.guildId,
+      actorId: interaction.user.id,
+      targetId: infraction.user_id,
+      reason: revokeReason,
+      ts: Date.now(),
+      caseId: infraction.id,
+      extra: { appealId: appeal.id },
+    });
+    return `↩️ Warning \`${infraction.id}\` revoked.`;
+  }
+
+  // ban: same bookkeeping as /unban
+  await tx(async (client) => {
+    await client.query(
+      `DELETE FROM scheduled_jobs
+       WHERE type = 'unban' AND guild_id = $1 AND user_id = $2 AND run_at > NOW()`,
+      [infraction.guild_id, infraction.user_id]
+    );
+    await client.query(
+      `UPDATE infractions
+       SET active = FALSE, revoked_at = NOW(), revoker_id = $3
+       WHERE guild_id = $1 AND user_id = $2 AND type = 'ban' AND active = TRUE`,
+      [infraction.guild_id, infraction.user_id, interaction.user.id]
+    );
+  });
+
+  try {
+    await interaction.guild.bans.remove(
+      infraction.user_id,
+      `[${interaction.user.tag}] ${revokeReason.substring(0, 400)}`
+    );
+  } catch (err) {
+    if (err.code !== 10026) throw err; // Unknown ban: already lifted
+  }
+
+  const unban = await createInfractionWithCount({
+    guildId: infraction.guild_id,
+    userId: infraction.user_id,
+    moderatorId: interaction.user.id,
+    type: 'unban',
+    reason: revokeReason,
+    context: { appealId: appeal.id, fromCaseId: infraction.id },
+  });
+
+  await emitModLog(interaction, {
+    action: 'unban',
+    guildId: interaction.guildId,
+    actorId: interaction.user.id,
+    targetId: infraction.user_id,
+    reason: revokeReason,
+    ts: Date.now(),
+    caseId: unban.id,
+    extra: { appealId: appeal.id },
+  });
+  return `🔓 User unbanned (case \`${unban.id}\`).`;
+}
@@ -13,6 +13,9 @@ import { registerTicTacToeComponents } from './games/tttComponent.js';
 import { registerAppinvitesComponents } from './registerAppinvitesComponents.js';
 import { registerWarnComponents } from './warnComponents.js';
 import { registerTestComponents } from './test_components.js';
+import { registerAppealComponents } from './appealComponents.js';
+import { registerReportComponents } from './reportComponents.js';
+import { registerRoleMenuComponents } from './rolemenuComponents.js';
 
 const log = createLogger({ mod: 'components:init' });
 
@@ -28,6 +31,9 @@ export async function initializeComponents(client) {
     registerWarnComponents(router);  
     registerAppinvitesComponents(router);
     registerTestComponents(router);
+    registerAppealComponents(router);
+    registerReportComponents(router);
+    registerRoleMenuComponents(router);
     // Add more modules here
     
   } catch (err) {
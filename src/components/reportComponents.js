@@ -0,0 +1,385 @@
+// src/components/reportComponents.js
+import {
+  ActionRowBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  PermissionFlagsBits,
+  MessageFlags,
+} from 'discord.js';
+import {
+  safeReply,
+  emitModLog,
+  checkHierarchy,
+  humanizeError,
+  normalizeReason,
+} from '../utils/moderation/mod.js';
+import {
+  createInfractionWithCount,
+  getAutoAction,
+  logAudit,
+} from '../utils/moderation/mod-db.js';
+import { applyModAction } from '../utils/moderation/mod-actions.js';
+import { enqueue } from '../core/db/jobs.js';
+import { describePolicy } from '../utils/moderation/escalation.js';
+import { parseDurationSeconds, prettySecs } from '../utils/moderation/duration.js';
+import {
+  OPEN_STATUSES,
+  REPORT_REASON_MAX,
+  makeReportId,
+  unpackSnowflake,
+  getReport,
+  updateReportStatus,
+  publishReport,
+  fileReport,
+} from '../utils/moderation/reports.js';
+
+// Report → moderation action conversions offered on the triage message
+const CONVERSIONS = Object.freeze({
+  warn:    { label: 'Warn',    needsDuration: false, perm: PermissionFlagsBits.ModerateMembers },
+  timeout: { label: 'Timeout', needsDuration: true,  perm: PermissionFlagsBits.ModerateMembers },
+  ban:     { label: 'Ban',     needsDuration: false, perm: PermissionFlagsBits.BanMembers },
+});
+
+const MAX_TIMEOUT_SECONDS = 28 * 24 * 60 * 60;
+
+/**
+ * Register report components
+ * - report:submit                (modal)        → "Report message" context menu
+ * - report:claim / report:dismiss (button)
+ * - report:warn|timeout|ban      (button+modal) → convert the report into an action
+ * @param {import('./ComponentRouter.js').default} router
+ */
+export function registerReportComponents(router) {
+  router.modal('report:submit', {
+    name: 'report_submit',
+    defer: 'reply',
+    ephemeral: true,
+    replayScope: 'none',     // duplicates are folded by submitReport
+    guildOnly: true,
+    dmPermission: false,
+
+    async execute(interaction, context) {
+      const { parsed, log } = context;
+      const custom = parsed?.data?.custom ?? {};
+      const reason = normalizeReason(interaction.fields.getTextInputValue('reason')).slice(0, REPORT_REASON_MAX);
+
+      const channel = custom.c
+        ? await interaction.guild.channels.fetch(unpackSnowflake(custom.c)).catch(() => null)
+        : null;
+      const message = channel?.isTextBased?.() && custom.m
+        ? await channel.messages.fetch(unpackSnowflake(custom.m)).catch(() => null)
+        : null;
+
+      if (!message) {
+        return safeReply(interaction, {
+          content: '❌ I could not find that message. It may have been deleted.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      try {
+        const content = await fileReport({
+          guild: interaction.guild,
+          reporter: interaction.user,
+          target: message.author,
+          reason,
+          message,
+        });
+        return safeReply(interaction, { content, flags: MessageFlags.Ephemeral });
+      } catch (err) {
+        log.error({ err }, 'Message report failed');
+        return safeReply(interaction, {
+          content: '❌ Failed to submit report. Please try again later.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+    },
+  });
+
+  router.button('report:claim', {
+    name: 'report_claim',
+    defer: 'update',
+    replayScope: 'none',
+    guildOnly: true,
+    requiredPerms: [PermissionFlagsBits.ModerateMembers],
+
+    async execute(interaction, context) {
+      const reportId = context.parsed?.data?.custom?.i;
+      const report = await updateReportStatus({
+        guildId: interaction.guildId,
+        reportId,
+        status: 'reviewed',
+        reviewerId: interaction.user.id,
+        context: { claimed_by: interaction.user.id },
+      });
+
+      if (!report) {
+        return interaction.followUp({
+          content: '❌ This report was already claimed or closed.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await publishReport(interaction.guild, report);
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'report_claim',
+        actorId: interaction.user.id,
+        targetId: report.target_id,
+        details: { reportId },
+      });
+    },
+  });
+
+  router.button('report:dismiss', {
+    name: 'report_dismiss',
+    defer: 'update',
+    replayScope: 'none',
+    guildOnly: true,
+    requiredPerms: [PermissionFlagsBits.ModerateMembers],
+
+    async execute(interaction, context) {
+      const reportId = context.parsed?.data?.custom?.i;
+      const report = await updateReportStatus({
+        guildId: interaction.guildId,
+        reportId,
+        status: 'dismissed',
+        reviewerId: interaction.user.id,
+        context: { resolution: { action: 'dismissed' } },
+      });
+
+      if (!report) {
+        return interaction.followUp({
+          content: '❌ This report was already closed.',
+          flags: MessageFlags.Ephemeral,
+        });
+      }
+
+      await publishReport(interaction.guild, report);
+      await logAudit({
+        guildId: interaction.guildId,
+        actionType: 'report_dismiss',
+        actorId: interaction.user.id,
+        targetId: report.target_id,
+        details: { reportId },
+      });
+    },
+  });
+
+  for (const [action, conv] of Object.entries(CONVERSIONS)) {
+    router.button(`report:${action}`, {
+      name: `report_${action}`,
+      defer: 'none',        // showModal must be the first response
+      replayScope: 'none',
+      guildOnly: true,
+      requiredPerms: [conv.perm],
+
+      async execute(interaction, context) {
+        const reportId = context.parsed?.data?.custom?.i;
+        const report = reportId ? await getReport(reportId) : null;
+
+        if (!report || report.guild_id !== interaction.guildId || !OPEN_STATUSES.includes(report.status)) {
+          return safeReply(interaction, {
+            content: '❌ This report was already closed.',
+            flags: MessageFlags.Ephemeral,
+          });
+        }
+
+        const rows = [
+          new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('reason')
+              .setLabel('Reason')
+              .setStyle(TextInputStyle.Paragraph)
+              .setMaxLength(512)
+              .setValue(report.reason.slice(0, 512))
+              .setRequired(true)
+          ),
+        ];
+        if (action !== 'warn') {
+          rows.push(new ActionRowBuilder().addComponents(
+            new TextInputBuilder()
+              .setCustomId('duration')
+              .setLabel(conv.needsDuration ? 'Duration (e.g. 1h, 1d)' : 'Duration (empty = permanent)')
+              .setStyle(TextInputStyle.Short)
+              .setMaxLength(20)
+              .setRequired(conv.needsDuration)
+          ));
+        }
+
+        await interaction.showModal(
+          new ModalBuilder()
+            .setCustomId(makeReportId(action, { i: report.id }))
+            .setTitle(`${conv.label} reported user`)
+            .addComponents(...rows)
+        );
+      },
+    });
+
+    router.modal(`report:${action}`, {
+      name: `report_${action}_submit`,
+      defer: 'reply',
+      ephemeral: true,
+      replayScope: 'none',  // the report status guards against double handling
+      guildOnly: true,
+      requiredPerms: [conv.perm],
+
+      async execute(interaction, context) {
+        return convertReport(interaction, context, action);
+      },
+    });
+  }
+}
+
+// ---------- Helpers ----------
+
+async function convertReport(interaction, context, action) {
+  const { parsed, log } = context;
+  const reportId = parsed?.data?.custom?.i;
+  const reply = (content) => safeReply(interaction, { content, flags: MessageFlags.Ephemeral });
+
+  const report = reportId ? await getReport(reportId) : null;
+  if (!report || report.guild_id !== interaction.guildId || !OPEN_STATUSES.includes(report.status)) {
+    return reply('❌ This report was already closed.');
+  }
+
+  const reason = normalizeReason(interaction.fields.getTextInputValue('reason'));
+  let durationSeconds = null;
+  if (action !== 'warn') {
+    const raw = interaction.fields.getTextInputValue('duration')?.trim();
+    if (raw) {
+      durationSeconds = parseDurationSeconds(raw);
+      if (!durationSeconds || durationSeconds <= 0) {
+        return reply('❌ Invalid duration format. Examples: `30m`, `1h`, `1d`');
+      }
+    }
+    if (action === 'timeout' && (!durationSeconds || durationSeconds > MAX_TIMEOUT_SECONDS)) {
+      return reply('❌ Timeout duration must be between 1 second and 28 days.');
+    }
+  }
+
+  const guild = interaction.guild;
+  const member = await guild.members.fetch(report.target_id).catch(() => null);
+
+  if (member) {
+    const h = checkHierarchy({ guild, me: guild.members.me, actor: interaction.member, target: member });
+    if (!h.ok) return reply(`❌ ${humanizeError(h.why)}`);
+  } else if (action === 'timeout') {
+    return reply('❌ That user is no longer in the server.');
+  }
+
+  const modContext = { reportId: report.id };
+  let infraction = null;
+  const notes = [];
+
+  try {
+    if (action === 'warn') {
+      infraction = await createInfractionWithCount({
+        guildId: guild.id,
+        userId: report.target_id,
+        moderatorId: interaction.user.id,
+        type: 'warn',
+        reason,
+        context: modContext,
+      });
+
+      // Same threshold escalation as /warn
+      const autoAction = await getAutoAction(guild.id, infraction.warnCount, { userId: report.target_id });
+      if (member && autoAction && autoAction.action !== 'none') {
+        const res = await applyModAction({
+          guild,
+          target: member,
+          actorId: interaction.user.id,
+          action: autoAction.action,
+          durationSeconds: autoAction.duration_seconds,
+          reason: `Auto-escalation (${describePolicy(autoAction)}): ${reason}`,
+          context: { fromWarnId: infraction.id, policyId: autoAction.id, ...modContext },
+          isAuto: true,
+        });
+        notes.push(res.applied
+          ? `🔨 Auto-action triggered: ${autoAction.action}`
+          : `⚠️ Auto-action failed: ${res.msg}`);
+      }
+    } else if (member) {
+      const res = await applyModAction({
+        guild,
+        target: member,
+        actorId: interaction.user.id,
+        action,
+        durationSeconds,
+        reason,
+        context: modContext,
+      });
+      if (!res.applied) return reply(`❌ ${res.msg}`);
+      infraction = res.infraction;
+    } else {
+      // ban of a user who already left
+      await guild.bans.create(report.target_id, {
+        reason: `[${interaction.user.tag}] ${reason}`.slice(0, 512),
+      });
+      infraction = await createInfractionWithCount({
+        guildId: guild.id,
+        userId: report.target_id,
+        moderatorId: interaction.user.id,
+        type: 'ban',
+        reason,
+        durationSeconds,
+        context: modContext,
+      });
+      // Temporary: lift it on schedule, as /ban does
+      if (durationSeconds) {
+        await enqueue({
+          type: 'unban',
+          guild_id: guild.id,
+          user_id: report.target_id,
+          infraction_id: infraction.id,
+          run_at: new Date(Date.now() + durationSeconds * 1000),
+          priority: 60,
+          data: { bannedBy: interaction.user.id, reason, duration: durationSeconds },
+        });
+        notes.push(`⏱️ User was not in the server; the ban is lifted in ${prettySecs(durationSeconds)}.`);
+      }
+    }
+  } catch (err) {
+    log.error({ err, reportId, action }, 'Report conversion failed');
+    return reply(`❌ Failed to ${action} user. Please check my permissions.`);
+  }
+
+  const updated = await updateReportStatus({
+    guildId: guild.id,
+    reportId: report.id,
+    status: 'actioned',
+    reviewerId: interaction.user.id,
+    context: { resolution: { action, caseId: infraction?.id ?? null } },
+  });
+
+  await emitModLog(interaction, {
+    action,
+    guildId: guild.id,
+    actorId: interaction.user.id,
+    targetId: report.target_id,
+    reason,
+    ts: Date.now(),
+    caseId: infraction?.id,
+    duration: durationSeconds,
+    jumpUrl: report.context?.url,
+    extra: { reportId: report.id },
+  });
+
+  await logAudit({
+    guildId: guild.id,
+    actionType: 'report_actioned',
+    actorId: interaction.user.id,
+    targetId: report.target_id,
+    details: { reportId: report.id, action, caseId: infraction?.id, durationSeconds },
+  });
+
+  if (updated) await publishReport(guild, updated);
+
+  return reply([
+    `✅ **${CONVERSIONS[action].label}** applied to <@${report.target_id}>${durationSeconds ? ` for ${prettySecs(durationSeconds)}` : ''}`,
+    infraction ? `📋 **Case ID:** \`${infraction.id}\`` : null,
+    ...notes,
+  ].filter(Boolean).join('\n'));
+}
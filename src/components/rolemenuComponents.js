@@ -0,0 +1,94 @@
+// src/components/rolemenuComponents.js
+import { MessageFlags } from 'discord.js';
+import { safeReply } from '../utils/moderation/mod.js';
+import {
+  getMenu,
+  getMenuRoles,
+  planSelection,
+  humanizeRoleMenuError,
+} from '../utils/moderation/rolemenus.js';
+
+/**
+ * Register role menu components
+ * - rolemenu:toggle (button)        → add/remove one role
+ * - rolemenu:select (string select) → set the member's roles from this menu
+ * @param {import('./ComponentRouter.js').default} router
+ */
+export function registerRoleMenuComponents(router) {
+  router.button('rolemenu:toggle', {
+    name: 'rolemenu_toggle',
+    defer: 'reply',
+    ephemeral: true,
+    replayScope: 'none',    // shared message: every member clicks the same ID
+    guildOnly: true,
+    dmPermission: false,
+    cooldownMs: 2000,
+
+    async execute(interaction, context) {
+      const { m: menuId, r: roleId } = context.parsed?.data?.custom ?? {};
+      return applyMenuChoice(interaction, context, menuId, (held, menu) => {
+        if (held.includes(roleId)) return held.filter(id => id !== roleId);
+        return menu.mode === 'single' ? [roleId] : [...held, roleId];
+      });
+    },
+  });
+
+  router.stringSelect('rolemenu:select', {
+    name: 'rolemenu_select',
+    defer: 'reply',
+    ephemeral: true,
+    replayScope: 'none',
+    guildOnly: true,
+    dmPermission: false,
+    cooldownMs: 2000,
+
+    async execute(interaction, context) {
+      const menuId = context.parsed?.data?.custom?.m;
+      return applyMenuChoice(interaction, context, menuId, () => interaction.values);
+    },
+  });
+}
+
+// ---------- Helpers ----------
+
+/**
+ * @param {import('discord.js').MessageComponentInteraction} interaction
+ * @param {Object} context
+ * @param {number} menuId
+ * @param {(held: string[], menu: Object) => string[]} pick - wanted menu roles after this interaction
+ */
+async function applyMenuChoice(interaction, context, menuId, pick) {
+  const reply = (content) => safeReply(interaction, { content, flags: MessageFlags.Ephemeral });
+
+  const menu = menuId ? await getMenu(menuId) : null;
+  if (!menu || !menu.is_active || menu.guild_id !== interaction.guildId) {
+    return reply('❌ This role menu no longer exists.');
+  }
+  if (menu.message_id && menu.message_id !== interaction.message?.id) {
+    return reply('❌ This role menu has moved. Please use the latest one.');
+  }
+
+  const member = interaction.member;
+  const options = await getMenuRoles(menu.id);
+  const held = options.map(o => o.role_id).filter(id => member.roles.cache.has(id));
+
+  const plan = planSelection(member, menu, options, pick(held, menu));
+  if (!plan.ok) return reply(`❌ ${humanizeRoleMenuError(plan.why, menu)}`);
+
+  if (!plan.add.length && !plan.remove.length) {
+    return reply('Nothing changed.');
+  }
+
+  try {
+    if (plan.remove.length) await member.roles.remove(plan.remove, `Role menu: ${menu.name}`);
+    if (plan.add.length) await member.roles.add(plan.add, `Role menu: ${menu.name}`);
+  } catch (err) {
+    context.log.error({ err, menuId: menu.id, userId: member.id }, 'Role menu update failed');
+    return reply('❌ I could not update your roles. Please tell a moderator.');
+  }
+
+  return reply([
+    plan.add.length ? `✅ Added: ${plan.add.map(r => `${r}`).join(', ')}` : null,
+    plan.remove.length ? `➖ Removed: ${plan.remove.map(r => `${r}`).join(', ')}` : null,
+  ].filter(Boolean).join('\n'));
+}
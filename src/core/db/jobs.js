@@ -1,5 +1,10 @@
 import { query, tx } from './index.js';
 import { createLogger } from '../logger.js';
+import { queueModLog } from '../../utils/moderation/mod-log.js';
+import { getActiveMute, expireMutes } from '../../utils/moderation/mute.js';
+import { unlockChannel, setLockdownFlag } from '../../utils/moderation/lockdown.js';
+import { endRaid } from '../../utils/automod/anti-raid.js';
+import { pickEscalation, describePolicy } from '../../utils/moderation/escalation.js';
 
 const log = createLogger({ mod: 'jobWorker' });
 
@@ -55,6 +60,28 @@ export async function scheduleComponentCleanup(client) {
   );
 }
 
+const WARN_DECAY_BATCH = 200;              // warns deactivated per job run
+const WARN_DECAY_INTERVAL_SECONDS = 86_400;
+const WARN_DECAY_FOLLOWUP_SECONDS = 10;   // next batch when a pass is not finished
+
+/**
+ * Ensure each guild has a pending warn_decay pass.
+ * Idempotent: the partial unique index allows one unlocked pass per guild.
+ * @param {string[]} guildIds
+ * @param {number} [delaySeconds=60]
+ */
+export async function scheduleWarnDecay(guildIds, delaySeconds = 60) {
+  if (!guildIds?.length) return;
+  await query(
+    `INSERT INTO scheduled_jobs (type, guild_id, run_at, priority, data)
+     SELECT 'warn_decay', g.guild_id, NOW() + make_interval(secs => $2), 20, '{}'
+     FROM guild_config g
+     WHERE g.guild_id = ANY($1::text[])
+     ON CONFLICT DO NOTHING`,
+    [guildIds, delaySeconds]
+  );
+}
+
 /**
  * Process due jobs with proper locking.
  * FIXED: Using CTE for proper FOR UPDATE SKIP LOCKED
@@ -178,6 +205,13 @@ async function handleJob(client, job) {
       
       // Log to audit with worker ID
       await logJobCompletion(job, 'User unbanned after temporary ban', job.locked_by);
+      queueModLog(guild, {
+        action: 'unban',
+        targetId: job.user_id,
+        reason: 'Temporary ban expired',
+        caseId: job.infraction_id ?? undefined,
+        ts: Date.now(),
+      });
       
       // Try to notify user (if we have DM capability)
       const user = await client.users.fetch(job.user_id).catch(() => null);
@@ -208,11 +242,39 @@ async function handleJob(client, job) {
       await member.timeout(null, `Timeout expired (Job #${job.id})`);
       
       await logJobCompletion(job, 'Timeout removed after duration', job.locked_by);
+      queueModLog(guild, {
+        action: 'untimeout',
+        targetId: job.user_id,
+        reason: 'Timeout expired',
+        caseId: job.infraction_id ?? undefined,
+        ts: Date.now(),
+      });
       break;
     }
 
     case 'unmute': {
       if (!job.user_id) throw new Error('user_id required for unmute job');
+
+      const active = await getActiveMute(job.guild_id, job.user_id);
+      if (active && String(active.id) !== String(job.infraction_id)) {
+        // Re-muted since this job was queued: the newer mute owns the expiry
+        log.debug({ jobId: job.id, userId: job.user_id }, 'Mute superseded, skipping unmute');
+        return;
+      }
+      if (active?.expires_at && new Date(active.expires_at) > new Date()) {
+        // Our own mute was extended (or the job ran early): try again when it ends
+        await enqueue({
+          type: 'unmute',
+          guild_id: job.guild_id,
+          user_id: job.user_id,
+          infraction_id: job.infraction_id,
+          run_at: active.expires_at,
+          priority: job.priority,
+          data: job.data ?? {},
+        });
+        return;
+      }
+      await expireMutes(job.guild_id, job.user_id);
       
       const member = await guild.members.fetch(job.user_id).catch(() => null);
       if (!member) {
@@ -245,6 +307,13 @@ async function handleJob(client, job) {
       );
       
       await logJobCompletion(job, 'Mute role removed after duration', job.locked_by);
+      queueModLog(guild, {
+        action: 'unmute',
+        targetId: job.user_id,
+        reason: 'Mute expired',
+        caseId: job.infraction_id ?? undefined,
+        ts: Date.now(),
+      });
       break;
     }
 
@@ -336,6 +405,13 @@ async function handleJob(client, job) {
     }
 
     case 'lockdown_end': {
+      // Guild-wide anti-raid lockdown
+      if (jobData?.raidId) {
+        const ended = await endRaid(guild, { raidId: jobData.raidId });
+        await logJobCompletion(job, ended ? 'Raid lockdown expired' : 'Raid already ended', job.locked_by);
+        break;
+      }
+
       if (!job.channel_id) throw new Error('channel_id required for lockdown_end job');
       
       const channel = await guild.channels.fetch(job.channel_id).catch(() => null);
@@ -353,17 +429,74 @@ async function handleJob(client, job) {
         return;
       }
       
-      // Remove lockdown (allow SendMessages for @everyone)
-      const everyone = guild.roles.everyone;
-      await channel.permissionOverwrites.edit(
-        everyone, 
-        { SendMessages: null }, 
-        { reason: `Lockdown expired (Job #${job.id})` }
-      );
+      // Remove lockdown (everything /lock denied for @everyone)
+      await unlockChannel(channel, `Lockdown expired (Job #${job.id})`);
+      await setLockdownFlag({ guildId: job.guild_id, channelIds: [channel.id], enabled: false });
       
       await logJobCompletion(job, 'Channel lockdown removed after duration', job.locked_by);
+      queueModLog(guild, {
+        action: 'channel_unlock',
+        targetId: job.channel_id,
+        targetType: 'channel',
+        reason: 'Temporary lock expired',
+        caseId: job.infraction_id ?? undefined,
+        ts: Date.now(),
+      });
       break;
     }
+
+    case 'role_expire': {
+      if (!job.user_id) throw new Error('user_id required for role_expire job');
+
+      const { rows: [grant] } = await query(
+        `SELECT * FROM temp_roles WHERE id = $1::uuid`,
+        [jobData.tempRoleId]
+      );
+      if (!grant) {
+        log.debug({ jobId: job.id }, 'Temp role grant already removed');
+        return;
+      }
+
+      // Extended while this job was locked: make sure a job exists for the new expiry
+      if (new Date(grant.expires_at) > new Date()) {
+        const { rowCount } = await query(
+          `SELECT 1 FROM scheduled_jobs
+           WHERE type = 'role_expire' AND data->>'tempRoleId' = $1 AND id <> $2`,
+          [grant.id, job.id]
+        );
+        if (!rowCount) {
+          await enqueue({
+            type: 'role_expire',
+            guild_id: grant.guild_id,
+            user_id: grant.user_id,
+            run_at: grant.expires_at,
+            priority: job.priority,
+            data: { tempRoleId: grant.id, roleId: grant.role_id },
+          });
+        }
+        return;
+      }
+
+      const member = await guild.members.fetch(job.user_id).catch(() => null);
+      const role = guild.roles.cache.get(grant.role_id);
+      if (member && role && member.roles.cache.has(role.id)) {
+        await member.roles.remove(
+          role,
+          `Temporary role expired (Job #${job.id})`
+        );
+      }
+
+      await query(`DELETE FROM temp_roles WHERE id = $1`, [grant.id]);
+
+      await logJobCompletion(job, 'Temporary role removed after duration', job.locked_by);
+      break;
+    }
+
+    case 'warn_decay': {
+      await runWarnDecayPass(client, guild, job);
+      break;
+    }
+
     case 'cleanup_components': {
       await query('SELECT cleanup_expired_components()');
       
@@ -376,6 +509,170 @@ async function handleJob(client, job) {
   }
 }
 
+/**
+ * One batch of a guild's warn decay pass.
+ * Deactivates the oldest warns past warn_decay_days and writes a `pardon`
+ * audit row per warn in the same statement, so a crash never loses track:
+ * the next run simply picks up the remaining active warns. Each affected
+ * user's threshold standing is then re-evaluated from their remaining warns
+ * against the guild's warn_thresholds policies (windows and categories
+ * included) and recorded as a `warn_standing` audit row. Schedules a quick
+ * follow-up while more remain, otherwise the next daily pass.
+ * @param {import('discord.js').Client} client
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} job
+ */
+async function runWarnDecayPass(client, guild, job) {
+  const { rows: [config] } = await query(
+    `SELECT COALESCE(warn_decay_days, 30) AS decay_days,
+            COALESCE(warn_decay_dm, FALSE) AS decay_dm,
+            max_warns
+     FROM guild_config WHERE guild_id = $1`,
+    [job.guild_id]
+  );
+
+  let decayed = [];
+  if (config && config.decay_days > 0) {
+    ({ rows: decayed } = await query(
+      `WITH batch AS (
+         SELECT id FROM infractions
+         WHERE guild_id = $1
+           AND type = 'warn'
+           AND active = TRUE
+           AND created_at < NOW() - INTERVAL '1 day' * $2
+         ORDER BY created_at ASC, id ASC
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       ),
+       decayed AS (
+         UPDATE infractions i
+         SET active = FALSE,
+             context = COALESCE(i.context, '{}'::jsonb)
+                       || jsonb_build_object('decayed_at', NOW(), 'decay_days', $2::int)
+         FROM batch b
+         WHERE i.id = b.id
+         RETURNING i.id, i.user_id, i.reason, i.created_at
+       ),
+       audit AS (
+         INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details, timestamp)
+         SELECT $1, 'pardon', 'system', d.user_id,
+                jsonb_build_object('caseId', d.id, 'reason', 'Warning expired (decay)',
+                                   'decayDays', $2::int, 'jobId', $4::text),
+                NOW()
+         FROM decayed d
+       )
+       SELECT * FROM decayed`,
+      [job.guild_id, config.decay_days, WARN_DECAY_BATCH, job.id]
+    ));
+  }
+
+  if (decayed.length) {
+    // Recompute threshold standing for everyone who lost a warn
+    const userIds = [...new Set(decayed.map(d => d.user_id))];
+    const standing = await recomputeWarnStanding(job, config, userIds);
+
+    log.info({
+      guildId: job.guild_id,
+      decayed: decayed.length,
+      users: userIds.length,
+    }, 'Warn decay batch');
+
+    if (config.decay_dm) {
+      for (const userId of userIds) {
+        const expired = decayed.filter(d => d.user_id === userId).length;
+        const state = standing.get(userId);
+        const user = await client.users.fetch(userId).catch(() => null);
+        await user?.send({
+          content: [
+            `🕊️ ${expired === 1 ? 'A warning' : `${expired} warnings`} in **${guild.name}** expired `
+              + `after ${config.decay_days} days.`,
+            `You now have **${state.activeWarns}** active warning(s).`,
+            state.policy ? `You still meet the warning threshold **${describePolicy(state.policy)}**.` : null,
+          ].filter(Boolean).join('\n'),
+        }).catch(() => {});
+      }
+    }
+
+    await logJobCompletion(job, `Decayed ${decayed.length} warns for ${userIds.length} users`, job.locked_by);
+  }
+
+  const more = decayed.length === WARN_DECAY_BATCH;
+  await query(
+    `INSERT INTO scheduled_jobs (type, guild_id, run_at, priority, data)
+     VALUES ('warn_decay', $1, NOW() + make_interval(secs => $2), 20, $3)
+     ON CONFLICT DO NOTHING`,
+    [
+      job.guild_id,
+      more ? WARN_DECAY_FOLLOWUP_SECONDS : WARN_DECAY_INTERVAL_SECONDS,
+      JSON.stringify({ batch: more ? (Number(job.data?.batch) || 0) + 1 : 0 }),
+    ]
+  );
+}
+
+/**
+ * Re-evaluate which warn threshold each user still meets after decay.
+ * Uses the same policy selection as getAutoAction (windowed and category
+ * policies count only their own warns) but ignores firing cooldowns: this is
+ * the user's standing, not a new punishment.
+ * @param {Object} job
+ * @param {{ decay_days: number, max_warns: number|null }} config
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, { activeWarns: number, policy: Object|null }>>}
+ */
+async function recomputeWarnStanding(job, config, userIds) {
+  const [{ rows: policies }, { rows: warns }] = await Promise.all([
+    query(
+      `SELECT id, threshold, action, duration_seconds, window_seconds, category
+       FROM warn_thresholds
+       WHERE guild_id = $1`,
+      [job.guild_id]
+    ),
+    query(
+      `SELECT user_id, created_at, category
+       FROM infractions
+       WHERE guild_id = $1
+         AND user_id = ANY($2::text[])
+         AND type = 'warn'
+         AND active = TRUE
+         AND (expires_at IS NULL OR expires_at > NOW())
+         AND created_at >= NOW() - INTERVAL '1 day' * $3`,
+      [job.guild_id, userIds, config.decay_days]
+    ),
+  ]);
+
+  const now = new Date();
+  const standing = new Map();
+  for (const userId of userIds) {
+    const active = warns.filter(w => w.user_id === userId);
+    let policy = pickEscalation(policies, active, now);
+    // No policies: the guild's max_warns fallback, as in getAutoAction
+    if (!policies.length && config.max_warns && active.length >= config.max_warns) {
+      policy = { action: 'timeout', duration_seconds: 86400, threshold: config.max_warns, count: active.length };
+    }
+    standing.set(userId, { activeWarns: active.length, policy });
+  }
+
+  await query(
+    `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details, timestamp)
+     SELECT $1, 'warn_standing', 'system', s->>'userId', s - 'userId', NOW()
+     FROM jsonb_array_elements($2::jsonb) AS s`,
+    [
+      job.guild_id,
+      JSON.stringify([...standing].map(([userId, { activeWarns, policy }]) => ({
+        userId,
+        activeWarns,
+        policyId: policy?.id ?? null,
+        threshold: policy?.threshold ?? null,
+        action: policy?.action ?? null,
+        reason: 'Warn decay',
+        jobId: job.id,
+      }))),
+    ]
+  );
+
+  return standing;
+}
+
 /**
  * Log job completion to audit_logs.
  * FIXED: Stringify the details object
@@ -426,6 +723,26 @@ export async function cleanupOldJobs(daysOld = 30) {
   return rowCount;
 }
 
+/**
+ * Forget invite codes nobody has posted for a while. invite_targets rows are
+ * refreshed whenever a code is resolved again, so resolved_at doubles as last use.
+ * @param {number} daysOld - Delete rows resolved longer ago than this many days
+ * @returns {Promise<number>} Number of rows deleted
+ */
+export async function cleanupInviteTargets(daysOld = 7) {
+  const { rowCount } = await query(
+    `DELETE FROM invite_targets
+     WHERE resolved_at < NOW() - INTERVAL '1 day' * $1`,
+    [daysOld]
+  );
+
+  if (rowCount > 0) {
+    log.info({ deleted: rowCount, daysOld }, 'Cleaned up stale invite targets');
+  }
+
+  return rowCount;
+}
+
 /**
  * Get job statistics.
  * @param {string} guildId - Optional guild filter
@@ -452,7 +769,9 @@ export async function getJobStats(guildId = null) {
 
 export default {
   enqueue,
+  scheduleWarnDecay,
   runDueJobs,
   cleanupOldJobs,
+  cleanupInviteTargets,
   getJobStats
 };
\ No newline at end of file
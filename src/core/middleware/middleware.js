@@ -5,6 +5,11 @@
 import { ChannelType, MessageFlags } from "discord.js";
 import { claimNonce } from "../../infra/reply-guard.js";
 import { applyCooldown } from "./cooldown.js";
+import { resolveCapability } from "../../utils/moderation/role-perms.js";
+import { parseDurationSeconds, prettySecs } from "../../utils/moderation/duration.js";
+import { createLogger } from "../logger.js";
+
+const log = createLogger({ mod: "middleware" });
 
 // ---- Cooldowns: expiry map + lazy GC (no per-key timers) ----
 const cooldowns = new Map(); // key -> expiryTs (ms)
@@ -80,6 +85,56 @@ function hasBotPerms(interaction, requiredPerms) {
     return perms.has(requiredPerms, true);
 }
 
+/**
+ * Role override stage: the member lacks the Discord permission bits, but one of
+ * their roles may grant the command's capability via role_permissions
+ * (optionally capped by max_duration on the command's duration option).
+ * @returns {Promise<{ok: true} | {ok: false, reason: string, msg: string}>}
+ */
+async function checkModOverride(interaction, command) {
+    const cap = command.modCapability;
+    if (!interaction.inGuild() || !interaction.member?.roles?.cache) {
+        return { ok: false, reason: "userPerms", msg: "You lack the required permissions for this command." };
+    }
+
+    let grant;
+    try {
+        grant = await resolveCapability(interaction.member, cap);
+    } catch (err) {
+        log.error({ err, guildId: interaction.guildId, capability: cap }, "Role override lookup failed");
+        return { ok: false, reason: "modOverrideError", msg: "Could not check your moderator role permissions. Try again shortly." };
+    }
+
+    if (!grant.allowed) {
+        return {
+            ok: false,
+            reason: "modCapability",
+            msg: `You need the Discord permission for this command, or a moderator role allowed to **${cap}** (see \`/modperms\`).`,
+        };
+    }
+
+    if (grant.maxDuration && command.durationOption) {
+        const raw = interaction.options?.getString?.(command.durationOption);
+        const seconds = raw ? parseDurationSeconds(raw) : null;
+        if (!seconds) {
+            return {
+                ok: false,
+                reason: "modDuration",
+                msg: `Your moderator role must set a \`${command.durationOption}\` of at most **${prettySecs(grant.maxDuration)}**.`,
+            };
+        }
+        if (seconds > grant.maxDuration) {
+            return {
+                ok: false,
+                reason: "modDuration",
+                msg: `Your moderator role can only **${cap}** for up to **${prettySecs(grant.maxDuration)}** (you asked for ${prettySecs(seconds)}).`,
+            };
+        }
+    }
+
+    return { ok: true };
+}
+
 function safeBumpDenies(client, reason) {
     const stats = (client.stats ??= {});
     const denies = (stats.denies ??= {});
@@ -111,7 +166,9 @@ function gcCooldowns(nowTs = Date.now()) {
  *   guildOnly?: boolean,
  *   ownerOnly?: boolean,
  *   dmPermission?: boolean,     // default: true
- *   ownerBypass?: boolean       // default: true
+ *   ownerBypass?: boolean,      // default: true
+ *   modCapability?: 'warn'|'mute'|'kick'|'ban'|'rules', // role_permissions override for requiredPerms
+ *   durationOption?: string     // option capped by the override's max_duration
  * }} command
  * @returns {Promise<{ok: true} | {ok:false, reason:string, remaining?:number}>}
  */
@@ -171,12 +228,21 @@ export async function runMiddleware(interaction, command) {
         return { ok: false, reason: "ownerOnly" };
     }
 
-    // 3) User perms (guild)
+    // 3) User perms (guild), falling back to role_permissions overrides
     if (!userIsOwner || !ownerBypass) {
         if (requiredPerms.length && !hasUserPerms(interaction, requiredPerms)) {
-            safeBumpDenies(client, "userPerms");
-            await deny("You lack the required permissions for this command.");
-            return { ok: false, reason: "userPerms" };
+            if (!command.modCapability) {
+                safeBumpDenies(client, "userPerms");
+                await deny("You lack the required permissions for this command.");
+                return { ok: false, reason: "userPerms" };
+            }
+
+            const res = await checkModOverride(interaction, command);
+            if (!res.ok) {
+                safeBumpDenies(client, res.reason);
+                await deny(res.msg);
+                return { ok: false, reason: res.reason };
+            }
         }
     }
 
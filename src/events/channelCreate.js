@@ -0,0 +1,26 @@
+// src/events/channelCreate.js
+import { Events, PermissionFlagsBits } from 'discord.js';
+import { getMuteRole, applyMuteOverwrite } from '../utils/moderation/mute.js';
+import { createLogger } from '../core/logger.js';
+const log = createLogger({ mod: 'channelCreate' });
+
+export default {
+  name: Events.ChannelCreate,
+  async execute(channel) {
+    if (!channel.guild) return;
+    try {
+      // New channels get the mute role's deny overwrite
+      const role = await getMuteRole(channel.guild);
+      if (!role) return;
+
+      const perms = channel.permissionsFor(channel.guild.members.me);
+      if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageRoles])) return;
+
+      if (await applyMuteOverwrite(channel, role, 'Mute role sync (new channel)')) {
+        log.debug({ guildId: channel.guild.id, channelId: channel.id }, 'Applied mute overwrite to new channel');
+      }
+    } catch (err) {
+      log.error({ err, guildId: channel.guild?.id, channelId: channel.id }, 'channelCreate handler failed');
+    }
+  }
+};
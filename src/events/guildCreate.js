@@ -1,5 +1,6 @@
 // src/events/guildCreate.js
 import { ensureGuildRow } from '../core/db/guild.js';
+import { scheduleWarnDecay } from '../core/db/jobs.js';
 import { createLogger } from '../core/logger.js';
 const log = createLogger({ mod: 'guildCreate' });
 
@@ -7,6 +8,7 @@ export default {
   name: 'guildCreate',
   async execute(guild) {
     await ensureGuildRow(guild.id);
+    await scheduleWarnDecay([guild.id]);
     log.info({ guildId: guild.id, name: guild.name }, 'Ensured guild_config on join');
   }
 };
@@ -0,0 +1,42 @@
+// src/events/guildMemberAdd.js
+import { Events } from 'discord.js';
+import { reapplyTempRoles } from '../utils/moderation/temp-roles.js';
+import { reapplyMute } from '../utils/moderation/mute.js';
+import { handleMemberJoin } from '../utils/automod/anti-raid.js';
+import { createLogger } from '../core/logger.js';
+const log = createLogger({ mod: 'guildMemberAdd' });
+
+export default {
+  name: Events.GuildMemberAdd,
+  async execute(member, client) {
+    const ctx = { guildId: member.guild.id, userId: member.id };
+
+    // Join-flood detection runs first so slow or failing rejoin steps can't delay or skip it
+    // (needs Redis-backed automod state)
+    if (client.autoMod) {
+      try {
+        const raid = await handleMemberJoin(member);
+        if (raid?.started) {
+          log.warn({ guildId: member.guild.id, raidId: raid.raidId }, 'Raid lockdown started');
+        }
+      } catch (err) {
+        log.error({ err, ...ctx }, 'Raid join tracking failed');
+      }
+    }
+
+    // Members who leave and rejoin keep their unexpired temporary roles
+    try {
+      const count = await reapplyTempRoles(member);
+      if (count) log.info({ ...ctx, count }, 'Re-applied temp roles on rejoin');
+    } catch (err) {
+      log.error({ err, ...ctx }, 'Re-applying temp roles failed');
+    }
+
+    // Leaving does not escape an active mute
+    try {
+      if (await reapplyMute(member)) log.info(ctx, 'Re-applied mute role on rejoin');
+    } catch (err) {
+      log.error({ err, ...ctx }, 'Re-applying mute failed');
+    }
+  }
+};
@@ -8,8 +8,8 @@ export const name = 'interactionCreate';
 export async function execute(interaction) {
   // Components (buttons/selects/modals) are handled by ComponentRouter
   if (interaction.isButton() || interaction.isAnySelectMenu() || interaction.isModalSubmit()) return;
-  // Handle only slash commands here
-  if (!interaction.isChatInputCommand()) return;
+  // Handle slash commands and context-menu commands here
+  if (!interaction.isChatInputCommand() && !interaction.isContextMenuCommand()) return;
 
   if (interaction.client.isMaintenanceMode) {
     if (!interaction.replied && !interaction.deferred) {
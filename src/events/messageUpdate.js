@@ -0,0 +1,31 @@
+// src/events/messageUpdate.js
+import {
+  Events
+} from 'discord.js';
+import { Automod } from '../utils/automod/autoMod.js';
+import { changedSurfaces } from '../utils/automod/surfaces.js';
+import { createLogger } from '../core/logger.js';
+
+const log = createLogger({ mod: 'automod:processor' });
+
+
+export default {
+  name: Events.MessageUpdate,
+  once: false,
+
+  async execute(oldMessage, newMessage, client) {
+    if (!client.autoMod || !newMessage.inGuild()) return;
+    try {
+      const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+      if (message.author?.bot) return;
+
+      // Only what changed is re-checked (link previews unfurling land here too)
+      const surfaces = changedSurfaces(oldMessage, message);
+      if (!surfaces.length) return;
+
+      await Automod.handle(message, client, { edited: true, surfaces });
+    } catch (error) {
+      log.error({ error }, 'Automod: Failed to process message edit');
+    }
+  }
+};
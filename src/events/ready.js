@@ -1,6 +1,6 @@
 // src/events/ready.js
 import { Events, ActivityType } from 'discord.js';
-import { runDueJobs, cleanupOldJobs, getJobStats } from '../core/db/jobs.js';
+import { runDueJobs, cleanupOldJobs, cleanupInviteTargets, getJobStats, scheduleWarnDecay } from '../core/db/jobs.js';
 import { createLogger } from '../core/logger.js';
 import { ensureGuildRow } from '../core/db/guild.js';
 import { initializeComponents } from '../components/init.js';
@@ -91,6 +91,13 @@ export default {
       log.error({ err, shardId }, 'Failed to ensure guild rows');
     }
 
+    // -------- Warn decay passes (one pending job per guild) --------
+    try {
+      await scheduleWarnDecay([...client.guilds.cache.keys()]);
+    } catch (err) {
+      log.error({ err, shardId }, 'Failed to schedule warn decay');
+    }
+
     // -------- Components (idempotent) --------
     try {
       if (!client.components) {
@@ -145,6 +152,7 @@ export default {
       try {
         const deleted = await cleanupOldJobs(30);
         if (deleted > 0) log.info({ deleted }, 'Cleaned up old jobs');
+        await cleanupInviteTargets(7);
       } catch (err) {
         log.error({ err }, 'Failed to cleanup old jobs');
       }
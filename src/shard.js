@@ -7,7 +7,7 @@ import { acquireLock } from "./bootstrap/singleton-lock.js";
 import { initDb } from "./core/db/index.js";
 import { ensureGuildRow } from "./core/db/guild.js";
 import { initializeComponents } from "./components/init.js";
-import { runDueJobs, cleanupOldJobs } from "./core/db/jobs.js";
+import { runDueJobs, cleanupOldJobs, cleanupInviteTargets } from "./core/db/jobs.js";
 import { createLogger } from "./core/logger.js";
 import { ShardIPC } from "./infra/ipc.js";
 import { ShardRouter } from "./infra/shard-routing.js";
@@ -77,7 +77,7 @@ export async function runShard() {
     });
     log.info("AutoMod state initialized");
   } else {
-    log.warn("Redis unavailable → AutoMod disabled (limp mode).");
+    log.warn("Redis unavailable → AutoMod and raid detection disabled (limp mode).");
   }
 
   // Health check methods for the manager's deep probe
@@ -256,6 +256,7 @@ function startShardJobWorker(client, router) {
       try {
         const del = await cleanupOldJobs(30);
         if (del > 0) log.info({ deleted: del }, "Cleaned old jobs");
+        await cleanupInviteTargets(7);
       } catch (err) {
         log.error({ err }, "Cleanup error");
       }
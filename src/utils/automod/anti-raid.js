@@ -0,0 +1,397 @@
+// src/utils/automod/anti-raid.js
+// Join-flood detection: joins are tracked in Redis (AutoModState); when the
+// velocity threshold trips and enough of the joiners look like throwaways
+// (young account / default avatar), the guild is locked down, recent joiners
+// are optionally timed out or kicked and a guild-wide lockdown_end job ends it.
+import { PermissionFlagsBits } from 'discord.js';
+import pLimit from 'p-limit';
+import { query, tx } from '../../core/db/index.js';
+import { createLogger } from '../../core/logger.js';
+import { getGuildConfig, ensureGuildConfig, logAudit } from '../moderation/mod-db.js';
+import { applyModAction } from '../moderation/mod-actions.js';
+import { queueModLog } from '../moderation/mod-log.js';
+import {
+  LOCKABLE_CHANNEL_TYPES, isChannelLocked, lockChannel, unlockChannel, setLockdownFlag,
+} from '../moderation/lockdown.js';
+import { getAutoModState } from './redis-state.js';
+
+const log = createLogger({ mod: 'automod:raid' });
+
+export const RAID_ACTIONS = Object.freeze({
+  none: 'Lock only',
+  timeout: 'Timeout joiners',
+  kick: 'Kick joiners',
+});
+
+export const RAID_TIMEOUT_SECONDS = 60 * 60; // timeout given to raid joiners
+const TRIGGER_LOCK_TTL = 30;                 // seconds; one trigger per guild across shards
+const actionLimit = pLimit(3);
+
+const RAID_CONFIG_KEYS = [
+  'raid_protection_enabled', 'raid_join_threshold', 'raid_join_window_seconds',
+  'raid_min_account_age_days', 'raid_suspicious_ratio', 'raid_action', 'raid_lockdown_seconds',
+];
+
+const CONFIG_DEFAULTS = Object.freeze({
+  raid_protection_enabled: false,
+  raid_join_threshold: 10,
+  raid_join_window_seconds: 60,
+  raid_min_account_age_days: 7,
+  raid_suspicious_ratio: 0.5,
+  raid_action: 'none',
+  raid_lockdown_seconds: 1800,
+});
+
+// Redis is optional (limp mode). Joins are only tracked there, so without it
+// raid detection is off (shard.js warns at startup); raid_events still backs
+// /raid status and ending lockdowns.
+function raidState() {
+  try { return getAutoModState(); } catch { return null; }
+}
+
+const CACHE_TTL = 60_000;
+const cache = new Map(); // guildId -> { cfg, expires }
+
+// ------------------------------
+// Config
+// ------------------------------
+
+/**
+ * Raid settings for a guild (cached for a minute; writes invalidate).
+ * @param {string} guildId
+ * @returns {Promise<typeof CONFIG_DEFAULTS>}
+ */
+export async function getRaidConfig(guildId) {
+  const hit = cache.get(guildId);
+  if (hit && hit.expires > Date.now()) return hit.cfg;
+
+  const row = await getGuildConfig(guildId, RAID_CONFIG_KEYS);
+  const cfg = { ...CONFIG_DEFAULTS };
+  for (const k of RAID_CONFIG_KEYS) {
+    if (row[k] !== undefined && row[k] !== null) cfg[k] = row[k];
+  }
+  cfg.raid_suspicious_ratio = Number(cfg.raid_suspicious_ratio); // NUMERIC comes back as a string
+
+  cache.set(guildId, { cfg, expires: Date.now() + CACHE_TTL });
+  return cfg;
+}
+
+/**
+ * Update raid settings. Only known keys are written.
+ * @param {string} guildId
+ * @param {Partial<typeof CONFIG_DEFAULTS>} patch
+ * @returns {Promise<typeof CONFIG_DEFAULTS>} The new config
+ */
+export async function setRaidConfig(guildId, patch) {
+  const cols = RAID_CONFIG_KEYS.filter(k => patch[k] !== undefined);
+  if (cols.length) {
+    await ensureGuildConfig(guildId);
+    await query(
+      `UPDATE guild_config
+       SET ${cols.map((c, i) => `${c} = $${i + 2}`).join(', ')}, updated_at = NOW()
+       WHERE guild_id = $1`,
+      [guildId, ...cols.map(c => patch[c])]
+    );
+  }
+  cache.delete(guildId);
+  return getRaidConfig(guildId);
+}
+
+// ------------------------------
+// Detection
+// ------------------------------
+
+function joinFlags(member, cfg) {
+  const ageMs = Date.now() - member.user.createdTimestamp;
+  const young = ageMs < cfg.raid_min_account_age_days * 24 * 60 * 60 * 1000;
+  return `${young ? 'y' : ''}${member.user.avatar ? '' : 'd'}`;
+}
+
+/**
+ * Summarise joins inside the configured window.
+ * @returns {Promise<{ joins: Object[], suspicious: number, ratio: number }>}
+ */
+export async function getJoinStats(guildId, cfg, state = raidState()) {
+  const joins = await state?.getRecentJoins(guildId, cfg.raid_join_window_seconds * 1000) ?? [];
+  const suspicious = joins.filter(j => j.young || j.defaultAvatar).length;
+  return { joins, suspicious, ratio: joins.length ? suspicious / joins.length : 0 };
+}
+
+/**
+ * GuildMemberAdd hook. Tracks the join, actions joiners during an active raid
+ * and starts a raid when the thresholds trip.
+ * @param {import('discord.js').GuildMember} member
+ * @returns {Promise<{ raidId: string, started: boolean }|null>}
+ */
+export async function handleMemberJoin(member) {
+  if (member.user.bot) return null;
+
+  const guildId = member.guild.id;
+  const cfg = await getRaidConfig(guildId);
+  if (!cfg.raid_protection_enabled) return null;
+
+  const state = raidState();
+  if (!state) return null; // limp mode: no join tracking
+  await state.trackJoin(guildId, member.id, joinFlags(member, cfg));
+
+  const activeId = await state.getActiveRaid(guildId);
+  if (activeId) {
+    await actionJoiners(member.guild, activeId, [member.id], cfg.raid_action);
+    return { raidId: activeId, started: false };
+  }
+
+  const stats = await getJoinStats(guildId, cfg, state);
+  if (stats.joins.length < cfg.raid_join_threshold) return null;
+  if (stats.ratio < cfg.raid_suspicious_ratio) return null;
+
+  if (!(await state.acquireActionLock(guildId, 'raid', 'trigger', TRIGGER_LOCK_TTL))) return null;
+
+  const raid = await startRaid(member.guild, { cfg, stats });
+  return raid ? { raidId: raid.id, started: true } : null;
+}
+
+// ------------------------------
+// Lockdown
+// ------------------------------
+
+/**
+ * Lock the guild down: lock every text channel @everyone can currently post in,
+ * schedule lockdown_end and action the joiners in the window.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} params
+ * @param {Object} params.cfg - getRaidConfig()
+ * @param {Object} params.stats - getJoinStats()
+ * @returns {Promise<Object|null>} raid_events row, null if a raid is already active
+ */
+export async function startRaid(guild, { cfg, stats }) {
+  const guildId = guild.id;
+  const seconds = cfg.raid_lockdown_seconds;
+  const trigger = {
+    joins: stats.joins.length,
+    suspicious: stats.suspicious,
+    windowSeconds: cfg.raid_join_window_seconds,
+    threshold: cfg.raid_join_threshold,
+  };
+
+  const raid = await tx(async (client) => {
+    const { rows: [row] } = await client.query(
+      `INSERT INTO raid_events (guild_id, ends_at, trigger, action)
+       VALUES ($1, NOW() + make_interval(secs => $2), $3, $4)
+       ON CONFLICT (guild_id) WHERE ended_at IS NULL DO NOTHING
+       RETURNING *`,
+      [guildId, seconds, JSON.stringify(trigger), cfg.raid_action]
+    );
+    if (!row) return null;
+
+    await client.query(
+      `INSERT INTO scheduled_jobs (type, guild_id, run_at, priority, data)
+       VALUES ('lockdown_end', $1, $2, 50, $3)`,
+      [guildId, row.ends_at, JSON.stringify({ raidId: row.id })]
+    );
+    return row;
+  });
+  if (!raid) return null;
+
+  await raidState()?.setActiveRaid(guildId, raid.id, seconds);
+  log.warn({ guildId, raidId: raid.id, ...trigger }, 'Raid detected, locking down');
+
+  const { locked, failed } = await lockGuild(guild, `Anti-raid lockdown (${trigger.joins} joins in ${trigger.windowSeconds}s)`);
+  await query(`UPDATE raid_events SET locked_channels = $2 WHERE id = $1`, [raid.id, locked]);
+  raid.locked_channels = locked;
+
+  const actioned = await actionJoiners(guild, raid.id, stats.joins.map(j => j.userId), cfg.raid_action);
+
+  queueModLog(guild, {
+    action: 'raid_lockdown',
+    actorId: null,
+    reason: `Join flood: ${trigger.joins} joins in ${trigger.windowSeconds}s (${trigger.suspicious} suspicious)`,
+    duration: seconds,
+    ts: Date.now(),
+    extra: {
+      'Channels Locked': locked.length,
+      'Lock Failures': failed.length || undefined,
+      'Joiners': cfg.raid_action === 'none' ? undefined : `${RAID_ACTIONS[cfg.raid_action]} (${actioned})`,
+      'End Early': '`/raid end`',
+    },
+  });
+
+  await logAudit({
+    guildId,
+    actionType: 'raid_start',
+    actorId: guild.client.user.id,
+    targetId: guildId,
+    details: { raidId: raid.id, ...trigger, lockedChannels: locked.length, failedChannels: failed, action: cfg.raid_action, actioned },
+  });
+
+  return raid;
+}
+
+async function lockGuild(guild, reason) {
+  const me = guild.members.me;
+  const channels = await guild.channels.fetch();
+  const locked = [];
+  const failed = [];
+
+  for (const channel of channels.values()) {
+    if (!channel || !LOCKABLE_CHANNEL_TYPES.has(channel.type)) continue;
+    // Leave channels that are already locked (or never public) alone so ending the raid doesn't open them
+    if (isChannelLocked(channel)) continue;
+    if (!channel.permissionsFor(guild.roles.everyone)?.has(PermissionFlagsBits.SendMessages)) continue;
+    if (!channel.permissionsFor(me)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageRoles])) {
+      failed.push(channel.id);
+      continue;
+    }
+
+    try {
+      await lockChannel(channel, reason);
+      locked.push(channel.id);
+    } catch (err) {
+      log.warn({ err, guildId: guild.id, channelId: channel.id }, 'Raid lock failed for channel');
+      failed.push(channel.id);
+    }
+  }
+
+  await setLockdownFlag({ guildId: guild.id, channelIds: locked, enabled: true });
+  return { locked, failed };
+}
+
+/**
+ * Timeout or kick joiners of a raid. Members who already left are skipped.
+ * @returns {Promise<number>} Members actioned
+ */
+async function actionJoiners(guild, raidId, userIds, action) {
+  if (action === 'none' || !userIds.length) return 0;
+
+  const botId = guild.client.user.id;
+  const done = [];
+  await Promise.all([...new Set(userIds)].map(userId => actionLimit(async () => {
+    const member = await guild.members.fetch(userId).catch(() => null);
+    if (!member || !(action === 'kick' ? member.kickable : member.moderatable)) return;
+
+    const res = await applyModAction({
+      guild,
+      target: member,
+      actorId: botId,
+      action,
+      durationSeconds: action === 'timeout' ? RAID_TIMEOUT_SECONDS : null,
+      reason: 'Anti-raid: joined during a raid',
+      context: { antiRaid: true, raidId },
+      isAuto: true,
+    }).catch(err => {
+      log.warn({ err, guildId: guild.id, userId }, 'Raid joiner action failed');
+      return null;
+    });
+    if (res?.applied) done.push(userId);
+  })));
+
+  if (done.length) {
+    await query(
+      `UPDATE raid_events SET actioned_users = actioned_users || $2::text[] WHERE id = $1`,
+      [raidId, done]
+    );
+  }
+  return done.length;
+}
+
+/**
+ * End the active raid: unlock the channels it locked and cancel its lockdown_end job.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} [opts]
+ * @param {string|null} [opts.actorId] - null = lockdown expired
+ * @param {string} [opts.reason]
+ * @param {string} [opts.raidId] - only end this raid (lockdown_end jobs)
+ * @returns {Promise<{ raid: Object, unlocked: number, failed: string[] }|null>} null if no raid was active
+ */
+export async function endRaid(guild, { actorId = null, reason = 'Lockdown expired', raidId = null } = {}) {
+  const guildId = guild.id;
+
+  const raid = await tx(async (client) => {
+    const { rows: [row] } = await client.query(
+      `UPDATE raid_events SET ended_at = NOW(), ended_by = $2
+       WHERE guild_id = $1 AND ended_at IS NULL AND ($3::uuid IS NULL OR id = $3)
+       RETURNING *`,
+      [guildId, actorId, raidId]
+    );
+    if (!row) return null;
+
+    await client.query(
+      `DELETE FROM scheduled_jobs
+       WHERE type = 'lockdown_end' AND guild_id = $1 AND channel_id IS NULL
+         AND data->>'raidId' = $2 AND locked_at IS NULL`,
+      [guildId, row.id]
+    );
+    return row;
+  });
+  if (!raid) return null;
+
+  await raidState()?.clearActiveRaid(guildId);
+
+  const auditReason = actorId ? `Raid lockdown ended: ${reason}` : 'Raid lockdown expired';
+  const unlocked = [];
+  const failed = [];
+  for (const channelId of raid.locked_channels ?? []) {
+    const channel = await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel || !isChannelLocked(channel)) continue;
+    try {
+      await unlockChannel(channel, auditReason);
+      unlocked.push(channelId);
+    } catch (err) {
+      log.warn({ err, guildId, channelId }, 'Raid unlock failed for channel');
+      failed.push(channelId);
+    }
+  }
+  await setLockdownFlag({ guildId, channelIds: unlocked, enabled: false });
+
+  queueModLog(guild, {
+    action: 'raid_end',
+    actorId,
+    reason,
+    ts: Date.now(),
+    extra: {
+      'Channels Unlocked': unlocked.length,
+      'Unlock Failures': failed.length || undefined,
+      'Members Actioned': raid.actioned_users?.length || undefined,
+    },
+  });
+
+  await logAudit({
+    guildId,
+    actionType: 'raid_end',
+    actorId: actorId ?? guild.client.user.id,
+    targetId: guildId,
+    details: { raidId: raid.id, reason, expired: !actorId, unlocked: unlocked.length, failedChannels: failed },
+  });
+
+  return { raid, unlocked: unlocked.length, failed };
+}
+
+/**
+ * Active raid (if any) and the most recent finished one.
+ * @param {string} guildId
+ * @returns {Promise<{ active: Object|null, last: Object|null }>}
+ */
+export async function getRaidStatus(guildId) {
+  const { rows } = await query(
+    `(SELECT * FROM raid_events WHERE guild_id = $1 AND ended_at IS NULL LIMIT 1)
+     UNION ALL
+     (SELECT * FROM raid_events WHERE guild_id = $1 AND ended_at IS NOT NULL
+      ORDER BY started_at DESC LIMIT 1)`,
+    [guildId]
+  );
+  return {
+    active: rows.find(r => !r.ended_at) ?? null,
+    last: rows.find(r => r.ended_at) ?? null,
+  };
+}
+
+export default {
+  RAID_ACTIONS,
+  RAID_TIMEOUT_SECONDS,
+  getRaidConfig,
+  setRaidConfig,
+  getJoinStats,
+  handleMemberJoin,
+  startRaid,
+  endRaid,
+  getRaidStatus,
+};
@@ -0,0 +1,317 @@
+// src/utils/automod/attachments.js
+// Attachment rule: file policies checked against attachment metadata (name,
+// content type, size, spoiler flag) of the message and of anything it forwards.
+// Executables and archives are recognised by extension and content type, and by
+// the file's first bytes (a small ranged download) when the name gives nothing away.
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'automod:attachments' });
+
+export const ATTACHMENT_REASONS = Object.freeze({
+  too_many: 'Too many files',
+  blocked_extension: 'Blocked file type',
+  extension_not_allowed: 'File type not allowed',
+  too_large: 'File too large',
+  executable: 'Executable file',
+  archive: 'Archive file',
+  spoilers: 'Too many spoiler images',
+  stickers: 'Sticker spam',
+});
+
+export const MAX_EXTENSIONS = 25;
+export const MAX_FILE_SIZE_BYTES = 500 * 1024 * 1024; // Discord's largest upload
+export const MAX_STICKER_WINDOW_SECONDS = 300;         // sticker history lives for AutoModState.trackingTTL
+
+const SNIFF_BYTES = 512;        // covers the PE header offset of real Windows executables
+const SNIFF_TIMEOUT_MS = 3000;
+const SNIFF_PER_MESSAGE = 4;     // ranged downloads per message, at most
+const SNIFF_CACHE_MAX = 1000;
+const sniffCache = new Map();    // attachment id → { kind, label } | null
+
+export const EXECUTABLE_EXTENSIONS = new Set([
+  'exe', 'com', 'scr', 'pif', 'bat', 'cmd', 'msi', 'msix', 'appx', 'dll', 'cpl', 'sys',
+  'vbs', 'vbe', 'jse', 'wsf', 'wsh', 'hta', 'ps1', 'psm1', 'lnk', 'reg', 'jar',
+  'apk', 'xapk', 'aab', 'ipa', 'app', 'dmg', 'pkg', 'deb', 'rpm', 'run', 'elf',
+]);
+
+export const ARCHIVE_EXTENSIONS = new Set([
+  'zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'zst', 'lz', 'lzma', 'cab', 'iso', 'img', 'vhd',
+]);
+
+const IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'avif', 'heic', 'tiff']);
+
+const EXECUTABLE_TYPES = new Set([
+  'application/x-msdownload', 'application/x-dosexec', 'application/vnd.microsoft.portable-executable',
+  'application/x-executable', 'application/x-mach-binary', 'application/x-msi',
+  'application/vnd.android.package-archive', 'application/java-archive',
+]);
+
+const ARCHIVE_TYPES = new Set([
+  'application/zip', 'application/x-zip-compressed', 'application/vnd.rar', 'application/x-rar-compressed',
+  'application/x-7z-compressed', 'application/gzip', 'application/x-gzip', 'application/x-tar',
+  'application/x-bzip2', 'application/x-xz', 'application/zstd', 'application/vnd.ms-cab-compressed',
+]);
+
+// ZIP-based formats: documents are harmless, app packages are executables
+const ZIP_DOCUMENTS = new Set(['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub', 'pdn', 'sketch']);
+const ZIP_PACKAGES = new Set(['jar', 'apk', 'xapk', 'aab', 'ipa', 'appx', 'msix', 'vsix']);
+
+// "MZ" alone starts plenty of text files; a real executable's DOS header points
+// (e_lfanew, at 0x3c) to a "PE\0\0" header
+function hasPeHeader(head) {
+  if (head.length < 0x40) return false;
+  const offset = head.readUInt32LE(0x3c);
+  return offset + 4 <= head.length && head.readUInt32BE(offset) === 0x50450000;
+}
+
+// "BZh" + block size 1-9, then the magic of the first block (or of the end of an empty stream)
+function hasBzip2Block(head) {
+  if (head.length < 10 || head[3] < 0x31 || head[3] > 0x39) return false;
+  const block = head.subarray(4, 10).toString('hex');
+  return block === '314159265359' || block === '177245385090';
+}
+
+// Short magics carry a `check` of the bytes after them, so text files that happen
+// to start with "MZ" or "BZh" are not flagged
+const SIGNATURES = [
+  { kind: 'executable', label: 'Windows executable', bytes: [0x4d, 0x5a], check: hasPeHeader },
+  { kind: 'executable', label: 'Linux executable (ELF)', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { kind: 'executable', label: 'macOS executable (Mach-O)', bytes: [0xfe, 0xed, 0xfa, 0xce] },
+  { kind: 'executable', label: 'macOS executable (Mach-O)', bytes: [0xfe, 0xed, 0xfa, 0xcf] },
+  { kind: 'executable', label: 'macOS executable (Mach-O)', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { kind: 'executable', label: 'macOS executable (Mach-O)', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { kind: 'executable', label: 'Universal binary or Java class', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { kind: 'archive', label: 'ZIP archive', bytes: [0x50, 0x4b, 0x03, 0x04], zip: true },
+  { kind: 'archive', label: 'ZIP archive', bytes: [0x50, 0x4b, 0x05, 0x06], zip: true },
+  { kind: 'archive', label: 'ZIP archive', bytes: [0x50, 0x4b, 0x07, 0x08], zip: true },
+  { kind: 'archive', label: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { kind: 'archive', label: '7-Zip archive', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { kind: 'archive', label: 'gzip archive', bytes: [0x1f, 0x8b, 0x08] }, // deflate, the only method in use
+  { kind: 'archive', label: 'bzip2 archive', bytes: [0x42, 0x5a, 0x68], check: hasBzip2Block },
+  { kind: 'archive', label: 'xz archive', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { kind: 'archive', label: 'Zstandard archive', bytes: [0x28, 0xb5, 0x2f, 0xfd] },
+  { kind: 'archive', label: 'Cabinet archive', bytes: [0x4d, 0x53, 0x43, 0x46, 0x00, 0x00, 0x00, 0x00] },
+];
+
+/**
+ * Last extension of a file name, lowercased ("invoice.pdf.exe" → "exe"); '' if none.
+ * @param {string} name
+ */
+export function fileExtension(name) {
+  const base = String(name ?? '').split(/[\\/]/).pop();
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Parse "png, .JPG gif" style input.
+ * @param {string} input
+ * @returns {string[]|null} null if anything is not a plain extension
+ */
+export function parseExtensions(input) {
+  const list = [...new Set(
+    String(input ?? '').split(/[\s,]+/).map(s => s.trim().replace(/^\.+/, '').toLowerCase()).filter(Boolean)
+  )];
+  if (!list.length || list.length > MAX_EXTENSIONS || list.some(e => !/^[a-z0-9]{1,10}$/.test(e))) return null;
+  return list;
+}
+
+/**
+ * Parse "8mb", "500 KB", "1.5g"; a bare number is megabytes.
+ * @param {string} input
+ * @returns {number|null} bytes
+ */
+export function parseFileSize(input) {
+  const m = /^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb|g|gb)?$/i.exec(String(input ?? '').trim());
+  if (!m) return null;
+  const unit = (m[2] ?? 'mb').toLowerCase()[0];
+  const bytes = Math.round(Number(m[1]) * ({ b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 })[unit]);
+  return bytes > 0 && bytes <= MAX_FILE_SIZE_BYTES ? bytes : null;
+}
+
+/** 8388608 → "8 MB" */
+export function formatBytes(bytes) {
+  if (bytes >= 1024 ** 2) return `${+(bytes / 1024 ** 2).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${+(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+}
+
+/**
+ * Does rule_data set any attachment policy?
+ * @param {Object} data
+ */
+export function hasAttachmentPolicy(data = {}) {
+  return !!(data.allowed_extensions?.length || data.blocked_extensions?.length ||
+    data.block_executables || data.block_archives || data.max_bytes ||
+    data.max_attachments != null || data.max_spoiler_images != null || data.max_stickers != null);
+}
+
+/**
+ * Attachments of a message and of the messages it forwards.
+ * @param {import('discord.js').Message} message
+ * @returns {{ att: import('discord.js').Attachment, forwarded: boolean }[]}
+ */
+export function messageAttachments(message) {
+  const own = [...(message.attachments?.values() ?? [])].map(att => ({ att, forwarded: false }));
+  const forwarded = [...(message.messageSnapshots?.values() ?? [])]
+    .flatMap(snap => [...(snap.attachments?.values() ?? [])].map(att => ({ att, forwarded: true })));
+  return [...own, ...forwarded];
+}
+
+// What the metadata says the file is
+function classifyByMetadata(att, ext) {
+  if (EXECUTABLE_EXTENSIONS.has(ext)) return { kind: 'executable', label: `.${ext} file`, via: 'extension' };
+  if (ARCHIVE_EXTENSIONS.has(ext)) return { kind: 'archive', label: `.${ext} file`, via: 'extension' };
+  const type = att.contentType?.split(';')[0].trim().toLowerCase();
+  if (EXECUTABLE_TYPES.has(type)) return { kind: 'executable', label: type, via: 'content_type' };
+  if (ARCHIVE_TYPES.has(type)) return { kind: 'archive', label: type, via: 'content_type' };
+  return null;
+}
+
+function classifyBytes(head, ext) {
+  const sig = SIGNATURES.find(s => head.length >= s.bytes.length && s.bytes.every((b, i) => head[i] === b) &&
+    (!s.check || s.check(head)));
+  if (!sig) return null;
+  if (sig.zip && ZIP_DOCUMENTS.has(ext)) return null;
+  if (sig.zip && ZIP_PACKAGES.has(ext)) return { kind: 'executable', label: 'Application package' };
+  return { kind: sig.kind, label: sig.label };
+}
+
+// First bytes of a file from the CDN. Stops reading even if the Range header is ignored.
+async function readHead(url) {
+  const res = await fetch(url, {
+    headers: { Range: `bytes=0-${SNIFF_BYTES - 1}` },
+    signal: AbortSignal.timeout(SNIFF_TIMEOUT_MS),
+  });
+  if (!res.ok || !res.body) {
+    await res.body?.cancel().catch(() => {});
+    return null;
+  }
+  const reader = res.body.getReader();
+  const chunks = [];
+  let got = 0;
+  try {
+    while (got < SNIFF_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      got += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+}
+
+/**
+ * What a file's magic bytes say it is. Failed downloads count as nothing found.
+ * @param {import('discord.js').Attachment} att
+ * @returns {Promise<{ kind: 'executable'|'archive', label: string }|null>}
+ */
+export async function sniffAttachment(att) {
+  if (sniffCache.has(att.id)) return sniffCache.get(att.id);
+
+  let found = null;
+  try {
+    const head = await readHead(att.url);
+    if (!head) return null;
+    found = classifyBytes(head, fileExtension(att.name));
+  } catch (err) {
+    log.debug({ err, attachmentId: att.id }, 'Failed to read attachment header');
+    return null;
+  }
+
+  if (sniffCache.size >= SNIFF_CACHE_MAX) sniffCache.delete(sniffCache.keys().next().value);
+  sniffCache.set(att.id, found);
+  return found;
+}
+
+function fileDetails({ att, forwarded }, ext) {
+  return {
+    file: String(att.name ?? '').slice(0, 100),
+    extension: ext || null,
+    size: att.size,
+    forwarded: forwarded || undefined,
+  };
+}
+
+/**
+ * First attachment policy a message breaks. Sticker limits need rate state and
+ * are checked by the engine.
+ * @param {import('discord.js').Message} message
+ * @param {Object} policy - attachment rule's rule_data
+ * @param {{ sniff?: boolean }} [opts] - sniff: false skips magic-byte downloads
+ * @returns {Promise<{ reason: keyof ATTACHMENT_REASONS, [key: string]: any }|null>}
+ */
+export async function checkAttachments(message, policy, { sniff = true } = {}) {
+  const files = messageAttachments(message);
+  if (!files.length) return null;
+
+  if (policy.max_attachments != null && files.length > policy.max_attachments) {
+    return { reason: 'too_many', count: files.length, limit: policy.max_attachments };
+  }
+
+  const blocked = new Set(policy.blocked_extensions ?? []);
+  const allowed = policy.allowed_extensions?.length ? new Set(policy.allowed_extensions) : null;
+  const wantsKind = (kind) => (kind === 'executable' ? policy.block_executables : policy.block_archives);
+  const unknown = [];
+
+  for (const file of files) {
+    const { att } = file;
+    const ext = fileExtension(att.name);
+    if (blocked.has(ext)) return { reason: 'blocked_extension', ...fileDetails(file, ext) };
+    if (allowed && !allowed.has(ext)) return { reason: 'extension_not_allowed', ...fileDetails(file, ext) };
+    if (policy.max_bytes && att.size > policy.max_bytes) {
+      return { reason: 'too_large', ...fileDetails(file, ext), limit: policy.max_bytes };
+    }
+    if (policy.block_executables || policy.block_archives) {
+      const kind = classifyByMetadata(att, ext);
+      if (kind && wantsKind(kind.kind)) {
+        return { reason: kind.kind, ...fileDetails(file, ext), detected: kind.label, via: kind.via };
+      }
+      if (!kind && att.size > 0) unknown.push(file);
+    }
+  }
+
+  if (policy.max_spoiler_images != null) {
+    const spoilers = files.filter(({ att }) => att.spoiler &&
+      (att.contentType?.startsWith('image/') || IMAGE_EXTENSIONS.has(fileExtension(att.name))));
+    if (spoilers.length > policy.max_spoiler_images) {
+      return { reason: 'spoilers', count: spoilers.length, limit: policy.max_spoiler_images };
+    }
+  }
+
+  // Renamed executables and archives ("photo.png") only show in the bytes
+  if (sniff && unknown.length) {
+    const sample = unknown.slice(0, SNIFF_PER_MESSAGE);
+    const kinds = await Promise.all(sample.map(f => sniffAttachment(f.att)));
+    const i = kinds.findIndex(k => k && wantsKind(k.kind));
+    if (i >= 0) {
+      const file = sample[i];
+      return {
+        reason: kinds[i].kind,
+        ...fileDetails(file, fileExtension(file.att.name)),
+        detected: kinds[i].label,
+        via: 'magic',
+      };
+    }
+  }
+  return null;
+}
+
+export default {
+  ATTACHMENT_REASONS,
+  MAX_EXTENSIONS,
+  MAX_FILE_SIZE_BYTES,
+  MAX_STICKER_WINDOW_SECONDS,
+  EXECUTABLE_EXTENSIONS,
+  ARCHIVE_EXTENSIONS,
+  fileExtension,
+  parseExtensions,
+  parseFileSize,
+  formatBytes,
+  hasAttachmentPolicy,
+  messageAttachments,
+  sniffAttachment,
+  checkAttachments,
+};
@@ -5,6 +5,7 @@ import {
   PermissionFlagsBits,
   ChannelType,
   Collection,
+  escapeMarkdown,
 } from 'discord.js';
 import pLimit from 'p-limit';
 
@@ -12,7 +13,19 @@ import { query, tx } from '../../core/db/index.js';
 import { createLogger } from '../../core/logger.js';
 import { createInfractionWithCount, getGuildConfig } from '../moderation/mod-db.js';
 import { applyModAction } from '../moderation/mod-actions.js';
+import { queueModLog } from '../moderation/mod-log.js';
 import { createAutoModState, getAutoModState } from './redis-state.js';
+import { getKeywordMatcher, actionsForSeverity } from './keyword-lists.js';
+import { prepareText, foldKeyword } from './normalize.js';
+import { SURFACES, TEXT_RULE_TYPES, ruleSurfaces, collectSurfaces } from './surfaces.js';
+import { fingerprint, similarity } from './fingerprint.js';
+import { PHISHING_REASONS, scanLinks } from './phishing.js';
+import { overridesForChannel, applyChannelOverrides, loadChannelOverrides } from './channel-overrides.js';
+import { matchRegex } from './regex-pool.js';
+import { scanInvites } from './invites.js';
+import { ATTACHMENT_REASONS, MAX_STICKER_WINDOW_SECONDS, checkAttachments, formatBytes } from './attachments.js';
+import { checkFlood } from './text-floods.js';
+import { DEFAULT_DECAY_SECONDS, stepFor, describeEscalation } from './escalation.js';
 
 const log = createLogger({ mod: 'automod:handle' });
 
@@ -21,13 +34,26 @@ const log = createLogger({ mod: 'automod:handle' });
 // ------------------------------
 const dbLimit = pLimit(50);
 const MAX_REGEX_LENGTH = 200;
-const REGEX_TIMEOUT_MS = 100;
+const REGEX_QUARANTINE_TIMEOUTS = 3;   // regex timeouts within 5 min (trackRuleError window) before quarantine
 const ACTION_LOCK_TTL = 15;            // seconds, per (guild,user,action)
 const VIOLATION_COOLDOWN_S = 10;       // seconds, per (guild,user,ruleType) across shards
 const FETCH_PAGE_DELAY_MS = 120;       // delay between fetch pages
 const FETCH_PAGES_MAX = 5;             // up to 5 x 100 messages per violation
 const BULK_DELETE_CAP = 80;            // max targeted deletions per burst (<=100)
 const VALID_ACTIONS = new Set(['delete', 'warn', 'timeout', 'mute', 'kick', 'ban']);
+const DUPLICATE_SIMILARITY = 0.6;      // default near-duplicate cutoff (estimated Jaccard)
+const SAMPLE_LENGTH = 300;             // message excerpt kept with dry-run hits
+const FLOOD_DEFAULTS = { newline_spam: 15, emoji_spam: 20, zalgo: 4 }; // thresholds if unset
+
+/**
+ * Rule modes. shadow: record would-be actions silently; log_only: also post to the mod log.
+ * Neither acts, and neither stops later rules from evaluating the message.
+ */
+export const RULE_MODES = Object.freeze({
+  enforce: 'Enforce',
+  shadow: 'Shadow',
+  log_only: 'Log-only',
+});
 
 // ------------------------------
 // Public Facade
@@ -46,12 +72,17 @@ export const Automod = {
   /**
    * @param {import('discord.js').Message} message
    * @param {import('discord.js').Client} client
+   * @param {Object} [opts]
+   * @param {boolean} [opts.edited] - message edit: only text rules run, nothing is tracked
+   * @param {{surface: string, text: string}[]} [opts.surfaces] - defaults to every surface of the message
    * @returns {Promise<{acted:boolean, results?:any[]}|undefined>}
    */
-  async handle(message, client) {
+  async handle(message, client, { edited = false, surfaces } = {}) {
     try {
       if (message.system || !message.inGuild()) return { acted: false, reason: 'skip' };
-      if (!message.content?.trim() && message.attachments.size === 0) return { acted: false, reason: 'empty' };
+      surfaces ??= collectSurfaces(message);
+      // Sticker-only messages have no text but still count for sticker limits
+      if (!surfaces.length && !message.stickers?.size) return { acted: false, reason: 'empty' };
 
       if (!message.member) {
         try { message.member = await message.guild.members.fetch(message.author.id); }
@@ -62,36 +93,64 @@ export const Automod = {
       const config = await dbLimit(() => getGuildAutoModConfig(message.guildId, state));
       if (!config?.enabled || !config.rules?.length) return { acted: false, reason: 'disabled' };
 
-      if (await isExempt(message, config.rules)) return { acted: false, reason: 'exempt' };
+      // Channel overrides may switch rules off or retune them here
+      const rules = applyChannelOverrides(config.rules, overridesForChannel(config.overrides, message.channel));
+      if (!rules.length) return { acted: false, reason: 'disabled' };
 
-      const tracking = await Promise.allSettled([
+      if (await isExempt(message, rules)) return { acted: false, reason: 'exempt' };
+
+      // An edit is not a new message for the rate rules
+      const tracking = edited ? [] : await Promise.allSettled([
         state.trackMessage(message.author.id, message.guildId),
         (message.mentions.users.size + message.mentions.roles.size) > 0
           ? state.trackMentions(message.author.id, message.guildId, message.mentions.users.size + message.mentions.roles.size)
           : Promise.resolve(),
-        state.trackChannelUsage(message.author.id, message.guildId, message.channelId)
+        state.trackChannelUsage(message.author.id, message.guildId, message.channelId),
+        message.stickers?.size > 0
+          ? state.trackStickers(message.author.id, message.guildId, message.id, message.stickers.size)
+          : Promise.resolve()
       ]);
       if (tracking.filter(r => r.status === 'rejected').length > tracking.length / 2) {
         log.warn({ guildId: message.guildId }, 'Skipping automod due to tracking failures');
         return { acted: false, reason: 'tracking_fail' };
       }
 
-      for (const rule of config.rules) {
+      for (const rule of rules) {
         if (!rule.enabled || rule.quarantined) continue;
+        if (edited && !TEXT_RULE_TYPES.has(rule.type)) continue;
 
         let violation = null;
         try {
-          violation = await checkRule(message, rule, state);
+          violation = await checkRule(message, rule, state, surfaces);
         } catch (err) {
           log.error({ err, ruleId: rule.id, type: rule.type }, 'Rule checker error');
           continue;
         }
         if (!violation) continue;
+        if (edited) violation.details = { ...violation.details, edited: true };
 
         const violKey = `viol:${rule.type}:${rule.id}`;
         const isFirst = await state.acquireActionLock(message.guildId, message.author.id, violKey, VIOLATION_COOLDOWN_S);
+
+        const mode = rule.mode ?? 'enforce';
+
+        // Only hits past the cooldown escalate, so one burst is one step
+        if (isFirst && rule.rule_data?.escalation?.steps?.length) {
+          const escalation = await escalationFor(message, rule, state, { dryRun: mode !== 'enforce' });
+          // A channel override replaces the step, so the hit counts but no step is reported
+          if (!rule.channelActions?.length) violation.escalation = escalation;
+        }
+
+        if (mode !== 'enforce') {
+          // Same cooldown as enforcement, so hit counts match what enforcing would do
+          if (isFirst) await recordDryRun(message, rule, violation, mode).catch(err => {
+            log.error({ err, ruleId: rule.id, mode }, 'Failed to record dry-run violation');
+          });
+          continue;
+        }
+
         if (!isFirst) {
-          const hasDelete = getRuleActions(rule).some(a => normalizeAction(a) === 'delete');
+          const hasDelete = actionsFor(rule, violation).some(a => normalizeAction(a) === 'delete');
           if (hasDelete && message.deletable) message.delete().catch(() => {});
           return { acted: true, results: [{ action: 'delete?cooldown', success: hasDelete }] };
         }
@@ -134,8 +193,21 @@ function getRuleActions(rule) {
   return [String(rule.action || 'delete').toLowerCase().trim()];
 }
 
+// Channel override first, then the escalation step, then word-list severity actions, then the rule's own
+function actionsFor(rule, violation) {
+  if (rule.channelActions?.length) return rule.channelActions;
+  if (violation.escalation) return violation.escalation.step.actions;
+  return violation.actions?.length ? violation.actions : getRuleActions(rule);
+}
+
+async function escalationFor(message, rule, state, { dryRun = false } = {}) {
+  const { steps, decay_seconds: decaySeconds = DEFAULT_DECAY_SECONDS } = rule.rule_data.escalation;
+  const hits = await state.recordEscalationHit(message.guildId, rule.id, message.author.id, decaySeconds, { dryRun });
+  return { ...stepFor({ steps }, hits), hits, decaySeconds, steps };
+}
+
 async function handleViolation(message, rule, violation, state, client) {
-  const actions = getRuleActions(rule);
+  const actions = actionsFor(rule, violation);
   const results = [];
   let deletedCountForDm = 0;
   let warned = false;
@@ -192,6 +264,7 @@ async function handleViolation(message, rule, violation, state, client) {
           actorId: client.user.id,
           action, // timeout | kick | ban
           durationSeconds:
+            violation.escalation?.step.duration_seconds ??
             rule.duration_seconds ??
             rule.rule_data?.duration_seconds ??
             (action === 'timeout' ? 300 : null),
@@ -250,9 +323,19 @@ async function handleViolation(message, rule, violation, state, client) {
         .setFooter({ text: `Reason: ${reasonFromViolation(violation)}` })
         .setTimestamp();
 
+      if (violation.escalation) {
+        emb.addFields({ name: 'Escalation', value: describeEscalation(violation.escalation), inline: false });
+      }
+
       if (violation.type === 'spam' && violation.details?.messageCount) {
         emb.addFields({ name: 'Details', value: `${violation.details.messageCount} messages in ${violation.details.timeWindow}s`, inline: false });
       }
+      if (violation.type === 'duplicate') {
+        emb.addFields({ name: 'Details', value: describeDuplicate(violation.details), inline: false });
+      }
+      if (violation.type === 'attachment') {
+        emb.addFields({ name: 'Details', value: describeAttachment(violation.details), inline: false });
+      }
       const deletedSum = results.find(r => r.action === 'delete')?.deleted || 0;
       if (deletedSum > 0) {
         emb.addFields({ name: 'Messages Removed', value: String(deletedSum), inline: true });
@@ -280,14 +363,15 @@ async function recordAction(message, rule, violation, action, success, errorMsg
     await client.query(
       `INSERT INTO automod_violations
          (guild_id, user_id, rule_id, message_id, channel_id,
-          violation_type, action_taken, violation_data, success, error_message)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)`,
+          violation_type, action_taken, violation_data, success, error_message, escalation_level)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)`,
       [
         message.guildId, message.author.id, rule.id,
         message.id, message.channelId,
         violation.type, action,
         JSON.stringify(violation.details || {}),
-        success, errorMsg
+        success, errorMsg,
+        violation.escalation?.level ?? null
       ]
     );
 
@@ -316,6 +400,59 @@ async function recordAction(message, rule, violation, action, success, errorMsg
   });
 }
 
+// Excerpt of the text that tripped the rule (around the match, span re-based onto it)
+function sampleOf(violation, message) {
+  const text = violation.source ?? message.content ?? '';
+  const span = violation.details?.span;
+  const from = span ? Math.max(0, span.start - SAMPLE_LENGTH / 3) : 0;
+  return {
+    sample: text.slice(from, from + SAMPLE_LENGTH),
+    span: span && { ...span, start: span.start - from, end: Math.min(span.end - from, SAMPLE_LENGTH) },
+  };
+}
+
+/**
+ * Shadow / log-only hit: one automod_violations row per action the rule would
+ * have taken, nothing applied. Log-only rules also post to the mod log.
+ */
+async function recordDryRun(message, rule, violation, mode) {
+  const actions = actionsFor(rule, violation)
+    .map(normalizeAction)
+    .filter(Boolean);
+  const data = { ...violation.details, ...sampleOf(violation, message) };
+
+  await query(
+    `INSERT INTO automod_violations
+       (guild_id, user_id, rule_id, message_id, channel_id,
+        violation_type, action_taken, violation_data, success, mode, escalation_level)
+     SELECT $1, $2, $3, $4, $5, $6, a, $8, FALSE, $9, $10 FROM unnest($7::text[]) AS a`,
+    [
+      message.guildId, message.author.id, rule.id,
+      message.id, message.channelId,
+      violation.type, [...new Set(actions)],
+      JSON.stringify(data), mode,
+      violation.escalation?.level ?? null
+    ]
+  );
+
+  if (mode === 'log_only') {
+    queueModLog(message.guild, {
+      action: 'automod_log_only',
+      actorId: null,
+      targetId: message.author.id,
+      reason: `AutoMod: ${rule.name} - ${reasonFromViolation(violation)}`,
+      jumpUrl: message.url,
+      ts: Date.now(),
+      extra: {
+        'Would Apply': [...new Set(actions)].map(a => a.toUpperCase()).join(' + '),
+        'Channel': `<#${message.channelId}>`,
+        'Found In': SURFACES[violation.details?.surface],
+        'Escalation': violation.escalation && `Step ${violation.escalation.level}/${violation.escalation.of}`,
+      },
+    });
+  }
+}
+
 // ------------------------------
 // Cleaning logic
 // ------------------------------
@@ -323,6 +460,16 @@ async function deleteBurstFromUser(message, rule, violation) {
   const chan = message.channel;
   if (!chan || chan.type !== ChannelType.GuildText) return 0;
 
+  // Duplicates: remove the copies themselves, wherever they were posted
+  if (violation.related) return deleteDuplicates(message, violation.related);
+
+  // An edited message may be old, and a file policy is about one message:
+  // the messages around it are not part of the violation
+  if (violation.details?.edited || violation.scope === 'message') {
+    if (!message.deletable) return 0;
+    return message.delete().then(() => 1, () => 0);
+  }
+
   const winS = ((rule.rule_data?.window_seconds || rule.duration_seconds) || 5);
   const cutoff = Date.now() - winS * 1000;
 
@@ -365,6 +512,26 @@ async function deleteBurstFromUser(message, rule, violation) {
   return count;
 }
 
+async function deleteDuplicates(message, related) {
+  const byChannel = new Map([[message.channelId, [message.id]]]);
+  for (const { channelId, messageId } of related) {
+    if (!byChannel.has(channelId)) byChannel.set(channelId, []);
+    byChannel.get(channelId).push(messageId);
+  }
+
+  let count = 0;
+  for (const [channelId, ids] of byChannel) {
+    const chan = message.guild.channels.cache.get(channelId);
+    if (!chan?.isTextBased()) continue;
+    const res = await chan.bulkDelete(ids, true).catch(err => {
+      log.debug({ err, channelId }, 'Failed to delete duplicate messages');
+      return null;
+    });
+    count += res?.size ?? 0;
+  }
+  return count;
+}
+
 // ------------------------------
 // Embeds
 // ------------------------------
@@ -399,6 +566,10 @@ async function postViolationEmbed(message, rule, violation, results) {
       .setFooter({ text: `Reason: ${reasonFromViolation(violation)}` })
       .setTimestamp();
 
+    if (violation.escalation) {
+      const { level, of, hits } = violation.escalation;
+      emb.addFields({ name: 'Escalation', value: `Step ${level}/${of} (hit ${hits})`, inline: true });
+    }
     if (violation.type === 'spam' && violation.details?.messageCount) {
       emb.addFields({
         name: 'Details',
@@ -406,6 +577,37 @@ async function postViolationEmbed(message, rule, violation, results) {
         inline: false
       });
     }
+    if (violation.type === 'duplicate') {
+      emb.addFields({ name: 'Details', value: describeDuplicate(violation.details), inline: false });
+    }
+    if (violation.type === 'phishing') {
+      emb.addFields({ name: 'Details', value: describePhishing(violation.details), inline: false });
+    }
+    if (violation.type === 'invite' && violation.details?.code) {
+      emb.addFields({ name: 'Details', value: describeInvite(violation.details), inline: false });
+    }
+    if (violation.type === 'attachment') {
+      emb.addFields({ name: 'Details', value: describeAttachment(violation.details), inline: false });
+    }
+    if (FLOOD_DEFAULTS[violation.type]) {
+      emb.addFields({ name: 'Details', value: describeFlood(violation.type, violation.details), inline: false });
+    }
+    const surface = violation.details?.surface;
+    if (violation.details?.edited || (surface && surface !== 'content')) {
+      emb.addFields({
+        name: 'Found In',
+        value: `${SURFACES[surface] ?? 'Message text'}${violation.details?.edited ? ' (edited)' : ''}`,
+        inline: true
+      });
+    }
+    const matched = formatMatchedSpan(violation.source ?? message.content, violation.details?.span);
+    if (matched) {
+      emb.addFields({
+        name: violation.details.normalized ? 'Matched (normalized)' : 'Matched',
+        value: matched,
+        inline: false
+      });
+    }
     if (failed.length) {
       emb.addFields({ name: 'Failed', value: failed.map(f => f.action.toUpperCase()).join(', '), inline: false });
     }
@@ -416,6 +618,77 @@ async function postViolationEmbed(message, rule, violation, results) {
   }
 }
 
+function describeDuplicate(d) {
+  return d.scope === 'guild'
+    ? `Same message from ${d.users} users in ${d.timeWindow}s`
+    : `${d.copies} copies in ${d.channels} channel(s) within ${d.timeWindow}s`;
+}
+
+// Domains stay in code spans so the log channel never renders them as links
+function describePhishing(d) {
+  const lines = [`${PHISHING_REASONS[d.reason] ?? 'Malicious link'}: \`${d.domain}\``];
+  if (d.reason === 'lookalike') lines.push(`Looks like \`${d.match}\``);
+  if (d.reason === 'masked') lines.push(`Link text shows \`${d.match}\``);
+  if (d.reason === 'phishing_list' || d.reason === 'denylist') lines.push(`Listed as \`${d.match}\``);
+  if (d.via) lines.push(`Unwrapped from \`${d.via}\``);
+  return lines.join('\n');
+}
+
+function describeInvite(d) {
+  if (!d.resolved) return `Invite \`${d.code}\` could not be checked`;
+  if (!d.targetGuildId) return `Invite \`${d.code}\` to a group DM`;
+  return `Invite \`${d.code}\` to **${escapeMarkdown(d.targetGuildName ?? 'unknown server')}** (\`${d.targetGuildId}\`)`;
+}
+
+function describeFlood(type, d) {
+  const what = {
+    newline_spam: `${d.count} line breaks`,
+    emoji_spam: `${d.count} emoji${d.customEmoji ? ` (${d.customEmoji} custom)` : ''}`,
+    zalgo: `${d.count} marks stacked on one character (${d.marks} in total)`,
+  }[type];
+  return d.byRatio
+    ? `${what}, ${d.percent}% of the message (limit ${d.ratio}%)`
+    : `${what} (limit ${d.threshold})`;
+}
+
+// File names are user input: code span, no backticks
+function describeAttachment(d) {
+  const file = d.file != null
+    ? `\`${d.file.replace(/`/g, "'") || 'unnamed'}\`${d.forwarded ? ' (forwarded)' : ''}`
+    : null;
+  switch (d.reason) {
+    case 'too_many': return `${d.count} files (limit ${d.limit})`;
+    case 'spoilers': return `${d.count} spoiler images (limit ${d.limit})`;
+    case 'stickers': return `${d.count} stickers in ${d.timeWindow}s (limit ${d.limit})`;
+    case 'too_large': return `${file}: ${formatBytes(d.size)} (limit ${formatBytes(d.limit)})`;
+    case 'executable':
+    case 'archive': return `${file}: ${d.detected}${d.via === 'magic' ? ' (identified from file contents)' : ''}`;
+    default: return `${file}: ${d.extension ? `.${d.extension}` : 'no extension'}`;
+  }
+}
+
+/**
+ * "…context **matched** context…" from the original message, spoilered.
+ * Also used by /automod shadow-report on stored samples.
+ * @param {string} content
+ * @param {{start: number, end: number}} [span]
+ */
+export function formatMatchedSpan(content, span) {
+  if (!content || !span || span.end <= span.start) return null;
+  const CONTEXT = 30;
+  const from = Math.max(0, span.start - CONTEXT);
+  const to = Math.min(content.length, span.end + CONTEXT);
+  const clean = (s) => escapeMarkdown(s.replace(/\s+/g, ' '));
+  const hit = clean(content.slice(span.start, span.end)).slice(0, 200);
+  return [
+    from > 0 ? '…' : '',
+    clean(content.slice(from, span.start)),
+    `||**${hit}**||`,
+    clean(content.slice(span.end, to)),
+    to < content.length ? '…' : '',
+  ].join('').slice(0, 1024);
+}
+
 // ------------------------------
 // Config & exemptions
 // ------------------------------
@@ -431,16 +704,17 @@ async function getGuildAutoModConfig(guildId, state) {
   }
 
   try {
-    const [cfg, rules] = await Promise.all([
+    const [cfg, rules, overrides] = await Promise.all([
       query(`SELECT auto_mod_enabled FROM guild_config WHERE guild_id = $1`, [guildId]),
       query(`
-        SELECT id, name, type, pattern, action, threshold, duration_seconds,
-               exempt_roles, exempt_channels, enabled, quarantined,
+        SELECT id, rule_key, name, type, pattern, action, threshold, duration_seconds,
+               exempt_roles, exempt_channels, enabled, quarantined, mode,
                rule_data, priority, created_at
           FROM auto_mod_rules
          WHERE guild_id = $1 AND enabled = TRUE AND quarantined = FALSE
          ORDER BY COALESCE(priority,50) DESC, created_at ASC
-      `, [guildId])
+      `, [guildId]),
+      loadChannelOverrides(guildId)
     ]);
 
     const cooked = rules.rows.map(r => ({
@@ -451,6 +725,7 @@ async function getGuildAutoModConfig(guildId, state) {
     const config = {
       enabled: cfg.rows[0]?.auto_mod_enabled ?? false,
       rules: cooked,
+      overrides, // channelId → channel_config.auto_mod_overrides
       expires: Date.now() + 5 * 60 * 1000
     };
 
@@ -486,20 +761,53 @@ async function isExempt(message, rules) {
 // ------------------------------
 // Rule checkers
 // ------------------------------
-async function checkRule(message, rule, state) {
+async function checkRule(message, rule, state, surfaces) {
   switch (rule.type) {
     case 'spam':         return checkSpamRule(message, rule, state);
     case 'channel_spam': return checkChannelSpamRule(message, rule, state);
     case 'mention_spam': return checkMentionSpamRule(message, rule, state);
-    case 'caps':         return checkCapsRule(message, rule);
-    case 'invite':       return checkInviteRule(message);
-    case 'link':         return checkLinkRule(message);
-    case 'keyword':      return checkKeywordRule(message, rule);
-    case 'regex':        return checkRegexRule(message, rule);
+    case 'duplicate':    return checkDuplicateRule(message, rule, state);
+    case 'attachment':   return checkAttachmentRule(message, rule, state);
+    case 'caps':
+    case 'invite':
+    case 'link':
+    case 'phishing':
+    case 'keyword':
+    case 'regex':
+    case 'newline_spam':
+    case 'emoji_spam':
+    case 'zalgo':        return checkTextRule(message, rule, state, surfaces);
     default:             return null;
   }
 }
 
+// Text rules run per surface; the first surface that trips the rule is reported
+async function checkTextRule(message, rule, state, surfaces) {
+  const wanted = new Set(ruleSurfaces(rule));
+  for (const { surface, text } of surfaces) {
+    if (!wanted.has(surface)) continue;
+
+    let violation = null;
+    switch (rule.type) {
+      case 'caps':    violation = checkCapsRule(text, rule); break;
+      case 'invite':  violation = await checkInviteRule(message, text, rule, state); break;
+      case 'link':    violation = checkLinkRule(text); break;
+      case 'phishing': violation = await checkPhishingRule(message.guildId, text, rule, state); break;
+      case 'keyword': violation = await checkKeywordRule(message.guildId, text, rule, state); break;
+      case 'regex':   violation = await checkRegexRule(message.guild, text, rule, state); break;
+      case 'newline_spam':
+      case 'emoji_spam':
+      case 'zalgo':   violation = checkFloodRule(text, rule); break;
+    }
+    if (violation) {
+      violation.details = { ...violation.details, surface };
+      violation.source = text; // for the Matched field; not persisted
+      return violation;
+    }
+  }
+  return null;
+}
+
 async function checkSpamRule(message, rule, state) {
   const threshold = rule.threshold || 5;
   const windowMs = ((rule.rule_data?.window_seconds || rule.duration_seconds) || 5) * 1000;
@@ -534,8 +842,73 @@ async function checkMentionSpamRule(message, rule, state) {
   return null;
 }
 
-function checkCapsRule(message, rule) {
-  const text = message.content;
+async function checkDuplicateRule(message, rule, state) {
+  const fp = fingerprint(message.content);
+  if (!fp) return null;
+
+  const threshold = rule.threshold || 3;
+  const windowMs = ((rule.rule_data?.window_seconds || rule.duration_seconds) || 300) * 1000;
+  const minSimilarity = rule.rule_data?.similarity ?? DUPLICATE_SIMILARITY;
+
+  // Another duplicate rule may already have recorded this message
+  const copies = (await state.getFingerprints(message.guildId, message.author.id, fp.bands, windowMs))
+    .filter(e => e.messageId !== message.id && similarity(e.signature, fp.signature) >= minSimilarity);
+
+  await state.trackFingerprint(message.guildId, {
+    userId: message.author.id,
+    channelId: message.channelId,
+    messageId: message.id,
+    ...fp
+  }, message.createdTimestamp);
+
+  const own = copies.filter(e => e.userId === message.author.id);
+  const related = own.map(e => ({ channelId: e.channelId, messageId: e.messageId }));
+  const timeWindow = windowMs / 1000;
+
+  if (own.length + 1 >= threshold) {
+    const channels = new Set([message.channelId, ...own.map(e => e.channelId)]).size;
+    return {
+      type: 'duplicate',
+      related,
+      details: { scope: 'user', copies: own.length + 1, channels, threshold, timeWindow }
+    };
+  }
+
+  // Same text from several accounts; opt-in (rule_data.cross_user = true), since
+  // ordinary lines like "good morning everyone" are legitimately repeated
+  if (rule.rule_data?.cross_user === true) {
+    const users = new Set([message.author.id, ...copies.map(e => e.userId)]).size;
+    if (users >= threshold) {
+      return {
+        type: 'duplicate',
+        related,
+        details: { scope: 'guild', copies: copies.length + 1, users, threshold, timeWindow }
+      };
+    }
+  }
+  return null;
+}
+
+async function checkAttachmentRule(message, rule, state) {
+  const policy = rule.rule_data ?? {};
+  // rule_data.sniff = false trusts names and content types (no file downloads)
+  const hit = await checkAttachments(message, policy, { sniff: policy.sniff !== false });
+  if (hit) return { type: 'attachment', scope: 'message', details: hit };
+
+  if (policy.max_stickers != null && message.stickers?.size > 0) {
+    const windowMs = Math.min(policy.window_seconds || 30, MAX_STICKER_WINDOW_SECONDS) * 1000;
+    const total = await state.getStickerCount(message.author.id, message.guildId, windowMs);
+    if (total > policy.max_stickers) {
+      return {
+        type: 'attachment',
+        details: { reason: 'stickers', count: total, limit: policy.max_stickers, timeWindow: windowMs / 1000 }
+      };
+    }
+  }
+  return null;
+}
+
+function checkCapsRule(text, rule) {
   if (!text || text.length < 10) return null;
   const letters = text.match(/[a-zA-Z]/g);
   if (!letters || letters.length < 10) return null;
@@ -547,51 +920,201 @@ function checkCapsRule(message, rule) {
     : null;
 }
 
-function checkInviteRule(message) {
-  const re = /discord(?:app)?\.(?:com\/invite|gg)\/[\w-]+/gi;
-  const matches = message.content?.match(re);
-  return matches ? { type: 'invite', details: { inviteCount: matches.length } } : null;
+// newline_spam, emoji_spam, zalgo: a count per message, or rule_data.ratio of the message
+function checkFloodRule(text, rule) {
+  const threshold = rule.threshold || FLOOD_DEFAULTS[rule.type];
+  const ratio = rule.rule_data?.ratio ?? null;
+  const hit = checkFlood(rule.type, text, { threshold, ratio });
+  if (!hit) return null;
+  return {
+    type: rule.type,
+    details: {
+      count: hit.count,
+      threshold,
+      percent: Math.round(hit.share * 100),
+      ratio: ratio != null ? Math.round(ratio * 100) : undefined,
+      byRatio: hit.byRatio || undefined,
+      marks: hit.marks,
+      customEmoji: hit.custom,
+    }
+  };
+}
+
+async function checkInviteRule(message, text, rule, state) {
+  // rule_data.resolve = false answers from cached invite lookups only
+  const hit = await scanInvites(message, text, state, { resolve: rule.rule_data?.resolve !== false });
+  if (!hit) return null;
+  return {
+    type: 'invite',
+    details: {
+      inviteCount: hit.count,
+      code: hit.code,
+      targetGuildId: hit.guildId,
+      targetGuildName: hit.guildName,
+      resolved: hit.resolved,
+      span: { start: hit.index, end: hit.index + hit.length },
+    }
+  };
 }
 
-function checkLinkRule(message) {
+function checkLinkRule(text) {
   const re = /https?:\/\/(?!(?:discord|cdn\.discord)(?:app)?\.(?:com|gg|net))[^\s<>]+/gi;
-  const matches = message.content?.match(re);
+  const matches = text?.match(re);
   return matches ? { type: 'link', details: { linkCount: matches.length } } : null;
 }
 
-function checkKeywordRule(message, rule) {
-  const pattern = rule.pattern;
-  if (!pattern) return null;
-  const keys = pattern.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
-  if (!keys.length) return null;
-  const content = (message.content || '').toLowerCase();
-  const found = keys.filter(k => content.includes(k));
-  return found.length ? { type: 'keyword', details: { matched: found.length } } : null;
+async function checkPhishingRule(guildId, text, rule, state) {
+  // rule_data.unwrap = true judges shortened links by their target (resolved in the background)
+  const hit = await scanLinks(guildId, text, state, { unwrap: rule.rule_data?.unwrap === true });
+  if (!hit) return null;
+  return {
+    type: 'phishing',
+    details: {
+      reason: hit.reason,
+      domain: hit.host,
+      match: hit.match,
+      via: hit.via,
+      span: { start: hit.index, end: hit.index + hit.length },
+    }
+  };
 }
 
-async function checkRegexRule(message, rule) {
+async function checkKeywordRule(guildId, text, rule, state) {
+  if (!text) return null;
+
+  // Rules opt into obfuscation-resistant matching with rule_data.normalize
+  const useFold = rule.rule_data?.normalize === true;
+  const { matcher: plain, folded, level } = await getKeywordMatcher(guildId, state);
+
+  // Folded keywords keep their repeats, so those with a doubled character
+  // ("ass") match a view with runs capped at two (see foldKeyword)
+  const lanes = useFold
+    ? [1, 2].map(repeats => ({ view: prepareText(text, true, { repeats }), matcher: folded[repeats] }))
+    : [{ view: prepareText(text, false), matcher: plain }];
+  const laneFor = (key) => (useFold ? lanes[foldKeyword(key).repeats - 1] : lanes[0]);
+  const keyText = (key) => (useFold ? foldKeyword(key).text : key.toLowerCase());
+
+  const keys = (rule.pattern || '').split(',').map(s => s.trim()).filter(s => keyText(s));
+  let first = null;
+  const found = keys.filter(key => {
+    const { view, matcher } = laneFor(key);
+    const k = keyText(key);
+    for (let at = view.text.indexOf(k); at !== -1; at = view.text.indexOf(k, at + 1)) {
+      if (view.bounded(at, at + k.length) && !matcher.whitelisted(view.text, at, at + k.length)) {
+        first ??= view.span(at, at + k.length);
+        return true;
+      }
+    }
+    return false;
+  });
+  if (found.length) {
+    return { type: 'keyword', details: { matched: found.length, normalized: useFold, span: first } };
+  }
+
+  // Guild word lists (opt out per rule with rule_data.word_lists = false)
+  if (rule.rule_data?.word_lists === false || !lanes.some(l => l.matcher.size)) return null;
+
+  // Most severe hit that the filter level acts on decides the actions
+  const hits = lanes
+    .flatMap(({ view, matcher }) => matcher.scan(view.text, view.bounded).map(hit => ({ hit, view })))
+    .sort((a, b) => b.hit.severity - a.hit.severity);
+  for (const { hit, view } of hits) {
+    const actions = actionsForSeverity(level, hit);
+    if (!actions) continue;
+    return {
+      type: 'keyword',
+      actions,
+      details: {
+        matched: 1,
+        list: hit.type,
+        severity: hit.severity,
+        filterLevel: level,
+        normalized: useFold,
+        span: view.span(hit.index, hit.index + hit.length),
+      },
+    };
+  }
+  return null;
+}
+
+async function checkRegexRule(guild, text, rule, state) {
   const pat = rule.pattern;
-  if (!pat || pat.length > MAX_REGEX_LENGTH) return null;
+  if (!text || !pat || pat.length > MAX_REGEX_LENGTH) return null;
+  const useFold = rule.rule_data?.normalize === true;
+  const view = prepareText(text, useFold);
+  // Without folding the regex keeps seeing the original casing
+  const subject = useFold ? view.text : text;
+
+  let matches;
   try {
-    const rx = new RegExp(pat, 'giu');
-    const matches = await Promise.race([
-      Promise.resolve(message.content.match(rx)),
-      new Promise((_, rej) => setTimeout(() => rej(new Error('regex_timeout')), REGEX_TIMEOUT_MS))
-    ]);
-    return matches ? { type: 'regex', details: { matchCount: matches.length } } : null;
-  } catch { return null; }
+    matches = await matchRegex(pat, 'giu', subject);
+  } catch (err) {
+    if (err.message === 'regex_timeout') await recordRegexTimeout(guild, rule, state);
+    return null;
+  }
+  if (!matches.length) return null;
+  const [m] = matches;
+  return {
+    type: 'regex',
+    details: {
+      matchCount: matches.length,
+      normalized: useFold,
+      span: view.span(m.index, m.index + Math.max(1, m.length)),
+    },
+  };
+}
+
+// Repeated timeouts quarantine the rule until someone saves it again with /automod rule
+async function recordRegexTimeout(guild, rule, state) {
+  try {
+    const recent = await state.trackRuleError(guild.id, rule.id, 'regex_timeout');
+    const quarantine = recent >= REGEX_QUARANTINE_TIMEOUTS;
+    // quarantined = FALSE: the trigger clears quarantine on updates that leave it set
+    const { rows: [row] } = await query(
+      `UPDATE auto_mod_rules
+          SET error_count = COALESCE(error_count, 0) + 1,
+              last_error_at = NOW(),
+              quarantined = $3
+        WHERE id = $1 AND guild_id = $2 AND quarantined = FALSE
+        RETURNING quarantined`,
+      [rule.id, guild.id, quarantine]
+    );
+    log.warn({ guildId: guild.id, ruleId: rule.id, recent, quarantined: !!row?.quarantined }, 'Regex rule timed out');
+    if (!row?.quarantined) return;
+
+    await state.invalidateGuildConfig(guild.id);
+    queueModLog(guild, {
+      action: 'automod_quarantine',
+      actorId: null,
+      reason: `AutoMod: ${rule.name} timed out ${recent} times in 5 minutes and was switched off`,
+      ts: Date.now(),
+      extra: {
+        'Rule': `\`${rule.rule_key}\``,
+        'Pattern': `\`${rule.pattern.slice(0, 100)}\``,
+        'Restore': 'Fix the pattern and save it with /automod rule',
+      },
+    });
+  } catch (err) {
+    log.error({ err, guildId: guild.id, ruleId: rule.id }, 'Failed to record regex timeout');
+  }
 }
 
 function reasonFromViolation(v) {
   switch (v.type) {
     case 'spam': return 'Message spam';
     case 'channel_spam': return 'Cross-channel spam';
+    case 'duplicate': return 'Duplicate message spam';
     case 'mention_spam': return 'Excessive mentions';
     case 'caps': return 'Excessive capital letters';
     case 'invite': return 'Unauthorized invite';
     case 'link': return 'Unauthorized external link';
+    case 'phishing': return 'Malicious link';
     case 'keyword': return 'Prohibited content';
     case 'regex': return 'Pattern match';
+    case 'attachment': return ATTACHMENT_REASONS[v.details?.reason] ?? 'File policy violation';
+    case 'newline_spam': return 'Too many line breaks';
+    case 'emoji_spam': return 'Emoji flood';
+    case 'zalgo': return 'Zalgo text (stacked combining characters)';
     default: return 'Rule violation';
   }
 }
@@ -0,0 +1,126 @@
+// src/utils/automod/channel-overrides.js
+// Per-channel rule overrides (channel_config.auto_mod_overrides), e.g. caps and
+// links allowed in #memes only. Shape: { "<rule_key or rule type>": { enabled, threshold, actions } }.
+// A rule_key entry wins over a type entry; threads use their parent's overrides.
+import { query } from '../../core/db/index.js';
+
+export const OVERRIDE_FIELDS = Object.freeze(['enabled', 'threshold', 'actions']);
+
+/**
+ * Overrides for the channel a message was sent in.
+ * @param {Object<string, Object>} byChannel - channelId → overrides (from getGuildAutoModConfig)
+ * @param {import('discord.js').Channel} channel
+ * @returns {Object|null}
+ */
+export function overridesForChannel(byChannel, channel) {
+  if (!byChannel || !channel) return null;
+  return byChannel[channel.id] ?? (channel.isThread?.() ? byChannel[channel.parentId] : null) ?? null;
+}
+
+/**
+ * The rule set as it applies in one channel: disabled rules dropped,
+ * threshold and actions replaced where overridden.
+ * @param {Object[]} rules
+ * @param {Object|null} overrides
+ * @returns {Object[]}
+ */
+export function applyChannelOverrides(rules, overrides) {
+  if (!overrides || !Object.keys(overrides).length) return rules;
+
+  const out = [];
+  for (const rule of rules) {
+    const o = { ...overrides[rule.type], ...overrides[rule.rule_key] };
+    if (!Object.keys(o).length) {
+      out.push(rule);
+      continue;
+    }
+    if (o.enabled === false) continue;
+    out.push({
+      ...rule,
+      threshold: o.threshold ?? rule.threshold,
+      // Replaces rule actions and word-list severity actions alike
+      channelActions: Array.isArray(o.actions) && o.actions.length ? o.actions : undefined,
+    });
+  }
+  return out;
+}
+
+/**
+ * Every channel with overrides in the guild.
+ * @param {string} guildId
+ * @returns {Promise<Object<string, Object>>} channelId → overrides
+ */
+export async function loadChannelOverrides(guildId) {
+  const { rows } = await query(
+    `SELECT channel_id, auto_mod_overrides FROM channel_config
+     WHERE guild_id = $1 AND auto_mod_overrides <> '{}'::jsonb`,
+    [guildId]
+  );
+  return Object.fromEntries(rows.map(r => [r.channel_id, r.auto_mod_overrides]));
+}
+
+/**
+ * Merge fields into one channel override (null field = back to the rule's value).
+ * @param {Object} params
+ * @param {import('pg').PoolClient} [params.client]
+ * @param {string} params.guildId
+ * @param {string} params.channelId
+ * @param {string} params.key - rule_key or rule type
+ * @param {{ enabled?: boolean|null, threshold?: number|null, actions?: string[]|null }} params.patch
+ * @returns {Promise<Object>} the channel's overrides after the change
+ */
+export async function setChannelOverride({ client, guildId, channelId, key, patch }) {
+  const run = client ? client.query.bind(client) : query;
+  const set = Object.fromEntries(Object.entries(patch).filter(([k, v]) => OVERRIDE_FIELDS.includes(k) && v != null));
+  const unset = Object.entries(patch).filter(([k, v]) => OVERRIDE_FIELDS.includes(k) && v === null).map(([k]) => k);
+
+  const { rows: [row] } = await run(
+    `INSERT INTO channel_config (channel_id, guild_id, auto_mod_overrides)
+     VALUES ($1, $2, jsonb_build_object($3::text, $4::jsonb))
+     ON CONFLICT (channel_id) DO UPDATE SET
+       auto_mod_overrides = channel_config.auto_mod_overrides || jsonb_build_object(
+         $3::text,
+         (COALESCE(channel_config.auto_mod_overrides -> $3, '{}'::jsonb) || $4::jsonb) - $5::text[]
+       ),
+       updated_at = NOW()
+     RETURNING auto_mod_overrides`,
+    [channelId, guildId, key, JSON.stringify(set), unset]
+  );
+
+  // An override with nothing left in it is no override
+  if (!Object.keys(row.auto_mod_overrides[key] ?? {}).length) {
+    return clearChannelOverride({ client, guildId, channelId, key });
+  }
+  return row.auto_mod_overrides;
+}
+
+/**
+ * @param {Object} params
+ * @param {import('pg').PoolClient} [params.client]
+ * @param {string} params.guildId
+ * @param {string} params.channelId
+ * @param {string|null} [params.key] - null = every override in the channel
+ * @returns {Promise<Object|null>} remaining overrides, null if the channel had none
+ */
+export async function clearChannelOverride({ client, guildId, channelId, key = null }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rows: [row] } = await run(
+    `UPDATE channel_config
+        SET auto_mod_overrides = CASE WHEN $3::text IS NULL THEN '{}'::jsonb
+                                      ELSE auto_mod_overrides - $3::text END,
+            updated_at = NOW()
+      WHERE channel_id = $1 AND guild_id = $2
+      RETURNING auto_mod_overrides`,
+    [channelId, guildId, key]
+  );
+  return row?.auto_mod_overrides ?? null;
+}
+
+export default {
+  OVERRIDE_FIELDS,
+  overridesForChannel,
+  applyChannelOverrides,
+  loadChannelOverrides,
+  setChannelOverride,
+  clearChannelOverride,
+};
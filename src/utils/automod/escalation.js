@@ -0,0 +1,109 @@
+// src/utils/automod/escalation.js
+// Per-rule escalation: rule_data.escalation = { steps: [{ actions, duration_seconds? }], decay_seconds }.
+// The Nth hit on a rule within decay_seconds of the previous one takes step N (the
+// last step repeats); hit counts live in Redis (AutoModState.recordEscalationHit).
+import { parseDurationSeconds, prettySecs } from '../moderation/duration.js';
+
+export const MAX_ESCALATION_STEPS = 10;
+export const DEFAULT_DECAY_SECONDS = 10 * 60;
+export const MAX_DECAY_SECONDS = 7 * 86400;
+
+const STEP_ACTIONS = ['delete', 'warn', 'timeout', 'kick', 'ban'];
+const MAX_TIMEOUT_SECONDS = 28 * 86400; // Discord's limit
+
+/** 1 → "1st", 12 → "12th" */
+export function ordinal(n) {
+  const tens = n % 100;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] ?? 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Parse "delete > warn > timeout 1h > delete+ban". Actions in a step are joined
+ * with + (or spaces/commas); a duration applies to the step's timeout or ban.
+ * @param {string} input
+ * @returns {{ ok: true, steps: { actions: string[], duration_seconds?: number }[] } | { ok: false, error: string }}
+ */
+export function parseEscalationSteps(input) {
+  const parts = String(input ?? '').split('>').map(s => s.trim());
+  if (parts.some(p => !p)) {
+    return { ok: false, error: 'Separate steps with `>`, e.g. `delete > warn > timeout 1h > ban`' };
+  }
+  if (parts.length < 2 || parts.length > MAX_ESCALATION_STEPS) {
+    return { ok: false, error: `Escalation needs 2–${MAX_ESCALATION_STEPS} steps` };
+  }
+
+  const steps = [];
+  for (const [i, part] of parts.entries()) {
+    const actions = [];
+    let duration = null;
+    for (const raw of part.toLowerCase().split(/[\s+,]+/).filter(Boolean)) {
+      const token = raw === 'mute' ? 'timeout' : raw;
+      if (STEP_ACTIONS.includes(token)) {
+        if (!actions.includes(token)) actions.push(token);
+      } else if (duration == null && /^\d+[smhdw]$/.test(token)) {
+        duration = parseDurationSeconds(token);
+      } else {
+        return { ok: false, error: `Step ${i + 1}: unknown action or duration \`${raw.slice(0, 20)}\`` };
+      }
+    }
+    if (!actions.length) return { ok: false, error: `Step ${i + 1} has no action` };
+    if (duration != null) {
+      if (!actions.includes('timeout') && !actions.includes('ban')) {
+        return { ok: false, error: `Step ${i + 1}: a duration only applies to timeout or ban` };
+      }
+      if (actions.includes('timeout') && duration > MAX_TIMEOUT_SECONDS) {
+        return { ok: false, error: `Step ${i + 1}: timeouts cannot exceed ${prettySecs(MAX_TIMEOUT_SECONDS)}` };
+      }
+    }
+    steps.push(duration ? { actions, duration_seconds: duration } : { actions });
+  }
+  return { ok: true, steps };
+}
+
+/**
+ * The step for the Nth hit within the decay window.
+ * @param {{ steps: Object[] }} escalation
+ * @param {number} hits
+ * @returns {{ level: number, of: number, step: { actions: string[], duration_seconds?: number } }}
+ */
+export function stepFor(escalation, hits) {
+  const of = escalation.steps.length;
+  const level = Math.min(Math.max(1, hits), of);
+  return { level, of, step: escalation.steps[level - 1] };
+}
+
+/** "TIMEOUT (1h)" / "DELETE + WARN" */
+export function describeStep(step) {
+  const actions = step.actions.map(a => a.toUpperCase()).join(' + ');
+  return step.duration_seconds ? `${actions} (${prettySecs(step.duration_seconds)})` : actions;
+}
+
+/** "1. DELETE → 2. WARN → 3. TIMEOUT (1h) → 4. BAN" */
+export function describeSteps(escalation) {
+  return escalation.steps.map((s, i) => `${i + 1}. ${describeStep(s)}`).join(' → ');
+}
+
+/**
+ * Line for the DM notice and log embed about a hit that escalated.
+ * @param {{ level: number, of: number, hits: number, decaySeconds: number, steps: Object[] }} esc
+ */
+export function describeEscalation(esc) {
+  const lines = [
+    `Step ${esc.level} of ${esc.of} (${ordinal(esc.hits)} violation, each within ${prettySecs(esc.decaySeconds)} of the last)`,
+  ];
+  if (esc.level < esc.of) lines.push(`Next: ${describeStep(esc.steps[esc.level])}`);
+  return lines.join('\n');
+}
+
+export default {
+  MAX_ESCALATION_STEPS,
+  DEFAULT_DECAY_SECONDS,
+  MAX_DECAY_SECONDS,
+  ordinal,
+  parseEscalationSteps,
+  stepFor,
+  describeStep,
+  describeSteps,
+  describeEscalation,
+};
@@ -0,0 +1,250 @@
+// src/utils/automod/invites.js
+// Invite rule: finds Discord invites in every spelling (discord.gg, discord.com/invite,
+// discordapp.com/invite, vanity codes, "discord . gg / code" and similar obfuscation),
+// resolves each code to its target server and allows the current server plus a
+// per-guild allowlist of partner servers (invite_allowlist). Resolutions are cached
+// in memory and in invite_targets, which also answers when Discord cannot be reached.
+import { query } from '../../core/db/index.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'automod:invites' });
+
+export const MAX_ALLOWED_SERVERS = 100;
+
+const RESOLVE_TIMEOUT_MS = 3000;
+const FRESH_MS = 6 * 60 * 60 * 1000;          // re-ask Discord after this
+const INVALID_FRESH_MS = 60 * 60 * 1000;      // unknown/expired codes are re-checked sooner
+const MEMORY_MAX = 2000;
+const memory = new Map(); // code → { target, expires }
+const UNKNOWN_INVITE = 10006;
+
+// Separators people put between the parts to dodge plain matching:
+// "discord . gg", "discord(.)gg", "discord dot gg", zero-width characters, "gg / code", "gg\code"
+const GAP = String.raw`[\s\u200B-\u200D\u2060\uFEFF]*`;
+const DOT = String.raw`(?:${GAP}(?:[.,]|[(\[{][.,][)\]}]|[(\[{]dot[)\]}])${GAP}|\s+dot\s+)`;
+const SLASH = String.raw`(?:${GAP}[/\\]${GAP}|\s+slash\s+)`;
+const HOSTS = String.raw`discord${DOT}gg|discord(?:app)?${DOT}com${SLASH}invite`;
+const INVITE_RE = new RegExp(String.raw`(?<![\w.-])(?:https?:\/\/)?(?:www\.)?(?:${HOSTS})${SLASH}([a-z0-9-]{2,32})\b`, 'gi');
+
+/**
+ * Invite codes in text, in order.
+ * @param {string} text
+ * @returns {{ code: string, index: number, length: number }[]}
+ */
+export function extractInvites(text) {
+  if (!text) return [];
+  const found = [];
+  for (const m of text.matchAll(INVITE_RE)) {
+    found.push({ code: m[1], index: m.index, length: m[0].length });
+  }
+  return found;
+}
+
+/**
+ * Parse a pasted invite link or bare code.
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function parseInviteCode(input) {
+  const s = input?.trim();
+  if (!s) return null;
+  const [hit] = extractInvites(s);
+  if (hit) return hit.code;
+  return /^[a-z0-9-]{2,32}$/i.test(s) ? s : null;
+}
+
+function remember(code, target, freshMs) {
+  if (memory.size >= MEMORY_MAX) memory.delete(memory.keys().next().value);
+  memory.set(code, { target, expires: Date.now() + freshMs });
+  return target;
+}
+
+function fromRow(row) {
+  return row.valid
+    ? { guildId: row.guild_id, guildName: row.guild_name, valid: true, cached: true }
+    : { guildId: null, guildName: null, valid: false, cached: true };
+}
+
+async function fetchFromDiscord(client, code) {
+  let timer;
+  try {
+    const invite = await Promise.race([
+      client.fetchInvite(code),
+      new Promise((_, rej) => { timer = setTimeout(() => rej(new Error('invite_timeout')), RESOLVE_TIMEOUT_MS); }),
+    ]);
+    // Group DM invites have no guild
+    return { guildId: invite.guild?.id ?? null, guildName: invite.guild?.name ?? null, valid: true };
+  } catch (err) {
+    if (err?.code === UNKNOWN_INVITE) return { guildId: null, guildName: null, valid: false };
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Which server an invite points to. Memory, then invite_targets while fresh,
+ * then Discord; when Discord fails (or `fetch` is off) any cached row is used.
+ * @param {import('discord.js').Client} client
+ * @param {string} code
+ * @param {{ fetch?: boolean }} [opts]
+ * @returns {Promise<{ guildId: string|null, guildName: string|null, valid: boolean, cached?: boolean }|null>}
+ *   null when the invite could not be resolved at all
+ */
+export async function resolveInvite(client, code, { fetch = true } = {}) {
+  const mem = memory.get(code);
+  if (mem && Date.now() < mem.expires) return mem.target;
+
+  const { rows: [row] } = await query(
+    `SELECT guild_id, guild_name, valid, resolved_at FROM invite_targets WHERE code = $1`,
+    [code]
+  ).catch((err) => {
+    log.debug({ err, code }, 'Failed to read invite cache');
+    return { rows: [] };
+  });
+  const age = row ? Date.now() - new Date(row.resolved_at).getTime() : Infinity;
+  if (row && age < (row.valid ? FRESH_MS : INVALID_FRESH_MS)) {
+    return remember(code, fromRow(row), (row.valid ? FRESH_MS : INVALID_FRESH_MS) - age);
+  }
+  if (!fetch) return row ? fromRow(row) : null;
+
+  let target;
+  try {
+    target = await fetchFromDiscord(client, code);
+  } catch (err) {
+    log.debug({ err, code }, 'Invite lookup failed');
+    return row ? fromRow(row) : null;
+  }
+
+  await query(
+    `INSERT INTO invite_targets (code, guild_id, guild_name, valid, resolved_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (code) DO UPDATE SET
+       guild_id = EXCLUDED.guild_id,
+       guild_name = EXCLUDED.guild_name,
+       valid = EXCLUDED.valid,
+       resolved_at = NOW()`,
+    [code, target.guildId, target.guildName, target.valid]
+  ).catch(err => log.debug({ err, code }, 'Failed to cache invite target'));
+
+  return remember(code, target, target.valid ? FRESH_MS : INVALID_FRESH_MS);
+}
+
+/**
+ * Allowed target server IDs for a guild (cached like the other automod lists).
+ * @param {string} guildId
+ * @param {import('./redis-state.js').AutoModState} state
+ * @returns {Promise<Set<string>>}
+ */
+export async function getInviteAllowlist(guildId, state) {
+  const cached = state.getInviteAllowlist(guildId);
+  if (cached) return cached.servers;
+
+  const { rows } = await query(
+    `SELECT target_guild_id FROM invite_allowlist WHERE guild_id = $1`,
+    [guildId]
+  );
+  const servers = new Set(rows.map(r => r.target_guild_id));
+  state.setInviteAllowlist(guildId, { servers });
+  return servers;
+}
+
+/**
+ * First invite in text that is not allowed here.
+ * Invites to this server, allowlisted servers and dead codes pass; invites that
+ * cannot be resolved at all are treated as not allowed.
+ * @param {import('discord.js').Message} message
+ * @param {string} text
+ * @param {import('./redis-state.js').AutoModState} state
+ * @param {{ resolve?: boolean }} [opts] - resolve: false answers from the cache only
+ * @returns {Promise<{ code: string, guildId: string|null, guildName: string|null, resolved: boolean, count: number, index: number, length: number }|null>}
+ */
+export async function scanInvites(message, text, state, { resolve = true } = {}) {
+  const invites = extractInvites(text);
+  if (!invites.length) return null;
+
+  const allowed = await getInviteAllowlist(message.guildId, state);
+  const own = message.guild.vanityURLCode?.toLowerCase();
+  for (const inv of invites) {
+    // This server's vanity URL and known invites need no lookup
+    if (inv.code.toLowerCase() === own || message.guild.invites.cache.has(inv.code)) continue;
+    const target = await resolveInvite(message.client, inv.code, { fetch: resolve });
+    if (target && !target.valid) continue;
+    if (target?.guildId && (target.guildId === message.guildId || allowed.has(target.guildId))) continue;
+    return {
+      code: inv.code,
+      guildId: target?.guildId ?? null,
+      guildName: target?.guildName ?? null,
+      resolved: !!target,
+      count: invites.length,
+      index: inv.index,
+      length: inv.length,
+    };
+  }
+  return null;
+}
+
+// ------------------------------
+// Allowlist CRUD (/automod invites)
+// ------------------------------
+
+/**
+ * @returns {Promise<{ added: boolean, full: boolean }>}
+ */
+export async function allowServer({ client, guildId, targetGuildId, label = null, addedBy = null }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rows: [{ total }] } = await run(
+    `SELECT COUNT(*)::int AS total FROM invite_allowlist
+     WHERE guild_id = $1 AND target_guild_id <> $2`,
+    [guildId, targetGuildId]
+  );
+  if (total >= MAX_ALLOWED_SERVERS) return { added: false, full: true };
+
+  const { rows: [row] } = await run(
+    `INSERT INTO invite_allowlist (guild_id, target_guild_id, label, added_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (guild_id, target_guild_id) DO UPDATE SET
+       label = COALESCE(EXCLUDED.label, invite_allowlist.label)
+     RETURNING (xmax = 0) AS inserted`,
+    [guildId, targetGuildId, label, addedBy]
+  );
+  return { added: row.inserted, full: false };
+}
+
+/**
+ * @returns {Promise<number>} Rows removed
+ */
+export async function disallowServer({ client, guildId, targetGuildId }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rowCount } = await run(
+    `DELETE FROM invite_allowlist WHERE guild_id = $1 AND target_guild_id = $2`,
+    [guildId, targetGuildId]
+  );
+  return rowCount;
+}
+
+/**
+ * @param {string} guildId
+ * @returns {Promise<{target_guild_id: string, label: string|null, added_by: string|null, created_at: Date}[]>}
+ */
+export async function listAllowedServers(guildId) {
+  const { rows } = await query(
+    `SELECT target_guild_id, label, added_by, created_at FROM invite_allowlist
+     WHERE guild_id = $1
+     ORDER BY label NULLS LAST, target_guild_id`,
+    [guildId]
+  );
+  return rows;
+}
+
+export default {
+  MAX_ALLOWED_SERVERS,
+  extractInvites,
+  parseInviteCode,
+  resolveInvite,
+  getInviteAllowlist,
+  scanInvites,
+  allowServer,
+  disallowServer,
+  listAllowedServers,
+};
@@ -0,0 +1,277 @@
+// src/utils/automod/keyword-lists.js
+// Guild word lists (keyword_lists): profanity / blacklist / whitelist with severities,
+// compiled into one Aho-Corasick automaton per guild and cached in AutoModState.
+import * as ACMod from 'aho-corasick';
+import { query } from '../../core/db/index.js';
+import { createLogger } from '../../core/logger.js';
+import { foldText, foldKeyword } from './normalize.js';
+
+const log = createLogger({ mod: 'automod:keywords' });
+
+const AhoCtor = ACMod.default || ACMod.AhoCorasick || ACMod;
+
+export const LIST_TYPES = Object.freeze({
+  profanity: 'Profanity',
+  blacklist: 'Blacklist',
+  whitelist: 'Whitelist',
+});
+
+export const MAX_KEYWORDS_PER_GUILD = 2000;
+export const MAX_KEYWORD_LENGTH = 64;
+
+/**
+ * profanity_filter_level → severity → actions.
+ * 0 = profanity off (blacklist still applies), 1 = moderate, 2 = strict.
+ * Blacklist entries always use the strict table.
+ */
+export const SEVERITY_ACTIONS = Object.freeze({
+  1: { 3: ['delete'], 4: ['delete', 'warn'], 5: ['delete', 'warn', 'timeout'] },
+  2: { 1: ['delete'], 2: ['delete'], 3: ['delete', 'warn'], 4: ['delete', 'warn', 'timeout'], 5: ['delete', 'warn', 'timeout'] },
+});
+
+/**
+ * Actions for a hit, or null when the filter level ignores it.
+ * @param {number} level - guild_config.profanity_filter_level
+ * @param {{type: string, severity: number}} hit
+ * @returns {string[]|null}
+ */
+export function actionsForSeverity(level, hit) {
+  const table = hit.type === 'blacklist' ? SEVERITY_ACTIONS[2] : SEVERITY_ACTIONS[level];
+  return table?.[hit.severity] ?? null;
+}
+
+/** Lowercase, trim and collapse whitespace; null if unusable */
+export function normalizeKeyword(raw) {
+  const k = String(raw ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!k || k.length > MAX_KEYWORD_LENGTH) return null;
+  return k;
+}
+
+/** Split a comma/newline separated list into normalized keywords */
+export function parseKeywordList(input) {
+  return [...new Set(
+    String(input ?? '').split(/[,\n]/).map(normalizeKeyword).filter(Boolean)
+  )];
+}
+
+function occurrences(text, word) {
+  const out = [];
+  for (let i = text.indexOf(word); i !== -1; i = text.indexOf(word, i + 1)) {
+    out.push([i, i + word.length]);
+  }
+  return out;
+}
+
+/**
+ * Compile keyword_lists rows into a matcher.
+ * Whitelisted phrases mask blocked words found inside them ("scunthorpe").
+ * @param {{keyword: string, type: string, severity: number}[]} rows
+ * @returns {{ size: number, scan(text: string): Object[], whitelisted(text: string, start: number, end: number): boolean }}
+ */
+export function compileKeywordMatcher(rows) {
+  const entries = new Map(); // keyword → [{ type, severity }]
+  for (const r of rows) {
+    const list = entries.get(r.keyword) ?? [];
+    list.push({ type: r.type, severity: r.severity ?? 1 });
+    entries.set(r.keyword, list);
+  }
+
+  let ac = null;
+  if (entries.size) {
+    ac = new AhoCtor();
+    for (const word of entries.keys()) ac.add(word, word);
+    ac.build_fail();
+  }
+
+  const found = (text) => {
+    const words = new Set();
+    if (ac && text) ac.search(text, (word) => words.add(word));
+    return words;
+  };
+
+  const allowRanges = (text, words) => {
+    const ranges = [];
+    for (const w of words) {
+      if (entries.get(w).some(e => e.type === 'whitelist')) ranges.push(...occurrences(text, w));
+    }
+    return ranges;
+  };
+
+  const masked = (ranges, start, end) => ranges.some(([s, e]) => s <= start && end <= e);
+
+  return {
+    size: entries.size,
+
+    /**
+     * @param {string} text - already lowercased
+     * @param {(start: number, end: number) => boolean} [accept] - extra check per occurrence
+     * @returns {{keyword: string, type: string, severity: number, index: number, length: number}[]}
+     */
+    scan(text, accept = () => true) {
+      const words = found(text);
+      if (!words.size) return [];
+      const allow = allowRanges(text, words);
+      const hits = [];
+      for (const w of words) {
+        for (const e of entries.get(w)) {
+          if (e.type === 'whitelist') continue;
+          const at = occurrences(text, w).find(([s, end]) => !masked(allow, s, end) && accept(s, end));
+          if (at) hits.push({ keyword: w, type: e.type, severity: e.severity, index: at[0], length: w.length });
+        }
+      }
+      return hits.sort((a, b) => b.severity - a.severity || a.index - b.index);
+    },
+
+    whitelisted(text, start, end) {
+      return masked(allowRanges(text, found(text)), start, end);
+    },
+  };
+}
+
+/**
+ * Split keyword_lists rows between the two folded views (see foldKeyword):
+ * blocked words go to the view their repeats need, whitelisted phrases to both.
+ * @param {Object[]} rows
+ * @returns {{ 1: Object[], 2: Object[] }}
+ */
+function foldRows(rows) {
+  const out = { 1: [], 2: [] };
+  for (const r of rows) {
+    const k = foldKeyword(r.keyword);
+    if (!k.text) continue;
+    if (r.type === 'whitelist') {
+      out[1].push({ ...r, keyword: foldText(r.keyword).text });
+      out[2].push({ ...r, keyword: k.text });
+    } else {
+      out[k.repeats].push({ ...r, keyword: k.text });
+    }
+  }
+  return out;
+}
+
+/**
+ * Get the guild's compiled matchers and filter level, compiling on cache miss.
+ * `folded[1]` / `folded[2]` match text that went through normalize.js (rules
+ * with normalize on), with runs collapsed to one / capped at two characters.
+ * @param {string} guildId
+ * @param {import('./redis-state.js').AutoModState} state
+ * @returns {Promise<{ matcher: ReturnType<typeof compileKeywordMatcher>, folded: { 1: ReturnType<typeof compileKeywordMatcher>, 2: ReturnType<typeof compileKeywordMatcher> }, level: number }>}
+ */
+export async function getKeywordMatcher(guildId, state) {
+  const cached = state.getKeywordMatcher(guildId);
+  if (cached) return cached;
+
+  const [lists, cfg] = await Promise.all([
+    query(`SELECT keyword, type, severity FROM keyword_lists WHERE guild_id = $1`, [guildId]),
+    query(`SELECT profanity_filter_level FROM guild_config WHERE guild_id = $1`, [guildId]),
+  ]);
+
+  let matcher;
+  let folded;
+  try {
+    matcher = compileKeywordMatcher(lists.rows);
+    const byView = foldRows(lists.rows);
+    folded = { 1: compileKeywordMatcher(byView[1]), 2: compileKeywordMatcher(byView[2]) };
+  } catch (err) {
+    log.error({ err, guildId, size: lists.rowCount }, 'Failed to compile keyword matcher');
+    matcher = compileKeywordMatcher([]);
+    folded = { 1: matcher, 2: matcher };
+  }
+
+  const entry = { matcher, folded, level: cfg.rows[0]?.profanity_filter_level ?? 1 };
+  state.setKeywordMatcher(guildId, entry);
+  return entry;
+}
+
+// ------------------------------
+// keyword_lists CRUD
+// ------------------------------
+
+/**
+ * Upsert keywords into a list.
+ * @param {Object} params
+ * @param {import('pg').PoolClient} [params.client]
+ * @param {string} params.guildId
+ * @param {string} params.type - profanity | blacklist | whitelist
+ * @param {string[]} params.keywords - normalized
+ * @param {number} [params.severity=1]
+ * @returns {Promise<{ added: number, updated: number, rejected: number }>} rejected = over the guild limit
+ */
+export async function addKeywords({ client, guildId, type, keywords, severity = 1 }) {
+  const run = client ? client.query.bind(client) : query;
+  if (!keywords.length) return { added: 0, updated: 0, rejected: 0 };
+
+  const { rows: [{ total }] } = await run(
+    `SELECT COUNT(*)::int AS total FROM keyword_lists
+     WHERE guild_id = $1 AND NOT (type = $2 AND keyword = ANY($3::text[]))`,
+    [guildId, type, keywords]
+  );
+  const room = Math.max(0, MAX_KEYWORDS_PER_GUILD - total);
+  const accepted = keywords.slice(0, room);
+  if (!accepted.length) return { added: 0, updated: 0, rejected: keywords.length };
+
+  const { rows } = await run(
+    `INSERT INTO keyword_lists (guild_id, keyword, type, severity)
+     SELECT $1, k, $2, $4 FROM unnest($3::text[]) AS k
+     ON CONFLICT (guild_id, keyword, type) DO UPDATE SET severity = EXCLUDED.severity
+     RETURNING (xmax = 0) AS inserted`,
+    [guildId, type, accepted, severity]
+  );
+  const added = rows.filter(r => r.inserted).length;
+  return { added, updated: rows.length - added, rejected: keywords.length - accepted.length };
+}
+
+/**
+ * @returns {Promise<number>} Rows removed
+ */
+export async function removeKeywords({ client, guildId, type, keywords }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rowCount } = await run(
+    `DELETE FROM keyword_lists WHERE guild_id = $1 AND type = $2 AND keyword = ANY($3::text[])`,
+    [guildId, type, keywords]
+  );
+  return rowCount;
+}
+
+/**
+ * @returns {Promise<number>} Rows removed
+ */
+export async function clearKeywordList({ client, guildId, type }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rowCount } = await run(
+    `DELETE FROM keyword_lists WHERE guild_id = $1 AND type = $2`,
+    [guildId, type]
+  );
+  return rowCount;
+}
+
+/**
+ * @param {string} guildId
+ * @param {string|null} [type] - null = all lists
+ * @returns {Promise<{keyword: string, type: string, severity: number, created_at: Date}[]>}
+ */
+export async function listKeywords(guildId, type = null) {
+  const { rows } = await query(
+    `SELECT keyword, type, severity, created_at FROM keyword_lists
+     WHERE guild_id = $1 AND ($2::text IS NULL OR type = $2)
+     ORDER BY type, severity DESC, keyword`,
+    [guildId, type]
+  );
+  return rows;
+}
+
+export default {
+  LIST_TYPES,
+  MAX_KEYWORDS_PER_GUILD,
+  MAX_KEYWORD_LENGTH,
+  SEVERITY_ACTIONS,
+  actionsForSeverity,
+  normalizeKeyword,
+  parseKeywordList,
+  compileKeywordMatcher,
+  getKeywordMatcher,
+  addKeywords,
+  removeKeywords,
+  clearKeywordList,
+  listKeywords,
+};
@@ -0,0 +1,133 @@
+// src/utils/automod/normalize.js
+// Obfuscation-resistant text folding for automod matching.
+// "Ｆ.r.е.е n!tro" → "frenitro": NFKC, accent/confusable folding, leetspeak,
+// separator stripping and repeat collapsing, with an index map back to the
+// original so matches can be reported as the span the user actually typed.
+
+// Lookalikes NFKC leaves alone (Cyrillic / Greek / Latin extended)
+const CONFUSABLES = Object.freeze({
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+  'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ї': 'i', 'ј': 'j',
+  'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ӏ': 'l',
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o',
+  'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  'ı': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ŧ': 't', 'ß': 'ss', 'æ': 'ae', 'œ': 'oe',
+  'ɡ': 'g', 'ɑ': 'a', 'ʀ': 'r', 'ꜱ': 's', 'ᴀ': 'a', 'ᴇ': 'e', 'ᴏ': 'o',
+});
+
+const LEET = Object.freeze({
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e', '£': 'l',
+});
+
+const INVISIBLE = /[\p{Cf}\u034F\u115F\u1160\u3164\uFFA0]/u; // zero-width, joiners, Hangul fillers
+const MARKS = /\p{M}/gu;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+/**
+ * Fold text for matching.
+ * @param {string} input
+ * @param {Object} [opts]
+ * @param {boolean} [opts.leet=true] - map leetspeak digits/symbols to letters
+ * @param {boolean} [opts.separators=true] - drop everything that is not a letter or digit
+ * @param {boolean|number} [opts.repeats=true] - collapse runs of the same character;
+ *   a number caps runs at that length instead (2: "asssss" → "ass")
+ * @returns {{ text: string, starts: number[], ends: number[] }} starts/ends = UTF-16 offsets in `input` per output char
+ */
+export function foldText(input, { leet = true, separators = true, repeats = true } = {}) {
+  const maxRun = repeats === true ? 1 : Number(repeats) || 0;
+  const out = [];
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (const ch of String(input ?? '')) {
+    const start = offset;
+    offset += ch.length;
+    if (INVISIBLE.test(ch)) continue;
+
+    const base = ch.normalize('NFKC').normalize('NFD').replace(MARKS, '').toLowerCase();
+    for (const b of base) {
+      for (let c of CONFUSABLES[b] ?? b) {
+        if (leet) c = LEET[c] ?? c;
+        if (separators && !WORD_CHAR.test(c)) continue;
+        if (maxRun && out.length >= maxRun && out.slice(-maxRun).every(o => o === c)) {
+          ends[ends.length - 1] = offset; // the span still covers "eeee"
+          continue;
+        }
+        out.push(c);
+        starts.push(start);
+        ends.push(offset);
+      }
+    }
+  }
+
+  return { text: out.join(''), starts, ends };
+}
+
+/**
+ * Fold a keyword for matching against folded text. Repeats are kept, or
+ * "ass" would become "as" and match all over; keywords with a doubled
+ * character are matched against text with runs capped at two instead.
+ * @param {string} keyword
+ * @returns {{ text: string, repeats: 1|2 }} repeats: the prepareText view to match against
+ */
+export function foldKeyword(keyword) {
+  const text = foldText(keyword, { repeats: 2 }).text;
+  return { text, repeats: /(.)\1/u.test(text) ? 2 : 1 };
+}
+
+/**
+ * Text as a rule sees it, plus a way back to the original.
+ * @param {string} raw - message content
+ * @param {boolean} normalize - rule opted into folding
+ * @param {{ repeats?: 1|2 }} [opts] - folded views only: longest run of one character kept
+ * @returns {{ text: string, fold: (s: string) => string, span: (start: number, end: number) => {start: number, end: number, text: string}, bounded: (start: number, end: number) => boolean }}
+ *   bounded: the match starts and ends on word boundaries of the original text
+ */
+export function prepareText(raw, normalize, { repeats = 1 } = {}) {
+  const source = String(raw ?? '');
+
+  if (!normalize) {
+    const text = source.toLowerCase();
+    // toLowerCase can change length for a handful of characters; clamp if so
+    const same = text.length === source.length;
+    return {
+      text,
+      fold: (s) => String(s).toLowerCase(),
+      span: (start, end) => {
+        const s = same ? start : Math.min(start, source.length);
+        const e = same ? end : Math.min(end, source.length);
+        return { start: s, end: e, text: source.slice(s, e) };
+      },
+      // plain matching stays substring-based
+      bounded: () => true,
+    };
+  }
+
+  const folded = foldText(source, { repeats });
+  const span = (start, end) => {
+    const s = folded.starts[start] ?? 0;
+    const e = folded.ends[Math.max(start, end - 1)] ?? source.length;
+    return { start: s, end: e, text: source.slice(s, e) };
+  };
+  return {
+    text: folded.text,
+    fold: (s) => foldText(s, { repeats }).text,
+    span,
+    // Separator stripping joins words ("has sent" → "hassent"), so a folded
+    // match only counts if the original text has no letter right around it
+    bounded: (start, end) => {
+      const { start: s, end: e } = span(start, end);
+      const before = String.fromCodePoint(source.codePointAt(s - 1) ?? 32);
+      const after = String.fromCodePoint(source.codePointAt(e) ?? 32);
+      return !WORD_CHAR.test(before) && !WORD_CHAR.test(after);
+    },
+  };
+}
+
+export default {
+  foldText,
+  foldKeyword,
+  prepareText,
+};
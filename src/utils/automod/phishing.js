@@ -0,0 +1,520 @@
+// src/utils/automod/phishing.js
+// Malicious link detection for the phishing rule: a local phishing domain list,
+// per-guild allow/deny lists (link_domains), lookalikes of well-known domains
+// (homoglyphs, punycode, leetspeak, one-letter typos), opt-in shortener
+// unwrapping and masked markdown links whose visible text names a different domain.
+import { readFile } from 'node:fs/promises';
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { query } from '../../core/db/index.js';
+import { createLogger } from '../../core/logger.js';
+import { foldText } from './normalize.js';
+
+const log = createLogger({ mod: 'automod:phishing' });
+
+export const DOMAIN_LIST_TYPES = Object.freeze({
+  allow: 'Allowlist',
+  deny: 'Denylist',
+});
+
+export const MAX_DOMAINS_PER_GUILD = 1000;
+
+export const PHISHING_REASONS = Object.freeze({
+  denylist: 'Blocked by server denylist',
+  phishing_list: 'Known phishing domain',
+  lookalike: 'Imitates a well-known domain',
+  masked: 'Masked link to a different domain',
+});
+
+// PHISHING_DOMAINS_FILE replaces the bundled list (same format: one domain per line)
+const DEFAULT_LIST_FILE = new URL('./data/phishing-domains.txt', import.meta.url);
+
+/** Domains scammers imitate. Their subdomains are legitimate. */
+export const WELL_KNOWN_DOMAINS = Object.freeze([
+  'discord.com', 'discord.gg', 'discord.gift', 'discord.media', 'discordapp.com', 'discordapp.net',
+  'steamcommunity.com', 'steampowered.com', 'epicgames.com', 'roblox.com', 'minecraft.net',
+  'paypal.com', 'google.com', 'youtube.com', 'github.com', 'twitch.tv', 'twitter.com',
+  'instagram.com', 'facebook.com', 'tiktok.com', 'spotify.com', 'reddit.com',
+  'microsoft.com', 'apple.com', 'amazon.com', 'binance.com', 'coinbase.com', 'metamask.io',
+]);
+
+/** Official domains of the brands below that are not in WELL_KNOWN_DOMAINS; never lookalikes */
+export const OFFICIAL_DOMAINS = Object.freeze([
+  'discord.co', 'discord.design', 'discord.dev', 'discord.gifts', 'discord.new', 'discord.store',
+  'discord.tools', 'discordcdn.com', 'discordstatus.com', 'dis.gd',
+  'steamstatic.com', 'steamusercontent.com', 's.team',
+]);
+
+// No legitimate alternate TLDs beyond OFFICIAL_DOMAINS: "steamcommunity.ru" is always fake
+const STRICT_BRANDS = new Set(['discord', 'discordapp', 'steamcommunity', 'steampowered']);
+
+/** Real sites one edit away from a brand above; never lookalikes */
+const LEGIT_NEIGHBOURS = Object.freeze([
+  'discords.com', 'discord.me', 'disboard.org', 'finance.com',
+]);
+
+// Typo matching only for names long enough not to collide with real sites ("redis" vs "reddit").
+// Shorter brands sit next to dictionary words ("finance" / "binance"), so a typo of one
+// also needs a second signal: a throwaway TLD or a lure word in front ("login.dicsord.com").
+// Names of TYPO_ALONE_LENGTH or more are distinctive enough on their own.
+const MIN_TYPO_LENGTH = 7;
+const TYPO_ALONE_LENGTH = 10;
+const SUSPICIOUS_TLDS = new Set([
+  'ru', 'su', 'cn', 'tk', 'ml', 'ga', 'cf', 'gq', 'pw', 'xyz', 'top', 'icu', 'buzz', 'click', 'link',
+  'gift', 'gifts', 'site', 'online', 'shop', 'live', 'fun', 'monster', 'rest', 'cyou', 'sbs', 'cfd', 'lol',
+]);
+const LURE_WORDS = /(?:^|[.-])(?:login|signin|verify|secure|auth|account|support|gift|nitro|free|claim|promo|airdrop|wallet)(?=$|[.-])/;
+
+/**
+ * Redirectors followed to their target (HEAD requests only, to these hosts only).
+ * Rules opt in with rule_data.unwrap; lookups run in the background and only
+ * cached targets are used, so message handling never waits on them.
+ */
+export const URL_SHORTENERS = new Set([
+  'bit.ly', 'bitly.com', 'tinyurl.com', 't.co', 'goo.gl', 'is.gd', 'v.gd', 'cutt.ly',
+  'rebrand.ly', 'ow.ly', 'buff.ly', 'shorturl.at', 'rb.gy', 't.ly', 'tiny.cc', 's.id',
+  'bit.do', 'shorte.st', 'adf.ly', 'tr.ee', 'lnkd.in',
+]);
+
+const UNWRAP_MAX_HOPS = 3;
+const UNWRAP_TIMEOUT_MS = 3000;
+const UNWRAP_CACHE_TTL = 60 * 60 * 1000;
+const UNWRAP_CACHE_MAX = 1000;
+const UNWRAP_PENDING_MAX = 50;
+const unwrapCache = new Map(); // url → { target, expires }
+const unwrapPending = new Map(); // url → Promise
+
+// Two-label public suffixes common enough to matter ("paypal.co.uk")
+const SECOND_LEVEL = new Set(['co', 'com', 'org', 'net', 'gov', 'edu', 'ac']);
+
+const URL_RE = /https?:\/\/[^\s<>"'`]+/gi;
+const MD_LINK_RE = /\[([^\]\n]{1,256})\]\(\s*<?(https?:\/\/[^\s)>]+)>?(?:\s+"[^"\n]*")?\s*\)/gi;
+const SHOWN_DOMAIN_RE = /(?:[\p{L}\p{N}-]+\.)+\p{L}{2,}/u;
+const TRAILING_PUNCT = /[.,;:!?)\]}'"*_~|]+$/;
+
+// ------------------------------
+// Domains
+// ------------------------------
+
+/**
+ * "https://WWW.Example.com/path" → "example.com" (ASCII / punycode); null if not a domain.
+ * @param {string} raw
+ * @returns {string|null}
+ */
+export function normalizeDomain(raw) {
+  const host = String(raw ?? '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^[^/@]*@/, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^\*\./, '')
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+  const ascii = host && domainToASCII(host);
+  if (!ascii || !ascii.includes('.') || ascii.length > 253) return null;
+  return ascii;
+}
+
+/** Split a comma/whitespace/newline separated list (# comments allowed) into domains */
+export function parseDomainList(input) {
+  return [...new Set(
+    String(input ?? '')
+      .replace(/#.*$/gm, '')
+      .split(/[\s,]+/)
+      .map(normalizeDomain)
+      .filter(Boolean)
+  )];
+}
+
+/** The entry of `set` that `host` is, or is a subdomain of */
+function findDomain(host, set) {
+  for (let h = host; h.includes('.'); h = h.slice(h.indexOf('.') + 1)) {
+    if (set.has(h)) return h;
+  }
+  return null;
+}
+
+const related = (a, b) => a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+
+function splitHost(host) {
+  const labels = host.split('.');
+  const suffix =
+    labels.length > 2 && labels.at(-1).length === 2 && SECOND_LEVEL.has(labels.at(-2)) ? 2 : 1;
+  return {
+    name: labels[labels.length - suffix - 1] ?? '',
+    sub: labels.slice(0, Math.max(0, labels.length - suffix - 1)).join('.'),
+  };
+}
+
+// "dіsc0rd" / "steam-community" / "rnicrosoft" → same skeleton as the real name.
+// i/l/1 and rn/m are interchangeable at a glance, so they fold together.
+const skeleton = (label) => foldText(label).text.replace(/rn/g, 'm').replace(/i/g, 'l');
+
+function withinOneEdit(a, b) {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  if (a.length === b.length) {
+    // one substitution or one adjacent swap
+    return a.slice(i + 1) === b.slice(i + 1) ||
+      (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+  }
+  const [long, short] = a.length > b.length ? [a, b] : [b, a];
+  return long.slice(i + 1) === short.slice(i);
+}
+
+const KNOWN_SET = new Set([...WELL_KNOWN_DOMAINS, ...OFFICIAL_DOMAINS, ...LEGIT_NEIGHBOURS]);
+const KNOWN_NAMES = WELL_KNOWN_DOMAINS.map(domain => {
+  const { name } = splitHost(domain);
+  return { domain, name, folded: skeleton(name) };
+});
+
+/**
+ * The well-known domain a host imitates, or null.
+ * @param {string} host - ASCII hostname
+ * @returns {string|null}
+ */
+export function lookalikeOf(host) {
+  if (findDomain(host, KNOWN_SET)) return null;
+
+  const unicode = domainToUnicode(host) || host;
+  const { name, sub } = splitHost(unicode);
+  const folded = skeleton(name);
+  if (folded) {
+    const secondSignal = SUSPICIOUS_TLDS.has(unicode.slice(unicode.lastIndexOf('.') + 1)) || LURE_WORDS.test(sub);
+    for (const known of KNOWN_NAMES) {
+      if (folded === known.folded) {
+        // Same name after folding: a disguise, or a brand that has no other TLDs
+        if (name !== known.name || STRICT_BRANDS.has(known.name)) return known.domain;
+      } else if (
+        known.folded.length >= MIN_TYPO_LENGTH &&
+        (secondSignal || known.folded.length >= TYPO_ALONE_LENGTH) &&
+        withinOneEdit(folded, known.folded)
+      ) {
+        return known.domain;
+      }
+    }
+  }
+
+  // "discord.com.verify-login.ru": a well-known domain worn as a subdomain
+  const dotted = `.${sub}.`;
+  return WELL_KNOWN_DOMAINS.find(d => dotted.includes(`.${d}.`)) ?? null;
+}
+
+// ------------------------------
+// Lists
+// ------------------------------
+
+let phishingDomains = null; // Promise<Set<string>>
+
+/**
+ * The local phishing domain list, read once per process.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.reload=false] - re-read the file
+ * @returns {Promise<Set<string>>}
+ */
+export function loadPhishingDomains({ reload = false } = {}) {
+  if (!phishingDomains || reload) {
+    const file = process.env.PHISHING_DOMAINS_FILE || DEFAULT_LIST_FILE;
+    phishingDomains = readFile(file, 'utf8')
+      .then(text => {
+        const set = new Set(parseDomainList(text));
+        log.info({ file: String(file), count: set.size }, 'Loaded phishing domain list');
+        return set;
+      })
+      .catch(err => {
+        log.error({ err, file: String(file) }, 'Failed to load phishing domain list');
+        return new Set();
+      });
+  }
+  return phishingDomains;
+}
+
+/**
+ * The guild's allow/deny lists, cached in AutoModState.
+ * @param {string} guildId
+ * @param {import('./redis-state.js').AutoModState} state
+ * @returns {Promise<{ allow: Set<string>, deny: Set<string> }>}
+ */
+export async function getDomainLists(guildId, state) {
+  const cached = state.getDomainLists(guildId);
+  if (cached) return cached;
+
+  const { rows } = await query(
+    `SELECT domain, type FROM link_domains WHERE guild_id = $1`,
+    [guildId]
+  );
+  const entry = { allow: new Set(), deny: new Set() };
+  for (const r of rows) entry[r.type]?.add(r.domain);
+
+  state.setDomainLists(guildId, entry);
+  return entry;
+}
+
+// ------------------------------
+// Links
+// ------------------------------
+
+function parseUrl(raw) {
+  try {
+    const url = new URL(raw);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url;
+  } catch {
+    return null;
+  }
+}
+
+// "https://discord.com@evil.ru" shows one domain and opens another
+function userinfoDomain(url) {
+  if (!url.username) return null;
+  try {
+    return normalizeDomain(decodeURIComponent(url.username));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Links in text: markdown links (with their visible text) and bare URLs.
+ * @param {string} text
+ * @returns {{ url: string, host: string, shown: string|null, index: number, length: number }[]}
+ */
+export function extractLinks(text) {
+  if (!text) return [];
+  const links = [];
+  const covered = [];
+
+  for (const m of text.matchAll(MD_LINK_RE)) {
+    const url = parseUrl(m[2]);
+    if (!url) continue;
+    const shown = m[1].match(SHOWN_DOMAIN_RE);
+    links.push({
+      url: url.href,
+      host: url.hostname,
+      shown: shown ? normalizeDomain(shown[0]) : null,
+      index: m.index,
+      length: m[0].length,
+    });
+    covered.push([m.index, m.index + m[0].length]);
+  }
+
+  for (const m of text.matchAll(URL_RE)) {
+    if (covered.some(([s, e]) => m.index >= s && m.index < e)) continue;
+    const raw = m[0].replace(TRAILING_PUNCT, '');
+    const url = parseUrl(raw);
+    if (!url) continue;
+    links.push({
+      url: url.href,
+      host: url.hostname,
+      shown: userinfoDomain(url),
+      index: m.index,
+      length: raw.length,
+    });
+  }
+
+  return links.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Follow a shortener's redirects (HEAD, no body) while they stay on known shorteners.
+ * @param {string} url
+ * @returns {Promise<string|null>} final URL, or null if it could not be unwrapped
+ */
+export async function unwrapShortUrl(url) {
+  const cached = unwrapCache.get(url);
+  if (cached && Date.now() < cached.expires) return cached.target;
+
+  let current = url;
+  for (let hop = 0; hop < UNWRAP_MAX_HOPS; hop++) {
+    const parsed = parseUrl(current);
+    if (!parsed || !findDomain(parsed.hostname, URL_SHORTENERS)) break;
+    try {
+      const res = await fetch(current, {
+        method: 'HEAD',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(UNWRAP_TIMEOUT_MS),
+      });
+      const location = res.headers.get('location');
+      if (!location) break;
+      current = new URL(location, current).href;
+    } catch (err) {
+      log.debug({ err, url: current }, 'Failed to unwrap short URL');
+      break;
+    }
+  }
+
+  const target = current === url ? null : current;
+  if (unwrapCache.size >= UNWRAP_CACHE_MAX) unwrapCache.delete(unwrapCache.keys().next().value);
+  unwrapCache.set(url, { target, expires: Date.now() + UNWRAP_CACHE_TTL });
+  return target;
+}
+
+/**
+ * A shortener's cached target, without waiting: a miss starts unwrapShortUrl in
+ * the background so a repeat of the link (spam usually repeats) is judged by target.
+ * @param {string} url
+ * @returns {string|null|undefined} final URL, null if it does not redirect, undefined while unknown
+ */
+export function cachedShortUrl(url) {
+  const cached = unwrapCache.get(url);
+  if (cached && Date.now() < cached.expires) return cached.target;
+  if (!unwrapPending.has(url) && unwrapPending.size < UNWRAP_PENDING_MAX) {
+    unwrapPending.set(url, unwrapShortUrl(url).catch(() => null).finally(() => unwrapPending.delete(url)));
+  }
+  return undefined;
+}
+
+function judgeHost(host, phishing, lists) {
+  const denied = findDomain(host, lists.deny);
+  if (denied) return { reason: 'denylist', match: denied };
+  if (findDomain(host, lists.allow)) return { allowed: true };
+
+  const listed = findDomain(host, phishing);
+  if (listed) return { reason: 'phishing_list', match: listed };
+
+  const imitates = lookalikeOf(host);
+  if (imitates) return { reason: 'lookalike', match: imitates };
+  return null;
+}
+
+/**
+ * First unsafe link in the text.
+ * @param {string} guildId
+ * @param {string} text
+ * @param {import('./redis-state.js').AutoModState} state
+ * @param {Object} [opts]
+ * @param {boolean} [opts.unwrap=false] - judge shortened links by their cached target
+ * @returns {Promise<{ url: string, host: string, via: string|null, reason: string, match: string, index: number, length: number }|null>}
+ */
+export async function scanLinks(guildId, text, state, { unwrap = false } = {}) {
+  const links = extractLinks(text);
+  if (!links.length) return null;
+
+  const [phishing, lists] = await Promise.all([
+    loadPhishingDomains(),
+    getDomainLists(guildId, state),
+  ]);
+
+  for (const link of links) {
+    let host = link.host;
+    let via = null;
+    if (unwrap && findDomain(host, URL_SHORTENERS)) {
+      const target = parseUrl(cachedShortUrl(link.url));
+      if (target) {
+        via = host;
+        host = target.hostname;
+      }
+    }
+
+    const verdict = judgeHost(host, phishing, lists);
+    if (verdict?.allowed) continue;
+    if (verdict) return { ...link, host, via, ...verdict };
+
+    // "[discord.com](https://elsewhere.ru)"
+    if (link.shown && !related(link.shown, host) && !related(link.shown, link.host)) {
+      return { ...link, host, via, reason: 'masked', match: link.shown };
+    }
+  }
+  return null;
+}
+
+// ------------------------------
+// link_domains CRUD
+// ------------------------------
+
+/**
+ * Add domains to a list (a domain lives in one list; adding moves it).
+ * @param {Object} params
+ * @param {import('pg').PoolClient} [params.client]
+ * @param {string} params.guildId
+ * @param {string} params.type - allow | deny
+ * @param {string[]} params.domains - normalized
+ * @param {string} [params.addedBy]
+ * @returns {Promise<{ added: number, moved: number, rejected: number }>} rejected = over the guild limit
+ */
+export async function addDomains({ client, guildId, type, domains, addedBy = null }) {
+  const run = client ? client.query.bind(client) : query;
+  if (!domains.length) return { added: 0, moved: 0, rejected: 0 };
+
+  const { rows: [{ total }] } = await run(
+    `SELECT COUNT(*)::int AS total FROM link_domains
+     WHERE guild_id = $1 AND NOT (domain = ANY($2::text[]))`,
+    [guildId, domains]
+  );
+  const room = Math.max(0, MAX_DOMAINS_PER_GUILD - total);
+  const accepted = domains.slice(0, room);
+  if (!accepted.length) return { added: 0, moved: 0, rejected: domains.length };
+
+  const { rows } = await run(
+    `INSERT INTO link_domains (guild_id, domain, type, added_by)
+     SELECT $1, d, $2, $4 FROM unnest($3::text[]) AS d
+     ON CONFLICT (guild_id, domain) DO UPDATE SET type = EXCLUDED.type, added_by = EXCLUDED.added_by
+     RETURNING (xmax = 0) AS inserted`,
+    [guildId, type, accepted, addedBy]
+  );
+  const added = rows.filter(r => r.inserted).length;
+  return { added, moved: rows.length - added, rejected: domains.length - accepted.length };
+}
+
+/**
+ * @returns {Promise<number>} Rows removed
+ */
+export async function removeDomains({ client, guildId, domains }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rowCount } = await run(
+    `DELETE FROM link_domains WHERE guild_id = $1 AND domain = ANY($2::text[])`,
+    [guildId, domains]
+  );
+  return rowCount;
+}
+
+/**
+ * @returns {Promise<number>} Rows removed
+ */
+export async function clearDomainList({ client, guildId, type }) {
+  const run = client ? client.query.bind(client) : query;
+  const { rowCount } = await run(
+    `DELETE FROM link_domains WHERE guild_id = $1 AND type = $2`,
+    [guildId, type]
+  );
+  return rowCount;
+}
+
+/**
+ * @param {string} guildId
+ * @param {string|null} [type] - null = both lists
+ * @returns {Promise<{domain: string, type: string, added_by: string|null, created_at: Date}[]>}
+ */
+export async function listDomains(guildId, type = null) {
+  const { rows } = await query(
+    `SELECT domain, type, added_by, created_at FROM link_domains
+     WHERE guild_id = $1 AND ($2::text IS NULL OR type = $2)
+     ORDER BY type, domain`,
+    [guildId, type]
+  );
+  return rows;
+}
+
+export default {
+  DOMAIN_LIST_TYPES,
+  MAX_DOMAINS_PER_GUILD,
+  PHISHING_REASONS,
+  WELL_KNOWN_DOMAINS,
+  OFFICIAL_DOMAINS,
+  URL_SHORTENERS,
+  normalizeDomain,
+  parseDomainList,
+  lookalikeOf,
+  loadPhishingDomains,
+  getDomainLists,
+  extractLinks,
+  unwrapShortUrl,
+  cachedShortUrl,
+  scanLinks,
+  addDomains,
+  removeDomains,
+  clearDomainList,
+  listDomains,
+};
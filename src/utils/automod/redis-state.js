@@ -12,6 +12,13 @@ export class AutoModState extends EventEmitter {
         this.keyPrefix = 'automod:';
         this.defaultTTL = 300; // 5 minutes for configs
         this.trackingTTL = 300; // 5 minutes for tracking data
+        this.joinTTL = 3600; // 1 hour of joins (longest raid window)
+        this.fingerprintTTL = 3600; // 1 hour (longest duplicate rule window)
+        // Compiled keyword matchers can't live in Redis: per-process cache,
+        // kept coherent across shards through the invalidation channel
+        this.keywordMatchers = new Map();
+        this.domainLists = new Map(); // link_domains allow/deny sets, same scheme
+        this.inviteAllowlists = new Map(); // invite_allowlist server sets, same scheme
     }
 
     // Guild configuration caching
@@ -24,6 +31,7 @@ export class AutoModState extends EventEmitter {
                 return {
                     enabled: cached.enabled === 'true',
                     rules: JSON.parse(cached.rules || '[]'),
+                    overrides: JSON.parse(cached.overrides || '{}'),
                     expires: parseInt(cached.expires || '0')
                 };
             }
@@ -43,6 +51,7 @@ export class AutoModState extends EventEmitter {
                 .hset(key, {
                     enabled: config.enabled.toString(),
                     rules: JSON.stringify(config.rules),
+                    overrides: JSON.stringify(config.overrides ?? {}),
                     expires: expires.toString()
                 })
                 .expire(key, this.defaultTTL)
@@ -72,6 +81,102 @@ export class AutoModState extends EventEmitter {
         }
     }
 
+    // Keyword list matchers (in-process)
+    getKeywordMatcher(guildId) {
+        const entry = this.keywordMatchers.get(guildId);
+        if (!entry) return null;
+        if (Date.now() >= entry.expires) {
+            this.keywordMatchers.delete(guildId);
+            return null;
+        }
+        return entry;
+    }
+
+    setKeywordMatcher(guildId, entry) {
+        this.keywordMatchers.set(guildId, { ...entry, expires: Date.now() + (this.defaultTTL * 1000) });
+    }
+
+    async invalidateKeywordLists(guildId) {
+        this.keywordMatchers.delete(guildId);
+
+        try {
+            await this.redis.publish(`${this.keyPrefix}invalidate`, JSON.stringify({
+                type: 'keyword_lists',
+                guildId
+            }));
+        } catch (err) {
+            log.error({ err, guildId }, 'Failed to publish keyword list invalidation');
+        }
+    }
+
+    // Link domain allow/deny lists (in-process)
+    getDomainLists(guildId) {
+        const entry = this.domainLists.get(guildId);
+        if (!entry) return null;
+        if (Date.now() >= entry.expires) {
+            this.domainLists.delete(guildId);
+            return null;
+        }
+        return entry;
+    }
+
+    setDomainLists(guildId, entry) {
+        this.domainLists.set(guildId, { ...entry, expires: Date.now() + (this.defaultTTL * 1000) });
+    }
+
+    async invalidateDomainLists(guildId) {
+        this.domainLists.delete(guildId);
+
+        try {
+            await this.redis.publish(`${this.keyPrefix}invalidate`, JSON.stringify({
+                type: 'link_domains',
+                guildId
+            }));
+        } catch (err) {
+            log.error({ err, guildId }, 'Failed to publish link domain invalidation');
+        }
+    }
+
+    // Invite allowlists (in-process)
+    getInviteAllowlist(guildId) {
+        const entry = this.inviteAllowlists.get(guildId);
+        if (!entry) return null;
+        if (Date.now() >= entry.expires) {
+            this.inviteAllowlists.delete(guildId);
+            return null;
+        }
+        return entry;
+    }
+
+    setInviteAllowlist(guildId, entry) {
+        this.inviteAllowlists.set(guildId, { ...entry, expires: Date.now() + (this.defaultTTL * 1000) });
+    }
+
+    async invalidateInviteAllowlist(guildId) {
+        this.inviteAllowlists.delete(guildId);
+
+        try {
+            await this.redis.publish(`${this.keyPrefix}invalidate`, JSON.stringify({
+                type: 'invite_allowlist',
+                guildId
+            }));
+        } catch (err) {
+            log.error({ err, guildId }, 'Failed to publish invite allowlist invalidation');
+        }
+    }
+
+    handleInvalidation(data) {
+        if (data?.type === 'keyword_lists' && data.guildId) {
+            this.keywordMatchers.delete(data.guildId);
+        }
+        if (data?.type === 'link_domains' && data.guildId) {
+            this.domainLists.delete(data.guildId);
+        }
+        if (data?.type === 'invite_allowlist' && data.guildId) {
+            this.inviteAllowlists.delete(data.guildId);
+        }
+    }
+
     // Message spam tracking
     async trackMessage(userId, guildId, timestamp = Date.now()) {
         const key = `${this.keyPrefix}spam:${guildId}:${userId}`;
@@ -152,6 +257,38 @@ export class AutoModState extends EventEmitter {
         }
     }
 
+    // Sticker tracking (attachment rule sticker limits)
+    async trackStickers(userId, guildId, messageId, stickerCount, timestamp = Date.now()) {
+        const key = `${this.keyPrefix}stickers:${guildId}:${userId}`;
+
+        try {
+            const multi = this.redis.multi();
+            // The message id keeps same-millisecond messages apart
+            multi.zadd(key, timestamp, `${timestamp}:${stickerCount}:${messageId}`);
+            multi.zremrangebyscore(key, 0, timestamp - (this.trackingTTL * 1000));
+            multi.expire(key, this.trackingTTL);
+            await multi.exec();
+        } catch (err) {
+            log.debug({ err, userId, guildId }, 'Failed to track stickers');
+        }
+    }
+
+    async getStickerCount(userId, guildId, windowMs) {
+        const key = `${this.keyPrefix}stickers:${guildId}:${userId}`;
+        const cutoff = Date.now() - windowMs;
+
+        try {
+            const entries = await this.redis.zrangebyscore(key, cutoff, '+inf');
+            return entries.reduce((total, entry) => {
+                const [, count] = entry.split(':');
+                return total + parseInt(count || '0', 10);
+            }, 0);
+        } catch (err) {
+            log.debug({ err, userId, guildId }, 'Failed to get sticker count');
+            return 0;
+        }
+    }
+
     // Channel spam tracking
     async trackChannelUsage(userId, guildId, channelId, timestamp = Date.now()) {
         const key = `${this.keyPrefix}channels:${guildId}:${userId}`;
@@ -185,6 +322,128 @@ export class AutoModState extends EventEmitter {
         }
     }
 
+    // Duplicate-message fingerprints. Entries: ts:userId:channelId:messageId:signature
+    async trackFingerprint(guildId, { userId, channelId, messageId, signature, bands }, timestamp = Date.now()) {
+        const entry = `${timestamp}:${userId}:${channelId}:${messageId}:${signature.join('.')}`;
+        const cutoff = timestamp - (this.fingerprintTTL * 1000);
+        const keys = [
+            `${this.keyPrefix}dup:u:${guildId}:${userId}`,
+            ...bands.map(b => `${this.keyPrefix}dup:b:${guildId}:${b}`)
+        ];
+
+        try {
+            const multi = this.redis.multi();
+            for (const key of keys) {
+                multi.zadd(key, timestamp, entry);
+                multi.zremrangebyscore(key, 0, cutoff);
+                multi.expire(key, this.fingerprintTTL);
+            }
+            await multi.exec();
+        } catch (err) {
+            log.debug({ err, guildId, userId }, 'Failed to track fingerprint');
+        }
+    }
+
+    /**
+     * Fingerprints in the window from this user and, via band keys, from anyone
+     * posting similar text. Deduplicated by message id.
+     */
+    async getFingerprints(guildId, userId, bands, windowMs) {
+        const cutoff = Date.now() - windowMs;
+        const keys = [
+            `${this.keyPrefix}dup:u:${guildId}:${userId}`,
+            ...bands.map(b => `${this.keyPrefix}dup:b:${guildId}:${b}`)
+        ];
+
+        try {
+            const pipeline = this.redis.pipeline();
+            keys.forEach(key => pipeline.zrangebyscore(key, cutoff, '+inf'));
+            const results = await pipeline.exec();
+
+            const byMessage = new Map();
+            for (const [err, entries] of results) {
+                if (err) continue;
+                for (const entry of entries) {
+                    const [ts, uid, channelId, messageId, sig = ''] = entry.split(':');
+                    if (byMessage.has(messageId)) continue;
+                    byMessage.set(messageId, {
+                        ts: parseInt(ts, 10),
+                        userId: uid,
+                        channelId,
+                        messageId,
+                        signature: sig.split('.')
+                    });
+                }
+            }
+            return [...byMessage.values()];
+        } catch (err) {
+            log.debug({ err, guildId, userId }, 'Failed to get fingerprints');
+            return [];
+        }
+    }
+
+    // Join tracking (anti-raid). flags: 'y' = young account, 'd' = default avatar
+    async trackJoin(guildId, userId, flags = '', timestamp = Date.now()) {
+        const key = `${this.keyPrefix}joins:${guildId}`;
+
+        try {
+            const multi = this.redis.multi();
+            multi.zadd(key, timestamp, `${timestamp}:${userId}:${flags}`);
+            multi.zremrangebyscore(key, 0, timestamp - (this.joinTTL * 1000));
+            multi.expire(key, this.joinTTL);
+            await multi.exec();
+        } catch (err) {
+            log.debug({ err, guildId, userId }, 'Failed to track join');
+        }
+    }
+
+    async getRecentJoins(guildId, windowMs) {
+        const key = `${this.keyPrefix}joins:${guildId}`;
+        const cutoff = Date.now() - windowMs;
+
+        try {
+            const entries = await this.redis.zrangebyscore(key, cutoff, '+inf');
+            return entries.map(entry => {
+                const [ts, userId, flags = ''] = entry.split(':');
+                return {
+                    ts: parseInt(ts, 10),
+                    userId,
+                    young: flags.includes('y'),
+                    defaultAvatar: flags.includes('d')
+                };
+            });
+        } catch (err) {
+            log.debug({ err, guildId }, 'Failed to get recent joins');
+            return [];
+        }
+    }
+
+    // Active raid marker (raid_events.id), expires with the lockdown
+    async getActiveRaid(guildId) {
+        try {
+            return await this.redis.get(`${this.keyPrefix}raid:${guildId}`);
+        } catch (err) {
+            log.debug({ err, guildId }, 'Failed to get active raid');
+            return null;
+        }
+    }
+
+    async setActiveRaid(guildId, raidId, ttlSeconds) {
+        try {
+            await this.redis.set(`${this.keyPrefix}raid:${guildId}`, raidId, 'EX', ttlSeconds);
+        } catch (err) {
+            log.error({ err, guildId, raidId }, 'Failed to set active raid');
+        }
+    }
+
+    async clearActiveRaid(guildId) {
+        try {
+            await this.redis.del(`${this.keyPrefix}raid:${guildId}`);
+        } catch (err) {
+            log.error({ err, guildId }, 'Failed to clear active raid');
+        }
+    }
+
     // Action deduplication (prevent double-actions)
     async acquireActionLock(guildId, userId, action, ttlSeconds = 10) {
         const key = `${this.keyPrefix}lock:${guildId}:${userId}:${action}`;
@@ -208,6 +467,24 @@ export class AutoModState extends EventEmitter {
         }
     }
 
+    // Escalation: hits per (guild, rule, user). Every hit restarts the decay
+    // window, so the count only resets after decaySeconds without a hit.
+    // Shadow/log-only hits count apart, so a dry run never raises real steps.
+    async recordEscalationHit(guildId, ruleId, userId, decaySeconds, { dryRun = false } = {}) {
+        const key = `${this.keyPrefix}${dryRun ? 'escalation_dry' : 'escalation'}:${guildId}:${ruleId}:${userId}`;
+
+        try {
+            const [[, hits]] = await this.redis.multi()
+                .incr(key)
+                .expire(key, decaySeconds)
+                .exec();
+            return hits;
+        } catch (err) {
+            log.debug({ err, guildId, ruleId, userId }, 'Failed to record escalation hit');
+            return 1; // first step is the safe default
+        }
+    }
+
     // Rule error tracking (auto-quarantine bad rules)
     async trackRuleError(guildId, ruleId, error) {
         const key = `${this.keyPrefix}errors:${guildId}:${ruleId}`;
@@ -235,6 +512,7 @@ export class AutoModState extends EventEmitter {
             `${this.keyPrefix}spam:*`,
             `${this.keyPrefix}mentions:*`,
             `${this.keyPrefix}channels:*`,
+            `${this.keyPrefix}stickers:*`,
             `${this.keyPrefix}errors:*`
         ];
 
@@ -288,6 +566,7 @@ export class AutoModState extends EventEmitter {
                 await this.sub.subscribe(channel, (message) => {
                     try {
                         const data = JSON.parse(message);
+                        this.handleInvalidation(data);
                         callback?.(data);
                     } catch (err) {
                         log.error({ err, message }, 'Failed to parse invalidation message');
@@ -302,6 +581,7 @@ export class AutoModState extends EventEmitter {
                 if (ch !== channel) return;
                 try {
                     const data = JSON.parse(message);
+                    this.handleInvalidation(data);
                     callback?.(data);
                 } catch (err) {
                     log.error({ err, message }, 'Failed to parse invalidation message');
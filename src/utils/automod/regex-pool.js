@@ -0,0 +1,209 @@
+// src/utils/automod/regex-pool.js
+// Regex rules run in a small worker_threads pool. String.prototype.match is
+// synchronous, so a catastrophic-backtracking pattern on the main thread would
+// freeze the shard; in a worker it is terminated after REGEX_TIMEOUT_MS and the
+// worker replaced. regexSafetyIssue() rejects the worst patterns up front.
+// Workers that fail to boot are respawned with exponential backoff; while none
+// can start, regex rules are skipped ('regex_unavailable') instead of waiting.
+import { Worker } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'automod:regex' });
+
+const WORKER_FILE = new URL('./regex-worker.js', import.meta.url);
+const POOL_SIZE = Number(process.env.AUTOMOD_REGEX_WORKERS) || Math.max(1, Math.min(2, availableParallelism() - 1));
+const MAX_QUEUE = 1000;                 // jobs waiting for a worker before new ones are refused
+export const REGEX_TIMEOUT_MS = 250;    // per match, counted from when a worker picks it up
+const RESPAWN_BASE_MS = 500;            // wait after a failed boot, doubled per failure in a row
+const RESPAWN_MAX_MS = 30_000;
+const MAX_BOOT_FAILURES = 5;            // in a row; then the pool rests for POOL_DISABLED_MS
+const POOL_DISABLED_MS = 10 * 60_000;
+
+const slots = new Set();   // { worker, job, ready }
+const idle = [];           // slots that are ready and free
+const queue = [];          // jobs waiting for a slot
+let nextId = 0;
+let bootFailures = 0;      // workers in a row that exited before reporting ready
+let spawnAfter = 0;        // no new worker before this (epoch ms)
+
+function spawn() {
+  const slot = { worker: new Worker(WORKER_FILE), job: null, ready: false };
+  slots.add(slot);
+
+  slot.worker.on('message', (msg) => {
+    // Only hand out work once the worker has loaded, so boot time never counts as a timeout
+    if (msg.ready) {
+      slot.ready = true;
+      bootFailures = 0;
+      release(slot);
+      return;
+    }
+    const job = slot.job;
+    if (!job || msg.id !== job.id) return;
+    clearTimeout(job.timer);
+    slot.job = null;
+    if (msg.error) job.reject(new Error(msg.error));
+    else job.resolve(msg.matches);
+    release(slot);
+  });
+  slot.worker.on('error', (err) => log.error({ err }, 'Regex worker crashed'));
+  slot.worker.on('exit', () => {
+    slots.delete(slot);
+    const i = idle.indexOf(slot);
+    if (i >= 0) idle.splice(i, 1);
+    if (slot.job) {
+      clearTimeout(slot.job.timer);
+      slot.job.reject(new Error('regex_worker_exit'));
+      slot.job = null;
+    }
+    if (!slot.ready) bootFailed();
+    pump();
+  });
+  // after the listeners: adding a 'message' listener re-refs the port
+  slot.worker.unref();
+}
+
+function release(slot) {
+  if (!slots.has(slot)) return;
+  const job = queue.shift();
+  if (job) dispatch(slot, job);
+  else idle.push(slot);
+}
+
+function dispatch(slot, job) {
+  slot.job = job;
+  job.timer = setTimeout(() => {
+    // Retire the worker; the exit handler must not reject the job a second time
+    slot.job = null;
+    slots.delete(slot);
+    slot.worker.terminate().catch(() => {});
+    job.reject(new Error('regex_timeout'));
+    pump();
+  }, job.timeoutMs);
+  slot.worker.postMessage({ id: job.id, pattern: job.pattern, flags: job.flags, subject: job.subject });
+}
+
+function bootFailed() {
+  bootFailures++;
+  if (bootFailures >= MAX_BOOT_FAILURES) {
+    bootFailures = 0;
+    spawnAfter = Date.now() + POOL_DISABLED_MS;
+    log.error({ failures: MAX_BOOT_FAILURES, retryInMs: POOL_DISABLED_MS }, 'Regex workers keep failing to start; skipping regex rules');
+  } else {
+    spawnAfter = Date.now() + Math.min(RESPAWN_BASE_MS * 2 ** (bootFailures - 1), RESPAWN_MAX_MS);
+    log.warn({ failures: bootFailures, retryInMs: spawnAfter - Date.now() }, 'Regex worker failed to start');
+  }
+  // Nothing left to run the waiting jobs
+  if (!slots.size) for (const job of queue.splice(0)) job.reject(new Error('regex_unavailable'));
+}
+
+const canSpawn = () => Date.now() >= spawnAfter;
+
+function pump() {
+  while (queue.length && idle.length) dispatch(idle.pop(), queue.shift());
+  if (queue.length && slots.size < POOL_SIZE && canSpawn()) spawn();
+}
+
+/**
+ * Run a regex in the pool.
+ * @param {string} pattern
+ * @param {string} flags
+ * @param {string} subject
+ * @param {{ timeoutMs?: number }} [opts]
+ * @returns {Promise<Array<{ index: number, length: number }>>} up to 100 matches;
+ *   rejects with 'regex_timeout', 'regex_busy', 'regex_unavailable' (no worker can
+ *   start right now) or the RegExp syntax error
+ */
+export function matchRegex(pattern, flags, subject, { timeoutMs = REGEX_TIMEOUT_MS } = {}) {
+  if (queue.length >= MAX_QUEUE) return Promise.reject(new Error('regex_busy'));
+  if (!slots.size && !canSpawn()) return Promise.reject(new Error('regex_unavailable'));
+  return new Promise((resolve, reject) => {
+    queue.push({ id: ++nextId, pattern, flags, subject, timeoutMs, resolve, reject, timer: null });
+    pump();
+  });
+}
+
+// {n}, {n,}, {n,m}: does it repeat more than once?
+function readQuantifier(pattern, i) {
+  const c = pattern[i];
+  let repeats;
+  let end = i;
+  if (c === '*' || c === '+') repeats = true;
+  else if (c === '?') repeats = false;
+  else if (c === '{') {
+    const m = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+    if (!m) return null;
+    repeats = m[2] ? (m[3] === '' || Number(m[3]) > 1) : Number(m[1]) > 1;
+    end = i + m[0].length - 1;
+  } else return null;
+  if (pattern[end + 1] === '?') end++; // lazy
+  return { repeats, end };
+}
+
+/**
+ * Static check for patterns that backtrack catastrophically: a repeated group
+ * that itself contains a repeat, e.g. (a+)+, (\w*\s?)*, ((ab)+c){2,}.
+ * @param {string} pattern
+ * @returns {string|null} why the pattern is unsafe, null if it looks fine
+ */
+export function regexSafetyIssue(pattern) {
+  const stack = [{ repeats: false }];
+  let closed = null; // group that ended right before the current token
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === '\\') {
+      i++;
+      closed = null;
+      continue;
+    }
+    if (c === '[') {
+      // character class: quantifier characters inside are literals
+      i++;
+      if (pattern[i] === '^') i++;
+      if (pattern[i] === ']') i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        if (pattern[i] === '\\') i++;
+        i++;
+      }
+      closed = null;
+      continue;
+    }
+    if (c === '(') {
+      stack.push({ repeats: false });
+      // (?:  (?=  (?!  (?<=  (?<!  (?<name>
+      if (pattern[i + 1] === '?') {
+        const m = /^\(\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i));
+        if (m) i += m[0].length - 1;
+      }
+      closed = null;
+      continue;
+    }
+    if (c === ')') {
+      closed = stack.length > 1 ? stack.pop() : null;
+      if (closed?.repeats) stack[stack.length - 1].repeats = true;
+      continue;
+    }
+
+    const q = readQuantifier(pattern, i);
+    if (q) {
+      if (q.repeats) {
+        if (closed?.repeats) {
+          return `nested quantifier at position ${i + 1} (a repeated group that contains a repeat)`;
+        }
+        stack[stack.length - 1].repeats = true;
+      }
+      i = q.end;
+    }
+    closed = null;
+  }
+  return null;
+}
+
+export default {
+  REGEX_TIMEOUT_MS,
+  matchRegex,
+  regexSafetyIssue,
+};
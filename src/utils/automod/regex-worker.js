@@ -0,0 +1,35 @@
+// src/utils/automod/regex-worker.js
+// Runs automod regexes off the main thread. A runaway pattern only stalls this
+// worker, which the pool in regex-pool.js terminates on timeout.
+import { parentPort } from 'node:worker_threads';
+
+const MAX_COMPILED = 500;
+const MAX_MATCHES = 100;
+const compiled = new Map();
+
+function compile(pattern, flags) {
+  const key = `${flags}/${pattern}`;
+  let rx = compiled.get(key);
+  if (!rx) {
+    rx = new RegExp(pattern, flags);
+    if (compiled.size >= MAX_COMPILED) compiled.delete(compiled.keys().next().value);
+    compiled.set(key, rx);
+  }
+  rx.lastIndex = 0;
+  return rx;
+}
+
+parentPort.on('message', ({ id, pattern, flags, subject }) => {
+  try {
+    const matches = [];
+    for (const m of subject.matchAll(compile(pattern, flags))) {
+      matches.push({ index: m.index, length: m[0].length });
+      if (matches.length >= MAX_MATCHES) break;
+    }
+    parentPort.postMessage({ id, matches });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
+
+parentPort.postMessage({ ready: true });
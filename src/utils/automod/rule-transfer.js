@@ -0,0 +1,427 @@
+// src/utils/automod/rule-transfer.js
+// Portable automod rule sets: /automod export writes every rule of a guild to a
+// versioned JSON file with exemptions as role/channel names, /automod import
+// validates such a file (or a bundled preset), maps the names back to IDs and
+// applies it. Presets in ./data/presets use the same format.
+import { readFile } from 'node:fs/promises';
+import { z } from 'zod';
+import { query, tx } from '../../core/db/index.js';
+import { RULE_MODES } from './autoMod.js';
+import { SURFACES } from './surfaces.js';
+import { regexSafetyIssue } from './regex-pool.js';
+import {
+  MAX_EXTENSIONS, MAX_FILE_SIZE_BYTES, MAX_STICKER_WINDOW_SECONDS, hasAttachmentPolicy,
+} from './attachments.js';
+import { MAX_ESCALATION_STEPS, MAX_DECAY_SECONDS } from './escalation.js';
+
+export const RULES_FILE_FORMAT = 'void-automod-rules';
+export const RULES_FILE_VERSION = 1;
+export const MAX_RULES_PER_FILE = 50;
+
+export const PRESETS = Object.freeze({
+  strict: 'Strict',
+  community: 'Community',
+  gaming: 'Gaming',
+});
+
+// Rule types accepted by auto_mod_rules_type_check
+export const RULE_TYPE_KEYS = Object.freeze([
+  'keyword', 'regex', 'spam', 'caps', 'invite', 'link', 'mention_spam', 'channel_spam', 'duplicate',
+  'phishing', 'attachment', 'newline_spam', 'emoji_spam', 'zalgo',
+]);
+
+const ACTIONS = ['delete', 'warn', 'timeout', 'kick', 'ban', 'mute'];
+const THRESHOLD_LIMITS = {
+  spam: 50, mention_spam: 50, channel_spam: 50, duplicate: 50, caps: 100,
+  newline_spam: 100, emoji_spam: 100, zalgo: 50,
+};
+const THRESHOLD_MINIMUMS = { zalgo: 3 };
+const SNOWFLAKE_RE = /^\d{17,20}$/;
+const ExtensionList = z.array(z.string().regex(/^[a-z0-9]{1,10}$/, 'lowercase extension without the dot'))
+  .min(1).max(MAX_EXTENSIONS);
+
+const EscalationSchema = z.object({
+  steps: z.array(z.object({
+    actions: z.array(z.enum(ACTIONS)).min(1).max(ACTIONS.length),
+    duration_seconds: z.number().int().positive().optional(),
+  }).strict()).min(2).max(MAX_ESCALATION_STEPS),
+  decay_seconds: z.number().int().min(60).max(MAX_DECAY_SECONDS).optional(),
+}).strict();
+
+// Known rule_data keys are checked; anything else rides along untouched
+const RuleDataSchema = z.object({
+  window_seconds: z.number().int().positive().max(86400).optional(),
+  actions: z.array(z.enum(ACTIONS)).min(1).max(ACTIONS.length).optional(),
+  normalize: z.boolean().optional(),
+  surfaces: z.array(z.enum(Object.keys(SURFACES))).min(1).optional(),
+  similarity: z.number().min(0.5).max(1).optional(),
+  cross_user: z.boolean().optional(),
+  unwrap: z.boolean().optional(),
+  resolve: z.boolean().optional(),
+  ratio: z.number().min(0.01).max(1).optional(),
+  allowed_extensions: ExtensionList.optional(),
+  blocked_extensions: ExtensionList.optional(),
+  block_executables: z.boolean().optional(),
+  block_archives: z.boolean().optional(),
+  max_bytes: z.number().int().positive().max(MAX_FILE_SIZE_BYTES).optional(),
+  max_attachments: z.number().int().min(1).max(10).optional(),
+  max_spoiler_images: z.number().int().min(0).max(10).optional(),
+  max_stickers: z.number().int().min(0).max(20).optional(),
+  sniff: z.boolean().optional(),
+  escalation: EscalationSchema.optional(),
+}).passthrough();
+
+const RuleSchema = z.object({
+  rule_key: z.string().regex(/^[a-z0-9_]{1,64}$/, 'lowercase letters, digits and _ only'),
+  name: z.string().trim().min(1).max(100),
+  type: z.enum(RULE_TYPE_KEYS),
+  pattern: z.string().max(500).nullable().default(null),
+  action: z.enum(ACTIONS),
+  threshold: z.number().int().positive().nullable().default(null),
+  duration_seconds: z.number().int().positive().nullable().default(null),
+  priority: z.number().int().min(0).max(100).default(50),
+  rule_data: RuleDataSchema.default({}),
+  exempt_roles: z.array(z.string().min(1).max(100)).max(25).default([]),
+  exempt_channels: z.array(z.string().min(1).max(100)).max(50).default([]),
+  enabled: z.boolean().default(true),
+  mode: z.enum(Object.keys(RULE_MODES)).default('enforce'),
+}).strict().superRefine((rule, ctx) => {
+  // Same checks as validate_automod_rule(), reported per rule instead of failing the transaction
+  const max = THRESHOLD_LIMITS[rule.type];
+  const min = THRESHOLD_MINIMUMS[rule.type] ?? 1;
+  if (max && (rule.threshold == null || rule.threshold < min || rule.threshold > max)) {
+    ctx.addIssue({ code: 'custom', path: ['threshold'], message: `${rule.type} needs a threshold of ${min}–${max}` });
+  }
+  if (rule.type === 'regex') {
+    try {
+      if (!rule.pattern?.trim()) throw new Error('a pattern is required');
+      new RegExp(rule.pattern, 'giu');
+      const unsafe = regexSafetyIssue(rule.pattern);
+      if (unsafe) throw new Error(`unsafe pattern: ${unsafe}`);
+    } catch (err) {
+      ctx.addIssue({ code: 'custom', path: ['pattern'], message: err.message });
+    }
+  }
+  if (rule.type === 'attachment' && !hasAttachmentPolicy(rule.rule_data)) {
+    ctx.addIssue({ code: 'custom', path: ['rule_data'], message: 'attachment rules need at least one file policy' });
+  }
+  if (rule.type === 'attachment' && rule.rule_data.window_seconds > MAX_STICKER_WINDOW_SECONDS) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['rule_data', 'window_seconds'],
+      message: `the sticker window cannot exceed ${MAX_STICKER_WINDOW_SECONDS} seconds`,
+    });
+  }
+  const actions = rule.rule_data.actions ?? [rule.action];
+  const needsDuration = ['timeout', 'mute', 'ban'].includes(rule.action) ||
+    actions.some(a => a === 'timeout' || a === 'mute');
+  if (needsDuration && rule.duration_seconds == null) {
+    ctx.addIssue({ code: 'custom', path: ['duration_seconds'], message: 'timeout/mute/ban need a duration' });
+  }
+});
+
+export const RulesFileSchema = z.object({
+  format: z.literal(RULES_FILE_FORMAT),
+  version: z.number().int().positive().max(RULES_FILE_VERSION, 'file is from a newer version of the bot'),
+  name: z.string().max(100).optional(),
+  description: z.string().max(500).optional(),
+  exported_at: z.string().optional(),
+  rules: z.array(RuleSchema).min(1).max(MAX_RULES_PER_FILE),
+}).superRefine((file, ctx) => {
+  const seen = new Set();
+  file.rules.forEach((r, i) => {
+    if (seen.has(r.rule_key)) {
+      ctx.addIssue({ code: 'custom', path: ['rules', i, 'rule_key'], message: `duplicate rule_key ${r.rule_key}` });
+    }
+    seen.add(r.rule_key);
+  });
+});
+
+/**
+ * Parse and validate a rules file.
+ * @param {string} text
+ * @returns {{ ok: true, file: Object } | { ok: false, errors: string[] }}
+ */
+export function parseRulesFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, errors: [`Not valid JSON: ${err.message}`] };
+  }
+
+  const res = RulesFileSchema.safeParse(json);
+  if (res.success) return { ok: true, file: res.data };
+
+  const errors = res.error.issues.map(issue => {
+    const [head, index, ...rest] = issue.path;
+    // rules.3.threshold → spam_5.threshold, which is what people can find in the file
+    const where = head === 'rules' && typeof index === 'number'
+      ? [json.rules?.[index]?.rule_key ?? `rules[${index}]`, ...rest].join('.')
+      : issue.path.join('.');
+    return `${where || 'file'}: ${issue.message}`;
+  });
+  return { ok: false, errors };
+}
+
+/**
+ * A bundled preset, validated like an uploaded file.
+ * @param {keyof PRESETS} name
+ */
+export async function loadPreset(name) {
+  if (!PRESETS[name]) throw new Error(`Unknown automod preset: ${name}`);
+  const text = await readFile(new URL(`./data/presets/${name}.json`, import.meta.url), 'utf8');
+  const parsed = parseRulesFile(text);
+  if (!parsed.ok) throw new Error(`Invalid automod preset ${name}: ${parsed.errors.join('; ')}`);
+  return parsed.file;
+}
+
+const RULE_COLUMNS = `rule_key, name, type, pattern, action, threshold, duration_seconds, priority,
+       rule_data, exempt_roles, exempt_channels, enabled, mode, version`;
+
+async function loadRules(run, guildId) {
+  const { rows } = await run(
+    `SELECT ${RULE_COLUMNS} FROM auto_mod_rules
+      WHERE guild_id = $1
+      ORDER BY priority DESC, rule_key`,
+    [guildId]
+  );
+  return rows;
+}
+
+/**
+ * Every rule of the guild as a rules file. Exemptions become names; IDs of
+ * deleted roles/channels are kept as-is (they only resolve in this guild).
+ * @param {import('discord.js').Guild} guild
+ */
+export async function exportRules(guild) {
+  const rows = await loadRules(query, guild.id);
+  const nameOf = (cache, id) => cache.get(id)?.name ?? id;
+
+  return {
+    format: RULES_FILE_FORMAT,
+    version: RULES_FILE_VERSION,
+    name: guild.name,
+    exported_at: new Date().toISOString(),
+    rules: rows.map(r => ({
+      rule_key: r.rule_key,
+      name: r.name,
+      type: r.type,
+      pattern: r.pattern,
+      action: r.action,
+      threshold: r.threshold,
+      duration_seconds: r.duration_seconds,
+      priority: r.priority ?? 50,
+      rule_data: r.rule_data ?? {},
+      exempt_roles: (r.exempt_roles ?? []).map(id => nameOf(guild.roles.cache, id)),
+      exempt_channels: (r.exempt_channels ?? []).map(id => nameOf(guild.channels.cache, id)),
+      enabled: r.enabled ?? true,
+      mode: r.mode,
+    })),
+  };
+}
+
+function resolveNames(cache, entries, prefix) {
+  const ids = [];
+  const missing = [];
+  for (const entry of entries) {
+    if (SNOWFLAKE_RE.test(entry) && cache.has(entry)) {
+      ids.push(entry);
+      continue;
+    }
+    const name = entry.startsWith(prefix) ? entry.slice(1) : entry;
+    const lower = name.toLowerCase();
+    const hit = cache.find(x => x.name === name) ?? cache.find(x => x.name?.toLowerCase() === lower);
+    if (hit) ids.push(hit.id);
+    else missing.push(entry);
+  }
+  return { ids: [...new Set(ids)], missing };
+}
+
+/**
+ * Map exemption names in a rules file to this guild's IDs.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} file - from parseRulesFile / loadPreset
+ * @returns {{ rules: Object[], warnings: string[] }}
+ */
+export function resolveRules(guild, file) {
+  const warnings = [];
+  const rules = file.rules.map(rule => {
+    const roles = resolveNames(guild.roles.cache, rule.exempt_roles, '@');
+    const channels = resolveNames(guild.channels.cache, rule.exempt_channels, '#');
+    for (const m of roles.missing) warnings.push(`${rule.rule_key}: no role named "${m}"`);
+    for (const m of channels.missing) warnings.push(`${rule.rule_key}: no channel named "${m}"`);
+    return { ...rule, exempt_roles: roles.ids, exempt_channels: channels.ids };
+  });
+  return { rules, warnings };
+}
+
+// Stable JSON so key order in rule_data does not count as a change
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+const DIFF_FIELDS = [
+  'name', 'type', 'pattern', 'action', 'threshold', 'duration_seconds', 'priority',
+  'rule_data', 'exempt_roles', 'exempt_channels', 'enabled', 'mode',
+];
+
+function comparable(rule, field) {
+  const v = rule[field];
+  if (field === 'exempt_roles' || field === 'exempt_channels') return canonical([...(v ?? [])].sort());
+  if (field === 'rule_data') return canonical(v ?? {});
+  return canonical(v);
+}
+
+/**
+ * What applying `incoming` would do to the guild's current rules.
+ * @param {string} guildId
+ * @param {Object[]} incoming - resolved rules
+ * @param {{ replace?: boolean }} [opts] - replace: rules missing from the file are deleted
+ * @returns {Promise<{ entries: Array<{ rule_key: string, name: string, status: 'add'|'update'|'same'|'remove', changes: string[] }>, versions: Object<string, number> }>}
+ *   versions: rule_key → version seen, handed back to applyRules to detect concurrent edits
+ */
+export async function diffRules(guildId, incoming, { replace = false } = {}) {
+  const current = await loadRules(query, guildId);
+  const byKey = new Map(current.map(r => [r.rule_key, r]));
+  const entries = [];
+
+  for (const rule of incoming) {
+    const old = byKey.get(rule.rule_key);
+    if (!old) {
+      entries.push({ rule_key: rule.rule_key, name: rule.name, status: 'add', changes: [] });
+      continue;
+    }
+    const changes = DIFF_FIELDS.filter(f => comparable(old, f) !== comparable(rule, f));
+    entries.push({ rule_key: rule.rule_key, name: rule.name, status: changes.length ? 'update' : 'same', changes });
+  }
+
+  if (replace) {
+    const keys = new Set(incoming.map(r => r.rule_key));
+    for (const old of current) {
+      if (!keys.has(old.rule_key)) {
+        entries.push({ rule_key: old.rule_key, name: old.name, status: 'remove', changes: [] });
+      }
+    }
+  }
+
+  return { entries, versions: Object.fromEntries(current.map(r => [r.rule_key, r.version])) };
+}
+
+/**
+ * Apply a previewed import in one transaction. Nothing is written if any rule
+ * changed since diffRules (version mismatch); unchanged rules keep their version.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {string} params.actorId
+ * @param {Object[]} params.rules - resolved rules
+ * @param {Object[]} params.entries - from diffRules
+ * @param {Object<string, number>} params.versions - from diffRules
+ * @param {string} params.source - file name or preset, for the audit log
+ * @returns {Promise<{ conflicts: string[], added: number, updated: number, removed: number }>}
+ */
+export async function applyRules({ guildId, actorId, rules, entries, versions, source }) {
+  return tx(async (client) => {
+    const { rows: locked } = await client.query(
+      `SELECT rule_key, version FROM auto_mod_rules WHERE guild_id = $1 FOR UPDATE`,
+      [guildId]
+    );
+    const now = Object.fromEntries(locked.map(r => [r.rule_key, r.version]));
+    const seen = new Set([...Object.keys(versions), ...Object.keys(now)]);
+    const conflicts = [...seen].filter(k => versions[k] !== now[k]);
+    if (conflicts.length) return { conflicts, added: 0, updated: 0, removed: 0 };
+
+    const status = Object.fromEntries(entries.map(e => [e.rule_key, e.status]));
+    const sum = { conflicts: [], added: 0, updated: 0, removed: 0 };
+
+    for (const rule of rules) {
+      const st = status[rule.rule_key];
+      if (st !== 'add' && st !== 'update') continue;
+      await client.query(
+        `INSERT INTO auto_mod_rules (
+           guild_id, rule_key, name, type, pattern, action, threshold, duration_seconds,
+           priority, rule_data, exempt_roles, exempt_channels, enabled, mode
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb, $11, $12, $13, $14)
+         ON CONFLICT (guild_id, rule_key)
+         DO UPDATE SET
+           name = EXCLUDED.name,
+           type = EXCLUDED.type,
+           pattern = EXCLUDED.pattern,
+           action = EXCLUDED.action,
+           threshold = EXCLUDED.threshold,
+           duration_seconds = EXCLUDED.duration_seconds,
+           priority = EXCLUDED.priority,
+           rule_data = EXCLUDED.rule_data,
+           exempt_roles = EXCLUDED.exempt_roles,
+           exempt_channels = EXCLUDED.exempt_channels,
+           enabled = EXCLUDED.enabled,
+           mode = EXCLUDED.mode,
+           quarantined = FALSE,
+           error_count = 0,
+           last_error_at = NULL,
+           version = auto_mod_rules.version + 1`,
+        [
+          guildId, rule.rule_key, rule.name, rule.type, rule.pattern, rule.action,
+          rule.threshold, rule.duration_seconds, rule.priority, JSON.stringify(rule.rule_data),
+          rule.exempt_roles.length ? rule.exempt_roles : null,
+          rule.exempt_channels.length ? rule.exempt_channels : null,
+          rule.enabled, rule.mode,
+        ]
+      );
+      sum[st === 'add' ? 'added' : 'updated']++;
+    }
+
+    const removeKeys = entries.filter(e => e.status === 'remove').map(e => e.rule_key);
+    if (removeKeys.length) {
+      const { rowCount } = await client.query(
+        `DELETE FROM auto_mod_rules WHERE guild_id = $1 AND rule_key = ANY($2::text[])`,
+        [guildId, removeKeys]
+      );
+      sum.removed = rowCount;
+    }
+
+    if (rules.some(r => r.enabled)) {
+      await client.query(
+        `UPDATE guild_config SET auto_mod_enabled = TRUE, updated_at = NOW() WHERE guild_id = $1`,
+        [guildId]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO audit_logs (guild_id, action_type, actor_id, target_id, details)
+       VALUES ($1, $2, $3, NULL, $4)`,
+      [
+        guildId,
+        'automod_rules_import',
+        actorId,
+        JSON.stringify({
+          source,
+          added: sum.added,
+          updated: sum.updated,
+          removed: sum.removed,
+          rules: entries.filter(e => e.status !== 'same').map(e => ({ ruleKey: e.rule_key, status: e.status, changes: e.changes })),
+        }),
+      ]
+    );
+    return sum;
+  });
+}
+
+export default {
+  RULES_FILE_FORMAT,
+  RULES_FILE_VERSION,
+  MAX_RULES_PER_FILE,
+  PRESETS,
+  RULE_TYPE_KEYS,
+  RulesFileSchema,
+  parseRulesFile,
+  loadPreset,
+  exportRules,
+  resolveRules,
+  diffRules,
+  applyRules,
+};
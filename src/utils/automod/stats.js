@@ -0,0 +1,146 @@
+// src/utils/automod/stats.js
+// Aggregates over automod_violations for /automod stats. Only enforced hits count;
+// shadow and log-only rows belong to /automod shadow-report. A "hit" is one
+// message (a rule that deletes and warns writes two rows for it).
+import { query } from '../../core/db/index.js';
+
+export const MAX_EXPORT_ROWS = 10000;
+
+export const EXPORT_FIELDS = Object.freeze([
+  'created_at', 'rule_key', 'rule_name', 'violation_type', 'action_taken', 'success',
+  'error_message', 'escalation_level', 'user_id', 'channel_id', 'message_id', 'violation_data',
+]);
+
+function scopeOf({ guildId, windowSeconds, ruleKey }) {
+  const params = [guildId, windowSeconds];
+  let where = `v.guild_id = $1 AND v.mode = 'enforce'
+          AND v.created_at > NOW() - make_interval(secs => $2)`;
+  if (ruleKey) {
+    params.push(ruleKey);
+    where += ` AND r.rule_key = $${params.length}`;
+  }
+  return { where, params };
+}
+
+const HIT = `COUNT(DISTINCT COALESCE(v.message_id, v.id::text))::int`;
+
+/**
+ * Summary of enforced automod activity over a window.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {number} params.windowSeconds
+ * @param {string|null} [params.ruleKey] - limit to one rule
+ * @returns {Promise<{ totals: Object, rules: Object[], actions: Object[], offenders: Object[], channels: Object[], escalation: Object[], hourly: number[] }>}
+ */
+export async function getAutoModStats({ guildId, windowSeconds, ruleKey = null }) {
+  const { where, params } = scopeOf({ guildId, windowSeconds, ruleKey });
+  const from = `FROM automod_violations v JOIN auto_mod_rules r ON r.id = v.rule_id WHERE ${where}`;
+
+  const [totals, rules, actions, offenders, channels, escalation, hourly] = await Promise.all([
+    query(
+      `SELECT ${HIT} AS hits,
+              COUNT(DISTINCT v.user_id)::int AS users,
+              COUNT(DISTINCT v.channel_id)::int AS channels,
+              COUNT(*)::int AS actions,
+              COUNT(*) FILTER (WHERE NOT v.success)::int AS failed
+         ${from}`,
+      params
+    ),
+    query(
+      `SELECT r.rule_key, r.name, r.type, ${HIT} AS hits,
+              COUNT(*) FILTER (WHERE v.success)::int AS ok,
+              COUNT(*) FILTER (WHERE NOT v.success)::int AS failed,
+              MAX(v.escalation_level)::int AS max_level
+         ${from}
+        GROUP BY r.rule_key, r.name, r.type
+        ORDER BY hits DESC, r.rule_key
+        LIMIT 10`,
+      params
+    ),
+    query(
+      `SELECT v.action_taken,
+              COUNT(*) FILTER (WHERE v.success)::int AS ok,
+              COUNT(*) FILTER (WHERE NOT v.success)::int AS failed,
+              (ARRAY_AGG(v.error_message ORDER BY v.created_at DESC)
+                 FILTER (WHERE v.error_message IS NOT NULL))[1] AS last_error
+         ${from}
+        GROUP BY v.action_taken
+        ORDER BY COUNT(*) DESC`,
+      params
+    ),
+    query(
+      `SELECT v.user_id, ${HIT} AS hits, COUNT(DISTINCT r.rule_key)::int AS rules
+         ${from}
+        GROUP BY v.user_id
+        ORDER BY hits DESC
+        LIMIT 5`,
+      params
+    ),
+    query(
+      `SELECT v.channel_id, ${HIT} AS hits
+         ${from}
+        GROUP BY v.channel_id
+        ORDER BY hits DESC
+        LIMIT 5`,
+      params
+    ),
+    // Steps reached by rules with escalation; a hit counts at the level it reached
+    query(
+      `SELECT v.escalation_level::int AS level, ${HIT} AS hits, COUNT(DISTINCT v.user_id)::int AS users
+         ${from} AND v.escalation_level IS NOT NULL
+        GROUP BY 1
+        ORDER BY 1`,
+      params
+    ),
+    query(
+      `SELECT EXTRACT(HOUR FROM v.created_at AT TIME ZONE 'UTC')::int AS hour, ${HIT} AS hits
+         ${from}
+        GROUP BY 1`,
+      params
+    ),
+  ]);
+
+  const byHour = new Array(24).fill(0);
+  for (const r of hourly.rows) byHour[r.hour] = r.hits;
+
+  return {
+    totals: totals.rows[0],
+    rules: rules.rows,
+    actions: actions.rows,
+    offenders: offenders.rows,
+    channels: channels.rows,
+    escalation: escalation.rows,
+    hourly: byHour,
+  };
+}
+
+/**
+ * Raw violation rows for export, newest first.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {number} params.windowSeconds
+ * @param {string|null} [params.ruleKey]
+ * @param {number} [params.limit]
+ * @returns {Promise<Object[]>} rows keyed by EXPORT_FIELDS
+ */
+export async function getViolationRows({ guildId, windowSeconds, ruleKey = null, limit = MAX_EXPORT_ROWS }) {
+  const { where, params } = scopeOf({ guildId, windowSeconds, ruleKey });
+  params.push(Math.min(limit, MAX_EXPORT_ROWS));
+  const { rows } = await query(
+    `SELECT v.created_at, r.rule_key, r.name AS rule_name, v.violation_type, v.action_taken,
+            v.success, v.error_message, v.escalation_level, v.user_id, v.channel_id, v.message_id, v.violation_data
+       FROM automod_violations v JOIN auto_mod_rules r ON r.id = v.rule_id
+      WHERE ${where}
+      ORDER BY v.created_at DESC
+      LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+export default {
+  MAX_EXPORT_ROWS,
+  EXPORT_FIELDS,
+  getAutoModStats,
+  getViolationRows,
+};
@@ -0,0 +1,102 @@
+// src/utils/automod/surfaces.js
+// Where text-based rules look: message text plus the places users hide text
+// from a content-only filter (link-preview embeds, file names, polls, forwards).
+
+export const SURFACES = Object.freeze({
+  content: 'Message text',
+  embeds: 'Embed titles & descriptions',
+  attachments: 'Attachment filenames',
+  poll: 'Poll question & answers',
+  forwards: 'Forwarded messages',
+});
+
+/** Rules that inspect text. Rate rules (spam, mention_spam, ...) only count new messages. */
+export const TEXT_RULE_TYPES = new Set([
+  'caps', 'invite', 'link', 'phishing', 'keyword', 'regex', 'newline_spam', 'emoji_spam', 'zalgo',
+]);
+
+// Caps or a wall of emoji in a link preview is the page's fault, not the user's
+const DEFAULT_RULE_SURFACES = Object.freeze({
+  caps: ['content'],
+  newline_spam: ['content'],
+  emoji_spam: ['content'],
+  zalgo: ['content'],
+});
+
+/**
+ * Surfaces a rule applies to (rule_data.surfaces, else the type default).
+ * @param {{ type: string, rule_data?: Object }} rule
+ * @returns {string[]}
+ */
+export function ruleSurfaces(rule) {
+  const list = rule.rule_data?.surfaces;
+  if (Array.isArray(list) && list.length) return list.filter(s => s in SURFACES);
+  return DEFAULT_RULE_SURFACES[rule.type] ?? Object.keys(SURFACES);
+}
+
+/** Parse "content,embeds" style input; null if anything is unknown */
+export function parseSurfaces(input) {
+  const list = [...new Set(
+    String(input ?? '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+  )];
+  if (!list.length || list.some(s => !(s in SURFACES))) return null;
+  return list;
+}
+
+const joinLines = (parts) => parts.filter(Boolean).join('\n');
+
+function embedText(embeds) {
+  return joinLines((embeds ?? []).map(e => joinLines([e.title, e.description])));
+}
+
+function attachmentText(attachments) {
+  return joinLines([...(attachments?.values() ?? [])].map(a => a.name));
+}
+
+/**
+ * Text per surface for a message. Empty surfaces are omitted.
+ * @param {import('discord.js').Message} message
+ * @returns {{ surface: string, text: string }[]}
+ */
+export function collectSurfaces(message) {
+  const poll = message.poll;
+  const forwards = [...(message.messageSnapshots?.values() ?? [])].map(snap => joinLines([
+    snap.content,
+    embedText(snap.embeds),
+    attachmentText(snap.attachments),
+  ]));
+
+  return [
+    { surface: 'content', text: message.content },
+    { surface: 'embeds', text: embedText(message.embeds) },
+    { surface: 'attachments', text: attachmentText(message.attachments) },
+    {
+      surface: 'poll',
+      text: poll && joinLines([poll.question?.text, ...[...(poll.answers?.values() ?? [])].map(a => a.text)]),
+    },
+    { surface: 'forwards', text: joinLines(forwards) },
+  ].filter(s => s.text?.trim());
+}
+
+/**
+ * Surfaces whose text differs between two versions of a message.
+ * A partial (uncached) old message means every surface counts as new.
+ * @param {import('discord.js').Message|import('discord.js').PartialMessage} oldMessage
+ * @param {import('discord.js').Message} newMessage
+ */
+export function changedSurfaces(oldMessage, newMessage) {
+  const current = collectSurfaces(newMessage);
+  if (oldMessage.partial) return current;
+
+  const before = new Map(collectSurfaces(oldMessage).map(s => [s.surface, s.text]));
+  return current.filter(s => before.get(s.surface) !== s.text);
+}
+
+export default {
+  SURFACES,
+  TEXT_RULE_TYPES,
+  ruleSurfaces,
+  parseSurfaces,
+  collectSurfaces,
+  changedSurfaces,
+};
@@ -0,0 +1,112 @@
+// src/utils/automod/text-floods.js
+// Wall-of-text measurements for the newline_spam, emoji_spam and zalgo rules.
+// Each rule trips on an absolute count (the rule threshold) or, when
+// rule_data.ratio is set, on how much of the message the flood makes up.
+
+// Custom emoji as sent: <:name:id> and animated <a:name:id>
+const CUSTOM_EMOJI_RE = /<a?:\w{2,32}:\d{17,20}>/g;
+
+// One visible emoji: flags, keycaps, and pictographs with variation selectors,
+// skin tones and ZWJ joins (a family emoji is one emoji, not three). Symbols that
+// render as text by default (©, ®, ™, ✔) only count when asked for as emoji (U+FE0F).
+const PICTO = String.raw`(?:\p{Emoji_Presentation}\uFE0F?|\p{Extended_Pictographic}\uFE0F)\p{Emoji_Modifier}?`;
+const JOINED = String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier})?`;
+const UNICODE_EMOJI_RE = new RegExp(
+  String.raw`\p{Regional_Indicator}{2}|[0-9#*]\uFE0F?\u20E3|${PICTO}(?:\u200D${JOINED})*`,
+  'gu'
+);
+
+// Non-spacing and enclosing marks; spacing marks (Mc) are ordinary letters in Indic scripts
+const COMBINING_RE = /[\p{Mn}\p{Me}]/u;
+
+// Below this many hits a ratio alone never trips a rule ("👍" is 100% emoji)
+export const RATIO_MIN_COUNT = Object.freeze({
+  newline_spam: 5,
+  emoji_spam: 5,
+  zalgo: 10,
+});
+
+const visibleLength = (text) => [...text.replace(/\s+/g, '')].length;
+
+/**
+ * Line breaks in text.
+ * @param {string} text
+ * @returns {{ count: number, share: number }} share: line breaks per character
+ */
+export function measureNewlines(text) {
+  const count = (text.match(/\r\n|\r|\n/g) ?? []).length;
+  const chars = [...text.replace(/\r\n/g, '\n')].length;
+  return { count, share: chars ? count / chars : 0 };
+}
+
+/**
+ * Unicode and custom emoji in text.
+ * @param {string} text
+ * @returns {{ count: number, custom: number, share: number }} share: emoji among visible characters
+ */
+export function measureEmoji(text) {
+  const custom = (text.match(CUSTOM_EMOJI_RE) ?? []).length;
+  const rest = text.replace(CUSTOM_EMOJI_RE, '');
+  const unicode = (rest.match(UNICODE_EMOJI_RE) ?? []).length;
+  const count = custom + unicode;
+  // every emoji counts as one character, however many code points it takes
+  const units = count + visibleLength(rest.replace(UNICODE_EMOJI_RE, ''));
+  return { count, custom, share: units ? count / units : 0 };
+}
+
+/**
+ * Combining marks in text.
+ * @param {string} text
+ * @returns {{ count: number, marks: number, share: number }} count: most marks stacked
+ *   on one character; share: marks among visible characters
+ */
+export function measureZalgo(text) {
+  let marks = 0;
+  let stack = 0;
+  let maxStack = 0;
+  for (const ch of text) {
+    if (COMBINING_RE.test(ch)) {
+      marks++;
+      stack++;
+      if (stack > maxStack) maxStack = stack;
+    } else {
+      stack = 0;
+    }
+  }
+  const chars = visibleLength(text);
+  return { count: maxStack, marks, share: chars ? marks / chars : 0 };
+}
+
+const MEASURES = {
+  newline_spam: measureNewlines,
+  emoji_spam: measureEmoji,
+  zalgo: measureZalgo,
+};
+
+/**
+ * Does text break a flood rule?
+ * @param {'newline_spam'|'emoji_spam'|'zalgo'} type
+ * @param {string} text
+ * @param {{ threshold: number, ratio?: number|null }} limits - ratio as a fraction (0.5 = 50%)
+ * @returns {{ count: number, share: number, byRatio: boolean, marks?: number, custom?: number }|null}
+ */
+export function checkFlood(type, text, { threshold, ratio = null }) {
+  const measure = MEASURES[type];
+  if (!measure || !text) return null;
+
+  const m = measure(text);
+  if (m.count >= threshold) return { ...m, byRatio: false };
+
+  // zalgo's ratio is about marks overall, not the tallest stack
+  const hits = type === 'zalgo' ? m.marks : m.count;
+  if (ratio && hits >= RATIO_MIN_COUNT[type] && m.share >= ratio) return { ...m, byRatio: true };
+  return null;
+}
+
+export default {
+  RATIO_MIN_COUNT,
+  measureNewlines,
+  measureEmoji,
+  measureZalgo,
+  checkFlood,
+};
@@ -0,0 +1,263 @@
+// src/utils/moderation/appeals.js
+// Appeals: DB access + shared builders for the appeal DM button, the staff
+// review message and the decision flow (see components/appealComponents.js).
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} from 'discord.js';
+import { query, tx } from '../../core/db/index.js';
+import { SecureCustomId } from '../../components/ComponentRouter.js';
+import { getColorForType } from './mod.js';
+
+/** Infraction types a user may appeal */
+export const APPEALABLE_TYPES = new Set(['warn', 'ban']);
+
+export const APPEAL_REASON_MAX = 1000;
+export const DECISION_NOTE_MAX = 500;
+
+const STATUS_COLORS = Object.freeze({
+  pending: 0xFFA500,
+  approved: 0x2ECC71,
+  denied: 0xFF4D4F,
+});
+
+/**
+ * Signed custom ID for appeal components.
+ * No user/guild/expiry context: appeal buttons live in DMs and staff channels
+ * for as long as the appeal is open, and the DB row is the source of truth.
+ * @param {'open'|'submit'|'approve'|'deny'} action
+ * @param {string} id - Infraction ID (open/submit) or appeal ID (approve/deny)
+ */
+export function makeAppealId(action, id) {
+  return new SecureCustomId('appeal', action, 'v1')
+    .setData({ i: id })
+    .build();
+}
+
+/** Row with the "Appeal" button attached to punishment DMs */
+export function buildAppealButtonRow(infractionId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(makeAppealId('open', infractionId))
+      .setLabel('Appeal')
+      .setEmoji('📨')
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+/** Approve/Deny row for the staff review message */
+export function buildAppealReviewRow(appealId, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(makeAppealId('approve', appealId))
+      .setLabel('Approve')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(makeAppealId('deny', appealId))
+      .setLabel('Deny')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled),
+  );
+}
+
+/**
+ * Staff-facing appeal embed. Re-rendered with the decision once reviewed.
+ * @param {Object} params
+ * @param {Object} params.appeal - appeals row
+ * @param {Object} params.infraction - infractions row
+ * @param {import('discord.js').User} [params.user]
+ */
+export function buildAppealEmbed({ appeal, infraction, user }) {
+  const status = appeal.status ?? 'pending';
+  const created = Math.floor(new Date(infraction.created_at).getTime() / 1000);
+
+  const embed = new EmbedBuilder()
+    .setColor(STATUS_COLORS[status] ?? getColorForType(infraction.type))
+    .setTitle(`📨 Appeal — ${infraction.type} (${status})`)
+    .setDescription(appeal.reason.slice(0, 4000))
+    .addFields(
+      { name: 'User', value: `<@${appeal.user_id}> (\`${appeal.user_id}\`)`, inline: true },
+      { name: 'Moderator', value: `<@${infraction.moderator_id}>`, inline: true },
+      { name: 'Issued', value: `<t:${created}:R>`, inline: true },
+      { name: 'Original Reason', value: (infraction.reason || 'No reason provided').slice(0, 1024), inline: false },
+      { name: 'Case ID', value: `\`${infraction.id}\``, inline: false },
+    )
+    .setFooter({ text: `Appeal ${appeal.id}` })
+    .setTimestamp(new Date(appeal.created_at ?? Date.now()));
+
+  if (user?.displayAvatarURL) {
+    embed.setThumbnail(user.displayAvatarURL({ size: 128 }));
+  }
+
+  if (status !== 'pending') {
+    embed.addFields({
+      name: status === 'approved' ? '✅ Approved' : '❌ Denied',
+      value: [
+        `by <@${appeal.reviewed_by}>`,
+        appeal.decision_note ? `> ${appeal.decision_note.slice(0, 900)}` : null,
+      ].filter(Boolean).join('\n'),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Fetch an infraction by ID.
+ * @param {string} infractionId
+ * @returns {Promise<Object|null>}
+ */
+export async function getInfraction(infractionId) {
+  const { rows: [row] } = await query(
+    `SELECT * FROM infractions WHERE id = $1::uuid`,
+    [infractionId]
+  );
+  return row || null;
+}
+
+/**
+ * Fetch an appeal together with its infraction.
+ * @param {string} appealId
+ * @returns {Promise<{appeal: Object, infraction: Object}|null>}
+ */
+export async function getAppeal(appealId) {
+  const { rows: [appeal] } = await query(
+    `SELECT * FROM appeals WHERE id = $1::uuid`,
+    [appealId]
+  );
+  if (!appeal) return null;
+
+  const infraction = await getInfraction(appeal.infraction_id);
+  return infraction ? { appeal, infraction } : null;
+}
+
+/**
+ * Check whether an infraction can be appealed by this user.
+ * @returns {{ok: boolean, why?: string}}
+ */
+export function canAppeal(infraction, userId) {
+  if (!infraction) return { ok: false, why: 'NotFound' };
+  if (infraction.user_id !== userId) return { ok: false, why: 'NotOwner' };
+  if (!APPEALABLE_TYPES.has(infraction.type)) return { ok: false, why: 'NotAppealable' };
+  if (!infraction.active) return { ok: false, why: 'Inactive' };
+  if (infraction.appeal_status && infraction.appeal_status !== 'none') {
+    return { ok: false, why: 'AlreadyAppealed' };
+  }
+  return { ok: true };
+}
+
+/** Map canAppeal/createAppeal failure codes to user-facing text */
+export function humanizeAppealError(why) {
+  switch (why) {
+    case 'NotFound': return 'That case no longer exists.';
+    case 'NotOwner': return 'You can only appeal your own cases.';
+    case 'NotAppealable': return 'This type of action cannot be appealed.';
+    case 'Inactive': return 'This case is no longer active, so there is nothing to appeal.';
+    case 'AlreadyAppealed': return 'This case has already been appealed. Only one appeal per case is allowed.';
+    case 'NoChannel': return 'This server is not accepting appeals right now.';
+    default: return 'Could not submit your appeal.';
+  }
+}
+
+/**
+ * Create an appeal and mark the infraction as pending, atomically.
+ * The infraction row is locked so double submits cannot create two appeals.
+ * @param {Object} params
+ * @returns {Promise<{appeal?: Object, infraction?: Object, why?: string}>}
+ */
+export async function createAppeal({ infractionId, userId, reason }) {
+  return tx(async (client) => {
+    const { rows: [infraction] } = await client.query(
+      `SELECT * FROM infractions WHERE id = $1::uuid FOR UPDATE`,
+      [infractionId]
+    );
+
+    const check = canAppeal(infraction, userId);
+    if (!check.ok) return { why: check.why };
+
+    const { rows: [appeal] } = await client.query(
+      `INSERT INTO appeals (infraction_id, user_id, guild_id, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [infraction.id, userId, infraction.guild_id, reason]
+    );
+
+    await client.query(
+      `UPDATE infractions
+       SET appeal_status = 'pending', appeal_reason = $2
+       WHERE id = $1`,
+      [infraction.id, reason]
+    );
+
+    return { appeal, infraction: { ...infraction, appeal_status: 'pending', appeal_reason: reason } };
+  });
+}
+
+/**
+ * Record a decision on a pending appeal (approve or deny).
+ * Only the first decision wins; returns null if the appeal was already decided.
+ * @param {Object} params
+ * @param {string} params.appealId
+ * @param {string} params.reviewerId
+ * @param {'approved'|'denied'} params.status
+ * @param {string|null} [params.note]
+ * @returns {Promise<Object|null>} The updated appeal row
+ */
+export async function decideAppeal({ appealId, reviewerId, status, note = null }) {
+  return tx(async (client) => {
+    const { rows: [appeal] } = await client.query(
+      `UPDATE appeals
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW(), decision_note = $4
+       WHERE id = $1::uuid AND status = 'pending'
+       RETURNING *`,
+      [appealId, status, reviewerId, note]
+    );
+    if (!appeal) return null;
+
+    await client.query(
+      `UPDATE infractions SET appeal_status = $2 WHERE id = $1`,
+      [appeal.infraction_id, status]
+    );
+
+    return appeal;
+  });
+}
+
+/**
+ * Roll back an appeal whose staff post could not be delivered, so the user
+ * can try again later.
+ * @param {string} appealId
+ */
+export async function cancelAppeal(appealId) {
+  await tx(async (client) => {
+    const { rows: [appeal] } = await client.query(
+      `DELETE FROM appeals WHERE id = $1::uuid AND status = 'pending' RETURNING infraction_id`,
+      [appealId]
+    );
+    if (appeal) {
+      await client.query(
+        `UPDATE infractions SET appeal_status = NULL, appeal_reason = NULL WHERE id = $1`,
+        [appeal.infraction_id]
+      );
+    }
+  });
+}
+
+export default {
+  APPEALABLE_TYPES,
+  makeAppealId,
+  buildAppealButtonRow,
+  buildAppealReviewRow,
+  buildAppealEmbed,
+  getInfraction,
+  getAppeal,
+  canAppeal,
+  humanizeAppealError,
+  createAppeal,
+  decideAppeal,
+  cancelAppeal,
+};
@@ -0,0 +1,118 @@
+// src/utils/moderation/escalation.js
+// Warn escalation ladders: which warn_thresholds policy fires for a warn history.
+// Pure functions only; the DB side lives in mod-db.js (getAutoAction & co).
+import { prettySecs } from './duration.js';
+
+/** Warn categories offered by /warn and /config warn (stored in infractions.category) */
+export const WARN_CATEGORIES = Object.freeze({
+  spam: 'Spam',
+  toxicity: 'Toxicity',
+  harassment: 'Harassment',
+  nsfw: 'NSFW',
+  other: 'Other',
+});
+
+const SEVERITY = Object.freeze({ none: 0, timeout: 1, mute: 2, kick: 3, softban: 4, ban: 5 });
+
+const ts = (d) => new Date(d).getTime();
+
+/** Flat policies keep the original "count → action" semantics */
+const isFlat = (p) => !p.window_seconds && !p.category;
+
+function outranks(a, b) {
+  if (!b) return true;
+  const s = (SEVERITY[a.action] ?? 0) - (SEVERITY[b.action] ?? 0);
+  if (s) return s > 0;
+  const d = (a.duration_seconds ?? 0) - (b.duration_seconds ?? 0);
+  if (d) return d > 0;
+  return a.threshold > b.threshold;
+}
+
+/**
+ * Pick the policy that fires at time `at`.
+ * - Flat policies: highest threshold reached wins (as before ladders existed).
+ * - Category policies count only warns of that category.
+ * - Windowed policies count only warns inside the window and do not fire
+ *   again while the window since their last firing is still open.
+ * The most severe of the candidates is applied.
+ * @param {Object[]} policies - warn_thresholds rows
+ * @param {{created_at: Date|string, category?: string|null}[]} warns - active warns up to `at`
+ * @param {Date} [at]
+ * @param {Map<string, Date>} [firedAt] - policy id → last time it fired for this user
+ * @returns {Object|null} Policy row plus `count`
+ */
+export function pickEscalation(policies, warns, at = new Date(), firedAt = new Map()) {
+  const now = ts(at);
+  let flat = null;
+  let best = null;
+
+  for (const p of policies) {
+    const since = p.window_seconds ? now - p.window_seconds * 1000 : -Infinity;
+    const count = warns.filter(w => {
+      const t = ts(w.created_at);
+      return t > since && t <= now && (!p.category || w.category === p.category);
+    }).length;
+    if (count < p.threshold) continue;
+
+    if (isFlat(p)) {
+      if (!flat || p.threshold > flat.threshold) flat = { ...p, count };
+      continue;
+    }
+
+    // Cooldown: one firing per window
+    const last = p.window_seconds ? firedAt.get(String(p.id)) : null;
+    if (last && ts(last) > since) continue;
+
+    if (outranks(p, best)) best = { ...p, count };
+  }
+
+  if (flat && outranks(flat, best)) return flat;
+  return best;
+}
+
+/**
+ * Replay a warn history against a set of policies.
+ * @param {Object[]} policies
+ * @param {Object[]} history - warns (created_at, expires_at, category), oldest first
+ * @param {{ decayDays?: number, maxWarns?: number }} [opts] - maxWarns is the fallback when no policies exist
+ * @returns {{ warn: Object, active: number, fired: Object|null }[]}
+ */
+export function simulateHistory(policies, history, { decayDays = 30, maxWarns = null } = {}) {
+  const firedAt = new Map();
+  const out = [];
+
+  for (let i = 0; i < history.length; i++) {
+    const at = new Date(history[i].created_at);
+    const decayFrom = decayDays > 0 ? ts(at) - decayDays * 86_400_000 : -Infinity;
+    const active = history.slice(0, i + 1).filter(w =>
+      ts(w.created_at) >= decayFrom && (!w.expires_at || ts(w.expires_at) > ts(at))
+    );
+
+    let fired = pickEscalation(policies, active, at, firedAt);
+    if (!fired && !policies.length && maxWarns && active.length >= maxWarns) {
+      fired = { action: 'timeout', duration_seconds: 86400, threshold: maxWarns, count: active.length };
+    }
+    if (fired?.id != null) firedAt.set(String(fired.id), at);
+
+    out.push({ warn: history[i], active: active.length, fired });
+  }
+  return out;
+}
+
+/**
+ * "3 spam warns in 1d → timeout (1h)"
+ * @param {Object} p - warn_thresholds row
+ */
+export function describePolicy(p) {
+  const what = `${p.threshold}${p.category ? ` ${WARN_CATEGORIES[p.category] ?? p.category}` : ''} warns`;
+  const within = p.window_seconds ? ` in ${prettySecs(p.window_seconds)}` : '';
+  const dur = p.duration_seconds ? ` (${prettySecs(p.duration_seconds)})` : '';
+  return `${what}${within} → ${p.action}${dur}`;
+}
+
+export default {
+  WARN_CATEGORIES,
+  pickEscalation,
+  simulateHistory,
+  describePolicy,
+};
@@ -0,0 +1,49 @@
+// src/utils/moderation/export.js
+// CSV / JSON file exports shared by /backup and /automod stats.
+import { AttachmentBuilder } from 'discord.js';
+import Papa from 'papaparse';
+
+export const EXPORT_FORMATS = Object.freeze({
+  csv: 'CSV',
+  json: 'JSON',
+});
+
+/** "audit-<guild>-2025-01-31T12-00-00-000Z" */
+export function exportBaseName(prefix, guildId, now = new Date()) {
+  return `${prefix}-${guildId}-${now.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+function csvCell(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Build an export attachment.
+ * CSV: one row per entry in `fields` order, nested objects serialized as JSON.
+ * JSON: `json` if given (e.g. rows plus a summary), else the rows, pretty printed.
+ * @param {Object} params
+ * @param {string} params.baseName - file name without extension
+ * @param {'csv'|'json'} params.format
+ * @param {string[]} params.fields - CSV column order
+ * @param {Object[]} params.rows
+ * @param {*} [params.json]
+ * @returns {AttachmentBuilder}
+ */
+export function buildExportAttachment({ baseName, format, fields, rows, json }) {
+  if (format === 'json') {
+    const buf = Buffer.from(JSON.stringify(json ?? rows, null, 2), 'utf8');
+    return new AttachmentBuilder(buf, { name: `${baseName}.json` });
+  }
+
+  const data = rows.map(r => fields.map(f => csvCell(r[f])));
+  const csv = Papa.unparse({ fields, data }, { header: true, quotes: true });
+  return new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: `${baseName}.csv` });
+}
+
+export default {
+  EXPORT_FORMATS,
+  exportBaseName,
+  buildExportAttachment,
+};
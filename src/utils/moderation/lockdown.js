@@ -0,0 +1,83 @@
+// src/utils/moderation/lockdown.js
+// Channel lock/unlock shared by /lock, /unlock, lockdown_end jobs and anti-raid.
+// A locked channel denies @everyone sending (threads inherit the deny) and is
+// flagged in channel_config.lockdown_enabled.
+import { ChannelType, PermissionFlagsBits } from 'discord.js';
+import { query } from '../../core/db/index.js';
+
+export const LOCK_OVERWRITE = Object.freeze({
+  SendMessages: false,
+  SendMessagesInThreads: false,
+  CreatePublicThreads: false,
+  CreatePrivateThreads: false,
+});
+
+export const UNLOCK_OVERWRITE = Object.freeze({
+  SendMessages: null,
+  SendMessagesInThreads: null,
+  CreatePublicThreads: null,
+  CreatePrivateThreads: null,
+});
+
+/** Channel types a guild-wide lockdown covers */
+export const LOCKABLE_CHANNEL_TYPES = new Set([
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildForum,
+  ChannelType.GuildMedia,
+]);
+
+/**
+ * Whether @everyone is denied SendMessages by the channel's own overwrite.
+ * @param {import('discord.js').GuildChannel} channel
+ */
+export function isChannelLocked(channel) {
+  const everyone = channel.guild.roles.everyone;
+  return !!channel.permissionOverwrites?.cache.get(everyone.id)?.deny?.has(PermissionFlagsBits.SendMessages);
+}
+
+/**
+ * @param {import('discord.js').GuildChannel} channel
+ * @param {string} reason - audit log reason
+ */
+export async function lockChannel(channel, reason) {
+  await channel.permissionOverwrites.edit(channel.guild.roles.everyone, LOCK_OVERWRITE, { reason });
+}
+
+/**
+ * @param {import('discord.js').GuildChannel} channel
+ * @param {string} reason - audit log reason
+ */
+export async function unlockChannel(channel, reason) {
+  await channel.permissionOverwrites.edit(channel.guild.roles.everyone, UNLOCK_OVERWRITE, { reason });
+}
+
+/**
+ * Set channel_config.lockdown_enabled for one or more channels.
+ * @param {Object} params
+ * @param {import('pg').PoolClient} [params.client]
+ * @param {string} params.guildId
+ * @param {string[]} params.channelIds
+ * @param {boolean} params.enabled
+ */
+export async function setLockdownFlag({ client, guildId, channelIds, enabled }) {
+  if (!channelIds.length) return;
+  const run = client ? client.query.bind(client) : query;
+  await run(
+    `INSERT INTO channel_config (channel_id, guild_id, lockdown_enabled)
+     SELECT c, $2, $3 FROM unnest($1::text[]) AS c
+     ON CONFLICT (channel_id)
+     DO UPDATE SET lockdown_enabled = EXCLUDED.lockdown_enabled, updated_at = NOW()`,
+    [channelIds, guildId, enabled]
+  );
+}
+
+export default {
+  LOCK_OVERWRITE,
+  UNLOCK_OVERWRITE,
+  LOCKABLE_CHANNEL_TYPES,
+  isChannelLocked,
+  lockChannel,
+  unlockChannel,
+  setLockdownFlag,
+};
@@ -1,6 +1,7 @@
 import { query, tx } from '../../core/db/index.js';
 import { ensureGuildRow } from '../../core/db/guild.js';
 import { createLogger, logger } from '../../core/logger.js';
+import { pickEscalation } from './escalation.js';
 
 const log = createLogger({ mod: 'mod-db' });
 
@@ -12,7 +13,7 @@ const log = createLogger({ mod: 'mod-db' });
  */
 export async function createInfractionWithCount({
   client, guildId, userId, moderatorId, type,
-  reason = null, durationSeconds = null, context = {}
+  reason = null, durationSeconds = null, context = {}, category = null
 }) {
   const run = client ? client.query.bind(client) : query;
 
@@ -24,9 +25,9 @@ export async function createInfractionWithCount({
     WITH new_infraction AS (
       INSERT INTO infractions (
         guild_id, user_id, moderator_id, type, reason,
-        duration_seconds, expires_at, context, created_at, active
+        duration_seconds, expires_at, context, category, created_at, active
       )
-      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,NOW(),TRUE)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW(),TRUE)
       RETURNING *
     ),
     decay_config AS (
@@ -66,7 +67,7 @@ export async function createInfractionWithCount({
 
   const params = [
     guildId, userId, moderatorId, type,
-    reason, durationSeconds, expiresAt, JSON.stringify(context ?? {})
+    reason, durationSeconds, expiresAt, JSON.stringify(context ?? {}), category
   ];
 
   const { rows: [r] } = await run(sql, params);
@@ -83,6 +84,7 @@ export async function createInfractionWithCount({
     created_at: r.created_at,
     active: r.active,
     context: r.context,
+    category: r.category,
     warnCount: r.warn_count
   };
 }
@@ -225,10 +227,13 @@ export async function getGuildConfig(guildId, keys = []) {
   
   const keysArray = Array.isArray(keys) ? keys : [keys];
   const validKeys = new Set([
-    'dm_on_action', 'warn_decay_days', 'max_warns', 'mute_role_id',
-    'log_channel_id', 'timeout_renewal', 'auto_mod_enabled',
+    'dm_on_action', 'warn_decay_days', 'warn_decay_dm', 'max_warns', 'mute_role_id',
+    'log_channel_id', 'report_channel_id', 'appeal_channel_id',
+    'timeout_renewal', 'auto_mod_enabled',
     'spam_threshold', 'caps_threshold', 'invite_filter_enabled',
-    'link_filter_enabled', 'profanity_filter_level'
+    'link_filter_enabled', 'profanity_filter_level',
+    'raid_protection_enabled', 'raid_join_threshold', 'raid_join_window_seconds',
+    'raid_min_account_age_days', 'raid_suspicious_ratio', 'raid_action', 'raid_lockdown_seconds'
   ]);
   
   const columns = keysArray.filter(k => validKeys.has(k));
@@ -253,29 +258,75 @@ export async function getGuildConfig(guildId, keys = []) {
 
 /**
  * Get auto-action for a specific warn count.
+ * With a userId, windowed and per-category policies are evaluated against the
+ * user's active warns (pass the tx client when the new warn is not committed yet).
  * @param {string} guildId
  * @param {number} warnCount
- * @returns {Promise<Object|null>} The action configuration or null
+ * @param {{ userId?: string, client?: import('pg').PoolClient }} [opts]
+ * @returns {Promise<Object|null>} The action configuration (+ id, threshold, window_seconds, category, count) or null
  */
-export async function getAutoAction(guildId, warnCount) {
-  // First check configured thresholds
-  const { rows: [threshold] } = await query(
-    `SELECT action, duration_seconds
+export async function getAutoAction(guildId, warnCount, { userId = null, client = null } = {}) {
+  const run = client ? client.query.bind(client) : query;
+
+  const { rows: policies } = await run(
+    `SELECT id, threshold, action, duration_seconds, window_seconds, category
      FROM warn_thresholds
-     WHERE guild_id = $1 AND threshold <= $2
-     ORDER BY threshold DESC
-     LIMIT 1`,
-    [guildId, warnCount]
+     WHERE guild_id = $1`,
+    [guildId]
   );
-  
-  if (threshold) return threshold;
-  
+
+  if (policies.length) {
+    const laddered = policies.some(p => p.window_seconds || p.category);
+
+    // Flat thresholds only: original behaviour
+    if (!laddered || !userId) {
+      const flat = policies
+        .filter(p => !p.window_seconds && !p.category && p.threshold <= warnCount)
+        .sort((a, b) => b.threshold - a.threshold)[0];
+      return flat ? { ...flat, count: warnCount } : null;
+    }
+
+    const [{ rows: warns }, { rows: fired }] = await Promise.all([
+      run(
+        `WITH config AS (
+           SELECT COALESCE(warn_decay_days, 30) AS decay_days
+           FROM guild_config WHERE guild_id = $1
+         )
+         SELECT i.created_at, i.category
+         FROM infractions i, config c
+         WHERE i.guild_id = $1
+           AND i.user_id = $2
+           AND i.type = 'warn'
+           AND i.active = TRUE
+           AND (i.expires_at IS NULL OR i.expires_at > NOW())
+           AND (c.decay_days <= 0 OR i.created_at >= NOW() - INTERVAL '1 day' * c.decay_days)`,
+        [guildId, userId]
+      ),
+      run(
+        `SELECT context->>'policyId' AS policy_id, MAX(created_at) AS last_at
+         FROM infractions
+         WHERE guild_id = $1 AND user_id = $2 AND context ? 'policyId'
+         GROUP BY 1`,
+        [guildId, userId]
+      ),
+    ]);
+
+    return pickEscalation(
+      policies,
+      warns,
+      new Date(),
+      new Map(fired.map(f => [f.policy_id, f.last_at]))
+    );
+  }
+
   // Fall back to default max_warns
   const { max_warns } = await getGuildConfig(guildId, 'max_warns');
   if (max_warns && warnCount >= max_warns) {
     return { 
       action: 'timeout', 
-      duration_seconds: 86400 // 24 hours default
+      duration_seconds: 86400, // 24 hours default
+      threshold: max_warns,
+      count: warnCount,
     };
   }
   
@@ -291,19 +342,21 @@ export async function setWarnThreshold({
   guildId, 
   threshold, 
   action, 
-  durationSeconds = null 
+  durationSeconds = null,
+  windowSeconds = null,
+  category = null,
 }) {
   await ensureGuildConfig(guildId);
   
   const { rows: [row] } = await query(
-    `INSERT INTO warn_thresholds (guild_id, threshold, action, duration_seconds)
-     VALUES ($1, $2, $3, $4)
-     ON CONFLICT (guild_id, threshold) 
+    `INSERT INTO warn_thresholds (guild_id, threshold, action, duration_seconds, window_seconds, category)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (guild_id, threshold, (COALESCE(window_seconds, 0)), (COALESCE(category, ''))) 
      DO UPDATE SET 
        action = EXCLUDED.action, 
        duration_seconds = EXCLUDED.duration_seconds
      RETURNING *`,
-    [guildId, threshold, action, durationSeconds]
+    [guildId, threshold, action, durationSeconds, windowSeconds, category]
   );
   
   return row;
@@ -318,10 +371,10 @@ export async function listWarnThresholds(guildId) {
   await ensureGuildConfig(guildId);
   
   const { rows } = await query(
-    `SELECT threshold, action, duration_seconds
+    `SELECT id, threshold, action, duration_seconds, window_seconds, category
      FROM warn_thresholds
      WHERE guild_id = $1
-     ORDER BY threshold ASC`,
+     ORDER BY category NULLS FIRST, window_seconds NULLS FIRST, threshold ASC`,
     [guildId]
   );
   
@@ -332,13 +385,16 @@ export async function listWarnThresholds(guildId) {
  * Remove a warn threshold.
  * @param {string} guildId
  * @param {number} threshold
+ * @param {{ windowSeconds?: number|null, category?: string|null }} [policy] - which ladder step
  * @returns {Promise<boolean>} True if deleted
  */
-export async function removeWarnThreshold(guildId, threshold) {
+export async function removeWarnThreshold(guildId, threshold, { windowSeconds = null, category = null } = {}) {
   const { rowCount } = await query(
     `DELETE FROM warn_thresholds 
-     WHERE guild_id = $1 AND threshold = $2`,
-    [guildId, threshold]
+     WHERE guild_id = $1 AND threshold = $2
+       AND COALESCE(window_seconds, 0) = COALESCE($3::int, 0)
+       AND COALESCE(category, '') = COALESCE($4::text, '')`,
+    [guildId, threshold, windowSeconds, category]
   );
   
   return rowCount > 0;
@@ -0,0 +1,301 @@
+// src/utils/moderation/mod-log.js
+// Per-guild mod-log pipeline: entries are queued, batched and posted to
+// guild_config.log_channel_id as a uniform embed.
+import { EmbedBuilder, PermissionFlagsBits, time } from 'discord.js';
+import { getGuildConfig, logAudit } from './mod-db.js';
+import { prettySecs } from './duration.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'modlog' });
+
+const FLUSH_DELAY_MS = 2000;        // collect bursts (e.g. mass bans) into one message
+const MAX_EMBEDS_PER_MESSAGE = 10;  // Discord hard limit
+const MAX_QUEUE_PER_GUILD = 100;    // drop oldest beyond this
+const FALLBACK_NOTICE_MS = 60 * 60 * 1000; // one undelivered audit entry per guild per hour
+
+const REQUIRED_PERMS = [
+  PermissionFlagsBits.ViewChannel,
+  PermissionFlagsBits.SendMessages,
+  PermissionFlagsBits.EmbedLinks,
+];
+
+const ACTION_META = Object.freeze({
+  warn:           { label: 'Warn',           emoji: '⚠️', color: 0xFFA500 },
+  unwarn:         { label: 'Warn Revoked',   emoji: '↩️', color: 0x00FF00 },
+  clear_warns:    { label: 'Warns Cleared',  emoji: '🧹', color: 0x00FF00 },
+  timeout:        { label: 'Timeout',        emoji: '⏰', color: 0xFF6347 },
+  untimeout:      { label: 'Timeout Lifted', emoji: '⏰', color: 0x00FF00 },
+  mute:           { label: 'Mute',           emoji: '🔇', color: 0xFF4500 },
+  unmute:         { label: 'Unmute',         emoji: '🔊', color: 0x00FF00 },
+  kick:           { label: 'Kick',           emoji: '👢', color: 0xFF0000 },
+  ban:            { label: 'Ban',            emoji: '🔨', color: 0x8B0000 },
+  selfban:        { label: 'Self-ban',       emoji: '🔨', color: 0x8B0000 },
+  softban:        { label: 'Softban',        emoji: '🔄', color: 0xDC143C },
+  unban:          { label: 'Unban',          emoji: '✅', color: 0x00FF00 },
+  pardon:         { label: 'Pardon',         emoji: '🕊️', color: 0x00FF00 },
+  channel_lock:   { label: 'Channel Locked',   emoji: '🔒', color: 0x2C2F33 },
+  channel_unlock: { label: 'Channel Unlocked', emoji: '🔓', color: 0x4098FF },
+  raid_lockdown:  { label: 'Raid Lockdown',    emoji: '🚨', color: 0xB00020 },
+  raid_end:       { label: 'Raid Ended',       emoji: '🔓', color: 0x4098FF },
+  automod_log_only: { label: 'AutoMod (log-only)', emoji: '📝', color: 0x9AA0A6 },
+  automod_quarantine: { label: 'AutoMod Rule Quarantined', emoji: '🧯', color: 0xB00020 },
+  purge:          { label: 'Purge',          emoji: '🗑️', color: 0x9AA0A6 },
+});
+
+// guildId -> { guild, entries: [], timer }
+const queues = new Map();
+// guildId -> last time an undelivered notice was written
+const lastFallback = new Map();
+
+function metaFor(action) {
+  return ACTION_META[action] ?? {
+    label: String(action ?? 'Action').replace(/_/g, ' '),
+    emoji: '📋',
+    color: 0x9AA0A6,
+  };
+}
+
+function channelUrl(guildId, channelId) {
+  return `https://discord.com/channels/${guildId}/${channelId}`;
+}
+
+function clip(str, max = 1024) {
+  const s = String(str ?? '');
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+/** Normalise the various duration shapes callers pass (seconds, ms, until) */
+function resolveDuration(p) {
+  if (Number.isFinite(p.duration) && p.duration > 0) return p.duration;
+  if (Number.isFinite(p.durationSeconds) && p.durationSeconds > 0) return p.durationSeconds;
+  if (Number.isFinite(p.ms) && p.ms > 0) return Math.round(p.ms / 1000);
+  return null;
+}
+
+/**
+ * Build the standard mod-log embed for one entry.
+ * @param {Object} payload - emitModLog payload (action, actorId, targetId, reason, caseId, ...)
+ * @returns {EmbedBuilder}
+ */
+export function buildModLogEmbed(payload) {
+  const meta = metaFor(payload.action);
+  const durationSeconds = resolveDuration(payload);
+  const ts = new Date(payload.ts ?? Date.now());
+
+  const embed = new EmbedBuilder()
+    .setColor(meta.color)
+    .setTitle(`${meta.emoji} ${meta.label}${payload.caseId ? ` | Case ${String(payload.caseId).slice(0, 8)}` : ''}`)
+    .setTimestamp(ts);
+
+  const fields = [];
+
+  if (payload.targetId) {
+    const isChannel = payload.targetType === 'channel';
+    fields.push({
+      name: isChannel ? 'Channel' : 'Target',
+      value: isChannel
+        ? `<#${payload.targetId}> (\`${payload.targetId}\`)`
+        : `<@${payload.targetId}> (\`${payload.targetId}\`)`,
+      inline: true,
+    });
+  }
+
+  fields.push({
+    name: 'Moderator',
+    value: payload.actorId ? `<@${payload.actorId}> (\`${payload.actorId}\`)` : 'System',
+    inline: true,
+  });
+
+  if (durationSeconds) {
+    const until = payload.until ? new Date(payload.until) : new Date(ts.getTime() + durationSeconds * 1000);
+    fields.push({
+      name: 'Duration',
+      value: `${prettySecs(durationSeconds)} (ends ${time(until, 'R')})`,
+      inline: true,
+    });
+  } else if (payload.temporary === false || payload.action === 'ban') {
+    fields.push({ name: 'Duration', value: 'Permanent', inline: true });
+  }
+
+  fields.push({
+    name: 'Reason',
+    value: clip(payload.reason || 'No reason provided'),
+    inline: false,
+  });
+
+  if (payload.caseId) {
+    fields.push({ name: 'Case ID', value: `\`${payload.caseId}\``, inline: true });
+  }
+
+  if (payload.autoAction) {
+    fields.push({
+      name: 'Auto Action',
+      value: `${payload.autoAction}${payload.autoCaseId ? ` (\`${String(payload.autoCaseId).slice(0, 8)}\`)` : ''}`,
+      inline: true,
+    });
+  }
+
+  if (payload.dmFailed) {
+    fields.push({ name: 'DM', value: '⚠️ Could not notify user', inline: true });
+  }
+
+  if (payload.extra && typeof payload.extra === 'object') {
+    const lines = Object.entries(payload.extra)
+      .filter(([, v]) => v !== undefined && v !== null && !(Array.isArray(v) && v.length === 0))
+      .map(([k, v]) => `**${k}:** ${Array.isArray(v) ? v.join(', ') : v}`);
+    if (lines.length) {
+      fields.push({ name: 'Details', value: clip(lines.join('\n')), inline: false });
+    }
+  }
+
+  const links = [];
+  if (payload.guildId && payload.sourceChannelId) {
+    links.push(`[Command channel](${channelUrl(payload.guildId, payload.sourceChannelId)})`);
+  }
+  if (payload.jumpUrl) links.push(`[Message](${payload.jumpUrl})`);
+  if (links.length) fields.push({ name: 'Links', value: links.join(' • '), inline: false });
+
+  embed.addFields(fields);
+  return embed;
+}
+
+/**
+ * Queue a mod-log entry for the guild. Entries are flushed in batches of up
+ * to 10 embeds after a short delay. Never throws.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} payload
+ */
+export function queueModLog(guild, payload) {
+  if (!guild?.id) return;
+
+  let q = queues.get(guild.id);
+  if (!q) {
+    q = { guild, entries: [], timer: null };
+    queues.set(guild.id, q);
+  }
+
+  q.guild = guild;
+  q.entries.push({ guildId: guild.id, ...payload });
+  if (q.entries.length > MAX_QUEUE_PER_GUILD) {
+    const dropped = q.entries.splice(0, q.entries.length - MAX_QUEUE_PER_GUILD);
+    log.warn({ guildId: guild.id, dropped: dropped.length }, 'Mod-log queue overflow, dropped oldest entries');
+  }
+
+  if (q.entries.length >= MAX_EMBEDS_PER_MESSAGE) {
+    flushModLogs(guild.id).catch(err => log.error({ err, guildId: guild.id }, 'Mod-log flush failed'));
+    return;
+  }
+
+  if (!q.timer) {
+    q.timer = setTimeout(() => {
+      flushModLogs(guild.id).catch(err => log.error({ err, guildId: guild.id }, 'Mod-log flush failed'));
+    }, FLUSH_DELAY_MS);
+    q.timer.unref?.();
+  }
+}
+
+/**
+ * Resolve the configured log channel and verify the bot can post there.
+ * @returns {Promise<{channel?: import('discord.js').TextBasedChannel, why?: string}>}
+ */
+async function resolveLogChannel(guild) {
+  const { log_channel_id: channelId } = await getGuildConfig(guild.id, ['log_channel_id']);
+  if (!channelId) return { why: 'NotConfigured' };
+
+  let channel = guild.channels.cache.get(channelId);
+  if (!channel) {
+    try {
+      channel = await guild.channels.fetch(channelId);
+    } catch (err) {
+      log.debug({ err, guildId: guild.id, channelId }, 'Log channel fetch failed');
+    }
+  }
+  if (!channel || !channel.isTextBased?.()) return { why: 'ChannelMissing', channelId };
+
+  const me = guild.members.me;
+  const perms = me ? channel.permissionsFor(me) : null;
+  if (!perms?.has(REQUIRED_PERMS)) return { why: 'MissingPermissions', channelId };
+
+  return { channel };
+}
+
+/** Record undelivered entries so they are not silently lost */
+async function fallback(guild, entries, why, channelId) {
+  for (const e of entries) {
+    log.info({ guildId: guild.id, why, modlog: e }, 'Mod-log entry (undelivered)');
+  }
+
+  // Not configured is a normal state, not worth an audit row
+  if (why === 'NotConfigured') return;
+
+  const last = lastFallback.get(guild.id) ?? 0;
+  if (Date.now() - last < FALLBACK_NOTICE_MS) return;
+  lastFallback.set(guild.id, Date.now());
+
+  try {
+    await logAudit({
+      guildId: guild.id,
+      actionType: 'modlog_undelivered',
+      actorId: guild.client?.user?.id ?? null,
+      targetId: channelId ?? null,
+      details: { why, dropped: entries.length, actions: entries.map(e => e.action) },
+    });
+  } catch (err) {
+    log.error({ err, guildId: guild.id }, 'Failed to record undelivered mod-log');
+  }
+}
+
+/**
+ * Flush queued entries for one guild (or all guilds when omitted).
+ * @param {string} [guildId]
+ */
+export async function flushModLogs(guildId) {
+  if (!guildId) {
+    await Promise.allSettled([...queues.keys()].map(id => flushModLogs(id)));
+    return;
+  }
+
+  const q = queues.get(guildId);
+  if (!q) return;
+  if (q.timer) clearTimeout(q.timer);
+  queues.delete(guildId);
+
+  const { guild, entries } = q;
+  if (!entries.length) return;
+
+  let resolved;
+  try {
+    resolved = await resolveLogChannel(guild);
+  } catch (err) {
+    log.error({ err, guildId }, 'Failed to resolve log channel');
+    resolved = { why: 'ConfigError' };
+  }
+
+  if (!resolved.channel) {
+    await fallback(guild, entries, resolved.why, resolved.channelId);
+    return;
+  }
+
+  for (let i = 0; i < entries.length; i += MAX_EMBEDS_PER_MESSAGE) {
+    const batch = entries.slice(i, i + MAX_EMBEDS_PER_MESSAGE);
+    try {
+      await resolved.channel.send({
+        embeds: batch.map(buildModLogEmbed),
+        allowedMentions: { parse: [] },
+      });
+    } catch (err) {
+      const why = err?.code === 50013 || err?.code === 50001 ? 'MissingPermissions'
+        : err?.code === 10003 ? 'ChannelMissing'
+        : 'SendFailed';
+      log.warn({ err, guildId, why }, 'Mod-log send failed');
+      await fallback(guild, entries.slice(i), why, resolved.channel.id);
+      return;
+    }
+  }
+}
+
+export default {
+  buildModLogEmbed,
+  queueModLog,
+  flushModLogs,
+};
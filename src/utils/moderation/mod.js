@@ -7,6 +7,7 @@ import {
 } from 'discord.js';
 
 import { colors } from '../../graphics/colors.js';
+import { queueModLog } from './mod-log.js';
 
 const MAX_REASON = 512;
 
@@ -327,10 +328,16 @@ export function requireBotPermsInChannel(interaction, perms) {
   return resolved.has(perms, true);
 }
 
-/** Minimal mod-log emitter; wire to your logging channel/system later */
+/**
+ * Mod-log emitter: queues the entry for the guild's log channel (batched,
+ * see mod-log.js) and mirrors it to the process logger.
+ */
 export async function emitModLog(interaction, payload) {
-  // TODO: integrate with your logging strategy (db/webhook/channel)
   interaction.client?.logger?.info?.(payload) || console.log('[MODLOG]', payload);
+  queueModLog(interaction.guild, {
+    sourceChannelId: interaction.channelId,
+    ...payload,
+  });
 }
 
 /** For purge: channel guard (no DMs, no voice, no forum root) */
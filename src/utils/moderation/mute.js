@@ -0,0 +1,271 @@
+// src/utils/moderation/mute.js
+// Role-based mutes: guild_config.mute_role_id + deny overwrites on every channel.
+// A member is muted while they have an active 'mute' infraction that has not expired;
+// expiry runs through the 'unmute' job, so mutes can outlast Discord's 28-day timeout cap.
+import { ChannelType, PermissionFlagsBits } from 'discord.js';
+import { query, tx } from '../../core/db/index.js';
+import { createInfractionWithCount, ensureGuildConfig, getGuildConfig } from './mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'mute' });
+
+export const MAX_MUTE_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+/** Overwrite applied to the mute role on each channel (false = deny) */
+export const MUTE_OVERWRITE = Object.freeze({
+  SendMessages: false,
+  SendMessagesInThreads: false,
+  CreatePublicThreads: false,
+  CreatePrivateThreads: false,
+  AddReactions: false,
+  SendVoiceMessages: false,
+  SendPolls: false,
+  Speak: false,
+  Stream: false,
+  RequestToSpeak: false,
+});
+
+const MUTE_DENY = Object.keys(MUTE_OVERWRITE).map(k => PermissionFlagsBits[k]);
+
+// Threads have no overwrites of their own; they inherit the parent's
+// (SendMessagesInThreads covers them).
+const OVERWRITE_CHANNEL_TYPES = new Set([
+  ChannelType.GuildCategory,
+  ChannelType.GuildText,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildVoice,
+  ChannelType.GuildStageVoice,
+  ChannelType.GuildForum,
+  ChannelType.GuildMedia,
+]);
+
+/**
+ * Resolve the configured mute role.
+ * @param {import('discord.js').Guild} guild
+ * @returns {Promise<import('discord.js').Role|null>}
+ */
+export async function getMuteRole(guild) {
+  const { mute_role_id: roleId } = await getGuildConfig(guild.id, 'mute_role_id');
+  if (!roleId) return null;
+  return guild.roles.cache.get(roleId) ?? await guild.roles.fetch(roleId).catch(() => null);
+}
+
+/**
+ * Store the mute role in guild_config.
+ * @param {string} guildId
+ * @param {string|null} roleId
+ */
+export async function setMuteRole(guildId, roleId) {
+  await ensureGuildConfig(guildId);
+  await query(
+    `UPDATE guild_config SET mute_role_id = $2, updated_at = NOW() WHERE guild_id = $1`,
+    [guildId, roleId]
+  );
+}
+
+/**
+ * Create a permissionless "Muted" role just below the bot's highest role.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} [opts]
+ * @param {string} [opts.name='Muted']
+ * @param {string} [opts.reason]
+ * @returns {Promise<import('discord.js').Role>}
+ */
+export async function createMuteRole(guild, { name = 'Muted', reason } = {}) {
+  const role = await guild.roles.create({
+    name,
+    permissions: [],
+    mentionable: false,
+    hoist: false,
+    reason,
+  });
+
+  // Must sit above the roles it mutes; as high as the bot can place it
+  const top = guild.members.me?.roles.highest;
+  if (top && top.position > 1) {
+    await role.setPosition(top.position - 1, { reason }).catch(err =>
+      log.warn({ err, guildId: guild.id, roleId: role.id }, 'Could not reposition mute role')
+    );
+  }
+  return role;
+}
+
+/**
+ * Ensure the mute role's deny overwrite on one channel.
+ * @param {import('discord.js').GuildChannel} channel
+ * @param {import('discord.js').Role} role
+ * @param {string} [reason]
+ * @returns {Promise<boolean>} true if the overwrite was changed
+ */
+export async function applyMuteOverwrite(channel, role, reason = 'Mute role sync') {
+  if (!OVERWRITE_CHANNEL_TYPES.has(channel.type)) return false;
+
+  const existing = channel.permissionOverwrites.cache.get(role.id);
+  if (existing?.deny.has(MUTE_DENY)) return false;
+
+  await channel.permissionOverwrites.edit(role, MUTE_OVERWRITE, { reason });
+  return true;
+}
+
+/**
+ * Sync the mute overwrite across every channel the bot can manage.
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').Role} role
+ * @returns {Promise<{updated: number, unchanged: number, failed: string[]}>} failed = channel ids
+ */
+export async function syncMuteOverwrites(guild, role) {
+  const me = guild.members.me;
+  const channels = await guild.channels.fetch();
+  const result = { updated: 0, unchanged: 0, failed: [] };
+
+  for (const channel of channels.values()) {
+    if (!channel || !OVERWRITE_CHANNEL_TYPES.has(channel.type)) continue;
+
+    const perms = channel.permissionsFor(me);
+    if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ManageRoles])) {
+      result.failed.push(channel.id);
+      continue;
+    }
+
+    try {
+      if (await applyMuteOverwrite(channel, role)) result.updated++;
+      else result.unchanged++;
+    } catch (err) {
+      log.warn({ err, guildId: guild.id, channelId: channel.id }, 'Mute overwrite failed');
+      result.failed.push(channel.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Record a mute: supersedes any active mute, creates the infraction and
+ * schedules the unmute job. The caller adds the role on Discord.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {string} params.userId
+ * @param {string} params.moderatorId
+ * @param {string} [params.reason]
+ * @param {number|null} [params.durationSeconds] - null = until /unmute
+ * @returns {Promise<Object>} infraction
+ */
+export async function recordMute({ guildId, userId, moderatorId, reason = null, durationSeconds = null }) {
+  await ensureGuildConfig(guildId);
+
+  return tx(async (client) => {
+    await supersedeMutes(client, guildId, userId);
+
+    const infraction = await createInfractionWithCount({
+      client,
+      guildId,
+      userId,
+      moderatorId,
+      type: 'mute',
+      reason,
+      durationSeconds,
+    });
+
+    if (durationSeconds) {
+      await client.query(
+        `INSERT INTO scheduled_jobs (type, guild_id, user_id, infraction_id, run_at, priority, data)
+         VALUES ('unmute', $1, $2, $3, NOW() + make_interval(secs => $4), 60, $5)`,
+        [guildId, userId, infraction.id, durationSeconds, JSON.stringify({ mutedBy: moderatorId })]
+      );
+    }
+
+    return infraction;
+  });
+}
+
+/**
+ * Lift a mute in the DB: deactivate active mutes and cancel pending unmute jobs.
+ * @returns {Promise<number>} Active mutes that were lifted
+ */
+export async function liftMute(guildId, userId) {
+  return tx(client => supersedeMutes(client, guildId, userId));
+}
+
+async function supersedeMutes(client, guildId, userId) {
+  await client.query(
+    `DELETE FROM scheduled_jobs
+     WHERE type = 'unmute' AND guild_id = $1 AND user_id = $2 AND locked_at IS NULL`,
+    [guildId, userId]
+  );
+  const { rowCount } = await client.query(
+    `UPDATE infractions SET active = FALSE
+     WHERE guild_id = $1 AND user_id = $2 AND type = 'mute' AND active = TRUE`,
+    [guildId, userId]
+  );
+  return rowCount;
+}
+
+/**
+ * Current unexpired mute for a user, if any.
+ * @returns {Promise<Object|null>} infraction row
+ */
+export async function getActiveMute(guildId, userId) {
+  const { rows: [row] } = await query(
+    `SELECT * FROM infractions
+     WHERE guild_id = $1 AND user_id = $2 AND type = 'mute' AND active = TRUE
+       AND (expires_at IS NULL OR expires_at > NOW())
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [guildId, userId]
+  );
+  return row ?? null;
+}
+
+/**
+ * Deactivate mutes whose time is up (called by the unmute job).
+ * @returns {Promise<number>}
+ */
+export async function expireMutes(guildId, userId) {
+  const { rowCount } = await query(
+    `UPDATE infractions SET active = FALSE
+     WHERE guild_id = $1 AND user_id = $2 AND type = 'mute' AND active = TRUE
+       AND expires_at IS NOT NULL AND expires_at <= NOW()`,
+    [guildId, userId]
+  );
+  return rowCount;
+}
+
+/**
+ * Re-add the mute role to a rejoining member who is still muted.
+ * Leaving and rejoining must not clear a mute.
+ * @param {import('discord.js').GuildMember} member
+ * @returns {Promise<boolean>} true if the role was re-applied
+ */
+export async function reapplyMute(member) {
+  const mute = await getActiveMute(member.guild.id, member.id);
+  if (!mute) return false;
+
+  const role = await getMuteRole(member.guild);
+  if (!role || !role.editable) {
+    log.warn({ guildId: member.guild.id, userId: member.id }, 'Muted member rejoined but mute role is unusable');
+    return false;
+  }
+
+  try {
+    await member.roles.add(role, `Re-applying mute after rejoin (case ${mute.id})`);
+    return true;
+  } catch (err) {
+    log.warn({ err, guildId: member.guild.id, userId: member.id }, 'Failed to re-apply mute');
+    return false;
+  }
+}
+
+export default {
+  MAX_MUTE_SECONDS,
+  MUTE_OVERWRITE,
+  getMuteRole,
+  setMuteRole,
+  createMuteRole,
+  applyMuteOverwrite,
+  syncMuteOverwrites,
+  recordMute,
+  liftMute,
+  getActiveMute,
+  expireMutes,
+  reapplyMute,
+};
@@ -0,0 +1,422 @@
+// src/utils/moderation/reports.js
+// User/message reports: DB access, message-level dedupe and the staff
+// triage message (see components/reportComponents.js).
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  PermissionFlagsBits,
+} from 'discord.js';
+import { query, tx } from '../../core/db/index.js';
+import { SecureCustomId } from '../../components/ComponentRouter.js';
+import { getGuildConfig, ensureGuildConfig } from './mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'reports' });
+
+export const REPORT_REASON_MAX = 500;
+const MAX_TRACKED_REPORTERS = 25;   // context.reporters cap per report
+const SNAPSHOT_MAX = 1000;          // reported message content kept in context
+
+/** Statuses that still need moderator attention */
+export const OPEN_STATUSES = Object.freeze(['pending', 'reviewed']);
+
+const STATUS_META = Object.freeze({
+  pending:   { label: 'Pending',   color: 0xFFA500 },
+  reviewed:  { label: 'Claimed',   color: 0x4098FF },
+  dismissed: { label: 'Dismissed', color: 0x9AA0A6 },
+  actioned:  { label: 'Actioned',  color: 0x2ECC71 },
+});
+
+/**
+ * Signed custom ID for report components (no user/expiry context: any
+ * moderator may act, the DB status guards against double handling).
+ * @param {string} action
+ * @param {Object} data
+ */
+export function makeReportId(action, data) {
+  return new SecureCustomId('report', action, 'v1')
+    .setData(data)
+    .build();
+}
+
+/** Compact snowflake for custom ID payloads */
+export const packSnowflake = (id) => BigInt(id).toString(36);
+export const unpackSnowflake = (s) => {
+  let n = 0n;
+  for (const ch of String(s)) n = n * 36n + BigInt(parseInt(ch, 36));
+  return n.toString(10);
+};
+
+/**
+ * Moderator triage rows: claim/dismiss and convert-to-action buttons.
+ * @param {string} reportId
+ * @param {boolean} [closed=false] - disable everything once handled
+ */
+export function buildReportActionRows(reportId, closed = false) {
+  const btn = (action, label, style, emoji) =>
+    new ButtonBuilder()
+      .setCustomId(makeReportId(action, { i: reportId }))
+      .setLabel(label)
+      .setStyle(style)
+      .setEmoji(emoji)
+      .setDisabled(closed);
+
+  return [
+    new ActionRowBuilder().addComponents(
+      btn('claim', 'Claim', ButtonStyle.Primary, '🙋'),
+      btn('dismiss', 'Dismiss', ButtonStyle.Secondary, '🗑️'),
+    ),
+    new ActionRowBuilder().addComponents(
+      btn('warn', 'Warn', ButtonStyle.Secondary, '⚠️'),
+      btn('timeout', 'Timeout', ButtonStyle.Secondary, '⏰'),
+      btn('ban', 'Ban', ButtonStyle.Danger, '🔨'),
+    ),
+  ];
+}
+
+/**
+ * Staff-facing report embed, re-rendered on every dedupe hit and decision.
+ * @param {Object} report - user_reports row
+ * @param {Object} [opts]
+ * @param {number} [opts.openAgainstTarget] - other open reports against the same user
+ */
+export function buildReportEmbed(report, { openAgainstTarget = 0 } = {}) {
+  const ctx = report.context ?? {};
+  const meta = STATUS_META[report.status] ?? STATUS_META.pending;
+  const reporters = ctx.reporters ?? [{ id: report.reporter_id, reason: report.reason }];
+  const count = ctx.reportCount ?? reporters.length;
+
+  const embed = new EmbedBuilder()
+    .setColor(meta.color)
+    .setTitle(`🚩 ${report.type === 'message' ? 'Message' : 'User'} report — ${meta.label}`)
+    .setDescription(report.reason.slice(0, 1000))
+    .addFields(
+      { name: 'Reported User', value: `<@${report.target_id}> (\`${report.target_id}\`)`, inline: true },
+      { name: `Reporters (${count})`, value: reporters.slice(0, 10).map(r => `<@${r.id}>`).join(' ') || '—', inline: true },
+    )
+    .setFooter({ text: `Report ${report.id}` })
+    .setTimestamp(new Date(report.created_at ?? Date.now()));
+
+  if (report.type === 'message' && ctx.message_id) {
+    embed.addFields({
+      name: 'Message',
+      value: [
+        ctx.url ? `[Jump to message](${ctx.url})` : `\`${ctx.message_id}\``,
+        ctx.channel_id ? `in <#${ctx.channel_id}>` : null,
+      ].filter(Boolean).join(' '),
+      inline: false,
+    });
+    if (ctx.content) {
+      embed.addFields({ name: 'Content', value: ctx.content.slice(0, 1024), inline: false });
+    }
+    if (ctx.attachments) {
+      embed.addFields({ name: 'Attachments', value: String(ctx.attachments), inline: true });
+    }
+  }
+
+  const extraReasons = reporters.slice(1).filter(r => r.reason).slice(-3);
+  if (extraReasons.length) {
+    embed.addFields({
+      name: 'Additional reasons',
+      value: extraReasons.map(r => `<@${r.id}>: ${r.reason.slice(0, 200)}`).join('\n').slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  if (openAgainstTarget > 0) {
+    embed.addFields({ name: 'Other open reports', value: String(openAgainstTarget), inline: true });
+  }
+
+  if (ctx.claimed_by) {
+    embed.addFields({ name: 'Claimed by', value: `<@${ctx.claimed_by}>`, inline: true });
+  }
+
+  if (report.status === 'dismissed' || report.status === 'actioned') {
+    embed.addFields({
+      name: report.status === 'actioned' ? 'Action taken' : 'Dismissed',
+      value: [
+        `by <@${report.reviewed_by}>`,
+        ctx.resolution?.action ? `**${ctx.resolution.action}**` : null,
+        ctx.resolution?.caseId ? `case \`${ctx.resolution.caseId}\`` : null,
+      ].filter(Boolean).join(' — '),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+/**
+ * Fetch a report by ID.
+ * @param {string} reportId
+ * @returns {Promise<Object|null>}
+ */
+export async function getReport(reportId) {
+  const { rows: [row] } = await query(
+    `SELECT * FROM user_reports WHERE id = $1::uuid`,
+    [reportId]
+  );
+  return row || null;
+}
+
+/**
+ * Count open reports against a user, excluding one report.
+ * @param {string} guildId
+ * @param {string} targetId
+ * @param {string} [excludeId]
+ */
+export async function countOpenReportsAgainst(guildId, targetId, excludeId = null) {
+  const { rows: [r] } = await query(
+    `SELECT COUNT(*)::int AS count FROM user_reports
+     WHERE guild_id = $1 AND target_id = $2 AND status = ANY($3)
+       AND ($4::uuid IS NULL OR id <> $4::uuid)`,
+    [guildId, targetId, OPEN_STATUSES, excludeId]
+  );
+  return r?.count ?? 0;
+}
+
+/**
+ * Store a report. Message reports are deduplicated: while a report for the
+ * same message is open, further reports only add the reporter to it.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {string} params.reporterId
+ * @param {string} params.targetId
+ * @param {'user'|'message'} params.type
+ * @param {string} params.reason
+ * @param {Object} [params.context] - message_id/channel_id/url/content/attachments for message reports
+ * @returns {Promise<{report: Object, duplicate: boolean, alreadyReported: boolean}>}
+ */
+export async function submitReport({ guildId, reporterId, targetId, type, reason, context = {} }) {
+  await ensureGuildConfig(guildId);
+  const reporter = { id: reporterId, reason, at: new Date().toISOString() };
+
+  const attempt = () => tx(async (client) => {
+    if (type === 'message' && context.message_id) {
+      const { rows: [existing] } = await client.query(
+        `SELECT * FROM user_reports
+         WHERE guild_id = $1 AND type = 'message'
+           AND context->>'message_id' = $2
+           AND status = ANY($3)
+         FOR UPDATE`,
+        [guildId, context.message_id, OPEN_STATUSES]
+      );
+
+      if (existing) {
+        const ctx = existing.context ?? {};
+        const reporters = ctx.reporters ?? [{ id: existing.reporter_id, reason: existing.reason }];
+        if (reporters.some(r => r.id === reporterId)) {
+          return { report: existing, duplicate: true, alreadyReported: true };
+        }
+
+        const nextReporters = [...reporters, reporter].slice(-MAX_TRACKED_REPORTERS);
+        const { rows: [updated] } = await client.query(
+          `UPDATE user_reports
+           SET context = context || $2::jsonb
+           WHERE id = $1
+           RETURNING *`,
+          [existing.id, JSON.stringify({
+            reporters: nextReporters,
+            reportCount: (ctx.reportCount ?? reporters.length) + 1,
+          })]
+        );
+        return { report: updated, duplicate: true, alreadyReported: false };
+      }
+    }
+
+    const snapshot = {
+      ...context,
+      content: context.content ? String(context.content).slice(0, SNAPSHOT_MAX) : undefined,
+      reporters: [reporter],
+      reportCount: 1,
+    };
+
+    const { rows: [report] } = await client.query(
+      `INSERT INTO user_reports (guild_id, reporter_id, target_id, type, reason, context)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [guildId, reporterId, targetId, type, reason, JSON.stringify(snapshot)]
+    );
+    return { report, duplicate: false, alreadyReported: false };
+  });
+
+  try {
+    return await attempt();
+  } catch (err) {
+    // Two first reports raced on the open-message unique index: the loser joins the winner
+    if (err.code === '23505') return attempt();
+    throw err;
+  }
+}
+
+/**
+ * Move a report to a new status. Only open reports can change; claiming
+ * additionally requires the report to still be pending.
+ * @param {Object} params
+ * @param {string} params.guildId - the report must belong to this guild
+ * @param {string} params.reportId
+ * @param {'reviewed'|'dismissed'|'actioned'} params.status
+ * @param {string} params.reviewerId
+ * @param {Object} [params.context] - merged into user_reports.context
+ * @returns {Promise<Object|null>} Updated row, or null if it was already handled or is not in the guild
+ */
+export async function updateReportStatus({ guildId, reportId, status, reviewerId, context = {} }) {
+  const allowedFrom = status === 'reviewed' ? ['pending'] : OPEN_STATUSES;
+  const { rows: [row] } = await query(
+    `UPDATE user_reports
+     SET status = $2, reviewed_by = $3, reviewed_at = NOW(), context = context || $4::jsonb
+     WHERE id = $1::uuid AND guild_id = $6 AND status = ANY($5)
+     RETURNING *`,
+    [reportId, status, reviewerId, JSON.stringify(context), allowedFrom, guildId]
+  );
+  return row || null;
+}
+
+/**
+ * Remember where the staff message for a report lives.
+ * @param {string} reportId
+ * @param {string} channelId
+ * @param {string} messageId
+ */
+export async function setReportStaffMessage(reportId, channelId, messageId) {
+  await query(
+    `UPDATE user_reports
+     SET context = context || jsonb_build_object('staff_channel_id', $2::text, 'staff_message_id', $3::text)
+     WHERE id = $1::uuid`,
+    [reportId, channelId, messageId]
+  );
+}
+
+/**
+ * Resolve the guild's report channel if the bot can post there.
+ * @param {import('discord.js').Guild} guild
+ */
+export async function resolveReportChannel(guild) {
+  const { report_channel_id: channelId } = await getGuildConfig(guild.id, 'report_channel_id');
+  if (!channelId) return null;
+
+  const channel = guild.channels.cache.get(channelId)
+    ?? await guild.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased?.()) return null;
+
+  const perms = guild.members.me ? channel.permissionsFor(guild.members.me) : null;
+  if (!perms?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+    return null;
+  }
+  return channel;
+}
+
+/**
+ * Post (or, for deduplicated reports, refresh) the staff triage message.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} report - user_reports row
+ * @returns {Promise<boolean>} true if the staff message is up to date
+ */
+export async function publishReport(guild, report) {
+  const openAgainstTarget = await countOpenReportsAgainst(guild.id, report.target_id, report.id);
+  const payload = {
+    embeds: [buildReportEmbed(report, { openAgainstTarget })],
+    components: buildReportActionRows(report.id, !OPEN_STATUSES.includes(report.status)),
+    allowedMentions: { parse: [] },
+  };
+
+  const ctx = report.context ?? {};
+  if (ctx.staff_message_id && ctx.staff_channel_id) {
+    const channel = guild.channels.cache.get(ctx.staff_channel_id);
+    const message = await channel?.messages?.fetch(ctx.staff_message_id).catch(() => null);
+    if (message) {
+      try {
+        await message.edit(payload);
+        return true;
+      } catch (err) {
+        log.debug({ err, reportId: report.id }, 'Could not edit report message, reposting');
+      }
+    }
+  }
+
+  const channel = await resolveReportChannel(guild);
+  if (!channel) return false;
+
+  try {
+    const message = await channel.send(payload);
+    await setReportStaffMessage(report.id, channel.id, message.id);
+    return true;
+  } catch (err) {
+    log.error({ err, guildId: guild.id, reportId: report.id }, 'Failed to post report');
+    return false;
+  }
+}
+
+/**
+ * Context snapshot stored on message reports.
+ * @param {import('discord.js').Message} message
+ */
+export function messageReportContext(message) {
+  return {
+    message_id: message.id,
+    channel_id: message.channelId,
+    url: message.url,
+    content: message.content || undefined,
+    attachments: message.attachments?.size || undefined,
+  };
+}
+
+/**
+ * Validate, store and publish a report on behalf of the reporter.
+ * Shared by /report and the "Report message" context menu.
+ * @param {Object} params
+ * @param {import('discord.js').Guild} params.guild
+ * @param {import('discord.js').User} params.reporter
+ * @param {import('discord.js').User} params.target
+ * @param {string} params.reason
+ * @param {import('discord.js').Message} [params.message]
+ * @returns {Promise<string>} Reply text for the reporter
+ */
+export async function fileReport({ guild, reporter, target, reason, message = null }) {
+  if (target.id === reporter.id) return '❌ You cannot report yourself.';
+  if (target.id === guild.client.user.id) return '❌ You cannot report me.';
+  if (message?.system) return '❌ System messages cannot be reported.';
+
+  const channel = await resolveReportChannel(guild);
+  if (!channel) return '❌ This server has not set up a report channel.';
+
+  const { report, duplicate, alreadyReported } = await submitReport({
+    guildId: guild.id,
+    reporterId: reporter.id,
+    targetId: target.id,
+    type: message ? 'message' : 'user',
+    reason,
+    context: message ? messageReportContext(message) : {},
+  });
+
+  if (alreadyReported) return 'ℹ️ You already reported this message. Moderators have been notified.';
+
+  const published = await publishReport(guild, report);
+  if (!published) {
+    log.warn({ guildId: guild.id, reportId: report.id }, 'Report stored but not published');
+  }
+
+  return duplicate
+    ? `✅ Thanks — this message was already reported; your report has been added (**${report.context?.reportCount ?? 2}** reporters).`
+    : '✅ Thanks — your report has been sent to the moderators.';
+}
+
+export default {
+  OPEN_STATUSES,
+  makeReportId,
+  packSnowflake,
+  unpackSnowflake,
+  buildReportActionRows,
+  buildReportEmbed,
+  getReport,
+  countOpenReportsAgainst,
+  submitReport,
+  updateReportStatus,
+  setReportStaffMessage,
+  resolveReportChannel,
+  publishReport,
+  messageReportContext,
+  fileReport,
+};
@@ -0,0 +1,106 @@
+// src/utils/moderation/role-perms.js
+// Per-role moderation capability overrides (role_permissions).
+// Lets e.g. a "Trial Mod" role warn/time out without Discord's ModerateMembers bit.
+import { query } from '../../core/db/index.js';
+import { ensureGuildConfig } from './mod-db.js';
+
+/** Capability name → role_permissions column */
+export const CAPABILITIES = Object.freeze({
+  warn: 'can_warn',
+  mute: 'can_mute',          // timeouts and the mute role
+  kick: 'can_kick',
+  ban: 'can_ban',
+  rules: 'can_manage_rules', // automod rule management
+});
+
+const CACHE_TTL = 60_000;
+const cache = new Map(); // guildId -> { rows, expires }
+
+/**
+ * All overrides for a guild (cached for a minute; writes invalidate).
+ * @param {string} guildId
+ * @returns {Promise<Object[]>}
+ */
+export async function getRolePermissions(guildId) {
+  const hit = cache.get(guildId);
+  if (hit && hit.expires > Date.now()) return hit.rows;
+
+  const { rows } = await query(
+    `SELECT * FROM role_permissions WHERE guild_id = $1 ORDER BY created_at ASC`,
+    [guildId]
+  );
+  cache.set(guildId, { rows, expires: Date.now() + CACHE_TTL });
+  return rows;
+}
+
+/**
+ * Create or update a role's overrides. Omitted (undefined) flags keep their value.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {string} params.roleId
+ * @param {Object} params.flags - { can_warn?, can_mute?, can_kick?, can_ban?, can_manage_rules? }
+ * @param {number|null} [params.maxDuration] - seconds; null clears, undefined keeps
+ */
+export async function setRolePermissions({ guildId, roleId, flags = {}, maxDuration }) {
+  await ensureGuildConfig(guildId);
+
+  const cols = Object.values(CAPABILITIES);
+  const values = cols.map(c => flags[c] ?? null);
+
+  const { rows: [row] } = await query(
+    `INSERT INTO role_permissions (guild_id, role_id, ${cols.join(', ')}, max_duration)
+     VALUES ($1, $2, ${cols.map((_, i) => `COALESCE($${i + 3}, FALSE)`).join(', ')}, $${cols.length + 3})
+     ON CONFLICT (guild_id, role_id) DO UPDATE
+     SET ${cols.map((c, i) => `${c} = COALESCE($${i + 3}, role_permissions.${c})`).join(',\n         ')},
+         max_duration = CASE WHEN $${cols.length + 4} THEN $${cols.length + 3} ELSE role_permissions.max_duration END
+     RETURNING *`,
+    [guildId, roleId, ...values, maxDuration ?? null, maxDuration !== undefined]
+  );
+
+  cache.delete(guildId);
+  return row;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the role had overrides
+ */
+export async function removeRolePermissions(guildId, roleId) {
+  const { rowCount } = await query(
+    `DELETE FROM role_permissions WHERE guild_id = $1 AND role_id = $2`,
+    [guildId, roleId]
+  );
+  cache.delete(guildId);
+  return rowCount > 0;
+}
+
+/**
+ * Resolve what the member's roles grant for one capability.
+ * The most permissive role wins: any role without max_duration means no cap.
+ * @param {import('discord.js').GuildMember} member
+ * @param {keyof CAPABILITIES} capability
+ * @returns {Promise<{ allowed: boolean, maxDuration: number|null, roleIds: string[] }>}
+ */
+export async function resolveCapability(member, capability) {
+  const column = CAPABILITIES[capability];
+  if (!column || !member?.guild) return { allowed: false, maxDuration: null, roleIds: [] };
+
+  const rows = (await getRolePermissions(member.guild.id))
+    .filter(r => r[column] && member.roles.cache.has(r.role_id));
+
+  if (!rows.length) return { allowed: false, maxDuration: null, roleIds: [] };
+
+  const uncapped = rows.some(r => r.max_duration == null);
+  return {
+    allowed: true,
+    maxDuration: uncapped ? null : Math.max(...rows.map(r => r.max_duration)),
+    roleIds: rows.map(r => r.role_id),
+  };
+}
+
+export default {
+  CAPABILITIES,
+  getRolePermissions,
+  setRolePermissions,
+  removeRolePermissions,
+  resolveCapability,
+};
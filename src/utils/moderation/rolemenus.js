@@ -0,0 +1,321 @@
+// src/utils/moderation/rolemenus.js
+// Self-assign role menus (buttons or select menu) stored in rolemenus/rolemenu_roles.
+import {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  StringSelectMenuBuilder,
+} from 'discord.js';
+import { query, tx } from '../../core/db/index.js';
+import { SecureCustomId } from '../../components/ComponentRouter.js';
+import { ensureGuildConfig } from './mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'rolemenus' });
+
+export const MAX_MENU_ROLES = 25;   // 5 rows × 5 buttons, or 25 select options
+export const MENU_STYLES = Object.freeze(['buttons', 'select']);
+export const MENU_MODES = Object.freeze(['single', 'multi']);
+
+/**
+ * Persistent, signed custom ID for a menu component.
+ * No user/expiry context: the same message is used by every member, forever.
+ * @param {'toggle'|'select'} action
+ * @param {Object} data
+ */
+export function makeRoleMenuId(action, data) {
+  return new SecureCustomId('rolemenu', action, 'v1')
+    .setData(data)
+    .build();
+}
+
+// ---------- Queries ----------
+
+/**
+ * Create a menu.
+ * @returns {Promise<Object|null>} The row, or null if the name is taken (case-insensitively)
+ */
+export async function createMenu({
+  guildId, name, title = null, description = null,
+  style = 'buttons', mode = 'multi', maxSelections = null,
+  requiredRoleIds = [], createdBy,
+}) {
+  await ensureGuildConfig(guildId);
+
+  const { rows: [menu] } = await query(
+    `INSERT INTO rolemenus (guild_id, name, title, description, style, mode, max_selections, required_role_ids, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (guild_id, lower(name)) DO NOTHING
+     RETURNING *`,
+    [guildId, name, title, description, style, mode, maxSelections, requiredRoleIds, createdBy]
+  );
+  return menu || null;
+}
+
+export async function getMenu(menuId) {
+  const { rows: [menu] } = await query(`SELECT * FROM rolemenus WHERE id = $1`, [menuId]);
+  return menu || null;
+}
+
+export async function getMenuByName(guildId, name) {
+  const { rows: [menu] } = await query(
+    `SELECT * FROM rolemenus WHERE guild_id = $1 AND lower(name) = lower($2)`,
+    [guildId, name]
+  );
+  return menu || null;
+}
+
+export async function getMenuRoles(menuId) {
+  const { rows } = await query(
+    `SELECT * FROM rolemenu_roles WHERE menu_id = $1 ORDER BY position ASC, role_id ASC`,
+    [menuId]
+  );
+  return rows;
+}
+
+/**
+ * Add (or update) a role option on a menu.
+ * @returns {Promise<Object|null>} The option row, or null if the menu is full
+ */
+export async function addMenuRole({ menuId, roleId, label, emoji = null, description = null }) {
+  return tx(async (client) => {
+    // Serialise concurrent edits of the same menu
+    await client.query(`SELECT id FROM rolemenus WHERE id = $1 FOR UPDATE`, [menuId]);
+
+    const { rows: [stats] } = await client.query(
+      `SELECT COUNT(*)::int AS count,
+              COALESCE(MAX(position), -1)::int AS max_pos,
+              BOOL_OR(role_id = $2) AS exists
+       FROM rolemenu_roles WHERE menu_id = $1`,
+      [menuId, roleId]
+    );
+    if (!stats.exists && stats.count >= MAX_MENU_ROLES) return null;
+
+    const { rows: [row] } = await client.query(
+      `INSERT INTO rolemenu_roles (menu_id, role_id, label, emoji, description, position)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (menu_id, role_id) DO UPDATE
+       SET label = EXCLUDED.label,
+           emoji = EXCLUDED.emoji,
+           description = EXCLUDED.description
+       RETURNING *`,
+      [menuId, roleId, label, emoji, description, stats.max_pos + 1]
+    );
+    await client.query(`UPDATE rolemenus SET updated_at = NOW() WHERE id = $1`, [menuId]);
+    return row;
+  });
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the role was on the menu
+ */
+export async function removeMenuRole(menuId, roleId) {
+  const { rowCount } = await query(
+    `DELETE FROM rolemenu_roles WHERE menu_id = $1 AND role_id = $2`,
+    [menuId, roleId]
+  );
+  return rowCount > 0;
+}
+
+export async function deleteMenu(menuId) {
+  const { rows: [menu] } = await query(`DELETE FROM rolemenus WHERE id = $1 RETURNING *`, [menuId]);
+  return menu || null;
+}
+
+export async function setMenuMessage(menuId, channelId, messageId) {
+  await query(
+    `UPDATE rolemenus SET channel_id = $2, message_id = $3 WHERE id = $1`,
+    [menuId, channelId, messageId]
+  );
+}
+
+// ---------- Rendering ----------
+
+/**
+ * Build the public menu message.
+ * @param {Object} menu - rolemenus row
+ * @param {Object[]} roles - rolemenu_roles rows
+ * @returns {{ embeds: EmbedBuilder[], components: ActionRowBuilder[] }}
+ */
+export function buildMenuMessage(menu, roles) {
+  const rules = [
+    menu.mode === 'single' ? 'Pick **one** role.' : null,
+    menu.mode === 'multi' && menu.max_selections ? `Pick up to **${menu.max_selections}** roles.` : null,
+    menu.required_role_ids?.length
+      ? `Requires: ${menu.required_role_ids.map(id => `<@&${id}>`).join(' or ')}`
+      : null,
+  ].filter(Boolean);
+
+  const lines = roles.map(r =>
+    `${r.emoji ? `${r.emoji} ` : ''}<@&${r.role_id}>${r.description ? ` — ${r.description}` : ''}`
+  );
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865f2)
+    .setTitle(menu.title || menu.name)
+    .setDescription([menu.description, lines.join('\n') || '*No roles yet.*', rules.join('\n')]
+      .filter(Boolean)
+      .join('\n\n')
+      .slice(0, 4096));
+
+  if (!roles.length) return { embeds: [embed], components: [] };
+
+  if (menu.style === 'select') {
+    const max = menu.mode === 'single'
+      ? 1
+      : Math.min(menu.max_selections ?? roles.length, roles.length);
+
+    const select = new StringSelectMenuBuilder()
+      .setCustomId(makeRoleMenuId('select', { m: Number(menu.id) }))
+      .setPlaceholder('Choose your roles')
+      .setMinValues(0)
+      .setMaxValues(max)
+      .addOptions(roles.map(r => {
+        const opt = { label: r.label, value: r.role_id };
+        if (r.description) opt.description = r.description;
+        if (r.emoji) opt.emoji = r.emoji;
+        return opt;
+      }));
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select)] };
+  }
+
+  const rows = [];
+  for (let i = 0; i < roles.length; i += 5) {
+    rows.push(new ActionRowBuilder().addComponents(
+      roles.slice(i, i + 5).map(r => {
+        const btn = new ButtonBuilder()
+          .setCustomId(makeRoleMenuId('toggle', { m: Number(menu.id), r: r.role_id }))
+          .setLabel(r.label)
+          .setStyle(ButtonStyle.Secondary);
+        if (r.emoji) btn.setEmoji(r.emoji);
+        return btn;
+      })
+    ));
+  }
+  return { embeds: [embed], components: rows };
+}
+
+/**
+ * Post the menu (or edit it in place when it already lives in that channel).
+ * A menu moved to another channel has its old message deleted.
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} menu
+ * @param {import('discord.js').TextBasedChannel} [channel] - Defaults to the current location
+ * @returns {Promise<import('discord.js').Message|null>}
+ */
+export async function publishMenu(guild, menu, channel = null) {
+  const roles = await getMenuRoles(menu.id);
+  const payload = buildMenuMessage(menu, roles);
+
+  const current = menu.channel_id && menu.message_id
+    ? await guild.channels.fetch(menu.channel_id)
+      .then(ch => ch?.messages?.fetch(menu.message_id))
+      .catch(() => null)
+    : null;
+
+  if (current && (!channel || channel.id === current.channelId)) {
+    return current.edit(payload);
+  }
+
+  const target = channel
+    ?? (menu.channel_id ? await guild.channels.fetch(menu.channel_id).catch(() => null) : null);
+  if (!target?.isTextBased?.()) return null;
+
+  const message = await target.send(payload);
+  await setMenuMessage(menu.id, target.id, message.id);
+  if (current) await current.delete().catch(() => {});
+  return message;
+}
+
+/**
+ * Refresh an already-published menu after its options changed. Never posts.
+ */
+export async function refreshPublishedMenu(guild, menu) {
+  if (!menu.message_id) return;
+  try {
+    const channel = await guild.channels.fetch(menu.channel_id).catch(() => null);
+    const message = await channel?.messages?.fetch(menu.message_id).catch(() => null);
+    if (!message) return;
+    const roles = await getMenuRoles(menu.id);
+    await message.edit(buildMenuMessage(menu, roles));
+  } catch (err) {
+    log.warn({ err, menuId: menu.id }, 'Failed to refresh role menu');
+  }
+}
+
+// ---------- Selection ----------
+
+/**
+ * Work out which roles to add/remove so the member ends up with `wanted`
+ * (a subset of the menu's roles), enforcing prerequisites, mode and max.
+ * @param {import('discord.js').GuildMember} member
+ * @param {Object} menu
+ * @param {Object[]} options - rolemenu_roles rows
+ * @param {string[]} wanted - role IDs the member should hold afterwards
+ * @returns {{ ok: boolean, why?: string, add?: import('discord.js').Role[], remove?: import('discord.js').Role[] }}
+ */
+export function planSelection(member, menu, options, wanted) {
+  const required = menu.required_role_ids ?? [];
+  if (required.length && !required.some(id => member.roles.cache.has(id))) {
+    return { ok: false, why: 'MISSING_REQUIRED_ROLE' };
+  }
+
+  const menuIds = new Set(options.map(o => o.role_id));
+  const want = new Set(wanted.filter(id => menuIds.has(id)));
+
+  if (menu.mode === 'single' && want.size > 1) return { ok: false, why: 'SINGLE_CHOICE' };
+  if (menu.max_selections && want.size > menu.max_selections) return { ok: false, why: 'MAX_SELECTIONS' };
+
+  const roles = member.guild.roles.cache;
+  const add = [];
+  const remove = [];
+  for (const id of menuIds) {
+    const role = roles.get(id);
+    if (!role) continue;
+    const has = member.roles.cache.has(id);
+    if (want.has(id) && !has) add.push(role);
+    if (!want.has(id) && has) remove.push(role);
+  }
+
+  if ([...add, ...remove].some(r => !r.editable || r.managed)) {
+    return { ok: false, why: 'ROLE_NOT_MANAGEABLE' };
+  }
+  return { ok: true, add, remove };
+}
+
+export function humanizeRoleMenuError(why, menu) {
+  switch (why) {
+    case 'MISSING_REQUIRED_ROLE':
+      return `You need one of ${menu.required_role_ids.map(id => `<@&${id}>`).join(', ')} to use this menu.`;
+    case 'SINGLE_CHOICE':
+      return 'You can only pick one role from this menu.';
+    case 'MAX_SELECTIONS':
+      return `You can pick at most ${menu.max_selections} roles from this menu.`;
+    case 'ROLE_NOT_MANAGEABLE':
+      return 'I can no longer manage one of these roles. Please tell a moderator.';
+    default:
+      return 'This role menu is unavailable.';
+  }
+}
+
+export default {
+  MAX_MENU_ROLES,
+  MENU_STYLES,
+  MENU_MODES,
+  makeRoleMenuId,
+  createMenu,
+  getMenu,
+  getMenuByName,
+  getMenuRoles,
+  addMenuRole,
+  removeMenuRole,
+  deleteMenu,
+  setMenuMessage,
+  buildMenuMessage,
+  publishMenu,
+  refreshPublishedMenu,
+  planSelection,
+  humanizeRoleMenuError,
+};
@@ -0,0 +1,49 @@
+// src/utils/moderation/roles.js
+// Role helpers shared by /roles, /temprole and /rolemenu.
+
+const ROLE_MENTION_RE = /<@&(\d+)>/g;
+
+/**
+ * Unique role ids mentioned in a string.
+ * @param {string} str
+ * @returns {string[]}
+ */
+export function parseRoleMentions(str) {
+  if (!str) return [];
+  const ids = new Set();
+  for (const m of str.matchAll(ROLE_MENTION_RE)) ids.add(m[1]);
+  return [...ids];
+}
+
+/**
+ * Roles that both the bot and the acting member may hand out.
+ * @param {import('discord.js').Guild} guild
+ * @param {import('discord.js').GuildMember} actor
+ * @param {import('discord.js').Role[]} roles
+ * @returns {import('discord.js').Role[]}
+ */
+export function filterAssignableRoles(guild, actor, roles) {
+  const me = guild.members.me;
+  const botTop = me?.roles?.highest?.position ?? 0;
+  const actorTop = actor?.roles?.highest?.position ?? 0;
+
+  return roles.filter((r) => {
+    if (!r) return false;
+    if (r.managed) return false; // integration/linked roles
+    if (r.id === guild.id) return false; // @everyone
+    if (r.position >= botTop) return false; // bot can't manage
+    if (r.position >= actorTop) return false; // actor can't manage
+    return r.editable === true; // discord.js “bot can edit” guard
+  });
+}
+
+/** "<@&1>, <@&2>" or "—" */
+export function fmtRoleList(roles) {
+  return roles.length ? roles.map((r) => `<@&${r.id}>`).join(', ') : '—';
+}
+
+export default {
+  parseRoleMentions,
+  filterAssignableRoles,
+  fmtRoleList,
+};
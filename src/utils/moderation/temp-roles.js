@@ -0,0 +1,167 @@
+// src/utils/moderation/temp-roles.js
+// Temporary role grants: temp_roles rows + one role_expire job per grant.
+import { query, tx } from '../../core/db/index.js';
+import { ensureGuildConfig } from './mod-db.js';
+import { createLogger } from '../../core/logger.js';
+
+const log = createLogger({ mod: 'temp-roles' });
+
+export const MAX_TEMP_ROLE_SECONDS = 365 * 24 * 60 * 60; // 1 year
+
+/**
+ * Point the grant's pending role_expire job at its expiry, creating it if needed.
+ * @param {import('pg').PoolClient} client
+ * @param {Object} row - temp_roles row
+ */
+async function upsertExpiryJob(client, row) {
+  const { rowCount } = await client.query(
+    `UPDATE scheduled_jobs
+     SET run_at = $2, attempts = 0, last_error = NULL
+     WHERE type = 'role_expire'
+       AND data->>'tempRoleId' = $1
+       AND locked_at IS NULL`,
+    [row.id, row.expires_at]
+  );
+  if (rowCount > 0) return;
+
+  await client.query(
+    `INSERT INTO scheduled_jobs (type, guild_id, user_id, run_at, priority, data)
+     VALUES ('role_expire', $1, $2, $3, 55, $4)`,
+    [row.guild_id, row.user_id, row.expires_at, JSON.stringify({ tempRoleId: row.id, roleId: row.role_id })]
+  );
+}
+
+/**
+ * Record (or re-record) a temporary role grant and schedule its expiry.
+ * Re-granting the same role resets the expiry to now + duration.
+ * The caller is responsible for actually adding the role on Discord.
+ * @param {Object} params
+ * @param {string} params.guildId
+ * @param {string} params.userId
+ * @param {string} params.roleId
+ * @param {string} params.assignedBy
+ * @param {number} params.durationSeconds
+ * @returns {Promise<Object>} temp_roles row
+ */
+export async function recordTempRole({ guildId, userId, roleId, assignedBy, durationSeconds }) {
+  await ensureGuildConfig(guildId);
+
+  return tx(async (client) => {
+    const { rows: [row] } = await client.query(
+      `INSERT INTO temp_roles (guild_id, user_id, role_id, assigned_by, duration_seconds, assigned_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(secs => $5))
+       ON CONFLICT (guild_id, user_id, role_id) DO UPDATE
+       SET assigned_by = EXCLUDED.assigned_by,
+           duration_seconds = EXCLUDED.duration_seconds,
+           assigned_at = EXCLUDED.assigned_at,
+           expires_at = EXCLUDED.expires_at
+       RETURNING *`,
+      [guildId, userId, roleId, assignedBy, durationSeconds]
+    );
+    await upsertExpiryJob(client, row);
+    return row;
+  });
+}
+
+/**
+ * Push a grant's expiry back by extraSeconds.
+ * @returns {Promise<Object|null>} Updated row, or null if there is no active grant
+ */
+export async function extendTempRole({ guildId, userId, roleId, extraSeconds }) {
+  return tx(async (client) => {
+    const { rows: [row] } = await client.query(
+      `UPDATE temp_roles
+       SET expires_at = expires_at + make_interval(secs => $4),
+           duration_seconds = duration_seconds + $4
+       WHERE guild_id = $1 AND user_id = $2 AND role_id = $3 AND expires_at > NOW()
+       RETURNING *`,
+      [guildId, userId, roleId, extraSeconds]
+    );
+    if (!row) return null;
+    await upsertExpiryJob(client, row);
+    return row;
+  });
+}
+
+/**
+ * Delete a grant and its pending expiry job.
+ * @returns {Promise<Object|null>} The deleted row
+ */
+export async function deleteTempRole({ guildId, userId, roleId }) {
+  return tx(async (client) => {
+    const { rows: [row] } = await client.query(
+      `DELETE FROM temp_roles
+       WHERE guild_id = $1 AND user_id = $2 AND role_id = $3
+       RETURNING *`,
+      [guildId, userId, roleId]
+    );
+    if (!row) return null;
+    await client.query(
+      `DELETE FROM scheduled_jobs
+       WHERE type = 'role_expire' AND data->>'tempRoleId' = $1 AND locked_at IS NULL`,
+      [row.id]
+    );
+    return row;
+  });
+}
+
+/**
+ * List active grants for a guild, optionally for one member.
+ * @param {string} guildId
+ * @param {string|null} [userId]
+ * @param {number} [limit=25]
+ */
+export async function listTempRoles(guildId, userId = null, limit = 25) {
+  const { rows } = await query(
+    `SELECT * FROM temp_roles
+     WHERE guild_id = $1 AND ($2::text IS NULL OR user_id = $2) AND expires_at > NOW()
+     ORDER BY expires_at ASC
+     LIMIT $3`,
+    [guildId, userId, limit]
+  );
+  return rows;
+}
+
+/**
+ * Fetch a grant by ID.
+ * @param {string} id
+ */
+export async function getTempRole(id) {
+  const { rows: [row] } = await query(`SELECT * FROM temp_roles WHERE id = $1::uuid`, [id]);
+  return row || null;
+}
+
+/**
+ * Re-add still-active temp roles to a member who rejoined before expiry.
+ * @param {import('discord.js').GuildMember} member
+ * @returns {Promise<number>} Number of roles re-applied
+ */
+export async function reapplyTempRoles(member) {
+  const rows = await listTempRoles(member.guild.id, member.id, 50);
+  if (!rows.length) return 0;
+
+  const me = member.guild.members.me;
+  const roles = rows
+    .map(r => member.guild.roles.cache.get(r.role_id))
+    .filter(r => r && !r.managed && r.editable && (!me || r.position < me.roles.highest.position));
+
+  if (!roles.length) return 0;
+
+  try {
+    await member.roles.add(roles, 'Re-applying temporary roles after rejoin');
+    return roles.length;
+  } catch (err) {
+    log.warn({ err, guildId: member.guild.id, userId: member.id }, 'Failed to re-apply temp roles');
+    return 0;
+  }
+}
+
+export default {
+  MAX_TEMP_ROLE_SECONDS,
+  recordTempRole,
+  extendTempRole,
+  deleteTempRole,
+  listTempRoles,
+  getTempRole,
+  reapplyTempRoles,
+};